@@ -15,6 +15,8 @@ import { initializeSocket } from "./config/socket.config.js";
 // Import modules
 import "./config/firebase.config.js";
 import { initializeScheduler } from "./utils/scheduler.js";
+import { registerWaitlistHandlers } from "./utils/waitlist-offers.js";
+import { registerQuestHandlers } from "./utils/quest-progress.js";
 
 // Import routes
 import authRoutes from "./routes/auth.routes.js";
@@ -27,6 +29,14 @@ import healthRoutes from "./routes/health.routes.js";
 import userRoutes from "./routes/user.routes.js";
 import chatRoutes from "./routes/chat.routes.js";
 import counselorRoutes from "./routes/counselor.routes.js";
+import questionnaireRoutes from "./routes/questionnaire.routes.js";
+import notificationRoutes from "./routes/notification.routes.js";
+import calendarRoutes from "./routes/calendar.routes.js";
+import wellbeingRoutes from "./routes/wellbeing.routes.js";
+import resourceRoutes from "./routes/resource.routes.js";
+import questRoutes from "./routes/quest.routes.js";
+import forumRoutes from "./routes/forum.routes.js";
+import consentRoutes from "./routes/consent.routes.js";
 import arcjetRoutes from "./routes/arcjet.routes.js";
 
 const app = express();
@@ -131,6 +141,14 @@ app.use("/health", healthRoutes);
 app.use("/users", userRoutes);
 app.use("/chat", chatRoutes);
 app.use("/counselors", counselorRoutes);
+app.use("/questionnaires", questionnaireRoutes);
+app.use("/notifications", notificationRoutes);
+app.use("/calendar", calendarRoutes);
+app.use("/wellbeing", wellbeingRoutes);
+app.use("/resources", resourceRoutes);
+app.use("/quests", questRoutes);
+app.use("/forum", forumRoutes);
+app.use("/consents", consentRoutes);
 app.use("/api", arcjetRoutes);
 
 // Apply Arcjet analytics middleware after routes to collect security metrics
@@ -151,7 +169,13 @@ app.use((req, _, next) => {
 
 app.use(errorHandler);
 
-// Initialize task scheduler for token cleanup
+// Offer freed-up counseling slots to waitlisted students
+registerWaitlistHandlers();
+
+// Count student activity towards quests
+registerQuestHandlers();
+
+// Initialize task scheduler for token cleanup and appointment reminders
 initializeScheduler();
 
 const PORT = config.port;
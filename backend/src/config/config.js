@@ -135,6 +135,99 @@ const cacheConfig = {
   cleanupInterval: parseInt(process.env.CACHE_CLEANUP_INTERVAL || "60000"), // 1 minute
 };
 
+// Counseling configuration
+// Counselor availability is expressed in campus local time, so slot
+// computation needs a fixed UTC offset (IST has no daylight saving)
+const counselingConfig = {
+  utcOffset: process.env.COUNSELING_UTC_OFFSET || "+05:30",
+  slotDurationMinutes: parseInt(
+    process.env.COUNSELING_SLOT_DURATION_MINUTES || "60",
+    10
+  ),
+  bookingWindowDays: parseInt(
+    process.env.COUNSELING_BOOKING_WINDOW_DAYS || "30",
+    10
+  ),
+  minBookingNoticeMinutes: parseInt(
+    process.env.COUNSELING_MIN_BOOKING_NOTICE_MINUTES || "120",
+    10
+  ),
+  // Reminders go out this many minutes before a confirmed session
+  reminderLeadMinutes: (
+    process.env.COUNSELING_REMINDER_LEAD_MINUTES || "1440,60"
+  )
+    .split(",")
+    .map((minutes) => parseInt(minutes.trim(), 10))
+    .filter((minutes) => minutes > 0)
+    .sort((a, b) => b - a),
+  reminderCheckIntervalMinutes: parseInt(
+    process.env.COUNSELING_REMINDER_CHECK_INTERVAL_MINUTES || "5",
+    10
+  ),
+  // Used for counselors without their own maxCaseload
+  defaultMaxCaseload: parseInt(
+    process.env.COUNSELING_DEFAULT_MAX_CASELOAD || "30",
+    10
+  ),
+  // Student cancellations closer than this to the session count as late
+  lateCancelHours: parseInt(
+    process.env.COUNSELING_LATE_CANCEL_HOURS || "24",
+    10
+  ),
+  // This many no-shows within the window blocks new bookings for the
+  // cooldown period
+  noShowLimit: parseInt(process.env.COUNSELING_NO_SHOW_LIMIT || "3", 10),
+  noShowWindowDays: parseInt(
+    process.env.COUNSELING_NO_SHOW_WINDOW_DAYS || "90",
+    10
+  ),
+  bookingCooldownDays: parseInt(
+    process.env.COUNSELING_BOOKING_COOLDOWN_DAYS || "14",
+    10
+  ),
+  // Upcoming pending or confirmed sessions a student may hold at once
+  maxActiveBookings: parseInt(
+    process.env.COUNSELING_MAX_ACTIVE_BOOKINGS || "3",
+    10
+  ),
+  // Waitlisted students have this long to accept an offered slot
+  waitlistHoldMinutes: parseInt(
+    process.env.COUNSELING_WAITLIST_HOLD_MINUTES || "120",
+    10
+  ),
+};
+
+// Crisis support resources returned to students whose messages indicate
+// risk of self-harm
+const crisisConfig = {
+  helplines: [
+    {
+      name: "Tele-MANAS (National Tele Mental Health Programme)",
+      phone: ["14416", "1-800-891-4416"],
+      available: "24x7",
+    },
+    {
+      name: "KIRAN Mental Health Rehabilitation Helpline",
+      phone: ["1800-599-0019"],
+      available: "24x7",
+    },
+    {
+      name: "Emergency Services",
+      phone: ["112"],
+      available: "24x7",
+    },
+  ],
+  campusContact: process.env.CRISIS_CAMPUS_CONTACT || null,
+};
+
+// Session notes are encrypted with AES-256-GCM before they reach Firestore.
+// The key is 32 bytes, base64 encoded (e.g. `openssl rand -base64 32`).
+// keyId is stored with each note so keys can be rotated later.
+const notesConfig = {
+  encryptionKey: process.env.NOTES_ENCRYPTION_KEY || "",
+  keyId: process.env.NOTES_ENCRYPTION_KEY_ID || "v1",
+};
+
 // Security configuration
 const securityConfig = {
   contentSecurityPolicy: {
@@ -177,6 +270,9 @@ const config = {
   session: sessionConfig,
   security: securityConfig,
   cache: cacheConfig,
+  counseling: counselingConfig,
+  crisis: crisisConfig,
+  notes: notesConfig,
 };
 
 export default config;
@@ -11,6 +11,7 @@
 import { initializeApp, cert } from "firebase-admin/app";
 import { getAuth as getAdminAuth } from "firebase-admin/auth";
 import { getFirestore as getAdminFirestore } from "firebase-admin/firestore";
+import { getStorage as getAdminStorage } from "firebase-admin/storage";
 import { initializeApp as initializeClientApp } from "firebase/app";
 import { getAuth as getClientAuth } from "firebase/auth";
 import { getFirestore as getClientFirestore } from "firebase/firestore";
@@ -58,7 +59,7 @@ function getOrCreateConnection(key, factory) {
 }
 
 // Initialize Firebase Admin SDK
-let adminApp, adminAuth, adminDb;
+let adminApp, adminAuth, adminDb, adminStorage;
 
 // Initialize Firebase Client SDK
 let clientApp, clientAuth, clientDb, clientStorage;
@@ -146,6 +147,9 @@ try {
 
     return db;
   });
+  adminStorage = getOrCreateConnection("adminStorage", () =>
+    getAdminStorage(adminApp)
+  );
 
   logger.info("Firebase Admin SDK initialized successfully", {
     projectId: firebaseConfig.projectId,
@@ -256,6 +260,7 @@ export const admin = {
   app: adminApp,
   auth: adminAuth,
   db: adminDb,
+  storage: adminStorage,
 
   // Add connection status check
   isConnected() {
@@ -294,3 +299,4 @@ export function getFirebaseStatus() {
 // Export commonly used services directly
 export const auth = adminAuth;
 export const db = adminDb;
+export const storage = adminStorage;
@@ -1,13 +1,58 @@
 import { Server } from "socket.io";
-import { auth } from "./firebase.config.js";
+import { auth, db } from "./firebase.config.js";
 import config from "./config.js";
 import { createSocketCorsConfig } from "./cors.config.js";
+import { AnonymousChatService } from "../services/anonymous-chat.service.js";
+import { UserRole } from "../services/auth.service.js";
+import { ChatService } from "../services/chat.service.js";
+import { CounselorService } from "../services/counselor.service.js";
+import { AppError } from "../utils/error.js";
+import {
+  addConnection,
+  isOnline,
+  removeConnection,
+} from "../utils/presence.js";
+import {
+  emitToAll,
+  getRoleRoom,
+  getUserRoom,
+  setIO,
+} from "../utils/socket-emitter.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Reply to a socket event acknowledgement, if the client asked for one
+ * @param {Function} [ack] - Acknowledgement callback
+ * @param {Object} payload - Response payload
+ */
+const acknowledge = (ack, payload) => {
+  if (typeof ack === "function") {
+    ack(payload);
+  }
+};
+
+/**
+ * Convert an error into an acknowledgement payload
+ * Only operational errors expose their message to the client
+ * @param {Error} error - Error thrown by a handler
+ * @returns {Object} Error payload
+ */
+const toErrorPayload = (error) => ({
+  success: false,
+  error:
+    error instanceof AppError
+      ? { message: error.message, code: error.errorCode }
+      : { message: "Something went wrong", code: "internal_error" },
+});
 
 export const initializeSocket = (server) => {
   // Initialize Socket.IO with centralized CORS configuration
   const io = new Server(server, {
     cors: createSocketCorsConfig(),
   });
+  const chatService = new ChatService();
+  const anonymousChatService = new AnonymousChatService();
+  const counselorService = new CounselorService();
 
   io.use(async (socket, next) => {
     try {
@@ -17,7 +62,11 @@ export const initializeSocket = (server) => {
       }
 
       const decodedToken = await auth.verifyIdToken(token);
-      socket.user = decodedToken;
+      const userDoc = await db.collection("users").doc(decodedToken.uid).get();
+      socket.user = {
+        ...decodedToken,
+        role: userDoc.data()?.role || UserRole.USER,
+      };
       next();
     } catch (error) {
       next(new Error("Authentication error"));
@@ -30,35 +79,193 @@ export const initializeSocket = (server) => {
       console.log("User connected:", socket.user.uid);
     }
 
-    socket.on("join_room", (roomId) => {
-      socket.join(roomId);
-      if (config.isDevelopment) {
-        console.log(`User ${socket.user.uid} joined room ${roomId}`);
+    // Personal room used to deliver messages without joining a conversation,
+    // and a role room for staff-wide broadcasts
+    socket.join(getUserRoom(socket.user.uid));
+    socket.join(getRoleRoom(socket.user.role));
+
+    // Anonymous conversations address students by alias, so subscribe the
+    // socket to the rooms of every alias the user has opened
+    if (socket.user.role === UserRole.USER) {
+      anonymousChatService
+        .getAliasIds(socket.user.uid)
+        .then((aliasIds) => socket.join(aliasIds.map(getUserRoom)))
+        .catch((error) =>
+          logger.warn("Failed to join anonymous alias rooms", {
+            userId: socket.user.uid,
+            error: error.message,
+          })
+        );
+    }
+
+    // ID the user appears under in each joined conversation room, so typing
+    // indicators in anonymous conversations carry the alias
+    const roomIdentities = new Map();
+
+    // Counselor presence is public so students can see who is reachable
+    const isCounselor = socket.user.role === UserRole.COUNSELOR;
+    if (addConnection(socket.user.uid, socket.id) && isCounselor) {
+      emitToAll("presence_update", { userId: socket.user.uid, online: true });
+    }
+
+    socket.on("join_room", async (roomId, ack) => {
+      try {
+        const { participantId } = await chatService.getParticipation(
+          roomId,
+          socket.user.uid
+        );
+        roomIdentities.set(roomId, participantId);
+        socket.join(roomId);
+        if (config.isDevelopment) {
+          console.log(`User ${socket.user.uid} joined room ${roomId}`);
+        }
+        acknowledge(ack, { success: true, data: { roomId } });
+      } catch (error) {
+        logger.warn("Rejected socket room join", {
+          userId: socket.user.uid,
+          roomId,
+          error: error.message,
+        });
+        acknowledge(ack, toErrorPayload(error));
       }
     });
 
     socket.on("leave_room", (roomId) => {
       socket.leave(roomId);
+      roomIdentities.delete(roomId);
       if (config.isDevelopment) {
         console.log(`User ${socket.user.uid} left room ${roomId}`);
       }
     });
 
-    socket.on("send_message", async (data) => {
-      const { roomId, message } = data;
-      io.to(roomId).emit("receive_message", {
-        sender: socket.user.uid,
-        message,
-        timestamp: new Date().toISOString(),
+    // Payload: { conversationId, content } or { receiverId, content }, with
+    // optional attachmentIds from POST /chat/conversations/:id/attachments
+    socket.on("send_message", async (data, ack) => {
+      try {
+        const { conversationId, receiverId, content, attachmentIds } =
+          data || {};
+        const options = { senderRole: socket.user.role, attachmentIds };
+        const message = conversationId
+          ? await chatService.createConversationMessage(
+              socket.user.uid,
+              conversationId,
+              content,
+              options
+            )
+          : await chatService.createMessage(
+              socket.user.uid,
+              receiverId,
+              content,
+              options
+            );
+
+        acknowledge(ack, { success: true, data: message });
+      } catch (error) {
+        logger.warn("Failed to send socket message", {
+          userId: socket.user.uid,
+          error: error.message,
+        });
+        acknowledge(ack, toErrorPayload(error));
+      }
+    });
+
+    // Typing indicators are only relayed into rooms the socket has joined,
+    // which already required conversation membership
+    const relayTyping = (isTyping) => (data) => {
+      const conversationId = data?.conversationId;
+      if (!conversationId || !socket.rooms.has(conversationId)) {
+        return;
+      }
+      socket.to(conversationId).emit("typing", {
+        conversationId,
+        userId: roomIdentities.get(conversationId),
+        isTyping,
       });
+    };
+    socket.on("typing_start", relayTyping(true));
+    socket.on("typing_stop", relayTyping(false));
+
+    socket.on("mark_read", async (data, ack) => {
+      try {
+        const receipt = await chatService.markConversationRead(
+          data?.conversationId,
+          socket.user.uid
+        );
+        acknowledge(ack, { success: true, data: receipt });
+      } catch (error) {
+        acknowledge(ack, toErrorPayload(error));
+      }
+    });
+
+    // Answers { [userId]: boolean } for the requested counselors. Only
+    // counselor presence is public; other IDs are left out of the answer,
+    // whether or not they are online.
+    socket.on("get_presence", async (userIds, ack) => {
+      try {
+        const ids = Array.isArray(userIds)
+          ? [
+              ...new Set(userIds.filter((id) => typeof id === "string" && id)),
+            ].slice(0, 100)
+          : [];
+        const counselorDocs =
+          ids.length > 0
+            ? await db.getAll(
+                ...ids.map((id) => db.collection("counselors").doc(id))
+              )
+            : [];
+
+        acknowledge(ack, {
+          success: true,
+          data: Object.fromEntries(
+            counselorDocs
+              .filter((doc) => doc.exists)
+              .map((doc) => [doc.id, isOnline(doc.id)])
+          ),
+        });
+      } catch (error) {
+        acknowledge(ack, toErrorPayload(error));
+      }
+    });
+
+    socket.on("disconnecting", () => {
+      // Clear any typing indicator the user left behind
+      for (const room of socket.rooms) {
+        if (room !== socket.id && !room.includes(":")) {
+          socket.to(room).emit("typing", {
+            conversationId: room,
+            userId: roomIdentities.get(room),
+            isTyping: false,
+          });
+        }
+      }
     });
 
-    socket.on("disconnect", () => {
+    socket.on("disconnect", async () => {
       if (config.isDevelopment) {
         console.log("User disconnected:", socket.user.uid);
       }
+
+      if (!removeConnection(socket.user.uid, socket.id) || !isCounselor) {
+        return;
+      }
+
+      const lastSeenAt = new Date().toISOString();
+      emitToAll("presence_update", {
+        userId: socket.user.uid,
+        online: false,
+        lastSeenAt,
+      });
+      try {
+        await counselorService.update(socket.user.uid, { lastSeenAt });
+      } catch (error) {
+        logger.warn("Failed to record counselor last seen time", {
+          userId: socket.user.uid,
+          error: error.message,
+        });
+      }
     });
   });
 
+  setIO(io);
   return io;
 };
@@ -7,6 +7,7 @@ import { EventsService } from "../services/events.service.js";
 import { catchAsync } from "../utils/error.js";
 import {
   successResponse,
+  createdResponse,
   notFoundResponse,
   errorResponse,
 } from "../utils/response.js";
@@ -301,4 +302,18 @@ export class AdminEventsController {
 
     successResponse(res, events, "Events search completed successfully");
   });
+
+  /**
+   * Check a user in to an event they attended
+   * @route POST /admin/events/:eventId/check-ins
+   */
+  checkInAttendee = catchAsync(async (req, res) => {
+    const checkIn = await this.eventsService.checkInAttendee(
+      req.params.eventId,
+      req.body.userId,
+      req.user.id
+    );
+
+    createdResponse(res, checkIn, "Attendee checked in successfully");
+  });
 }
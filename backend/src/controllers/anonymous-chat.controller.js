@@ -0,0 +1,88 @@
+/**
+ * Anonymous chat controller
+ * Handles HTTP requests for anonymous "talk to someone" requests
+ */
+import { AnonymousChatService } from "../services/anonymous-chat.service.js";
+import { catchAsync } from "../utils/error.js";
+import { successResponse, createdResponse } from "../utils/response.js";
+
+export class AnonymousChatController {
+  constructor() {
+    this.anonymousChatService = new AnonymousChatService();
+  }
+
+  /**
+   * Open an anonymous request with a first message
+   * @route POST /chat/anonymous
+   */
+  createRequest = catchAsync(async (req, res) => {
+    const result = await this.anonymousChatService.createRequest(
+      req.user.id,
+      req.body.content,
+      { senderRole: req.user.role }
+    );
+
+    createdResponse(res, result, "Anonymous request sent successfully");
+  });
+
+  /**
+   * List the current student's anonymous requests
+   * @route GET /chat/anonymous
+   */
+  getMyRequests = catchAsync(async (req, res) => {
+    const requests = await this.anonymousChatService.getMyRequests(req.user.id);
+
+    successResponse(res, requests, "Anonymous requests retrieved successfully");
+  });
+
+  /**
+   * List unclaimed anonymous requests
+   * @route GET /chat/anonymous/open
+   */
+  getOpenRequests = catchAsync(async (req, res) => {
+    const requests = await this.anonymousChatService.getOpenRequests();
+
+    successResponse(res, requests, "Open requests retrieved successfully");
+  });
+
+  /**
+   * Take an open request
+   * @route PUT /chat/anonymous/:conversationId/claim
+   */
+  claimRequest = catchAsync(async (req, res) => {
+    const conversation = await this.anonymousChatService.claimRequest(
+      req.params.conversationId,
+      req.user.id
+    );
+
+    successResponse(res, conversation, "Anonymous request claimed");
+  });
+
+  /**
+   * Reveal the current student's identity to their counselor
+   * @route PUT /chat/anonymous/:conversationId/reveal
+   */
+  revealIdentity = catchAsync(async (req, res) => {
+    const conversation = await this.anonymousChatService.revealIdentity(
+      req.params.conversationId,
+      req.user.id
+    );
+
+    successResponse(res, conversation, "Identity revealed");
+  });
+
+  /**
+   * Disclose the student behind an alias in an emergency
+   * @route POST /chat/anonymous/:conversationId/escalate
+   */
+  escalate = catchAsync(async (req, res) => {
+    const identity = await this.anonymousChatService.escalate(
+      req.params.conversationId,
+      req.user.id,
+      req.user.role,
+      req.body.reason
+    );
+
+    successResponse(res, identity, "Anonymous request escalated");
+  });
+}
@@ -0,0 +1,197 @@
+/**
+ * Appointment controller
+ * Handles HTTP requests related to counseling appointments
+ */
+import { AppointmentService } from "../services/appointment.service.js";
+import { UtilizationService } from "../services/utilization.service.js";
+import { catchAsync } from "../utils/error.js";
+import { successResponse, createdResponse } from "../utils/response.js";
+import logger from "../utils/logger.js";
+
+export class AppointmentController {
+  constructor() {
+    this.appointmentService = new AppointmentService();
+    this.utilizationService = new UtilizationService();
+  }
+
+  /**
+   * List open slots for a counselor
+   * @route GET /counselors/:counselorId/slots
+   */
+  getAvailableSlots = catchAsync(async (req, res) => {
+    const { counselorId } = req.params;
+    const { from, days } = req.query;
+
+    const slots = await this.appointmentService.getAvailableSlots(
+      counselorId,
+      { from, days }
+    );
+    logger.debug(`Found ${slots.length} open slots`, { counselorId });
+
+    successResponse(res, slots, "Available slots retrieved successfully");
+  });
+
+  /**
+   * Book a slot with a counselor
+   * @route POST /counselors/appointments
+   */
+  bookAppointment = catchAsync(async (req, res) => {
+    const appointment = await this.appointmentService.bookAppointment(
+      req.user.id,
+      req.body
+    );
+
+    createdResponse(res, appointment, "Appointment booked successfully");
+  });
+
+  /**
+   * List the current user's appointments
+   * @route GET /counselors/appointments
+   */
+  getMyAppointments = catchAsync(async (req, res) => {
+    const { status, upcoming } = req.query;
+
+    const appointments = await this.appointmentService.getAppointmentsForUser(
+      req.user.id,
+      req.user.role,
+      { status, upcoming: upcoming === "true" }
+    );
+
+    successResponse(res, appointments, "Appointments retrieved successfully");
+  });
+
+  /**
+   * Get a single appointment
+   * @route GET /counselors/appointments/:appointmentId
+   */
+  getAppointment = catchAsync(async (req, res) => {
+    const appointment = await this.appointmentService.getAppointment(
+      req.params.appointmentId,
+      req.user.id,
+      req.user.role
+    );
+
+    successResponse(res, appointment, "Appointment retrieved successfully");
+  });
+
+  /**
+   * Cancel an appointment
+   * @route PUT /counselors/appointments/:appointmentId/cancel
+   */
+  cancelAppointment = catchAsync(async (req, res) => {
+    const appointment = await this.appointmentService.cancelAppointment(
+      req.params.appointmentId,
+      req.user.id,
+      req.body.reason
+    );
+
+    successResponse(res, appointment, "Appointment cancelled successfully");
+  });
+
+  /**
+   * Move an appointment to another slot
+   * @route PUT /counselors/appointments/:appointmentId/reschedule
+   */
+  rescheduleAppointment = catchAsync(async (req, res) => {
+    const appointment = await this.appointmentService.rescheduleAppointment(
+      req.params.appointmentId,
+      req.user.id,
+      req.body.startTime
+    );
+
+    successResponse(res, appointment, "Appointment rescheduled successfully");
+  });
+
+  /**
+   * Confirm a pending appointment
+   * @route PUT /counselors/appointments/:appointmentId/confirm
+   */
+  confirmAppointment = catchAsync(async (req, res) => {
+    const appointment = await this.appointmentService.confirmAppointment(
+      req.params.appointmentId,
+      req.user.id
+    );
+
+    successResponse(res, appointment, "Appointment confirmed successfully");
+  });
+
+  /**
+   * Decline a pending appointment
+   * @route PUT /counselors/appointments/:appointmentId/decline
+   */
+  declineAppointment = catchAsync(async (req, res) => {
+    const appointment = await this.appointmentService.declineAppointment(
+      req.params.appointmentId,
+      req.user.id,
+      req.body.reason
+    );
+
+    successResponse(res, appointment, "Appointment declined successfully");
+  });
+
+  /**
+   * Mark a confirmed appointment as completed
+   * @route PUT /counselors/appointments/:appointmentId/complete
+   */
+  completeAppointment = catchAsync(async (req, res) => {
+    const appointment = await this.appointmentService.completeAppointment(
+      req.params.appointmentId,
+      req.user.id
+    );
+
+    successResponse(res, appointment, "Appointment completed successfully");
+  });
+
+  /**
+   * Record whether the student attended a session
+   * @route PUT /counselors/appointments/:appointmentId/attendance
+   */
+  markAttendance = catchAsync(async (req, res) => {
+    const appointment = await this.appointmentService.markAttendance(
+      req.params.appointmentId,
+      req.user.id,
+      req.body.attendance
+    );
+
+    successResponse(res, appointment, "Attendance recorded successfully");
+  });
+
+  /**
+   * Get the current student's booking restriction, if any
+   * @route GET /counselors/appointments/restriction
+   */
+  getMyBookingRestriction = catchAsync(async (req, res) => {
+    const restriction = await this.appointmentService.getBookingRestriction(
+      req.user.id
+    );
+
+    successResponse(res, restriction, "Booking restriction retrieved");
+  });
+
+  /**
+   * End a student's booking restriction early
+   * @route DELETE /admin/booking-restrictions/:studentId
+   */
+  liftBookingRestriction = catchAsync(async (req, res) => {
+    const restriction = await this.appointmentService.liftBookingRestriction(
+      req.params.studentId,
+      req.user.id
+    );
+
+    successResponse(res, restriction, "Booking restriction lifted");
+  });
+
+  /**
+   * Get counselor utilization and attendance for a date range
+   * @route GET /admin/reports/utilization
+   */
+  getUtilizationReport = catchAsync(async (req, res) => {
+    const { from, to } = req.query;
+    const report = await this.utilizationService.getUtilizationReport({
+      from,
+      to,
+    });
+
+    successResponse(res, report, "Utilization report retrieved successfully");
+  });
+}
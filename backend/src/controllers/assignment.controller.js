@@ -0,0 +1,124 @@
+/**
+ * Assignment controller
+ * Handles HTTP requests for counselor-client assignments
+ */
+import { AssignmentService } from "../services/assignment.service.js";
+import { catchAsync } from "../utils/error.js";
+import { successResponse, createdResponse } from "../utils/response.js";
+
+export class AssignmentController {
+  constructor() {
+    this.assignmentService = new AssignmentService();
+  }
+
+  /**
+   * Request a counselor
+   * @route POST /counselors/assignments
+   */
+  requestCounselor = catchAsync(async (req, res) => {
+    const assignment = await this.assignmentService.requestCounselor(
+      req.user.id,
+      req.body
+    );
+
+    createdResponse(res, assignment, "Counselor requested successfully");
+  });
+
+  /**
+   * List the current user's assignments
+   * @route GET /counselors/assignments
+   */
+  getMyAssignments = catchAsync(async (req, res) => {
+    const assignments = await this.assignmentService.getAssignments(
+      req.user.id,
+      req.user.role,
+      { status: req.query.status }
+    );
+
+    successResponse(res, assignments, "Assignments retrieved successfully");
+  });
+
+  /**
+   * Get a single assignment
+   * @route GET /counselors/assignments/:assignmentId
+   */
+  getAssignment = catchAsync(async (req, res) => {
+    const assignment = await this.assignmentService.getAssignment(
+      req.params.assignmentId,
+      req.user.id,
+      req.user.role
+    );
+
+    successResponse(res, assignment, "Assignment retrieved successfully");
+  });
+
+  /**
+   * Accept a pending request (counselor)
+   * @route PUT /counselors/assignments/:assignmentId/accept
+   */
+  acceptAssignment = catchAsync(async (req, res) => {
+    const assignment = await this.assignmentService.acceptAssignment(
+      req.params.assignmentId,
+      req.user.id
+    );
+
+    successResponse(res, assignment, "Assignment accepted successfully");
+  });
+
+  /**
+   * Decline a pending request (counselor)
+   * @route PUT /counselors/assignments/:assignmentId/decline
+   */
+  declineAssignment = catchAsync(async (req, res) => {
+    const assignment = await this.assignmentService.declineAssignment(
+      req.params.assignmentId,
+      req.user.id,
+      req.body.reason
+    );
+
+    successResponse(res, assignment, "Assignment declined successfully");
+  });
+
+  /**
+   * Transfer a client to another counselor
+   * @route PUT /counselors/assignments/:assignmentId/transfer
+   */
+  transferAssignment = catchAsync(async (req, res) => {
+    const result = await this.assignmentService.transferAssignment(
+      req.params.assignmentId,
+      req.user.id,
+      req.user.role,
+      req.body
+    );
+
+    successResponse(res, result, "Client transferred successfully");
+  });
+
+  /**
+   * Close an assignment
+   * @route PUT /counselors/assignments/:assignmentId/close
+   */
+  closeAssignment = catchAsync(async (req, res) => {
+    const assignment = await this.assignmentService.closeAssignment(
+      req.params.assignmentId,
+      req.user.id,
+      req.user.role,
+      req.body.reason
+    );
+
+    successResponse(res, assignment, "Assignment closed successfully");
+  });
+
+  /**
+   * Set a counselor's caseload limit
+   * @route PUT /admin/counselors/:counselorId/caseload
+   */
+  setMaxCaseload = catchAsync(async (req, res) => {
+    const caseload = await this.assignmentService.setMaxCaseload(
+      req.params.counselorId,
+      req.body.maxCaseload
+    );
+
+    successResponse(res, caseload, "Caseload limit updated successfully");
+  });
+}
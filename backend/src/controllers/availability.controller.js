@@ -0,0 +1,93 @@
+/**
+ * Availability controller
+ * Handles HTTP requests for counselor availability exceptions and holidays
+ */
+import { AvailabilityService } from "../services/availability.service.js";
+import { catchAsync } from "../utils/error.js";
+import { successResponse, createdResponse } from "../utils/response.js";
+
+export class AvailabilityController {
+  constructor() {
+    this.availabilityService = new AvailabilityService();
+  }
+
+  /**
+   * List the current counselor's availability exceptions
+   * @route GET /counselors/availability/exceptions
+   */
+  getMyExceptions = catchAsync(async (req, res) => {
+    const { from, to } = req.query;
+
+    const exceptions = await this.availabilityService.listExceptions(
+      req.user.id,
+      { from, to }
+    );
+
+    successResponse(
+      res,
+      exceptions,
+      "Availability exceptions retrieved successfully"
+    );
+  });
+
+  /**
+   * Block days, change hours or add extra hours for a date range
+   * @route POST /counselors/availability/exceptions
+   */
+  createException = catchAsync(async (req, res) => {
+    const exception = await this.availabilityService.createException(
+      req.user.id,
+      req.body
+    );
+
+    createdResponse(res, exception, "Availability exception created");
+  });
+
+  /**
+   * Remove an availability exception
+   * @route DELETE /counselors/availability/exceptions/:exceptionId
+   */
+  deleteException = catchAsync(async (req, res) => {
+    await this.availabilityService.deleteException(
+      req.user.id,
+      req.params.exceptionId
+    );
+
+    successResponse(res, null, "Availability exception deleted");
+  });
+
+  /**
+   * List institute holidays
+   * @route GET /counselors/holidays
+   */
+  getHolidays = catchAsync(async (req, res) => {
+    const { from, to } = req.query;
+
+    const holidays = await this.availabilityService.listHolidays({ from, to });
+
+    successResponse(res, holidays, "Holidays retrieved successfully");
+  });
+
+  /**
+   * Add or rename an institute holiday
+   * @route POST /admin/holidays
+   */
+  setHoliday = catchAsync(async (req, res) => {
+    const holiday = await this.availabilityService.setHoliday(
+      req.body,
+      req.user.id
+    );
+
+    createdResponse(res, holiday, "Holiday saved successfully");
+  });
+
+  /**
+   * Remove an institute holiday
+   * @route DELETE /admin/holidays/:date
+   */
+  deleteHoliday = catchAsync(async (req, res) => {
+    await this.availabilityService.deleteHoliday(req.params.date);
+
+    successResponse(res, null, "Holiday deleted successfully");
+  });
+}
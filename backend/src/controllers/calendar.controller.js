@@ -0,0 +1,50 @@
+/**
+ * Calendar controller
+ * Handles HTTP requests for iCalendar feeds
+ */
+import { CalendarService } from "../services/calendar.service.js";
+import { catchAsync } from "../utils/error.js";
+import { successResponse, createdResponse } from "../utils/response.js";
+
+export class CalendarController {
+  constructor() {
+    this.calendarService = new CalendarService();
+  }
+
+  /**
+   * Create a feed URL for the current user, replacing any previous one
+   * @route POST /calendar/feed
+   */
+  createFeedToken = catchAsync(async (req, res) => {
+    const feed = await this.calendarService.createFeedToken(req.user.id);
+
+    createdResponse(res, feed, "Calendar feed created successfully");
+  });
+
+  /**
+   * Revoke the current user's feed URL
+   * @route DELETE /calendar/feed
+   */
+  revokeFeedToken = catchAsync(async (req, res) => {
+    await this.calendarService.revokeFeedToken(req.user.id);
+
+    successResponse(res, null, "Calendar feed revoked successfully");
+  });
+
+  /**
+   * Serve a user's iCalendar feed (token in the query string)
+   * @route GET /calendar/feeds/:userId.ics
+   */
+  getFeed = catchAsync(async (req, res) => {
+    const calendar = await this.calendarService.getFeed(
+      req.params.userId,
+      req.query.token
+    );
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Cache-Control": "private, max-age=300",
+    });
+    res.send(calendar);
+  });
+}
@@ -0,0 +1,113 @@
+/**
+ * Chat moderation controller
+ * Handles HTTP requests for block lists, message reports and sanctions
+ */
+import { ChatModerationService } from "../services/chat-moderation.service.js";
+import { ChatSafetyService } from "../services/chat-safety.service.js";
+import { catchAsync } from "../utils/error.js";
+import { successResponse, createdResponse } from "../utils/response.js";
+
+export class ChatModerationController {
+  constructor() {
+    this.chatModerationService = new ChatModerationService();
+    this.chatSafetyService = new ChatSafetyService();
+  }
+
+  /**
+   * List the users the current user has blocked
+   * @route GET /chat/blocks
+   */
+  getBlocks = catchAsync(async (req, res) => {
+    const blocks = await this.chatSafetyService.getBlocks(req.user.id);
+
+    successResponse(res, blocks, "Blocked users retrieved successfully");
+  });
+
+  /**
+   * Block a user
+   * @route POST /chat/blocks
+   */
+  blockUser = catchAsync(async (req, res) => {
+    const block = await this.chatSafetyService.blockUser(
+      req.user.id,
+      req.body.userId
+    );
+
+    createdResponse(res, block, "User blocked");
+  });
+
+  /**
+   * Unblock a user
+   * @route DELETE /chat/blocks/:userId
+   */
+  unblockUser = catchAsync(async (req, res) => {
+    await this.chatSafetyService.unblockUser(req.user.id, req.params.userId);
+
+    successResponse(res, null, "User unblocked");
+  });
+
+  /**
+   * Report a message
+   * @route POST /chat/messages/:messageId/report
+   */
+  reportMessage = catchAsync(async (req, res) => {
+    const report = await this.chatModerationService.reportMessage(
+      req.user,
+      req.params.messageId,
+      req.body
+    );
+
+    createdResponse(res, report, "Message reported");
+  });
+
+  /**
+   * Get reported messages awaiting review
+   * @route GET /admin/chat/reports
+   */
+  getModerationQueue = catchAsync(async (req, res) => {
+    const queue = await this.chatModerationService.getModerationQueue({
+      status: req.query.status,
+    });
+
+    successResponse(res, queue, "Chat reports retrieved successfully");
+  });
+
+  /**
+   * Dismiss a report or sanction the sender
+   * @route PUT /admin/chat/reports/:reportId
+   */
+  resolveReport = catchAsync(async (req, res) => {
+    const result = await this.chatModerationService.resolveReport(
+      req.params.reportId,
+      req.user.id,
+      req.body
+    );
+
+    successResponse(res, result, "Chat report resolved");
+  });
+
+  /**
+   * List warnings, mutes and bans
+   * @route GET /admin/chat/sanctions
+   */
+  getSanctions = catchAsync(async (req, res) => {
+    const sanctions = await this.chatModerationService.getSanctions({
+      userId: req.query.userId,
+    });
+
+    successResponse(res, sanctions, "Chat sanctions retrieved successfully");
+  });
+
+  /**
+   * Lift a mute or ban early
+   * @route DELETE /admin/chat/sanctions/:sanctionId
+   */
+  revokeSanction = catchAsync(async (req, res) => {
+    const sanction = await this.chatModerationService.revokeSanction(
+      req.params.sanctionId,
+      req.user.id
+    );
+
+    successResponse(res, sanction, "Chat sanction lifted");
+  });
+}
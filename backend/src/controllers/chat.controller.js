@@ -1,84 +1,229 @@
+/**
+ * Chat controller
+ * Handles HTTP requests related to direct messages
+ */
 import { ChatService } from "../services/chat.service.js";
+import { MessageHistoryService } from "../services/message-history.service.js";
+import { catchAsync } from "../utils/error.js";
+import { successResponse, createdResponse } from "../utils/response.js";
 
 export class ChatController {
   constructor() {
     this.chatService = new ChatService();
+    this.messageHistoryService = new MessageHistoryService();
   }
 
-  async createMessage(req, res) {
-    try {
-      const { receiverId, content } = req.body;
-      const senderId = req.user.uid;
-      const message = await this.chatService.createMessage(
-        senderId,
-        receiverId,
-        content
-      );
-      res.status(201).json({
-        success: true,
-        data: message,
-        message: "Message sent successfully",
-      });
-    } catch (error) {
-      res.status(400).json({
-        success: false,
-        error: error.message,
-      });
-    }
-  }
+  /**
+   * Send a direct message
+   * @route POST /chat/message
+   */
+  createMessage = catchAsync(async (req, res) => {
+    const { receiverId, content, attachmentIds } = req.body;
+    const message = await this.chatService.createMessage(
+      req.user.id,
+      receiverId,
+      content,
+      { senderRole: req.user.role, attachmentIds }
+    );
 
-  async getChatHistory(req, res) {
-    try {
-      const { userId } = req.params;
-      const currentUserId = req.user.uid;
-      const messages = await this.chatService.getChatHistory(
-        currentUserId,
-        userId
-      );
-      res.status(200).json({
-        success: true,
-        data: messages,
-        message: "Chat history retrieved successfully",
-      });
-    } catch (error) {
-      res.status(400).json({
-        success: false,
-        error: error.message,
-      });
-    }
-  }
+    createdResponse(res, message, "Message sent successfully");
+  });
 
-  async getUnreadMessages(req, res) {
-    try {
-      const userId = req.user.uid;
-      const messages = await this.chatService.getUnreadMessages(userId);
-      res.status(200).json({
-        success: true,
-        data: messages,
-        message: "Unread messages retrieved successfully",
-      });
-    } catch (error) {
-      res.status(400).json({
-        success: false,
-        error: error.message,
-      });
-    }
-  }
+  /**
+   * Get or start the direct conversation with another user
+   * @route POST /chat/conversations
+   */
+  getOrCreateConversation = catchAsync(async (req, res) => {
+    const conversation = await this.chatService.getOrCreateDirectConversation(
+      req.user.id,
+      req.body.userId
+    );
 
-  async markMessagesAsRead(req, res) {
-    try {
-      const { senderId } = req.params;
-      const receiverId = req.user.uid;
-      await this.chatService.markMessagesAsRead(senderId, receiverId);
-      res.status(200).json({
-        success: true,
-        message: "Messages marked as read successfully",
-      });
-    } catch (error) {
-      res.status(400).json({
-        success: false,
-        error: error.message,
-      });
-    }
-  }
+    successResponse(res, conversation, "Conversation retrieved successfully");
+  });
+
+  /**
+   * List the current user's conversations, most recently active first
+   * @route GET /chat/conversations
+   */
+  getInbox = catchAsync(async (req, res) => {
+    const { limit, cursor } = req.query;
+
+    const inbox = await this.chatService.getInbox(req.user.id, {
+      limit,
+      cursor,
+    });
+
+    successResponse(res, inbox, "Conversations retrieved successfully");
+  });
+
+  /**
+   * Page through the messages of a conversation
+   * @route GET /chat/conversations/:conversationId/messages
+   */
+  getConversationMessages = catchAsync(async (req, res) => {
+    const { limit, cursor } = req.query;
+
+    const page = await this.chatService.getConversationMessages(
+      req.params.conversationId,
+      req.user.id,
+      { limit, cursor }
+    );
+
+    successResponse(res, page, "Messages retrieved successfully");
+  });
+
+  /**
+   * Mark a conversation as read
+   * @route PUT /chat/conversations/:conversationId/read
+   */
+  markConversationRead = catchAsync(async (req, res) => {
+    const result = await this.chatService.markConversationRead(
+      req.params.conversationId,
+      req.user.id
+    );
+
+    successResponse(res, result, "Conversation marked as read");
+  });
+
+  /**
+   * Edit a message the current user sent
+   * @route PUT /chat/messages/:messageId
+   */
+  editMessage = catchAsync(async (req, res) => {
+    const message = await this.chatService.editMessage(
+      req.user.id,
+      req.params.messageId,
+      req.body.content,
+      { senderRole: req.user.role }
+    );
+
+    successResponse(res, message, "Message edited successfully");
+  });
+
+  /**
+   * Delete a message the current user sent for everyone
+   * @route DELETE /chat/messages/:messageId
+   */
+  deleteMessage = catchAsync(async (req, res) => {
+    const deletion = await this.chatService.deleteMessage(
+      req.user.id,
+      req.params.messageId
+    );
+
+    successResponse(res, deletion, "Message deleted successfully");
+  });
+
+  /**
+   * Delete a message for the current user only
+   * @route PUT /chat/messages/:messageId/hide
+   */
+  hideMessage = catchAsync(async (req, res) => {
+    const hidden = await this.chatService.hideMessage(
+      req.user.id,
+      req.params.messageId
+    );
+
+    successResponse(res, hidden, "Message deleted for you");
+  });
+
+  /**
+   * Read a message and every earlier version of it for an investigation
+   * @route POST /admin/messages/:messageId/history
+   */
+  readMessageHistory = catchAsync(async (req, res) => {
+    const history = await this.messageHistoryService.readForInvestigation(
+      req.params.messageId,
+      req.user.id,
+      req.user.role,
+      req.body.reason
+    );
+
+    successResponse(res, history, "Message history retrieved");
+  });
+
+  /**
+   * Get a signed URL to upload a file to a conversation
+   * @route POST /chat/conversations/:conversationId/attachments
+   */
+  createAttachmentUpload = catchAsync(async (req, res) => {
+    const { fileName, contentType, size } = req.body;
+
+    const upload = await this.chatService.createAttachmentUpload(
+      req.user.id,
+      req.params.conversationId,
+      { fileName, contentType, size }
+    );
+
+    createdResponse(res, upload, "Attachment upload created successfully");
+  });
+
+  /**
+   * Get a signed URL to download a conversation attachment
+   * @route GET /chat/conversations/:conversationId/attachments/:attachmentId
+   */
+  getAttachmentDownload = catchAsync(async (req, res) => {
+    const download = await this.chatService.getAttachmentDownload(
+      req.user.id,
+      req.params.conversationId,
+      req.params.attachmentId
+    );
+
+    successResponse(res, download, "Attachment retrieved successfully");
+  });
+
+  /**
+   * Page through the messages exchanged with another user
+   * @route GET /chat/history/:userId
+   */
+  getChatHistory = catchAsync(async (req, res) => {
+    const { limit, cursor } = req.query;
+
+    const page = await this.chatService.getChatHistory(
+      req.user.id,
+      req.params.userId,
+      { limit, cursor }
+    );
+
+    successResponse(res, page, "Chat history retrieved successfully");
+  });
+
+  /**
+   * Search the messages of the current user's conversations
+   * @route GET /chat/search
+   */
+  searchMessages = catchAsync(async (req, res) => {
+    const { q, participantId, from, to, limit, cursor } = req.query;
+
+    const results = await this.chatService.searchMessages(req.user.id, {
+      q,
+      participantId,
+      from,
+      to,
+      limit,
+      cursor,
+    });
+
+    successResponse(res, results, "Messages retrieved successfully");
+  });
+
+  /**
+   * Get unread messages for the current user
+   * @route GET /chat/unread
+   */
+  getUnreadMessages = catchAsync(async (req, res) => {
+    const messages = await this.chatService.getUnreadMessages(req.user.id);
+
+    successResponse(res, messages, "Unread messages retrieved successfully");
+  });
+
+  /**
+   * Mark messages from a sender as read
+   * @route PUT /chat/read/:senderId
+   */
+  markMessagesAsRead = catchAsync(async (req, res) => {
+    await this.chatService.markMessagesAsRead(req.params.senderId, req.user.id);
+
+    successResponse(res, null, "Messages marked as read successfully");
+  });
 }
@@ -0,0 +1,111 @@
+/**
+ * Consent controller
+ * Handles HTTP requests for consent documents and acceptance records
+ */
+import { ConsentService } from "../services/consent.service.js";
+import { catchAsync } from "../utils/error.js";
+import { createdResponse, successResponse } from "../utils/response.js";
+
+export class ConsentController {
+  constructor() {
+    this.consentService = new ConsentService();
+  }
+
+  /**
+   * Get the current documents and whether the user accepted them
+   * @route GET /consents
+   */
+  getStatus = catchAsync(async (req, res) => {
+    const status = await this.consentService.getStatus(req.user.id);
+
+    successResponse(res, status, "Consent status retrieved successfully");
+  });
+
+  /**
+   * List the current user's acceptance records
+   * @route GET /consents/history
+   */
+  getMyHistory = catchAsync(async (req, res) => {
+    const history = await this.consentService.getAcceptanceHistory(req.user.id);
+
+    successResponse(res, history, "Consent history retrieved successfully");
+  });
+
+  /**
+   * Accept the current version of a document
+   * @route POST /consents/:documentId/accept
+   */
+  acceptDocument = catchAsync(async (req, res) => {
+    const acceptance = await this.consentService.acceptDocument(
+      req.user.id,
+      req.params.documentId,
+      { ip: req.ip, userAgent: req.headers["user-agent"] }
+    );
+
+    successResponse(res, acceptance, "Consent recorded");
+  });
+
+  /**
+   * List every version of the consent documents
+   * @route GET /admin/consents
+   */
+  getAllDocuments = catchAsync(async (req, res) => {
+    const documents = await this.consentService.getAllDocuments({
+      type: req.query.type,
+    });
+
+    successResponse(res, documents, "Consent documents retrieved successfully");
+  });
+
+  /**
+   * Draft a new version of a document
+   * @route POST /admin/consents
+   */
+  createDraft = catchAsync(async (req, res) => {
+    const document = await this.consentService.createDraft(
+      req.user.id,
+      req.body
+    );
+
+    createdResponse(res, document, "Consent draft created successfully");
+  });
+
+  /**
+   * Edit a draft
+   * @route PUT /admin/consents/:documentId
+   */
+  updateDraft = catchAsync(async (req, res) => {
+    const document = await this.consentService.updateDraft(
+      req.params.documentId,
+      req.user.id,
+      req.body
+    );
+
+    successResponse(res, document, "Consent draft updated successfully");
+  });
+
+  /**
+   * Publish a draft as the current version
+   * @route PUT /admin/consents/:documentId/publish
+   */
+  publishDraft = catchAsync(async (req, res) => {
+    const document = await this.consentService.publishDraft(
+      req.params.documentId,
+      req.user.id
+    );
+
+    successResponse(res, document, "Consent document published");
+  });
+
+  /**
+   * List a user's acceptance records
+   * @route GET /admin/consents/users/:userId
+   */
+  getUserHistory = catchAsync(async (req, res) => {
+    const history = await this.consentService.getAcceptanceHistory(
+      req.params.userId
+    );
+
+    successResponse(res, history, "Consent history retrieved successfully");
+  });
+}
@@ -0,0 +1,29 @@
+/**
+ * Counselor matching controller
+ * Handles HTTP requests for ranked counselor suggestions
+ */
+import { CounselorMatchingService } from "../services/counselor-matching.service.js";
+import { catchAsync } from "../utils/error.js";
+import { successResponse } from "../utils/response.js";
+
+export class CounselorMatchingController {
+  constructor() {
+    this.counselorMatchingService = new CounselorMatchingService();
+  }
+
+  /**
+   * Rank counselors for the student's concerns and preferences
+   * @route GET /counselors/match
+   */
+  matchCounselors = catchAsync(async (req, res) => {
+    const { concerns, language, gender, limit } = req.query;
+    const matches = await this.counselorMatchingService.matchCounselors({
+      concerns,
+      language,
+      genderPreference: gender,
+      limit,
+    });
+
+    successResponse(res, matches, "Counselor matches retrieved successfully");
+  });
+}
@@ -43,23 +43,6 @@ export class CounselorController {
     }
   }
 
-  async updateRating(req, res) {
-    try {
-      const { userId } = req.params;
-      const { rating } = req.body;
-      await this.counselorService.updateRating(userId, rating);
-      res.status(200).json({
-        success: true,
-        message: "Rating updated successfully",
-      });
-    } catch (error) {
-      res.status(400).json({
-        success: false,
-        error: error.message,
-      });
-    }
-  }
-
   async searchCounselors(req, res) {
     try {
       const { query } = req.query;
@@ -79,7 +62,9 @@ export class CounselorController {
 
   async getAvailableCounselors(req, res) {
     try {
-      const counselors = await this.counselorService.getAvailableCounselors();
+      const counselors = await this.counselorService.getAvailableCounselors({
+        onlineOnly: req.query.online === "true",
+      });
       res.status(200).json({
         success: true,
         data: counselors,
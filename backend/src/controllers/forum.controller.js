@@ -0,0 +1,255 @@
+/**
+ * Forum controller
+ * Handles HTTP requests for the peer-support forum and its moderation
+ */
+import { ForumService } from "../services/forum.service.js";
+import { ForumModerationService } from "../services/forum-moderation.service.js";
+import { catchAsync } from "../utils/error.js";
+import { createdResponse, successResponse } from "../utils/response.js";
+
+export class ForumController {
+  constructor() {
+    this.forumService = new ForumService();
+    this.forumModerationService = new ForumModerationService();
+  }
+
+  /**
+   * List forum boards
+   * @route GET /forum/boards
+   */
+  getBoards = catchAsync(async (req, res) => {
+    const boards = await this.forumService.getBoards();
+
+    successResponse(res, boards, "Boards retrieved successfully");
+  });
+
+  /**
+   * List the threads of a board
+   * @route GET /forum/boards/:boardId/threads
+   */
+  getThreads = catchAsync(async (req, res) => {
+    const threads = await this.forumService.getThreads(
+      req.params.boardId,
+      req.user,
+      { sort: req.query.sort, limit: req.query.limit }
+    );
+
+    successResponse(res, threads, "Threads retrieved successfully");
+  });
+
+  /**
+   * Start a thread
+   * @route POST /forum/boards/:boardId/threads
+   */
+  createThread = catchAsync(async (req, res) => {
+    const thread = await this.forumService.createThread(
+      req.params.boardId,
+      req.user,
+      req.body
+    );
+
+    createdResponse(res, thread, "Thread created successfully");
+  });
+
+  /**
+   * Get a thread with its replies
+   * @route GET /forum/threads/:threadId
+   */
+  getThread = catchAsync(async (req, res) => {
+    const thread = await this.forumService.getThread(
+      req.params.threadId,
+      req.user
+    );
+
+    successResponse(res, thread, "Thread retrieved successfully");
+  });
+
+  /**
+   * Reply to a thread
+   * @route POST /forum/threads/:threadId/replies
+   */
+  createReply = catchAsync(async (req, res) => {
+    const reply = await this.forumService.createReply(
+      req.params.threadId,
+      req.user,
+      req.body
+    );
+
+    createdResponse(res, reply, "Reply posted successfully");
+  });
+
+  /**
+   * Upvote a thread or reply
+   * @route PUT /forum/threads/:threadId/upvote
+   * @route PUT /forum/threads/:threadId/replies/:replyId/upvote
+   */
+  upvote = catchAsync(async (req, res) => {
+    const vote = await this.forumService.setUpvote(
+      req.user,
+      req.params.threadId,
+      req.params.replyId || null,
+      true
+    );
+
+    successResponse(res, vote, "Post upvoted");
+  });
+
+  /**
+   * Remove an upvote
+   * @route DELETE /forum/threads/:threadId/upvote
+   * @route DELETE /forum/threads/:threadId/replies/:replyId/upvote
+   */
+  removeUpvote = catchAsync(async (req, res) => {
+    const vote = await this.forumService.setUpvote(
+      req.user,
+      req.params.threadId,
+      req.params.replyId || null,
+      false
+    );
+
+    successResponse(res, vote, "Upvote removed");
+  });
+
+  /**
+   * Report a thread or reply
+   * @route POST /forum/threads/:threadId/reports
+   * @route POST /forum/threads/:threadId/replies/:replyId/reports
+   */
+  reportPost = catchAsync(async (req, res) => {
+    const report = await this.forumModerationService.reportPost(
+      req.user,
+      req.params.threadId,
+      req.params.replyId || null,
+      req.body
+    );
+
+    createdResponse(res, report, "Post reported");
+  });
+
+  /**
+   * List every board
+   * @route GET /admin/forum/boards
+   */
+  getAllBoards = catchAsync(async (req, res) => {
+    const boards = await this.forumService.getAllBoards();
+
+    successResponse(res, boards, "Boards retrieved successfully");
+  });
+
+  /**
+   * Create a board
+   * @route POST /admin/forum/boards
+   */
+  createBoard = catchAsync(async (req, res) => {
+    const board = await this.forumService.createBoard(req.user.id, req.body);
+
+    createdResponse(res, board, "Board created successfully");
+  });
+
+  /**
+   * Rename, reorder or close a board
+   * @route PUT /admin/forum/boards/:boardId
+   */
+  updateBoard = catchAsync(async (req, res) => {
+    const board = await this.forumService.updateBoard(
+      req.params.boardId,
+      req.user.id,
+      req.body
+    );
+
+    successResponse(res, board, "Board updated successfully");
+  });
+
+  /**
+   * Get the moderation queue
+   * @route GET /admin/forum/reports
+   */
+  getModerationQueue = catchAsync(async (req, res) => {
+    const queue = await this.forumModerationService.getModerationQueue({
+      status: req.query.status,
+    });
+
+    successResponse(res, queue, "Moderation queue retrieved successfully");
+  });
+
+  /**
+   * Act on a report
+   * @route PUT /admin/forum/reports/:reportId
+   */
+  resolveReport = catchAsync(async (req, res) => {
+    const result = await this.forumModerationService.resolveReport(
+      req.params.reportId,
+      req.user.id,
+      req.body
+    );
+
+    successResponse(res, result, "Report resolved");
+  });
+
+  /**
+   * Hide, restore, lock or unlock a thread, or hide or restore a reply
+   * @route PUT /admin/forum/threads/:threadId
+   * @route PUT /admin/forum/threads/:threadId/replies/:replyId
+   */
+  moderatePost = catchAsync(async (req, res) => {
+    const post = await this.forumModerationService.moderatePost(
+      req.user.id,
+      req.params.threadId,
+      req.params.replyId || null,
+      req.body
+    );
+
+    successResponse(res, post, "Post moderated successfully");
+  });
+
+  /**
+   * Look up who wrote a post, including anonymous ones; every lookup is
+   * audited
+   * @route POST /admin/forum/threads/:threadId/author
+   * @route POST /admin/forum/threads/:threadId/replies/:replyId/author
+   */
+  revealAuthor = catchAsync(async (req, res) => {
+    const author = await this.forumModerationService.revealAuthor(
+      req.user,
+      req.params.threadId,
+      req.params.replyId || null,
+      req.body.reason
+    );
+
+    successResponse(res, author, "Post author retrieved");
+  });
+
+  /**
+   * List active forum bans
+   * @route GET /admin/forum/bans
+   */
+  getBans = catchAsync(async (req, res) => {
+    const bans = await this.forumModerationService.getBans();
+
+    successResponse(res, bans, "Bans retrieved successfully");
+  });
+
+  /**
+   * Ban a user from posting
+   * @route PUT /admin/forum/bans/:userId
+   */
+  banUser = catchAsync(async (req, res) => {
+    const ban = await this.forumModerationService.banUser(
+      req.user.id,
+      req.params.userId,
+      req.body
+    );
+
+    successResponse(res, ban, "User banned from the forum");
+  });
+
+  /**
+   * Lift a forum ban
+   * @route DELETE /admin/forum/bans/:userId
+   */
+  unbanUser = catchAsync(async (req, res) => {
+    await this.forumModerationService.unbanUser(req.params.userId);
+
+    successResponse(res, null, "Forum ban lifted");
+  });
+}
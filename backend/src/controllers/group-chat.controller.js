@@ -0,0 +1,106 @@
+/**
+ * Group chat controller
+ * Handles HTTP requests for group conversations and their members
+ */
+import { GroupChatService } from "../services/group-chat.service.js";
+import { catchAsync } from "../utils/error.js";
+import { successResponse, createdResponse } from "../utils/response.js";
+
+export class GroupChatController {
+  constructor() {
+    this.groupChatService = new GroupChatService();
+  }
+
+  /**
+   * Create a group with the current user as owner
+   * @route POST /chat/groups
+   */
+  createGroup = catchAsync(async (req, res) => {
+    const group = await this.groupChatService.createGroup(req.user, req.body);
+
+    createdResponse(res, group, "Group created successfully");
+  });
+
+  /**
+   * Get a group with its members and read state
+   * @route GET /chat/groups/:conversationId
+   */
+  getGroup = catchAsync(async (req, res) => {
+    const group = await this.groupChatService.getGroup(
+      req.params.conversationId,
+      req.user.id
+    );
+
+    successResponse(res, group, "Group retrieved successfully");
+  });
+
+  /**
+   * Rename a group or change its description
+   * @route PUT /chat/groups/:conversationId
+   */
+  updateGroup = catchAsync(async (req, res) => {
+    const group = await this.groupChatService.updateGroup(
+      req.params.conversationId,
+      req.user.id,
+      req.body
+    );
+
+    successResponse(res, group, "Group updated successfully");
+  });
+
+  /**
+   * Add users to a group
+   * @route POST /chat/groups/:conversationId/members
+   */
+  addMembers = catchAsync(async (req, res) => {
+    const group = await this.groupChatService.addMembers(
+      req.params.conversationId,
+      req.user,
+      req.body.userIds
+    );
+
+    successResponse(res, group, "Members added successfully");
+  });
+
+  /**
+   * Change a member's role
+   * @route PUT /chat/groups/:conversationId/members/:userId
+   */
+  setMemberRole = catchAsync(async (req, res) => {
+    const group = await this.groupChatService.setMemberRole(
+      req.params.conversationId,
+      req.user.id,
+      req.params.userId,
+      req.body.role
+    );
+
+    successResponse(res, group, "Member role updated successfully");
+  });
+
+  /**
+   * Remove a member from a group
+   * @route DELETE /chat/groups/:conversationId/members/:userId
+   */
+  removeMember = catchAsync(async (req, res) => {
+    const group = await this.groupChatService.removeMember(
+      req.params.conversationId,
+      req.user.id,
+      req.params.userId
+    );
+
+    successResponse(res, group, "Member removed successfully");
+  });
+
+  /**
+   * Leave a group
+   * @route PUT /chat/groups/:conversationId/leave
+   */
+  leaveGroup = catchAsync(async (req, res) => {
+    await this.groupChatService.leaveGroup(
+      req.params.conversationId,
+      req.user.id
+    );
+
+    successResponse(res, null, "You have left the group");
+  });
+}
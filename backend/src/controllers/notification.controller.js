@@ -0,0 +1,49 @@
+/**
+ * Notification controller
+ * Handles HTTP requests for in-app notifications
+ */
+import { NotificationService } from "../services/notification.service.js";
+import { catchAsync } from "../utils/error.js";
+import { successResponse } from "../utils/response.js";
+
+export class NotificationController {
+  constructor() {
+    this.notificationService = new NotificationService();
+  }
+
+  /**
+   * List the current user's notifications
+   * @route GET /notifications
+   */
+  getNotifications = catchAsync(async (req, res) => {
+    const notifications = await this.notificationService.getNotifications(
+      req.user.id,
+      { unreadOnly: req.query.unread === "true" }
+    );
+
+    successResponse(res, notifications, "Notifications retrieved successfully");
+  });
+
+  /**
+   * Mark a notification as read
+   * @route PUT /notifications/:notificationId/read
+   */
+  markRead = catchAsync(async (req, res) => {
+    const notification = await this.notificationService.markRead(
+      req.params.notificationId,
+      req.user.id
+    );
+
+    successResponse(res, notification, "Notification marked as read");
+  });
+
+  /**
+   * Mark all notifications as read
+   * @route PUT /notifications/read-all
+   */
+  markAllRead = catchAsync(async (req, res) => {
+    const count = await this.notificationService.markAllRead(req.user.id);
+
+    successResponse(res, { count }, "Notifications marked as read");
+  });
+}
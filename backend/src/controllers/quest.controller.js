@@ -0,0 +1,92 @@
+/**
+ * Quest controller
+ * Handles HTTP requests for quests, badges, points and the leaderboard
+ */
+import { QuestService } from "../services/quest.service.js";
+import { catchAsync } from "../utils/error.js";
+import { createdResponse, successResponse } from "../utils/response.js";
+
+export class QuestController {
+  constructor() {
+    this.questService = new QuestService();
+  }
+
+  /**
+   * List running quests with the current user's progress
+   * @route GET /quests
+   */
+  getQuests = catchAsync(async (req, res) => {
+    const quests = await this.questService.getQuestsForUser(req.user.id);
+
+    successResponse(res, quests, "Quests retrieved successfully");
+  });
+
+  /**
+   * Get the current user's points and badges
+   * @route GET /quests/me
+   */
+  getMyProfile = catchAsync(async (req, res) => {
+    const profile = await this.questService.getProfile(req.user.id);
+
+    successResponse(res, profile, "Quest profile retrieved successfully");
+  });
+
+  /**
+   * Show or hide the current user on the leaderboard
+   * @route PUT /quests/me/leaderboard
+   */
+  setLeaderboardVisibility = catchAsync(async (req, res) => {
+    const profile = await this.questService.setLeaderboardVisibility(
+      req.user.id,
+      req.body.visible
+    );
+
+    successResponse(res, profile, "Leaderboard visibility updated");
+  });
+
+  /**
+   * Get the points leaderboard
+   * @route GET /quests/leaderboard
+   */
+  getLeaderboard = catchAsync(async (req, res) => {
+    const leaderboard = await this.questService.getLeaderboard(req.user.id, {
+      limit: req.query.limit,
+    });
+
+    successResponse(res, leaderboard, "Leaderboard retrieved successfully");
+  });
+
+  /**
+   * List all quests
+   * @route GET /admin/quests
+   */
+  getAllQuests = catchAsync(async (req, res) => {
+    const quests = await this.questService.getAllQuests();
+
+    successResponse(res, quests, "Quests retrieved successfully");
+  });
+
+  /**
+   * Define a quest
+   * @route POST /admin/quests
+   */
+  createQuest = catchAsync(async (req, res) => {
+    const quest = await this.questService.createQuest(req.user.id, req.body);
+
+    createdResponse(res, quest, "Quest created successfully");
+  });
+
+  /**
+   * Edit or deactivate a quest
+   * @route PUT /admin/quests/:questId
+   */
+  updateQuest = catchAsync(async (req, res) => {
+    const quest = await this.questService.updateQuest(
+      req.params.questId,
+      req.user.id,
+      req.body
+    );
+
+    successResponse(res, quest, "Quest updated successfully");
+  });
+}
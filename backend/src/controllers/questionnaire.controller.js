@@ -0,0 +1,99 @@
+/**
+ * Questionnaire controller
+ * Handles HTTP requests for screening questionnaires
+ */
+import { QuestionnaireService } from "../services/questionnaire.service.js";
+import { catchAsync } from "../utils/error.js";
+import { successResponse, createdResponse } from "../utils/response.js";
+
+export class QuestionnaireController {
+  constructor() {
+    this.questionnaireService = new QuestionnaireService();
+  }
+
+  /**
+   * List available questionnaires
+   * @route GET /questionnaires
+   */
+  listQuestionnaires = catchAsync(async (req, res) => {
+    const questionnaires = this.questionnaireService.listQuestionnaires();
+
+    successResponse(
+      res,
+      questionnaires,
+      "Questionnaires retrieved successfully"
+    );
+  });
+
+  /**
+   * Get a questionnaire's items and answer options
+   * @route GET /questionnaires/:questionnaireId
+   */
+  getQuestionnaire = catchAsync(async (req, res) => {
+    const questionnaire = this.questionnaireService.getDefinition(
+      req.params.questionnaireId
+    );
+
+    successResponse(res, questionnaire, "Questionnaire retrieved successfully");
+  });
+
+  /**
+   * Submit answers to a questionnaire
+   * @route POST /questionnaires/:questionnaireId/responses
+   */
+  submitResponse = catchAsync(async (req, res) => {
+    const response = await this.questionnaireService.submitResponse(
+      req.user.id,
+      req.params.questionnaireId,
+      req.body.answers
+    );
+
+    createdResponse(res, response, "Response submitted successfully");
+  });
+
+  /**
+   * List a student's responses (defaults to the current user)
+   * @route GET /questionnaires/responses
+   */
+  getResponses = catchAsync(async (req, res) => {
+    const { studentId, questionnaireId } = req.query;
+
+    const responses = await this.questionnaireService.getResponses(
+      studentId || req.user.id,
+      req.user.id,
+      req.user.role,
+      { questionnaireId }
+    );
+
+    successResponse(res, responses, "Responses retrieved successfully");
+  });
+
+  /**
+   * Get a student's score history for one questionnaire
+   * @route GET /questionnaires/:questionnaireId/trends
+   */
+  getTrends = catchAsync(async (req, res) => {
+    const trends = await this.questionnaireService.getTrends(
+      req.query.studentId || req.user.id,
+      req.user.id,
+      req.user.role,
+      req.params.questionnaireId
+    );
+
+    successResponse(res, trends, "Score trends retrieved successfully");
+  });
+
+  /**
+   * Get a single response
+   * @route GET /questionnaires/responses/:responseId
+   */
+  getResponse = catchAsync(async (req, res) => {
+    const response = await this.questionnaireService.getResponse(
+      req.params.responseId,
+      req.user.id,
+      req.user.role
+    );
+
+    successResponse(res, response, "Response retrieved successfully");
+  });
+}
@@ -0,0 +1,76 @@
+/**
+ * Rating controller
+ * Handles HTTP requests for counselor ratings and reviews
+ */
+import { RatingService } from "../services/rating.service.js";
+import { catchAsync } from "../utils/error.js";
+import { successResponse, createdResponse } from "../utils/response.js";
+
+export class RatingController {
+  constructor() {
+    this.ratingService = new RatingService();
+  }
+
+  /**
+   * Rate a counselor for a completed session
+   * @route POST /counselors/ratings
+   */
+  submitRating = catchAsync(async (req, res) => {
+    const rating = await this.ratingService.submitRating(req.user.id, req.body);
+
+    createdResponse(res, rating, "Rating submitted successfully");
+  });
+
+  /**
+   * List approved reviews of a counselor
+   * @route GET /counselors/:counselorId/reviews
+   */
+  getCounselorReviews = catchAsync(async (req, res) => {
+    const reviews = await this.ratingService.getCounselorReviews(
+      req.params.counselorId,
+      { limit: req.query.limit }
+    );
+
+    successResponse(res, reviews, "Reviews retrieved successfully");
+  });
+
+  /**
+   * List written feedback awaiting or after moderation
+   * @route GET /admin/ratings/feedback
+   */
+  getFeedbackForModeration = catchAsync(async (req, res) => {
+    const ratings = await this.ratingService.getFeedbackForModeration({
+      status: req.query.status,
+    });
+
+    successResponse(res, ratings, "Feedback retrieved successfully");
+  });
+
+  /**
+   * Approve or reject written feedback
+   * @route PUT /admin/ratings/:ratingId/feedback
+   */
+  moderateFeedback = catchAsync(async (req, res) => {
+    const rating = await this.ratingService.moderateFeedback(
+      req.params.ratingId,
+      req.user.id,
+      req.body.status
+    );
+
+    successResponse(res, rating, "Feedback moderated successfully");
+  });
+
+  /**
+   * Get rating distributions for all counselors
+   * @route GET /admin/ratings/distribution
+   */
+  getRatingDistributions = catchAsync(async (req, res) => {
+    const distributions = await this.ratingService.getRatingDistributions();
+
+    successResponse(
+      res,
+      distributions,
+      "Rating distributions retrieved successfully"
+    );
+  });
+}
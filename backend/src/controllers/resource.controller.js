@@ -0,0 +1,159 @@
+/**
+ * Resource controller
+ * Handles HTTP requests for the wellbeing resource library
+ */
+import {
+  ResourceService,
+  ResourceStatus,
+} from "../services/resource.service.js";
+import { catchAsync } from "../utils/error.js";
+import { createdResponse, successResponse } from "../utils/response.js";
+
+export class ResourceController {
+  constructor() {
+    this.resourceService = new ResourceService();
+  }
+
+  /**
+   * Search published resources
+   * @route GET /resources
+   */
+  searchResources = catchAsync(async (req, res) => {
+    const { q, type, tag, language, limit } = req.query;
+    const resources = await this.resourceService.searchResources(req.user, {
+      q,
+      type,
+      tag,
+      language,
+      limit,
+    });
+
+    successResponse(res, resources, "Resources retrieved successfully");
+  });
+
+  /**
+   * Open a resource
+   * @route GET /resources/:resourceId
+   */
+  getResource = catchAsync(async (req, res) => {
+    const resource = await this.resourceService.viewResource(
+      req.params.resourceId,
+      req.user
+    );
+
+    successResponse(res, resource, "Resource retrieved successfully");
+  });
+
+  /**
+   * List the current user's bookmarks
+   * @route GET /resources/bookmarks
+   */
+  getBookmarks = catchAsync(async (req, res) => {
+    const resources = await this.resourceService.getBookmarks(req.user);
+
+    successResponse(res, resources, "Bookmarks retrieved successfully");
+  });
+
+  /**
+   * Bookmark a resource
+   * @route PUT /resources/:resourceId/bookmark
+   */
+  addBookmark = catchAsync(async (req, res) => {
+    const bookmark = await this.resourceService.addBookmark(
+      req.user,
+      req.params.resourceId
+    );
+
+    successResponse(res, bookmark, "Resource bookmarked");
+  });
+
+  /**
+   * Remove a bookmark
+   * @route DELETE /resources/:resourceId/bookmark
+   */
+  removeBookmark = catchAsync(async (req, res) => {
+    await this.resourceService.removeBookmark(
+      req.user.id,
+      req.params.resourceId
+    );
+
+    successResponse(res, null, "Bookmark removed");
+  });
+
+  /**
+   * List resources in any state
+   * @route GET /admin/resources
+   */
+  getAllResources = catchAsync(async (req, res) => {
+    const resources = await this.resourceService.getAllResources({
+      status: req.query.status,
+    });
+
+    successResponse(res, resources, "Resources retrieved successfully");
+  });
+
+  /**
+   * Create a draft resource
+   * @route POST /admin/resources
+   */
+  createResource = catchAsync(async (req, res) => {
+    const resource = await this.resourceService.createResource(
+      req.user.id,
+      req.body
+    );
+
+    createdResponse(res, resource, "Resource created successfully");
+  });
+
+  /**
+   * Edit a resource
+   * @route PUT /admin/resources/:resourceId
+   */
+  updateResource = catchAsync(async (req, res) => {
+    const resource = await this.resourceService.updateResource(
+      req.params.resourceId,
+      req.user.id,
+      req.body
+    );
+
+    successResponse(res, resource, "Resource updated successfully");
+  });
+
+  /**
+   * Publish a resource
+   * @route PUT /admin/resources/:resourceId/publish
+   */
+  publishResource = catchAsync(async (req, res) => {
+    const resource = await this.resourceService.setStatus(
+      req.params.resourceId,
+      req.user.id,
+      ResourceStatus.PUBLISHED
+    );
+
+    successResponse(res, resource, "Resource published");
+  });
+
+  /**
+   * Move a resource back to draft
+   * @route PUT /admin/resources/:resourceId/unpublish
+   */
+  unpublishResource = catchAsync(async (req, res) => {
+    const resource = await this.resourceService.setStatus(
+      req.params.resourceId,
+      req.user.id,
+      ResourceStatus.DRAFT
+    );
+
+    successResponse(res, resource, "Resource moved to draft");
+  });
+
+  /**
+   * Delete a resource
+   * @route DELETE /admin/resources/:resourceId
+   */
+  deleteResource = catchAsync(async (req, res) => {
+    await this.resourceService.deleteResource(req.params.resourceId);
+
+    successResponse(res, null, "Resource deleted successfully");
+  });
+}
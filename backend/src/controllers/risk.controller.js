@@ -0,0 +1,88 @@
+/**
+ * Risk controller
+ * Handles HTTP requests for crisis risk alerts and the keyword list
+ */
+import { RiskDetectionService } from "../services/risk-detection.service.js";
+import { catchAsync } from "../utils/error.js";
+import { successResponse, createdResponse } from "../utils/response.js";
+
+export class RiskController {
+  constructor() {
+    this.riskDetectionService = new RiskDetectionService();
+  }
+
+  /**
+   * List risk alerts
+   * @route GET /counselors/risk-alerts
+   */
+  getAlerts = catchAsync(async (req, res) => {
+    const { status, limit } = req.query;
+
+    const alerts = await this.riskDetectionService.getAlerts({
+      status,
+      limit,
+    });
+
+    successResponse(res, alerts, "Risk alerts retrieved successfully");
+  });
+
+  /**
+   * Acknowledge or resolve a risk alert
+   * @route PUT /counselors/risk-alerts/:alertId
+   */
+  updateAlertStatus = catchAsync(async (req, res) => {
+    const alert = await this.riskDetectionService.updateAlertStatus(
+      req.params.alertId,
+      req.user.id,
+      req.body
+    );
+
+    successResponse(res, alert, "Risk alert updated successfully");
+  });
+
+  /**
+   * List built-in and configured risk keywords
+   * @route GET /admin/risk-keywords
+   */
+  getKeywords = catchAsync(async (req, res) => {
+    const keywords = await this.riskDetectionService.listKeywords();
+
+    successResponse(res, keywords, "Risk keywords retrieved successfully");
+  });
+
+  /**
+   * Add a risk keyword or override a built-in one
+   * @route POST /admin/risk-keywords
+   */
+  createKeyword = catchAsync(async (req, res) => {
+    const keyword = await this.riskDetectionService.createKeyword(
+      req.body,
+      req.user.id
+    );
+
+    createdResponse(res, keyword, "Risk keyword created successfully");
+  });
+
+  /**
+   * Change a risk keyword's severity or active flag
+   * @route PUT /admin/risk-keywords/:keywordId
+   */
+  updateKeyword = catchAsync(async (req, res) => {
+    const keyword = await this.riskDetectionService.updateKeyword(
+      req.params.keywordId,
+      req.body
+    );
+
+    successResponse(res, keyword, "Risk keyword updated successfully");
+  });
+
+  /**
+   * Remove a configured risk keyword
+   * @route DELETE /admin/risk-keywords/:keywordId
+   */
+  deleteKeyword = catchAsync(async (req, res) => {
+    await this.riskDetectionService.deleteKeyword(req.params.keywordId);
+
+    successResponse(res, null, "Risk keyword deleted successfully");
+  });
+}
@@ -0,0 +1,90 @@
+/**
+ * Session note controller
+ * Handles HTTP requests for counselors' encrypted session notes
+ */
+import { SessionNoteService } from "../services/session-note.service.js";
+import { catchAsync } from "../utils/error.js";
+import { successResponse, createdResponse } from "../utils/response.js";
+
+export class SessionNoteController {
+  constructor() {
+    this.sessionNoteService = new SessionNoteService();
+  }
+
+  /**
+   * List the current counselor's notes
+   * @route GET /counselors/notes
+   */
+  getMyNotes = catchAsync(async (req, res) => {
+    const notes = await this.sessionNoteService.getNotes(req.user.id, {
+      clientId: req.query.clientId,
+    });
+
+    successResponse(res, notes, "Session notes retrieved successfully");
+  });
+
+  /**
+   * Write a note about an assigned client
+   * @route POST /counselors/notes
+   */
+  createNote = catchAsync(async (req, res) => {
+    const note = await this.sessionNoteService.createNote(
+      req.user.id,
+      req.body
+    );
+
+    createdResponse(res, note, "Session note created successfully");
+  });
+
+  /**
+   * Read one of the current counselor's notes
+   * @route GET /counselors/notes/:noteId
+   */
+  getNote = catchAsync(async (req, res) => {
+    const note = await this.sessionNoteService.getNote(
+      req.params.noteId,
+      req.user.id
+    );
+
+    successResponse(res, note, "Session note retrieved successfully");
+  });
+
+  /**
+   * Replace the body of one of the current counselor's notes
+   * @route PUT /counselors/notes/:noteId
+   */
+  updateNote = catchAsync(async (req, res) => {
+    const note = await this.sessionNoteService.updateNote(
+      req.params.noteId,
+      req.user.id,
+      req.body.body
+    );
+
+    successResponse(res, note, "Session note updated successfully");
+  });
+
+  /**
+   * Emergency admin read of a note
+   * @route POST /admin/session-notes/:noteId/break-glass
+   */
+  breakGlassRead = catchAsync(async (req, res) => {
+    const note = await this.sessionNoteService.breakGlassRead(
+      req.params.noteId,
+      req.user.id,
+      req.user.role,
+      req.body.reason
+    );
+
+    successResponse(res, note, "Session note retrieved under break-glass");
+  });
+
+  /**
+   * Get a note's access log
+   * @route GET /admin/session-notes/:noteId/access-logs
+   */
+  getAccessLogs = catchAsync(async (req, res) => {
+    const logs = await this.sessionNoteService.getAccessLogs(req.params.noteId);
+
+    successResponse(res, logs, "Note access logs retrieved successfully");
+  });
+}
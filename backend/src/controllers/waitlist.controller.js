@@ -0,0 +1,84 @@
+/**
+ * Waitlist controller
+ * Handles HTTP requests for counselor waitlists and slot offers
+ */
+import { WaitlistService } from "../services/waitlist.service.js";
+import { catchAsync } from "../utils/error.js";
+import { createdResponse, successResponse } from "../utils/response.js";
+
+export class WaitlistController {
+  constructor() {
+    this.waitlistService = new WaitlistService();
+  }
+
+  /**
+   * Join the waitlist for a counselor, or for any counselor
+   * @route POST /counselors/waitlist
+   */
+  joinWaitlist = catchAsync(async (req, res) => {
+    const entry = await this.waitlistService.joinWaitlist(req.user.id, {
+      counselorId: req.body.counselorId,
+    });
+
+    createdResponse(res, entry, "Joined waitlist successfully");
+  });
+
+  /**
+   * List the current user's waitlist entries and offers
+   * @route GET /counselors/waitlist
+   */
+  getMyEntries = catchAsync(async (req, res) => {
+    const entries = await this.waitlistService.getMyEntries(req.user.id);
+
+    successResponse(res, entries, "Waitlist entries retrieved successfully");
+  });
+
+  /**
+   * Leave a waitlist
+   * @route DELETE /counselors/waitlist/:entryId
+   */
+  leaveWaitlist = catchAsync(async (req, res) => {
+    const entry = await this.waitlistService.leaveWaitlist(
+      req.params.entryId,
+      req.user.id
+    );
+
+    successResponse(res, entry, "Left waitlist successfully");
+  });
+
+  /**
+   * Accept an offered slot and book it
+   * @route PUT /counselors/waitlist/:entryId/accept
+   */
+  acceptOffer = catchAsync(async (req, res) => {
+    const appointment = await this.waitlistService.acceptOffer(
+      req.params.entryId,
+      req.user.id
+    );
+
+    createdResponse(res, appointment, "Waitlist offer accepted");
+  });
+
+  /**
+   * Decline an offered slot
+   * @route PUT /counselors/waitlist/:entryId/decline
+   */
+  declineOffer = catchAsync(async (req, res) => {
+    const entry = await this.waitlistService.declineOffer(
+      req.params.entryId,
+      req.user.id
+    );
+
+    successResponse(res, entry, "Waitlist offer declined");
+  });
+
+  /**
+   * Get waitlist length per counselor
+   * @route GET /admin/waitlist/stats
+   */
+  getDemandStats = catchAsync(async (req, res) => {
+    const stats = await this.waitlistService.getDemandStats();
+
+    successResponse(res, stats, "Waitlist stats retrieved successfully");
+  });
+}
@@ -0,0 +1,184 @@
+/**
+ * Wellbeing controller
+ * Handles HTTP requests for mood check-ins, journaling and shared trends
+ */
+import { WellbeingService } from "../services/wellbeing.service.js";
+import { catchAsync } from "../utils/error.js";
+import { createdResponse, successResponse } from "../utils/response.js";
+
+export class WellbeingController {
+  constructor() {
+    this.wellbeingService = new WellbeingService();
+  }
+
+  /**
+   * Record today's mood check-in
+   * @route POST /wellbeing/mood
+   */
+  checkIn = catchAsync(async (req, res) => {
+    const { mood, tags, note } = req.body;
+    const checkIn = await this.wellbeingService.checkIn(req.user.id, {
+      mood,
+      tags,
+      note,
+    });
+
+    createdResponse(res, checkIn, "Mood check-in recorded");
+  });
+
+  /**
+   * List mood check-ins in a date range
+   * @route GET /wellbeing/mood
+   */
+  getCheckIns = catchAsync(async (req, res) => {
+    const { from, to } = req.query;
+    const checkIns = await this.wellbeingService.getCheckIns(req.user.id, {
+      from,
+      to,
+    });
+
+    successResponse(res, checkIns, "Mood check-ins retrieved successfully");
+  });
+
+  /**
+   * Delete a mood check-in
+   * @route DELETE /wellbeing/mood/:date
+   */
+  deleteCheckIn = catchAsync(async (req, res) => {
+    await this.wellbeingService.deleteCheckIn(req.user.id, req.params.date);
+
+    successResponse(res, null, "Mood check-in deleted successfully");
+  });
+
+  /**
+   * Write a journal entry
+   * @route POST /wellbeing/journal
+   */
+  createJournalEntry = catchAsync(async (req, res) => {
+    const { title, content, tags } = req.body;
+    const entry = await this.wellbeingService.createJournalEntry(req.user.id, {
+      title,
+      content,
+      tags,
+    });
+
+    createdResponse(res, entry, "Journal entry created successfully");
+  });
+
+  /**
+   * List journal entries, newest first
+   * @route GET /wellbeing/journal
+   */
+  getJournalEntries = catchAsync(async (req, res) => {
+    const { limit, before, tag } = req.query;
+    const entries = await this.wellbeingService.getJournalEntries(req.user.id, {
+      limit,
+      before,
+      tag,
+    });
+
+    successResponse(res, entries, "Journal entries retrieved successfully");
+  });
+
+  /**
+   * Get a journal entry
+   * @route GET /wellbeing/journal/:entryId
+   */
+  getJournalEntry = catchAsync(async (req, res) => {
+    const entry = await this.wellbeingService.getJournalEntry(
+      req.user.id,
+      req.params.entryId
+    );
+
+    successResponse(res, entry, "Journal entry retrieved successfully");
+  });
+
+  /**
+   * Edit a journal entry
+   * @route PUT /wellbeing/journal/:entryId
+   */
+  updateJournalEntry = catchAsync(async (req, res) => {
+    const { title, content, tags } = req.body;
+    const entry = await this.wellbeingService.updateJournalEntry(
+      req.user.id,
+      req.params.entryId,
+      { title, content, tags }
+    );
+
+    successResponse(res, entry, "Journal entry updated successfully");
+  });
+
+  /**
+   * Delete a journal entry
+   * @route DELETE /wellbeing/journal/:entryId
+   */
+  deleteJournalEntry = catchAsync(async (req, res) => {
+    await this.wellbeingService.deleteJournalEntry(
+      req.user.id,
+      req.params.entryId
+    );
+
+    successResponse(res, null, "Journal entry deleted successfully");
+  });
+
+  /**
+   * Get check-in and journaling streaks
+   * @route GET /wellbeing/streaks
+   */
+  getStreaks = catchAsync(async (req, res) => {
+    const streaks = await this.wellbeingService.getStreaks(req.user.id);
+
+    successResponse(res, streaks, "Streaks retrieved successfully");
+  });
+
+  /**
+   * Get weekly mood and journaling summaries
+   * @route GET /wellbeing/summary
+   */
+  getWeeklySummaries = catchAsync(async (req, res) => {
+    const summaries = await this.wellbeingService.getWeeklySummaries(
+      req.user.id,
+      { weeks: req.query.weeks }
+    );
+
+    successResponse(res, summaries, "Weekly summaries retrieved successfully");
+  });
+
+  /**
+   * Get which trends are shared with the assigned counselor
+   * @route GET /wellbeing/sharing
+   */
+  getSharing = catchAsync(async (req, res) => {
+    const sharing = await this.wellbeingService.getSharing(req.user.id);
+
+    successResponse(res, sharing, "Sharing settings retrieved successfully");
+  });
+
+  /**
+   * Choose which trends to share with the assigned counselor
+   * @route PUT /wellbeing/sharing
+   */
+  updateSharing = catchAsync(async (req, res) => {
+    const sharing = await this.wellbeingService.updateSharing(
+      req.user.id,
+      req.body.sharedTrends
+    );
+
+    successResponse(res, sharing, "Sharing settings updated successfully");
+  });
+
+  /**
+   * Get the trends a client shares with their counselor
+   * @route GET /wellbeing/students/:studentId/trends
+   */
+  getSharedTrends = catchAsync(async (req, res) => {
+    const trends = await this.wellbeingService.getSharedTrends(
+      req.params.studentId,
+      req.user.id,
+      req.user.role,
+      { weeks: req.query.weeks }
+    );
+
+    successResponse(res, trends, "Shared trends retrieved successfully");
+  });
+}
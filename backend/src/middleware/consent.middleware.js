@@ -0,0 +1,42 @@
+/**
+ * Consent middleware
+ * Blocks counseling endpoints for students until they have accepted the
+ * current version of every consent document
+ */
+
+import { UserRole } from "../services/auth.service.js";
+import { ConsentService } from "../services/consent.service.js";
+import { AppError, ErrorCategory, catchAsync } from "../utils/error.js";
+import logger from "../utils/logger.js";
+
+const consentService = new ConsentService();
+
+/**
+ * Require accepted consent before a counseling action
+ * Must run after clientAuthMiddleware. Staff are not asked for consent.
+ */
+export const requireConsent = catchAsync(async (req, _, next) => {
+  if (req.user?.role !== UserRole.USER) {
+    return next();
+  }
+
+  const pending = await consentService.getPendingDocuments(req.user.id);
+  if (pending.length > 0) {
+    logger.info("Counseling request blocked pending consent", {
+      userId: req.user.id,
+      path: req.path,
+      pending: pending.map((document) => document.id),
+    });
+
+    throw new AppError(
+      403,
+      `Please review and accept the current ${pending
+        .map((document) => document.title)
+        .join(" and ")} before continuing`,
+      "consent_required",
+      ErrorCategory.PERMISSION
+    );
+  }
+
+  next();
+});
@@ -1,16 +1,17 @@
 import { BaseModel } from "./base.model.js";
 import { UserRole } from "../services/auth.service.js";
+import { normalizeTag, normalizeTags } from "../utils/counselor-profile.js";
 
 export class CounselorModel extends BaseModel {
   constructor() {
     super("counselors");
   }
 
-  async createCounselor(userId, specialization, availability) {
+  async createCounselor(userId, specialties, availability) {
     try {
       return this.create({
         userId,
-        specialization,
+        specialties: normalizeTags(specialties),
         availability,
         rating: 0,
         totalRatings: 0,
@@ -30,27 +31,10 @@ export class CounselorModel extends BaseModel {
     }
   }
 
-  async updateRating(counselorId, newRating) {
-    try {
-      const counselor = await this.findById(counselorId);
-      if (!counselor) {
-        throw new Error("Counselor not found");
-      }
-
-      const totalRatings = counselor.totalRatings + 1;
-      const rating =
-        (counselor.rating * counselor.totalRatings + newRating) / totalRatings;
-
-      return this.update(counselorId, { rating, totalRatings });
-    } catch (error) {
-      throw new Error(`Failed to update rating: ${error.message}`);
-    }
-  }
-
   async searchCounselors(query) {
     try {
       const snapshot = await this.collection
-        .where("specialization", "==", query)
+        .where("specialties", "array-contains", normalizeTag(query))
         .where("isAvailable", "==", true)
         .orderBy("rating", "desc")
         .get();
@@ -5,17 +5,45 @@
 import { Router } from "express";
 import { AdminController } from "../controllers/admin.controller.js";
 import { AdminEventsController } from "../controllers/admin-events.controller.js";
+import { AppointmentController } from "../controllers/appointment.controller.js";
+import { AssignmentController } from "../controllers/assignment.controller.js";
+import { AvailabilityController } from "../controllers/availability.controller.js";
+import { ChatController } from "../controllers/chat.controller.js";
+import { ChatModerationController } from "../controllers/chat-moderation.controller.js";
+import { ConsentController } from "../controllers/consent.controller.js";
+import { ForumController } from "../controllers/forum.controller.js";
+import { QuestController } from "../controllers/quest.controller.js";
+import { RatingController } from "../controllers/rating.controller.js";
+import { ResourceController } from "../controllers/resource.controller.js";
+import { RiskController } from "../controllers/risk.controller.js";
+import { SessionNoteController } from "../controllers/session-note.controller.js";
+import { WaitlistController } from "../controllers/waitlist.controller.js";
 
 import {
   clientAuthMiddleware,
   clientIsAdmin,
 } from "../middleware/client-auth.middleware.js";
 import { db } from "../config/firebase.config.js";
+import { validateRequest } from "../utils/validator.js";
+import { schemas } from "../utils/validation-schemas.js";
 import logger from "../utils/logger.js";
 
 const router = Router();
 const adminController = new AdminController();
 const adminEventsController = new AdminEventsController();
+const appointmentController = new AppointmentController();
+const assignmentController = new AssignmentController();
+const availabilityController = new AvailabilityController();
+const chatController = new ChatController();
+const chatModerationController = new ChatModerationController();
+const consentController = new ConsentController();
+const forumController = new ForumController();
+const questController = new QuestController();
+const ratingController = new RatingController();
+const resourceController = new ResourceController();
+const riskController = new RiskController();
+const sessionNoteController = new SessionNoteController();
+const waitlistController = new WaitlistController();
 
 // Log all admin route access
 router.use((req, res, next) => {
@@ -76,6 +104,250 @@ router.put(
   adminEventsController.updateEvent
 );
 router.get("/events/search", clientIsAdmin, adminEventsController.searchEvents);
+router.post(
+  "/events/:eventId/check-ins",
+  clientIsAdmin,
+  validateRequest(schemas.events.checkIn),
+  adminEventsController.checkInAttendee
+);
+
+// Holiday calendar routes
+router.post(
+  "/holidays",
+  clientIsAdmin,
+  validateRequest(schemas.availability.holiday),
+  availabilityController.setHoliday
+);
+router.delete(
+  "/holidays/:date",
+  clientIsAdmin,
+  availabilityController.deleteHoliday
+);
+
+// Counselor caseload limit
+router.put(
+  "/counselors/:counselorId/caseload",
+  clientIsAdmin,
+  validateRequest(schemas.assignments.caseload),
+  assignmentController.setMaxCaseload
+);
+
+// Session attendance reporting and no-show booking restrictions
+router.get(
+  "/reports/utilization",
+  clientIsAdmin,
+  appointmentController.getUtilizationReport
+);
+router.delete(
+  "/booking-restrictions/:studentId",
+  clientIsAdmin,
+  appointmentController.liftBookingRestriction
+);
+
+// Waitlist length per counselor as a demand indicator
+router.get("/waitlist/stats", clientIsAdmin, waitlistController.getDemandStats);
+
+// Wellbeing resource library
+router.get("/resources", clientIsAdmin, resourceController.getAllResources);
+router.post(
+  "/resources",
+  clientIsAdmin,
+  validateRequest(schemas.resources.create),
+  resourceController.createResource
+);
+router.put(
+  "/resources/:resourceId",
+  clientIsAdmin,
+  validateRequest(schemas.resources.update),
+  resourceController.updateResource
+);
+router.put(
+  "/resources/:resourceId/publish",
+  clientIsAdmin,
+  resourceController.publishResource
+);
+router.put(
+  "/resources/:resourceId/unpublish",
+  clientIsAdmin,
+  resourceController.unpublishResource
+);
+router.delete(
+  "/resources/:resourceId",
+  clientIsAdmin,
+  resourceController.deleteResource
+);
+
+// Quests
+router.get("/quests", clientIsAdmin, questController.getAllQuests);
+router.post(
+  "/quests",
+  clientIsAdmin,
+  validateRequest(schemas.quests.create),
+  questController.createQuest
+);
+router.put(
+  "/quests/:questId",
+  clientIsAdmin,
+  validateRequest(schemas.quests.update),
+  questController.updateQuest
+);
+
+// Versioned consent documents and acceptance records
+router.get("/consents", clientIsAdmin, consentController.getAllDocuments);
+router.post(
+  "/consents",
+  clientIsAdmin,
+  validateRequest(schemas.consents.create),
+  consentController.createDraft
+);
+router.get(
+  "/consents/users/:userId",
+  clientIsAdmin,
+  consentController.getUserHistory
+);
+router.put(
+  "/consents/:documentId",
+  clientIsAdmin,
+  validateRequest(schemas.consents.update),
+  consentController.updateDraft
+);
+router.put(
+  "/consents/:documentId/publish",
+  clientIsAdmin,
+  consentController.publishDraft
+);
+
+// Peer-support forum boards and moderation
+router.get("/forum/boards", clientIsAdmin, forumController.getAllBoards);
+router.post(
+  "/forum/boards",
+  clientIsAdmin,
+  validateRequest(schemas.forum.createBoard),
+  forumController.createBoard
+);
+router.put(
+  "/forum/boards/:boardId",
+  clientIsAdmin,
+  validateRequest(schemas.forum.updateBoard),
+  forumController.updateBoard
+);
+router.get("/forum/reports", clientIsAdmin, forumController.getModerationQueue);
+router.put(
+  "/forum/reports/:reportId",
+  clientIsAdmin,
+  validateRequest(schemas.forum.resolveReport),
+  forumController.resolveReport
+);
+router.put(
+  "/forum/threads/:threadId",
+  clientIsAdmin,
+  validateRequest(schemas.forum.moderatePost),
+  forumController.moderatePost
+);
+router.put(
+  "/forum/threads/:threadId/replies/:replyId",
+  clientIsAdmin,
+  validateRequest(schemas.forum.moderatePost),
+  forumController.moderatePost
+);
+// Authors of anonymous posts - every lookup is audited
+router.post(
+  "/forum/threads/:threadId/author",
+  clientIsAdmin,
+  validateRequest(schemas.forum.revealAuthor),
+  forumController.revealAuthor
+);
+router.post(
+  "/forum/threads/:threadId/replies/:replyId/author",
+  clientIsAdmin,
+  validateRequest(schemas.forum.revealAuthor),
+  forumController.revealAuthor
+);
+router.get("/forum/bans", clientIsAdmin, forumController.getBans);
+router.put(
+  "/forum/bans/:userId",
+  clientIsAdmin,
+  validateRequest(schemas.forum.ban),
+  forumController.banUser
+);
+router.delete("/forum/bans/:userId", clientIsAdmin, forumController.unbanUser);
+
+// Chat message reports and sanctions
+router.get(
+  "/chat/reports",
+  clientIsAdmin,
+  chatModerationController.getModerationQueue
+);
+router.put(
+  "/chat/reports/:reportId",
+  clientIsAdmin,
+  validateRequest(schemas.chatModeration.resolveReport),
+  chatModerationController.resolveReport
+);
+router.get(
+  "/chat/sanctions",
+  clientIsAdmin,
+  chatModerationController.getSanctions
+);
+router.delete(
+  "/chat/sanctions/:sanctionId",
+  clientIsAdmin,
+  chatModerationController.revokeSanction
+);
+
+// Counselor rating moderation and reporting
+router.get(
+  "/ratings/distribution",
+  clientIsAdmin,
+  ratingController.getRatingDistributions
+);
+router.get(
+  "/ratings/feedback",
+  clientIsAdmin,
+  ratingController.getFeedbackForModeration
+);
+router.put(
+  "/ratings/:ratingId/feedback",
+  clientIsAdmin,
+  validateRequest(schemas.ratings.moderate),
+  ratingController.moderateFeedback
+);
+
+// Crisis risk keyword routes
+router.get("/risk-keywords", clientIsAdmin, riskController.getKeywords);
+router.post("/risk-keywords", clientIsAdmin, riskController.createKeyword);
+router.put(
+  "/risk-keywords/:keywordId",
+  clientIsAdmin,
+  riskController.updateKeyword
+);
+router.delete(
+  "/risk-keywords/:keywordId",
+  clientIsAdmin,
+  riskController.deleteKeyword
+);
+
+// Break-glass access to counselors' session notes - every read is audited
+router.post(
+  "/session-notes/:noteId/break-glass",
+  clientIsAdmin,
+  validateRequest(schemas.sessionNotes.breakGlass),
+  sessionNoteController.breakGlassRead
+);
+router.get(
+  "/session-notes/:noteId/access-logs",
+  clientIsAdmin,
+  sessionNoteController.getAccessLogs
+);
+
+// Edited and deleted chat messages for safety investigations - every read
+// is audited
+router.post(
+  "/messages/:messageId/history",
+  clientIsAdmin,
+  validateRequest(schemas.chatMessages.readHistory),
+  chatController.readMessageHistory
+);
 
 // Security analytics endpoint - Firebase-powered
 router.get("/security/analytics", clientIsAdmin, async (req, res) => {
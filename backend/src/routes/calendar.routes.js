@@ -0,0 +1,20 @@
+import { Router } from "express";
+import { CalendarController } from "../controllers/calendar.controller.js";
+import { clientAuthMiddleware } from "../middleware/client-auth.middleware.js";
+
+const router = Router();
+const calendarController = new CalendarController();
+
+router.post("/feed", clientAuthMiddleware, calendarController.createFeedToken);
+
+router.delete(
+  "/feed",
+  clientAuthMiddleware,
+  calendarController.revokeFeedToken
+);
+
+// Calendar apps fetch feeds without auth headers - the URL token is checked
+// by the service instead
+router.get("/feeds/:userId.ics", calendarController.getFeed);
+
+export default router;
@@ -1,25 +1,159 @@
 import { Router } from "express";
+import { AnonymousChatController } from "../controllers/anonymous-chat.controller.js";
 import { ChatController } from "../controllers/chat.controller.js";
-import { clientAuthMiddleware } from "../middleware/client-auth.middleware.js";
+import { ChatModerationController } from "../controllers/chat-moderation.controller.js";
+import { GroupChatController } from "../controllers/group-chat.controller.js";
+import {
+  clientAuthMiddleware,
+  clientAuthorize,
+} from "../middleware/client-auth.middleware.js";
+import { requireConsent } from "../middleware/consent.middleware.js";
+import { UserRole } from "../services/auth.service.js";
+import { validateRequest } from "../utils/validator.js";
+import { schemas } from "../utils/validation-schemas.js";
 
 const router = Router();
 const chatController = new ChatController();
+const chatModerationController = new ChatModerationController();
+const anonymousChatController = new AnonymousChatController();
+const groupChatController = new GroupChatController();
 
 // All routes require authentication
 router.use(clientAuthMiddleware);
 
-router.post("/message", chatController.createMessage.bind(chatController));
+router.post("/message", chatController.createMessage);
+
+router.get("/conversations", chatController.getInbox);
+
+router.post("/conversations", chatController.getOrCreateConversation);
 
 router.get(
-  "/history/:userId",
-  chatController.getChatHistory.bind(chatController)
+  "/conversations/:conversationId/messages",
+  chatController.getConversationMessages
 );
 
-router.get("/unread", chatController.getUnreadMessages.bind(chatController));
+router.put(
+  "/conversations/:conversationId/read",
+  chatController.markConversationRead
+);
+
+router.post(
+  "/conversations/:conversationId/attachments",
+  validateRequest(schemas.chatAttachments.upload),
+  chatController.createAttachmentUpload
+);
+
+router.get(
+  "/conversations/:conversationId/attachments/:attachmentId",
+  chatController.getAttachmentDownload
+);
+
+// Message content is validated by the chat service, not validateRequest,
+// so edits are stored as typed
+router.put("/messages/:messageId", chatController.editMessage);
+
+router.delete("/messages/:messageId", chatController.deleteMessage);
+
+router.put("/messages/:messageId/hide", chatController.hideMessage);
+
+router.post(
+  "/messages/:messageId/report",
+  validateRequest(schemas.chatModeration.report),
+  chatModerationController.reportMessage
+);
+
+// Block lists
+router.get("/blocks", chatModerationController.getBlocks);
+
+router.post(
+  "/blocks",
+  validateRequest(schemas.chatModeration.block),
+  chatModerationController.blockUser
+);
+
+router.delete("/blocks/:userId", chatModerationController.unblockUser);
+
+router.get("/history/:userId", chatController.getChatHistory);
+
+router.get("/search", chatController.searchMessages);
+
+router.get("/unread", chatController.getUnreadMessages);
+
+router.put("/read/:senderId", chatController.markMessagesAsRead);
+
+// Anonymous "talk to someone" requests. Message content is validated by the
+// chat service, not validateRequest, so it is stored as typed.
+router.post(
+  "/anonymous",
+  clientAuthorize([UserRole.USER]),
+  requireConsent,
+  anonymousChatController.createRequest
+);
+
+router.get(
+  "/anonymous",
+  clientAuthorize([UserRole.USER]),
+  anonymousChatController.getMyRequests
+);
+
+router.get(
+  "/anonymous/open",
+  clientAuthorize([UserRole.COUNSELOR]),
+  anonymousChatController.getOpenRequests
+);
+
+router.put(
+  "/anonymous/:conversationId/claim",
+  clientAuthorize([UserRole.COUNSELOR]),
+  anonymousChatController.claimRequest
+);
+
+router.put(
+  "/anonymous/:conversationId/reveal",
+  clientAuthorize([UserRole.USER]),
+  anonymousChatController.revealIdentity
+);
+
+router.post(
+  "/anonymous/:conversationId/escalate",
+  clientAuthorize([UserRole.COUNSELOR, UserRole.ADMIN, UserRole.SUPERADMIN]),
+  validateRequest(schemas.anonymousChat.escalate),
+  anonymousChatController.escalate
+);
+
+// Group conversations. Member roles are checked by the group chat service;
+// messages and read receipts use the conversation routes above.
+router.post(
+  "/groups",
+  validateRequest(schemas.chatGroups.create),
+  groupChatController.createGroup
+);
+
+router.get("/groups/:conversationId", groupChatController.getGroup);
+
+router.put(
+  "/groups/:conversationId",
+  validateRequest(schemas.chatGroups.update),
+  groupChatController.updateGroup
+);
+
+router.post(
+  "/groups/:conversationId/members",
+  validateRequest(schemas.chatGroups.addMembers),
+  groupChatController.addMembers
+);
 
 router.put(
-  "/read/:senderId",
-  chatController.markMessagesAsRead.bind(chatController)
+  "/groups/:conversationId/members/:userId",
+  validateRequest(schemas.chatGroups.setRole),
+  groupChatController.setMemberRole
 );
 
+router.delete(
+  "/groups/:conversationId/members/:userId",
+  groupChatController.removeMember
+);
+
+router.put("/groups/:conversationId/leave", groupChatController.leaveGroup);
+
 export default router;
@@ -0,0 +1,17 @@
+import { Router } from "express";
+import { ConsentController } from "../controllers/consent.controller.js";
+import { clientAuthMiddleware } from "../middleware/client-auth.middleware.js";
+
+const router = Router();
+const consentController = new ConsentController();
+
+// All routes require authentication
+router.use(clientAuthMiddleware);
+
+router.get("/", consentController.getStatus);
+
+router.get("/history", consentController.getMyHistory);
+
+router.post("/:documentId/accept", consentController.acceptDocument);
+
+export default router;
@@ -1,13 +1,273 @@
 import { Router } from "express";
 import { CounselorController } from "../controllers/counselor.controller.js";
+import { AppointmentController } from "../controllers/appointment.controller.js";
+import { AssignmentController } from "../controllers/assignment.controller.js";
+import { AvailabilityController } from "../controllers/availability.controller.js";
+import { CounselorMatchingController } from "../controllers/counselor-matching.controller.js";
+import { RatingController } from "../controllers/rating.controller.js";
+import { RiskController } from "../controllers/risk.controller.js";
+import { SessionNoteController } from "../controllers/session-note.controller.js";
+import { WaitlistController } from "../controllers/waitlist.controller.js";
 import {
   clientAuthMiddleware,
   clientAuthorize,
 } from "../middleware/client-auth.middleware.js";
+import { requireConsent } from "../middleware/consent.middleware.js";
 import { UserRole } from "../services/auth.service.js";
+import { validateRequest } from "../utils/validator.js";
+import { schemas } from "../utils/validation-schemas.js";
 
 const router = Router();
 const counselorController = new CounselorController();
+const appointmentController = new AppointmentController();
+const assignmentController = new AssignmentController();
+const availabilityController = new AvailabilityController();
+const counselorMatchingController = new CounselorMatchingController();
+const ratingController = new RatingController();
+const riskController = new RiskController();
+const sessionNoteController = new SessionNoteController();
+const waitlistController = new WaitlistController();
+
+// Appointment routes - registered before "/:userId" so they are not
+// swallowed by the counselor creation route. Students must have accepted
+// the current consent documents before starting or continuing counseling.
+router.get(
+  "/appointments",
+  clientAuthMiddleware,
+  appointmentController.getMyAppointments
+);
+
+router.post(
+  "/appointments",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.USER]),
+  requireConsent,
+  validateRequest(schemas.appointments.book),
+  appointmentController.bookAppointment
+);
+
+router.get(
+  "/appointments/restriction",
+  clientAuthMiddleware,
+  appointmentController.getMyBookingRestriction
+);
+
+router.get(
+  "/appointments/:appointmentId",
+  clientAuthMiddleware,
+  appointmentController.getAppointment
+);
+
+router.put(
+  "/appointments/:appointmentId/cancel",
+  clientAuthMiddleware,
+  validateRequest(schemas.appointments.statusChange),
+  appointmentController.cancelAppointment
+);
+
+router.put(
+  "/appointments/:appointmentId/reschedule",
+  clientAuthMiddleware,
+  requireConsent,
+  validateRequest(schemas.appointments.reschedule),
+  appointmentController.rescheduleAppointment
+);
+
+router.put(
+  "/appointments/:appointmentId/confirm",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.COUNSELOR]),
+  appointmentController.confirmAppointment
+);
+
+router.put(
+  "/appointments/:appointmentId/decline",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.COUNSELOR]),
+  validateRequest(schemas.appointments.statusChange),
+  appointmentController.declineAppointment
+);
+
+router.put(
+  "/appointments/:appointmentId/complete",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.COUNSELOR]),
+  appointmentController.completeAppointment
+);
+
+router.put(
+  "/appointments/:appointmentId/attendance",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.COUNSELOR]),
+  validateRequest(schemas.appointments.attendance),
+  appointmentController.markAttendance
+);
+
+// Waitlist routes for fully booked counselors
+router.get("/waitlist", clientAuthMiddleware, waitlistController.getMyEntries);
+
+router.post(
+  "/waitlist",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.USER]),
+  requireConsent,
+  validateRequest(schemas.waitlist.join),
+  waitlistController.joinWaitlist
+);
+
+router.delete(
+  "/waitlist/:entryId",
+  clientAuthMiddleware,
+  waitlistController.leaveWaitlist
+);
+
+router.put(
+  "/waitlist/:entryId/accept",
+  clientAuthMiddleware,
+  requireConsent,
+  waitlistController.acceptOffer
+);
+
+router.put(
+  "/waitlist/:entryId/decline",
+  clientAuthMiddleware,
+  waitlistController.declineOffer
+);
+
+// Counselor-client assignment routes
+router.get(
+  "/assignments",
+  clientAuthMiddleware,
+  assignmentController.getMyAssignments
+);
+
+router.post(
+  "/assignments",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.USER]),
+  requireConsent,
+  validateRequest(schemas.assignments.request),
+  assignmentController.requestCounselor
+);
+
+router.get(
+  "/assignments/:assignmentId",
+  clientAuthMiddleware,
+  assignmentController.getAssignment
+);
+
+router.put(
+  "/assignments/:assignmentId/accept",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.COUNSELOR]),
+  assignmentController.acceptAssignment
+);
+
+router.put(
+  "/assignments/:assignmentId/decline",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.COUNSELOR]),
+  validateRequest(schemas.assignments.statusChange),
+  assignmentController.declineAssignment
+);
+
+router.put(
+  "/assignments/:assignmentId/transfer",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.COUNSELOR, UserRole.ADMIN, UserRole.SUPERADMIN]),
+  validateRequest(schemas.assignments.transfer),
+  assignmentController.transferAssignment
+);
+
+router.put(
+  "/assignments/:assignmentId/close",
+  clientAuthMiddleware,
+  validateRequest(schemas.assignments.statusChange),
+  assignmentController.closeAssignment
+);
+
+// Ratings are tied to a completed appointment or a finished assignment
+router.post(
+  "/ratings",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.USER]),
+  validateRequest(schemas.ratings.submit),
+  ratingController.submitRating
+);
+
+// Availability exception routes
+router.get(
+  "/availability/exceptions",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.COUNSELOR]),
+  availabilityController.getMyExceptions
+);
+
+router.post(
+  "/availability/exceptions",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.COUNSELOR]),
+  validateRequest(schemas.availability.exception),
+  availabilityController.createException
+);
+
+router.delete(
+  "/availability/exceptions/:exceptionId",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.COUNSELOR]),
+  availabilityController.deleteException
+);
+
+router.get(
+  "/holidays",
+  clientAuthMiddleware,
+  availabilityController.getHolidays
+);
+
+// Crisis risk alerts are handled by counselors and admins
+router.get(
+  "/risk-alerts",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.COUNSELOR, UserRole.ADMIN, UserRole.SUPERADMIN]),
+  riskController.getAlerts
+);
+
+router.put(
+  "/risk-alerts/:alertId",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.COUNSELOR, UserRole.ADMIN, UserRole.SUPERADMIN]),
+  validateRequest(schemas.riskAlerts.updateStatus),
+  riskController.updateAlertStatus
+);
+
+// Session notes are private to the authoring counselor
+router.get(
+  "/notes",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.COUNSELOR]),
+  sessionNoteController.getMyNotes
+);
+
+router.post(
+  "/notes",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.COUNSELOR]),
+  sessionNoteController.createNote
+);
+
+router.get(
+  "/notes/:noteId",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.COUNSELOR]),
+  sessionNoteController.getNote
+);
+
+router.put(
+  "/notes/:noteId",
+  clientAuthMiddleware,
+  clientAuthorize([UserRole.COUNSELOR]),
+  sessionNoteController.updateNote
+);
 
 router.post(
   "/:userId",
@@ -23,16 +283,16 @@ router.put(
   counselorController.updateAvailability.bind(counselorController)
 );
 
-router.put(
-  "/rating/:userId",
+router.get(
+  "/search",
   clientAuthMiddleware,
-  counselorController.updateRating.bind(counselorController)
+  counselorController.searchCounselors.bind(counselorController)
 );
 
 router.get(
-  "/search",
+  "/match",
   clientAuthMiddleware,
-  counselorController.searchCounselors.bind(counselorController)
+  counselorMatchingController.matchCounselors
 );
 
 router.get(
@@ -41,4 +301,16 @@ router.get(
   counselorController.getAvailableCounselors.bind(counselorController)
 );
 
+router.get(
+  "/:counselorId/reviews",
+  clientAuthMiddleware,
+  ratingController.getCounselorReviews
+);
+
+router.get(
+  "/:counselorId/slots",
+  clientAuthMiddleware,
+  appointmentController.getAvailableSlots
+);
+
 export default router;
@@ -0,0 +1,60 @@
+import { Router } from "express";
+import { ForumController } from "../controllers/forum.controller.js";
+import { clientAuthMiddleware } from "../middleware/client-auth.middleware.js";
+import { validateRequest } from "../utils/validator.js";
+import { schemas } from "../utils/validation-schemas.js";
+
+const router = Router();
+const forumController = new ForumController();
+
+// All routes require authentication
+router.use(clientAuthMiddleware);
+
+// Boards and threads
+router.get("/boards", forumController.getBoards);
+
+router.get("/boards/:boardId/threads", forumController.getThreads);
+
+router.post(
+  "/boards/:boardId/threads",
+  validateRequest(schemas.forum.createThread),
+  forumController.createThread
+);
+
+router.get("/threads/:threadId", forumController.getThread);
+
+router.post(
+  "/threads/:threadId/replies",
+  validateRequest(schemas.forum.createReply),
+  forumController.createReply
+);
+
+// Upvotes
+router.put("/threads/:threadId/upvote", forumController.upvote);
+
+router.delete("/threads/:threadId/upvote", forumController.removeUpvote);
+
+router.put(
+  "/threads/:threadId/replies/:replyId/upvote",
+  forumController.upvote
+);
+
+router.delete(
+  "/threads/:threadId/replies/:replyId/upvote",
+  forumController.removeUpvote
+);
+
+// Reports
+router.post(
+  "/threads/:threadId/reports",
+  validateRequest(schemas.forum.report),
+  forumController.reportPost
+);
+
+router.post(
+  "/threads/:threadId/replies/:replyId/reports",
+  validateRequest(schemas.forum.report),
+  forumController.reportPost
+);
+
+export default router;
@@ -0,0 +1,17 @@
+import { Router } from "express";
+import { NotificationController } from "../controllers/notification.controller.js";
+import { clientAuthMiddleware } from "../middleware/client-auth.middleware.js";
+
+const router = Router();
+const notificationController = new NotificationController();
+
+// All routes require authentication
+router.use(clientAuthMiddleware);
+
+router.get("/", notificationController.getNotifications);
+
+router.put("/read-all", notificationController.markAllRead);
+
+router.put("/:notificationId/read", notificationController.markRead);
+
+export default router;
@@ -0,0 +1,25 @@
+import { Router } from "express";
+import { QuestController } from "../controllers/quest.controller.js";
+import { clientAuthMiddleware } from "../middleware/client-auth.middleware.js";
+import { validateRequest } from "../utils/validator.js";
+import { schemas } from "../utils/validation-schemas.js";
+
+const router = Router();
+const questController = new QuestController();
+
+// All routes require authentication
+router.use(clientAuthMiddleware);
+
+router.get("/", questController.getQuests);
+
+router.get("/me", questController.getMyProfile);
+
+router.put(
+  "/me/leaderboard",
+  validateRequest(schemas.quests.leaderboard),
+  questController.setLeaderboardVisibility
+);
+
+router.get("/leaderboard", questController.getLeaderboard);
+
+export default router;
@@ -0,0 +1,32 @@
+import { Router } from "express";
+import { QuestionnaireController } from "../controllers/questionnaire.controller.js";
+import { clientAuthMiddleware } from "../middleware/client-auth.middleware.js";
+import { requireConsent } from "../middleware/consent.middleware.js";
+import { validateRequest } from "../utils/validator.js";
+import { schemas } from "../utils/validation-schemas.js";
+
+const router = Router();
+const questionnaireController = new QuestionnaireController();
+
+// All routes require authentication
+router.use(clientAuthMiddleware);
+
+router.get("/", questionnaireController.listQuestionnaires);
+
+// Response routes - registered before "/:questionnaireId"
+router.get("/responses", questionnaireController.getResponses);
+
+router.get("/responses/:responseId", questionnaireController.getResponse);
+
+router.get("/:questionnaireId", questionnaireController.getQuestionnaire);
+
+router.post(
+  "/:questionnaireId/responses",
+  requireConsent,
+  validateRequest(schemas.questionnaires.submit),
+  questionnaireController.submitResponse
+);
+
+router.get("/:questionnaireId/trends", questionnaireController.getTrends);
+
+export default router;
@@ -0,0 +1,23 @@
+import { Router } from "express";
+import { ResourceController } from "../controllers/resource.controller.js";
+import { clientAuthMiddleware } from "../middleware/client-auth.middleware.js";
+
+const router = Router();
+const resourceController = new ResourceController();
+
+// All routes require authentication; the audience of a resource depends on
+// the user's role
+router.use(clientAuthMiddleware);
+
+router.get("/", resourceController.searchResources);
+
+// Registered before "/:resourceId"
+router.get("/bookmarks", resourceController.getBookmarks);
+
+router.get("/:resourceId", resourceController.getResource);
+
+router.put("/:resourceId/bookmark", resourceController.addBookmark);
+
+router.delete("/:resourceId/bookmark", resourceController.removeBookmark);
+
+export default router;
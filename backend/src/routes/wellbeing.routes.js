@@ -0,0 +1,67 @@
+import { Router } from "express";
+import { WellbeingController } from "../controllers/wellbeing.controller.js";
+import {
+  clientAuthMiddleware,
+  clientAuthorize,
+} from "../middleware/client-auth.middleware.js";
+import { UserRole } from "../services/auth.service.js";
+import { validateRequest } from "../utils/validator.js";
+import { schemas } from "../utils/validation-schemas.js";
+
+const router = Router();
+const wellbeingController = new WellbeingController();
+
+// All routes require authentication
+router.use(clientAuthMiddleware);
+
+// Mood check-ins
+router.get("/mood", wellbeingController.getCheckIns);
+
+router.post(
+  "/mood",
+  validateRequest(schemas.wellbeing.checkIn),
+  wellbeingController.checkIn
+);
+
+router.delete("/mood/:date", wellbeingController.deleteCheckIn);
+
+// Private journal
+router.get("/journal", wellbeingController.getJournalEntries);
+
+router.post(
+  "/journal",
+  validateRequest(schemas.wellbeing.createJournalEntry),
+  wellbeingController.createJournalEntry
+);
+
+router.get("/journal/:entryId", wellbeingController.getJournalEntry);
+
+router.put(
+  "/journal/:entryId",
+  validateRequest(schemas.wellbeing.updateJournalEntry),
+  wellbeingController.updateJournalEntry
+);
+
+router.delete("/journal/:entryId", wellbeingController.deleteJournalEntry);
+
+// Progress
+router.get("/streaks", wellbeingController.getStreaks);
+
+router.get("/summary", wellbeingController.getWeeklySummaries);
+
+// Sharing trends with the assigned counselor
+router.get("/sharing", wellbeingController.getSharing);
+
+router.put(
+  "/sharing",
+  validateRequest(schemas.wellbeing.sharing),
+  wellbeingController.updateSharing
+);
+
+router.get(
+  "/students/:studentId/trends",
+  clientAuthorize([UserRole.COUNSELOR]),
+  wellbeingController.getSharedTrends
+);
+
+export default router;
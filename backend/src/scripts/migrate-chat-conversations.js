@@ -0,0 +1,138 @@
+/**
+ * Migration Script: Chat Messages to Conversations
+ *
+ * Messages used to be stored with only a senderId/receiverId pair. This
+ * script backfills `conversationId` on every message and creates the
+ * matching direct conversation document, including its last message and
+ * per-participant unread counts:
+ * /conversations/{sortedUid1_sortedUid2}
+ *
+ * Usage: node src/scripts/migrate-chat-conversations.js
+ */
+
+import { admin } from "../config/firebase.config.js";
+import logger from "../utils/logger.js";
+import { withRetry } from "../utils/firebase-utils.js";
+import {
+  ConversationType,
+  getDirectConversationId,
+  toLastMessage,
+} from "../services/chat.service.js";
+
+const db = admin.db;
+const BATCH_SIZE = 500;
+
+/**
+ * Backfill conversation IDs on legacy messages
+ */
+async function migrateChatConversations() {
+  try {
+    logger.info("Starting chat conversation migration...");
+
+    const messagesSnapshot = await withRetry(() =>
+      db.collection("messages").get()
+    );
+    const legacyMessages = messagesSnapshot.docs.filter(
+      (doc) => !doc.data().conversationId
+    );
+
+    if (legacyMessages.length === 0) {
+      logger.info("No messages found to migrate");
+      return;
+    }
+
+    logger.info(`Found ${legacyMessages.length} messages to migrate`);
+
+    const conversations = new Map();
+    let batch = db.batch();
+    let pending = 0;
+    let migratedCount = 0;
+    let skippedCount = 0;
+
+    const commitIfFull = async () => {
+      if (pending >= BATCH_SIZE) {
+        await withRetry(() => batch.commit());
+        batch = db.batch();
+        pending = 0;
+        logger.info(`Migrated ${migratedCount} messages so far...`);
+      }
+    };
+
+    for (const messageDoc of legacyMessages) {
+      const { senderId, receiverId, content, timestamp, read } =
+        messageDoc.data();
+      if (!senderId || !receiverId || senderId === receiverId) {
+        logger.warn(`Skipping message ${messageDoc.id} - invalid participants`);
+        skippedCount++;
+        continue;
+      }
+
+      const conversationId = getDirectConversationId(senderId, receiverId);
+      const sentAt = timestamp || new Date().toISOString();
+      const conversation = conversations.get(conversationId) || {
+        participants: [senderId, receiverId].sort(),
+        lastMessage: null,
+        lastMessageAt: null,
+        unreadCounts: { [senderId]: 0, [receiverId]: 0 },
+        createdAt: sentAt,
+        updatedAt: sentAt,
+      };
+
+      if (sentAt < conversation.createdAt) {
+        conversation.createdAt = sentAt;
+      }
+      if (!conversation.lastMessageAt || sentAt > conversation.lastMessageAt) {
+        conversation.lastMessage = toLastMessage({
+          id: messageDoc.id,
+          senderId,
+          content: content || "",
+          timestamp: sentAt,
+        });
+        conversation.lastMessageAt = sentAt;
+        conversation.updatedAt = sentAt;
+      }
+      if (!read) {
+        conversation.unreadCounts[receiverId] += 1;
+      }
+      conversations.set(conversationId, conversation);
+
+      batch.update(messageDoc.ref, { conversationId });
+      pending++;
+      migratedCount++;
+      await commitIfFull();
+    }
+
+    for (const [conversationId, conversation] of conversations) {
+      batch.set(
+        db.collection("conversations").doc(conversationId),
+        { type: ConversationType.DIRECT, ...conversation },
+        { merge: true }
+      );
+      pending++;
+      await commitIfFull();
+    }
+
+    if (pending > 0) {
+      await withRetry(() => batch.commit());
+    }
+
+    logger.info("Migration completed successfully", {
+      totalFound: legacyMessages.length,
+      migrated: migratedCount,
+      skipped: skippedCount,
+      conversations: conversations.size,
+    });
+  } catch (error) {
+    logger.error("Migration failed:", error);
+    throw error;
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateChatConversations()
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
+
+export { migrateChatConversations };
@@ -0,0 +1,81 @@
+/**
+ * Migration Script: Chat Message Search Tokens
+ *
+ * Message search looks words up in a `searchTokens` array that is written
+ * with each message. This script backfills the tokens on messages sent
+ * before search existed. Messages deleted for everyone get no tokens.
+ *
+ * Usage: node src/scripts/migrate-chat-search-tokens.js
+ */
+
+import { admin } from "../config/firebase.config.js";
+import logger from "../utils/logger.js";
+import { withRetry } from "../utils/firebase-utils.js";
+import { getMessageSearchTokens } from "../services/chat.service.js";
+
+const db = admin.db;
+const BATCH_SIZE = 500;
+
+/**
+ * Backfill search tokens on messages that do not have them
+ */
+async function migrateChatSearchTokens() {
+  try {
+    logger.info("Starting chat search token migration...");
+
+    const messagesSnapshot = await withRetry(() =>
+      db.collection("messages").get()
+    );
+    const unindexedMessages = messagesSnapshot.docs.filter(
+      (doc) => !Array.isArray(doc.data().searchTokens)
+    );
+
+    if (unindexedMessages.length === 0) {
+      logger.info("No messages found to migrate");
+      return;
+    }
+
+    logger.info(`Found ${unindexedMessages.length} messages to migrate`);
+
+    let batch = db.batch();
+    let pending = 0;
+    let migratedCount = 0;
+
+    for (const messageDoc of unindexedMessages) {
+      const { content, deletedAt } = messageDoc.data();
+      batch.update(messageDoc.ref, {
+        searchTokens: deletedAt ? [] : getMessageSearchTokens(content),
+      });
+      pending++;
+      migratedCount++;
+
+      if (pending >= BATCH_SIZE) {
+        await withRetry(() => batch.commit());
+        batch = db.batch();
+        pending = 0;
+        logger.info(`Migrated ${migratedCount} messages so far...`);
+      }
+    }
+
+    if (pending > 0) {
+      await withRetry(() => batch.commit());
+    }
+
+    logger.info("Migration completed successfully", {
+      totalFound: unindexedMessages.length,
+      migrated: migratedCount,
+    });
+  } catch (error) {
+    logger.error("Migration failed:", error);
+    throw error;
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateChatSearchTokens()
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
+
+export { migrateChatSearchTokens };
@@ -0,0 +1,101 @@
+/**
+ * Migration Script: Counselor Specialties
+ *
+ * Counselor profiles used two fields for the same thing: a `specialization`
+ * string (written on role assignment) and a `specialties` array (used by
+ * search). This script merges both into a normalized `specialties` array,
+ * normalizes `languages`, and removes `specialization`.
+ *
+ * Usage: node src/scripts/migrate-counselor-specialties.js
+ */
+
+import { FieldValue } from "firebase-admin/firestore";
+import { admin } from "../config/firebase.config.js";
+import logger from "../utils/logger.js";
+import { withRetry } from "../utils/firebase-utils.js";
+import { getSpecialties, normalizeTags } from "../utils/counselor-profile.js";
+
+const db = admin.db;
+const BATCH_SIZE = 500;
+
+/**
+ * Check whether two tag lists hold the same tags in the same order
+ * @param {*} current - Stored value
+ * @param {Array<string>} normalized - Normalized tags
+ * @returns {boolean} Whether the stored value is already normalized
+ */
+const isSameList = (current, normalized) =>
+  Array.isArray(current) &&
+  current.length === normalized.length &&
+  current.every((tag, index) => tag === normalized[index]);
+
+/**
+ * Unify counselor specialty fields
+ */
+async function migrateCounselorSpecialties() {
+  try {
+    logger.info("Starting counselor specialties migration...");
+
+    const snapshot = await withRetry(() => db.collection("counselors").get());
+    if (snapshot.empty) {
+      logger.info("No counselors found to migrate");
+      return;
+    }
+
+    let batch = db.batch();
+    let pending = 0;
+    let migratedCount = 0;
+
+    for (const doc of snapshot.docs) {
+      const counselor = doc.data();
+      const specialties = getSpecialties(counselor);
+      const languages = normalizeTags(counselor.languages);
+
+      if (
+        counselor.specialization === undefined &&
+        isSameList(counselor.specialties, specialties) &&
+        isSameList(counselor.languages, languages)
+      ) {
+        continue;
+      }
+
+      batch.update(doc.ref, {
+        specialties,
+        languages,
+        specialization: FieldValue.delete(),
+        updatedAt: new Date().toISOString(),
+      });
+      pending++;
+      migratedCount++;
+
+      if (pending >= BATCH_SIZE) {
+        await withRetry(() => batch.commit());
+        batch = db.batch();
+        pending = 0;
+        logger.info(`Migrated ${migratedCount} counselors so far...`);
+      }
+    }
+
+    if (pending > 0) {
+      await withRetry(() => batch.commit());
+    }
+
+    logger.info("Migration completed successfully", {
+      totalFound: snapshot.size,
+      migrated: migratedCount,
+      skipped: snapshot.size - migratedCount,
+    });
+  } catch (error) {
+    logger.error("Migration failed:", error);
+    throw error;
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateCounselorSpecialties()
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
+
+export { migrateCounselorSpecialties };
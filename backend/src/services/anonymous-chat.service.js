@@ -0,0 +1,511 @@
+/**
+ * Anonymous chat service
+ * Lets students reach a counselor under a pseudonymous handle. The student
+ * takes part through an alias ID; the alias-to-user mapping lives in a
+ * backend-only collection and is disclosed only when the student reveals
+ * themselves or staff escalate an emergency, which is audited.
+ */
+import crypto from "crypto";
+import { db } from "../config/firebase.config.js";
+import { UserRole } from "./auth.service.js";
+import { BaseService } from "./base.service.js";
+import {
+  ANONYMOUS_IDENTITIES_COLLECTION,
+  ChatService,
+  ConversationType,
+  toLastMessage,
+} from "./chat.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry, runTransaction } from "../utils/firebase-utils.js";
+import {
+  logSecurityEvent,
+  SecurityEventSeverity,
+  SecurityEventType,
+} from "../utils/security-monitor.js";
+import {
+  emitToRoom,
+  getRoleRoom,
+  getUserRoom,
+  joinRooms,
+} from "../utils/socket-emitter.js";
+import logger from "../utils/logger.js";
+
+export const AnonymousRequestStatus = {
+  OPEN: "open",
+  CLAIMED: "claimed",
+};
+
+const ESCALATIONS_COLLECTION = "anonymous_escalations";
+const MAX_REQUESTS = 50;
+
+const HANDLE_ADJECTIVES = [
+  "Calm",
+  "Gentle",
+  "Quiet",
+  "Bright",
+  "Brave",
+  "Kind",
+  "Steady",
+  "Hopeful",
+];
+const HANDLE_NOUNS = [
+  "Otter",
+  "Willow",
+  "Harbor",
+  "Sparrow",
+  "River",
+  "Maple",
+  "Comet",
+  "Meadow",
+];
+
+/**
+ * Generate a random display handle such as "Quiet Otter 42"
+ * @returns {string} Handle
+ */
+const generateHandle = () =>
+  [
+    HANDLE_ADJECTIVES[crypto.randomInt(HANDLE_ADJECTIVES.length)],
+    HANDLE_NOUNS[crypto.randomInt(HANDLE_NOUNS.length)],
+    crypto.randomInt(10, 100),
+  ].join(" ");
+
+/**
+ * Shape a conversation for the request queue
+ * @param {Object} conversation - Anonymous conversation
+ * @returns {Object} Request summary
+ */
+const toRequest = ({
+  id,
+  anonymous,
+  lastMessage,
+  lastMessageAt,
+  createdAt,
+}) => ({
+  conversationId: id,
+  handle: anonymous.handle,
+  aliasId: anonymous.aliasId,
+  status: anonymous.status,
+  lastMessage,
+  lastMessageAt,
+  createdAt,
+});
+
+export class AnonymousChatService extends BaseService {
+  constructor() {
+    super(ANONYMOUS_IDENTITIES_COLLECTION);
+    this.chatService = new ChatService();
+  }
+
+  /**
+   * Get the aliases a user has used, so their sockets can join the
+   * matching rooms
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} Alias IDs
+   */
+  async getAliasIds(userId) {
+    return this.chatService.getAliasIds(userId);
+  }
+
+  /**
+   * Get an anonymous conversation or throw
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Conversation
+   */
+  async getAnonymousConversation(conversationId) {
+    const conversation = await this.chatService.getConversation(conversationId);
+    if (conversation?.type !== ConversationType.ANONYMOUS) {
+      throw new AppError(
+        404,
+        "Anonymous request not found",
+        "anonymous_request_not_found"
+      );
+    }
+    return conversation;
+  }
+
+  /**
+   * Open an anonymous request with a first message (student)
+   * @param {string} userId - Student user ID
+   * @param {string} content - First message
+   * @param {Object} [options] - Sender context, see ChatService.createMessage
+   * @returns {Promise<Object>} { request, message }
+   */
+  async createRequest(userId, content, options = {}) {
+    try {
+      const text = this.chatService.validateContent(content);
+
+      const aliasId = `anon_${crypto.randomBytes(12).toString("hex")}`;
+      const handle = generateHandle();
+      const conversationRef = db.collection("conversations").doc();
+      const timestamp = new Date().toISOString();
+      const conversation = {
+        type: ConversationType.ANONYMOUS,
+        participants: [aliasId],
+        anonymous: {
+          aliasId,
+          handle,
+          status: AnonymousRequestStatus.OPEN,
+          revealed: false,
+        },
+        lastMessage: null,
+        lastMessageAt: null,
+        unreadCounts: { [aliasId]: 0 },
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      };
+
+      // The base service is bypassed because it logs the full payload,
+      // which here links the alias to the student
+      const batch = db.batch();
+      batch.set(this.model.collection.doc(aliasId), {
+        userId,
+        handle,
+        conversationId: conversationRef.id,
+        createdAt: timestamp,
+      });
+      batch.set(conversationRef, conversation);
+      await withRetry(() => batch.commit());
+
+      // Deliver alias events to the student's already connected devices
+      joinRooms(getUserRoom(userId), getUserRoom(aliasId));
+
+      const created = { id: conversationRef.id, ...conversation };
+      const message = await this.chatService.saveMessage(
+        created,
+        aliasId,
+        null,
+        text,
+        options
+      );
+
+      const request = toRequest({
+        ...created,
+        lastMessage: toLastMessage(message),
+        lastMessageAt: message.timestamp,
+      });
+      emitToRoom(getRoleRoom(UserRole.COUNSELOR), "anonymous_request", request);
+
+      logger.info("Anonymous request opened", {
+        conversationId: conversationRef.id,
+      });
+      return { request, message };
+    } catch (error) {
+      logger.error("Failed to open anonymous request", {
+        error: error.message,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List the student's own anonymous requests, newest first
+   * @param {string} userId - Student user ID
+   * @returns {Promise<Array>} Requests with the student's unread count
+   */
+  async getMyRequests(userId) {
+    try {
+      const identities = await withRetry(() =>
+        this.model.collection
+          .where("userId", "==", userId)
+          .orderBy("createdAt", "desc")
+          .limit(MAX_REQUESTS)
+          .get()
+      );
+      if (identities.empty) {
+        return [];
+      }
+
+      const conversations = await withRetry(() =>
+        db.getAll(
+          ...identities.docs.map((doc) =>
+            db.collection("conversations").doc(doc.data().conversationId)
+          )
+        )
+      );
+
+      return conversations
+        .filter((doc) => doc.exists)
+        .map((doc) => {
+          const conversation = { id: doc.id, ...doc.data() };
+          return {
+            ...toRequest(conversation),
+            revealed: conversation.anonymous.revealed,
+            unreadCount:
+              conversation.unreadCounts?.[conversation.anonymous.aliasId] || 0,
+          };
+        });
+    } catch (error) {
+      logger.error("Failed to get anonymous requests", {
+        error: error.message,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List unclaimed anonymous requests, oldest first (counselors)
+   * @returns {Promise<Array>} Requests
+   */
+  async getOpenRequests() {
+    try {
+      const snapshot = await withRetry(() =>
+        db
+          .collection("conversations")
+          .where("anonymous.status", "==", AnonymousRequestStatus.OPEN)
+          .orderBy("createdAt", "asc")
+          .limit(MAX_REQUESTS)
+          .get()
+      );
+      return snapshot.docs.map((doc) =>
+        toRequest({ id: doc.id, ...doc.data() })
+      );
+    } catch (error) {
+      logger.error("Failed to get open anonymous requests", {
+        error: error.message,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Take an open request (counselor)
+   * The counselor becomes the alias's conversation partner, and messages
+   * sent before the claim are addressed to them
+   * @param {string} conversationId - Conversation ID
+   * @param {string} counselorId - Counselor user ID
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async claimRequest(conversationId, counselorId) {
+    try {
+      const conversationRef = db
+        .collection("conversations")
+        .doc(conversationId);
+      const pendingQuery = db
+        .collection("messages")
+        .where("conversationId", "==", conversationId)
+        .where("receiverId", "==", null);
+      let claimed;
+
+      await runTransaction(db, async (transaction) => {
+        const [doc, pending] = await Promise.all([
+          transaction.get(conversationRef),
+          transaction.get(pendingQuery),
+        ]);
+        const conversation = doc.data();
+        if (!doc.exists || conversation.type !== ConversationType.ANONYMOUS) {
+          throw new AppError(
+            404,
+            "Anonymous request not found",
+            "anonymous_request_not_found"
+          );
+        }
+        if (conversation.anonymous.status !== AnonymousRequestStatus.OPEN) {
+          throw new AppError(
+            409,
+            "This request has already been taken",
+            "anonymous_request_claimed"
+          );
+        }
+
+        const timestamp = new Date().toISOString();
+        const changes = {
+          participants: [conversation.anonymous.aliasId, counselorId],
+          "anonymous.status": AnonymousRequestStatus.CLAIMED,
+          "anonymous.claimedBy": counselorId,
+          "anonymous.claimedAt": timestamp,
+          [`unreadCounts.${counselorId}`]: pending.size,
+          updatedAt: timestamp,
+        };
+        transaction.update(conversationRef, changes);
+        pending.docs.forEach((message) => {
+          transaction.update(message.ref, {
+            receiverId: counselorId,
+            updatedAt: timestamp,
+          });
+        });
+
+        claimed = {
+          id: doc.id,
+          ...conversation,
+          participants: changes.participants,
+          anonymous: {
+            ...conversation.anonymous,
+            status: AnonymousRequestStatus.CLAIMED,
+            claimedBy: counselorId,
+            claimedAt: timestamp,
+          },
+          unreadCounts: {
+            ...conversation.unreadCounts,
+            [counselorId]: pending.size,
+          },
+          updatedAt: timestamp,
+        };
+      });
+
+      // One emit so the claiming counselor is not notified twice; other
+      // counselors drop the request from their queue
+      emitToRoom(
+        [
+          conversationId,
+          ...claimed.participants.map(getUserRoom),
+          getRoleRoom(UserRole.COUNSELOR),
+        ],
+        "anonymous_request_claimed",
+        { conversationId, counselorId }
+      );
+
+      logger.info("Anonymous request claimed", { conversationId, counselorId });
+      return claimed;
+    } catch (error) {
+      logger.error("Failed to claim anonymous request", {
+        error: error.message,
+        conversationId,
+        counselorId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Reveal the student's identity to their counselor (student)
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Student user ID
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async revealIdentity(conversationId, userId) {
+    try {
+      const conversation = await this.getAnonymousConversation(conversationId);
+      const participantId = await this.chatService.getParticipantId(
+        conversation,
+        userId
+      );
+      if (participantId !== conversation.anonymous.aliasId) {
+        throw new AppError(
+          403,
+          "Only the student can reveal their identity",
+          "anonymous_reveal_denied"
+        );
+      }
+      if (conversation.anonymous.revealed) {
+        return conversation;
+      }
+
+      const timestamp = new Date().toISOString();
+      await withRetry(() =>
+        db.collection("conversations").doc(conversationId).update({
+          "anonymous.revealed": true,
+          "anonymous.revealedUserId": userId,
+          "anonymous.revealedAt": timestamp,
+          updatedAt: timestamp,
+        })
+      );
+
+      this.chatService.publishToConversation(
+        conversation,
+        "anonymous_identity_revealed",
+        {
+          conversationId,
+          aliasId: conversation.anonymous.aliasId,
+          userId,
+        }
+      );
+
+      logger.info("Anonymous identity revealed by student", { conversationId });
+      return {
+        ...conversation,
+        anonymous: {
+          ...conversation.anonymous,
+          revealed: true,
+          revealedUserId: userId,
+          revealedAt: timestamp,
+        },
+        updatedAt: timestamp,
+      };
+    } catch (error) {
+      logger.error("Failed to reveal anonymous identity", {
+        error: error.message,
+        conversationId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Disclose the student behind an alias in an emergency
+   * Allowed for the counselor who claimed the request and for admins. The
+   * student is not notified, but every escalation is recorded and raised
+   * as a security event.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} requesterId - Escalating staff user ID
+   * @param {string} requesterRole - Escalating staff role
+   * @param {string} reason - Why the identity is needed
+   * @returns {Promise<Object>} { conversationId, aliasId, handle, userId }
+   */
+  async escalate(conversationId, requesterId, requesterRole, reason) {
+    try {
+      const conversation = await this.getAnonymousConversation(conversationId);
+      const { aliasId, handle, claimedBy } = conversation.anonymous;
+      const isAdmin = [UserRole.ADMIN, UserRole.SUPERADMIN].includes(
+        requesterRole
+      );
+      if (!isAdmin && claimedBy !== requesterId) {
+        throw new AppError(
+          403,
+          "Only the assigned counselor or an admin can escalate this request",
+          "anonymous_escalation_denied"
+        );
+      }
+
+      const identity = await withRetry(() =>
+        this.model.collection.doc(aliasId).get()
+      );
+      if (!identity.exists) {
+        throw new AppError(
+          404,
+          "Anonymous request not found",
+          "anonymous_request_not_found"
+        );
+      }
+
+      await withRetry(() =>
+        db.collection(ESCALATIONS_COLLECTION).add({
+          conversationId,
+          aliasId,
+          requestedBy: requesterId,
+          requesterRole,
+          reason,
+          createdAt: new Date().toISOString(),
+        })
+      );
+      await logSecurityEvent(
+        SecurityEventType.ANONYMOUS_IDENTITY_ESCALATION,
+        SecurityEventSeverity.HIGH,
+        {
+          userId: requesterId,
+          conversationId,
+          aliasId,
+          reason,
+        }
+      );
+
+      return {
+        conversationId,
+        aliasId,
+        handle,
+        userId: identity.data().userId,
+      };
+    } catch (error) {
+      logger.error("Failed to escalate anonymous request", {
+        error: error.message,
+        conversationId,
+        requesterId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+}
@@ -0,0 +1,1166 @@
+/**
+ * Appointment service
+ * Handles booking of counseling sessions against counselor availability
+ */
+import { db } from "../config/firebase.config.js";
+import config from "../config/config.js";
+import { UserRole } from "./auth.service.js";
+import { AvailabilityService } from "./availability.service.js";
+import { BaseService } from "./base.service.js";
+import { CounselorService } from "./counselor.service.js";
+import {
+  NotificationService,
+  NotificationType,
+} from "./notification.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry, runTransaction } from "../utils/firebase-utils.js";
+import {
+  addDays,
+  buildSlotsForDate,
+  getEffectiveWindows,
+  getSlotId,
+  isValidDateString,
+  toLocalDateString,
+} from "../utils/availability.js";
+import { DomainEvent, publish } from "../utils/domain-events.js";
+import logger from "../utils/logger.js";
+
+export const AppointmentStatus = {
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  DECLINED: "declined",
+  CANCELLED: "cancelled",
+  COMPLETED: "completed",
+  NO_SHOW: "no_show",
+};
+
+// How the student turned up for a session. Attended and no-show are marked
+// by the counselor; late cancellations are recorded automatically.
+export const AttendanceStatus = {
+  ATTENDED: "attended",
+  NO_SHOW: "no_show",
+  LATE_CANCEL: "late_cancel",
+};
+
+// Appointments in these states hold their slot
+export const ACTIVE_APPOINTMENT_STATUSES = [
+  AppointmentStatus.PENDING,
+  AppointmentStatus.CONFIRMED,
+];
+
+export const SLOTS_COLLECTION = "appointment_slots";
+const RESTRICTIONS_COLLECTION = "booking_restrictions";
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MAX_SLOT_RANGE_DAYS = 31;
+
+/**
+ * Check whether a slot lock is a waitlist hold that has run out
+ * Expired holds no longer block the slot, even before the waitlist sweep
+ * removes them
+ * @param {Object} slot - Slot lock data
+ * @returns {boolean} Whether the lock can be ignored
+ */
+export const isExpiredHold = (slot) =>
+  Boolean(slot.holdExpiresAt) &&
+  !slot.appointmentId &&
+  Date.parse(slot.holdExpiresAt) <= Date.now();
+
+/**
+ * Check whether a session is too close to be cancelled or moved without
+ * counting as a late cancellation
+ * @param {Object} appointment - Appointment with `startTime`
+ * @returns {boolean} Whether the change is late
+ */
+const isLateChange = (appointment) =>
+  Date.parse(appointment.startTime) - Date.now() <
+  config.counseling.lateCancelHours * MS_PER_HOUR;
+
+export class AppointmentService extends BaseService {
+  constructor() {
+    super("appointments");
+    this.counselorService = new CounselorService();
+    this.availabilityService = new AvailabilityService();
+    this.notificationService = new NotificationService();
+  }
+
+  /**
+   * Get a counselor profile or throw a 404
+   * @param {string} counselorId - Counselor user ID
+   * @returns {Promise<Object>} Counselor profile
+   */
+  async getCounselorOrThrow(counselorId) {
+    const counselor = await this.counselorService.getById(counselorId);
+    if (!counselor) {
+      throw new AppError(404, "Counselor not found", "counselor_not_found");
+    }
+    return counselor;
+  }
+
+  /**
+   * Get the candidate slots a counselor offers on a local date,
+   * before removing slots that are already taken
+   * @param {Object} counselor - Counselor profile
+   * @param {string} date - Local date (YYYY-MM-DD)
+   * @param {Object} [context] - Prefetched exceptions and holidays
+   * @returns {Promise<Array>} Candidate slots
+   */
+  async getCandidateSlots(counselor, date, context) {
+    const overrides =
+      context ||
+      (await this.availabilityService.getAvailabilityContext(
+        counselor.id,
+        date,
+        date
+      ));
+
+    return buildSlotsForDate(
+      date,
+      getEffectiveWindows(counselor.availability, date, overrides)
+    );
+  }
+
+  /**
+   * Get IDs of slots that are already locked for a counselor in a range
+   * @param {string} counselorId - Counselor user ID
+   * @param {string} rangeStart - Range start ISO string (inclusive)
+   * @param {string} rangeEnd - Range end ISO string (exclusive)
+   * @returns {Promise<Set<string>>} Locked slot IDs
+   */
+  async getTakenSlotIds(counselorId, rangeStart, rangeEnd) {
+    const snapshot = await withRetry(() =>
+      db
+        .collection(SLOTS_COLLECTION)
+        .where("counselorId", "==", counselorId)
+        .where("startTime", ">=", rangeStart)
+        .where("startTime", "<", rangeEnd)
+        .get()
+    );
+
+    return new Set(
+      snapshot.docs
+        .filter((doc) => !isExpiredHold(doc.data()))
+        .map((doc) => doc.id)
+    );
+  }
+
+  /**
+   * List the open slots of a counselor
+   * @param {string} counselorId - Counselor user ID
+   * @param {Object} options - Range options
+   * @param {string} [options.from] - First local date (defaults to today)
+   * @param {number} [options.days=7] - Number of days to include
+   * @returns {Promise<Array>} Open slots ordered by start time
+   */
+  async getAvailableSlots(counselorId, { from, days = 7 } = {}) {
+    try {
+      const counselor = await this.getCounselorOrThrow(counselorId);
+
+      const today = toLocalDateString(Date.now());
+      const startDate = from || today;
+      if (!isValidDateString(startDate)) {
+        throw new AppError(
+          400,
+          "from must be a date in YYYY-MM-DD format",
+          "invalid_date"
+        );
+      }
+
+      const span = Math.min(
+        Math.max(parseInt(days, 10) || 7, 1),
+        MAX_SLOT_RANGE_DAYS
+      );
+      const lastBookableDate = addDays(
+        today,
+        config.counseling.bookingWindowDays
+      );
+      const earliestStart =
+        Date.now() + config.counseling.minBookingNoticeMinutes * 60 * 1000;
+
+      const context = await this.availabilityService.getAvailabilityContext(
+        counselorId,
+        startDate,
+        addDays(startDate, span - 1)
+      );
+
+      const candidates = [];
+      for (let offset = 0; offset < span; offset++) {
+        const date = addDays(startDate, offset);
+        if (date < today || date > lastBookableDate) {
+          continue;
+        }
+        candidates.push(
+          ...(await this.getCandidateSlots(counselor, date, context))
+        );
+      }
+
+      const upcoming = candidates.filter(
+        (slot) => Date.parse(slot.startTime) >= earliestStart
+      );
+      if (upcoming.length === 0) {
+        return [];
+      }
+
+      const taken = await this.getTakenSlotIds(
+        counselorId,
+        upcoming[0].startTime,
+        upcoming[upcoming.length - 1].endTime
+      );
+
+      return upcoming.filter(
+        (slot) => !taken.has(getSlotId(counselorId, slot.startTime))
+      );
+    } catch (error) {
+      logger.error("Failed to get available slots", {
+        error: error.message,
+        counselorId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Resolve a requested start time to one of the counselor's bookable slots
+   * @param {Object} counselor - Counselor profile
+   * @param {string} startTime - Requested start ISO string
+   * @returns {Promise<Object>} Matching slot
+   */
+  async findBookableSlot(counselor, startTime) {
+    const start = Date.parse(startTime);
+    if (isNaN(start)) {
+      throw new AppError(400, "Invalid start time", "invalid_start_time");
+    }
+
+    const earliestStart =
+      Date.now() + config.counseling.minBookingNoticeMinutes * 60 * 1000;
+    if (start < earliestStart) {
+      throw new AppError(
+        400,
+        "This slot is too soon to book",
+        "insufficient_notice"
+      );
+    }
+
+    const date = toLocalDateString(start);
+    const lastBookableDate = addDays(
+      toLocalDateString(Date.now()),
+      config.counseling.bookingWindowDays
+    );
+    if (date > lastBookableDate) {
+      throw new AppError(
+        400,
+        "This slot is outside the booking window",
+        "outside_booking_window"
+      );
+    }
+
+    const slots = await this.getCandidateSlots(counselor, date);
+    const slot = slots.find(
+      (candidate) => Date.parse(candidate.startTime) === start
+    );
+    if (!slot) {
+      throw new AppError(
+        400,
+        "The counselor is not available at this time",
+        "slot_not_available"
+      );
+    }
+
+    return slot;
+  }
+
+  /**
+   * Book a counseling session
+   * The slot lock and the appointment are written in one transaction so two
+   * students can never hold the same slot and a student can never go over
+   * the booking limit
+   * @param {string} studentId - Booking student's user ID
+   * @param {Object} data - Booking data
+   * @param {string} data.counselorId - Counselor user ID
+   * @param {string} data.startTime - Slot start ISO string
+   * @param {string} [data.notes] - Optional note for the counselor
+   * @returns {Promise<Object>} Created appointment
+   */
+  async bookAppointment(studentId, { counselorId, startTime, notes }) {
+    try {
+      if (studentId === counselorId) {
+        throw new AppError(
+          400,
+          "You cannot book a session with yourself",
+          "invalid_counselor"
+        );
+      }
+
+      await this.assertNotRestricted(studentId);
+
+      const counselor = await this.getCounselorOrThrow(counselorId);
+      const slot = await this.findBookableSlot(counselor, startTime);
+
+      const slotId = getSlotId(counselorId, slot.startTime);
+      const slotRef = db.collection(SLOTS_COLLECTION).doc(slotId);
+      const appointmentRef = this.model.collection.doc();
+      const timestamp = new Date().toISOString();
+
+      const appointment = {
+        studentId,
+        counselorId,
+        slotId,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        status: AppointmentStatus.PENDING,
+        notes: notes || null,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      };
+
+      await runTransaction(db, async (transaction) => {
+        const slotDoc = await transaction.get(slotRef);
+        if (slotDoc.exists && !isExpiredHold(slotDoc.data())) {
+          throw new AppError(
+            409,
+            "This slot has already been booked",
+            "slot_already_booked"
+          );
+        }
+        await this.assertBookingLimit(transaction, studentId);
+
+        transaction.set(slotRef, {
+          counselorId,
+          studentId,
+          appointmentId: appointmentRef.id,
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          createdAt: timestamp,
+        });
+        transaction.set(appointmentRef, appointment);
+      });
+
+      logger.info("Appointment booked", {
+        appointmentId: appointmentRef.id,
+        studentId,
+        counselorId,
+        startTime: slot.startTime,
+      });
+
+      return { id: appointmentRef.id, ...appointment };
+    } catch (error) {
+      logger.error("Failed to book appointment", {
+        error: error.message,
+        studentId,
+        counselorId,
+        startTime,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get an appointment the user participates in
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} userId - Requesting user ID
+   * @param {string} role - Requesting user role
+   * @returns {Promise<Object>} Appointment
+   */
+  async getAppointment(appointmentId, userId, role) {
+    const appointment = await this.model.findById(appointmentId);
+    if (!appointment) {
+      throw new AppError(404, "Appointment not found", "appointment_not_found");
+    }
+
+    const isParticipant =
+      appointment.studentId === userId || appointment.counselorId === userId;
+    const isAdmin = role === UserRole.ADMIN || role === UserRole.SUPERADMIN;
+    if (!isParticipant && !isAdmin) {
+      throw new AppError(
+        403,
+        "You don't have access to this appointment",
+        "appointment_access_denied"
+      );
+    }
+
+    return appointment;
+  }
+
+  /**
+   * List appointments for a student or counselor
+   * @param {string} userId - User ID
+   * @param {string} role - User role
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.status] - Only include this status
+   * @param {boolean} [filters.upcoming] - Only include future sessions
+   * @returns {Promise<Array>} Appointments, most recent first
+   */
+  async getAppointmentsForUser(userId, role, { status, upcoming } = {}) {
+    try {
+      const field = role === UserRole.COUNSELOR ? "counselorId" : "studentId";
+      let appointments = await this.findWhere(field, "==", userId, {
+        orderBy: "startTime",
+        direction: "desc",
+        limit: 100,
+      });
+
+      if (status) {
+        appointments = appointments.filter((appt) => appt.status === status);
+      }
+
+      if (upcoming) {
+        const now = new Date().toISOString();
+        appointments = appointments.filter((appt) => appt.startTime >= now);
+      }
+
+      return appointments;
+    } catch (error) {
+      logger.error("Failed to get appointments", {
+        error: error.message,
+        userId,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Apply a status transition to an appointment inside a transaction
+   * @param {string} appointmentId - Appointment ID
+   * @param {Function} transition - Receives the appointment and returns
+   *   `{ updates, releaseSlot }`; throw an AppError to reject the transition
+   * @returns {Promise<Object>} Updated appointment
+   */
+  async transitionAppointment(appointmentId, transition) {
+    const appointmentRef = this.model.collection.doc(appointmentId);
+    let releasedSlot = null;
+
+    await runTransaction(db, async (transaction) => {
+      const appointmentDoc = await transaction.get(appointmentRef);
+      if (!appointmentDoc.exists) {
+        throw new AppError(
+          404,
+          "Appointment not found",
+          "appointment_not_found"
+        );
+      }
+
+      const appointment = { id: appointmentDoc.id, ...appointmentDoc.data() };
+      const slotRef = db.collection(SLOTS_COLLECTION).doc(appointment.slotId);
+      const slotDoc = await transaction.get(slotRef);
+
+      const { updates, releaseSlot = false } = transition(appointment);
+
+      transaction.update(appointmentRef, {
+        ...updates,
+        updatedAt: new Date().toISOString(),
+      });
+
+      if (
+        releaseSlot &&
+        slotDoc.exists &&
+        slotDoc.data().appointmentId === appointmentId
+      ) {
+        transaction.delete(slotRef);
+        releasedSlot = slotDoc.data();
+      }
+    });
+
+    if (releasedSlot) {
+      publish(DomainEvent.SLOT_RELEASED, {
+        counselorId: releasedSlot.counselorId,
+        startTime: releasedSlot.startTime,
+        endTime: releasedSlot.endTime,
+      });
+    }
+    return this.model.findById(appointmentId);
+  }
+
+  /**
+   * Cancel an appointment (student or counselor)
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} userId - Cancelling user ID
+   * @param {string} [reason] - Cancellation reason
+   * @returns {Promise<Object>} Updated appointment
+   */
+  async cancelAppointment(appointmentId, userId, reason) {
+    try {
+      const appointment = await this.transitionAppointment(
+        appointmentId,
+        (appt) => {
+          if (appt.studentId !== userId && appt.counselorId !== userId) {
+            throw new AppError(
+              403,
+              "You don't have access to this appointment",
+              "appointment_access_denied"
+            );
+          }
+          assertActive(appt);
+
+          const isLate = appt.studentId === userId && isLateChange(appt);
+
+          return {
+            updates: {
+              status: AppointmentStatus.CANCELLED,
+              cancelledBy: userId,
+              cancellationReason: reason || null,
+              cancelledAt: new Date().toISOString(),
+              ...(isLate && { attendance: AttendanceStatus.LATE_CANCEL }),
+            },
+            releaseSlot: true,
+          };
+        }
+      );
+
+      logger.info("Appointment cancelled", { appointmentId, userId });
+      return appointment;
+    } catch (error) {
+      logger.error("Failed to cancel appointment", {
+        error: error.message,
+        appointmentId,
+        userId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Confirm a pending appointment (counselor only)
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} counselorId - Counselor user ID
+   * @returns {Promise<Object>} Updated appointment
+   */
+  async confirmAppointment(appointmentId, counselorId) {
+    try {
+      const appointment = await this.transitionAppointment(
+        appointmentId,
+        (appt) => {
+          assertCounselor(appt, counselorId);
+          assertPending(appt);
+
+          return {
+            updates: {
+              status: AppointmentStatus.CONFIRMED,
+              confirmedAt: new Date().toISOString(),
+            },
+          };
+        }
+      );
+
+      logger.info("Appointment confirmed", { appointmentId, counselorId });
+      return appointment;
+    } catch (error) {
+      logger.error("Failed to confirm appointment", {
+        error: error.message,
+        appointmentId,
+        counselorId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Decline a pending appointment and release its slot (counselor only)
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} counselorId - Counselor user ID
+   * @param {string} [reason] - Reason shown to the student
+   * @returns {Promise<Object>} Updated appointment
+   */
+  async declineAppointment(appointmentId, counselorId, reason) {
+    try {
+      const appointment = await this.transitionAppointment(
+        appointmentId,
+        (appt) => {
+          assertCounselor(appt, counselorId);
+          assertPending(appt);
+
+          return {
+            updates: {
+              status: AppointmentStatus.DECLINED,
+              declineReason: reason || null,
+              declinedAt: new Date().toISOString(),
+            },
+            releaseSlot: true,
+          };
+        }
+      );
+
+      logger.info("Appointment declined", { appointmentId, counselorId });
+      return appointment;
+    } catch (error) {
+      logger.error("Failed to decline appointment", {
+        error: error.message,
+        appointmentId,
+        counselorId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Mark a confirmed appointment as held once it has ended (counselor only)
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} counselorId - Counselor user ID
+   * @returns {Promise<Object>} Updated appointment
+   */
+  async completeAppointment(appointmentId, counselorId) {
+    try {
+      const appointment = await this.transitionAppointment(
+        appointmentId,
+        (appt) => {
+          assertCounselor(appt, counselorId);
+          if (appt.status !== AppointmentStatus.CONFIRMED) {
+            throw new AppError(
+              400,
+              `Appointment is ${appt.status}, only confirmed sessions can be completed`,
+              "invalid_appointment_status"
+            );
+          }
+          if (new Date(appt.endTime) > new Date()) {
+            throw new AppError(
+              400,
+              "Appointment has not ended yet",
+              "appointment_not_ended"
+            );
+          }
+
+          return {
+            updates: {
+              status: AppointmentStatus.COMPLETED,
+              attendance: AttendanceStatus.ATTENDED,
+              completedAt: new Date().toISOString(),
+            },
+          };
+        }
+      );
+
+      logger.info("Appointment completed", { appointmentId, counselorId });
+      publish(DomainEvent.SESSION_ATTENDED, {
+        userId: appointment.studentId,
+        key: appointmentId,
+      });
+      return appointment;
+    } catch (error) {
+      logger.error("Failed to complete appointment", {
+        error: error.message,
+        appointmentId,
+        counselorId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Record whether the student attended a session (counselor only)
+   * Marking can be corrected later. A no-show applies the booking policy,
+   * and correcting one to attended reviews any restriction it caused.
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} counselorId - Counselor user ID
+   * @param {string} attendance - attended or no_show
+   * @returns {Promise<Object>} Updated appointment
+   */
+  async markAttendance(appointmentId, counselorId, attendance) {
+    try {
+      if (
+        ![AttendanceStatus.ATTENDED, AttendanceStatus.NO_SHOW].includes(
+          attendance
+        )
+      ) {
+        throw new AppError(
+          400,
+          "attendance must be attended or no_show",
+          "invalid_attendance"
+        );
+      }
+
+      let previousAttendance = null;
+      const appointment = await this.transitionAppointment(
+        appointmentId,
+        (appt) => {
+          assertCounselor(appt, counselorId);
+          assertAttendanceMarkable(appt);
+          if (appt.attendance === attendance) {
+            throw new AppError(
+              409,
+              `Attendance is already marked as ${attendance}`,
+              "attendance_already_marked"
+            );
+          }
+          previousAttendance = appt.attendance || null;
+
+          const now = new Date();
+          if (attendance === AttendanceStatus.ATTENDED) {
+            if (new Date(appt.endTime) > now) {
+              throw new AppError(
+                400,
+                "Appointment has not ended yet",
+                "appointment_not_ended"
+              );
+            }
+          } else if (new Date(appt.startTime) > now) {
+            throw new AppError(
+              400,
+              "Appointment has not started yet",
+              "appointment_not_started"
+            );
+          }
+
+          return {
+            updates: {
+              status:
+                attendance === AttendanceStatus.ATTENDED
+                  ? AppointmentStatus.COMPLETED
+                  : AppointmentStatus.NO_SHOW,
+              attendance,
+              attendanceMarkedAt: now.toISOString(),
+              ...(attendance === AttendanceStatus.ATTENDED && {
+                completedAt: appt.completedAt || now.toISOString(),
+              }),
+            },
+          };
+        }
+      );
+
+      logger.info("Appointment attendance marked", {
+        appointmentId,
+        counselorId,
+        attendance,
+      });
+
+      if (attendance === AttendanceStatus.NO_SHOW) {
+        await this.applyNoShowPolicy(appointment.studentId);
+      } else {
+        if (previousAttendance === AttendanceStatus.NO_SHOW) {
+          await this.reviewNoShowRestriction(
+            appointment.studentId,
+            counselorId
+          );
+        }
+        publish(DomainEvent.SESSION_ATTENDED, {
+          userId: appointment.studentId,
+          key: appointmentId,
+        });
+      }
+      return appointment;
+    } catch (error) {
+      logger.error("Failed to mark attendance", {
+        error: error.message,
+        appointmentId,
+        counselorId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get a student's no-shows within the policy window
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object>} Query snapshot of the no-show appointments
+   */
+  async getRecentNoShows(studentId) {
+    const since = new Date(
+      Date.now() - config.counseling.noShowWindowDays * 24 * MS_PER_HOUR
+    ).toISOString();
+
+    return withRetry(() =>
+      this.model.collection
+        .where("studentId", "==", studentId)
+        .where("attendance", "==", AttendanceStatus.NO_SHOW)
+        .where("startTime", ">=", since)
+        .get()
+    );
+  }
+
+  /**
+   * Pause a student's bookings once they reach the no-show limit
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object|null>} New restriction, or null if none applies
+   */
+  async applyNoShowPolicy(studentId) {
+    const { noShowLimit, noShowWindowDays, bookingCooldownDays } =
+      config.counseling;
+
+    const snapshot = await this.getRecentNoShows(studentId);
+    if (
+      snapshot.size < noShowLimit ||
+      (await this.getBookingRestriction(studentId))
+    ) {
+      return null;
+    }
+
+    const timestamp = new Date().toISOString();
+    const restriction = {
+      studentId,
+      reason: "no_show",
+      noShowCount: snapshot.size,
+      appointmentIds: snapshot.docs.map((doc) => doc.id),
+      until: new Date(
+        Date.now() + bookingCooldownDays * 24 * MS_PER_HOUR
+      ).toISOString(),
+      liftedAt: null,
+      liftedBy: null,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    };
+    await withRetry(() =>
+      db.collection(RESTRICTIONS_COLLECTION).doc(studentId).set(restriction)
+    );
+
+    await this.notificationService.notify(studentId, {
+      type: NotificationType.BOOKING_RESTRICTED,
+      title: "Session booking paused",
+      body: `You missed ${
+        snapshot.size
+      } sessions in the last ${noShowWindowDays} days, so new bookings are paused until ${toLocalDateString(
+        restriction.until
+      )}. Please cancel ahead of time if you cannot attend.`,
+      data: { until: restriction.until },
+    });
+
+    logger.info("Booking restriction applied", {
+      studentId,
+      noShowCount: snapshot.size,
+      until: restriction.until,
+    });
+    return restriction;
+  }
+
+  /**
+   * Lift a no-show restriction once corrected markings bring the student
+   * back under the no-show limit
+   * @param {string} studentId - Student user ID
+   * @param {string} counselorId - Counselor who corrected the marking
+   * @returns {Promise<Object|null>} Lifted restriction, or null if none was
+   */
+  async reviewNoShowRestriction(studentId, counselorId) {
+    const restriction = await this.getBookingRestriction(studentId);
+    if (!restriction || restriction.reason !== "no_show") {
+      return null;
+    }
+
+    const snapshot = await this.getRecentNoShows(studentId);
+    if (snapshot.size >= config.counseling.noShowLimit) {
+      return null;
+    }
+
+    const timestamp = new Date().toISOString();
+    const updates = {
+      noShowCount: snapshot.size,
+      appointmentIds: snapshot.docs.map((doc) => doc.id),
+      liftedAt: timestamp,
+      liftedBy: counselorId,
+      liftReason: "attendance_corrected",
+      updatedAt: timestamp,
+    };
+    await withRetry(() =>
+      db.collection(RESTRICTIONS_COLLECTION).doc(studentId).update(updates)
+    );
+
+    logger.info("Booking restriction lifted after attendance correction", {
+      studentId,
+      counselorId,
+      noShowCount: snapshot.size,
+    });
+    return { ...restriction, ...updates };
+  }
+
+  /**
+   * Get a student's booking restriction if it is still in force
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object|null>} Restriction or null
+   */
+  async getBookingRestriction(studentId) {
+    const doc = await withRetry(() =>
+      db.collection(RESTRICTIONS_COLLECTION).doc(studentId).get()
+    );
+    const restriction = doc.data();
+    if (
+      !doc.exists ||
+      restriction.liftedAt ||
+      new Date(restriction.until) <= new Date()
+    ) {
+      return null;
+    }
+    return restriction;
+  }
+
+  /**
+   * Throw if a student's bookings are paused
+   * @param {string} studentId - Student user ID
+   */
+  async assertNotRestricted(studentId) {
+    const restriction = await this.getBookingRestriction(studentId);
+    if (restriction) {
+      throw new AppError(
+        403,
+        `Booking is paused after repeated missed sessions. You can book again from ${toLocalDateString(
+          restriction.until
+        )}.`,
+        "booking_restricted"
+      );
+    }
+  }
+
+  /**
+   * Throw if a student already has the most upcoming sessions allowed
+   * Must run inside the transaction that creates the appointment, before any
+   * write, so parallel bookings cannot both pass the check
+   * @param {Object} transaction - Firestore transaction
+   * @param {string} studentId - Student user ID
+   */
+  async assertBookingLimit(transaction, studentId) {
+    const snapshot = await transaction.get(
+      this.model.collection
+        .where("studentId", "==", studentId)
+        .where("status", "in", ACTIVE_APPOINTMENT_STATUSES)
+    );
+    const now = new Date().toISOString();
+    const upcoming = snapshot.docs.filter(
+      (doc) => doc.data().endTime > now
+    ).length;
+
+    const { maxActiveBookings } = config.counseling;
+    if (upcoming >= maxActiveBookings) {
+      throw new AppError(
+        409,
+        `You can have at most ${maxActiveBookings} upcoming sessions booked at a time`,
+        "booking_limit_reached"
+      );
+    }
+  }
+
+  /**
+   * End a student's booking restriction early (admin)
+   * The record is kept for auditing
+   * @param {string} studentId - Student user ID
+   * @param {string} adminId - Admin user ID
+   * @returns {Promise<Object>} Lifted restriction
+   */
+  async liftBookingRestriction(studentId, adminId) {
+    try {
+      const restriction = await this.getBookingRestriction(studentId);
+      if (!restriction) {
+        throw new AppError(
+          404,
+          "No active booking restriction for this student",
+          "booking_restriction_not_found"
+        );
+      }
+
+      const timestamp = new Date().toISOString();
+      const updates = {
+        liftedAt: timestamp,
+        liftedBy: adminId,
+        updatedAt: timestamp,
+      };
+      await withRetry(() =>
+        db.collection(RESTRICTIONS_COLLECTION).doc(studentId).update(updates)
+      );
+
+      logger.info("Booking restriction lifted", { studentId, adminId });
+      return { ...restriction, ...updates };
+    } catch (error) {
+      logger.error("Failed to lift booking restriction", {
+        error: error.message,
+        studentId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Move an appointment to another slot with the same counselor
+   * The appointment returns to pending so the counselor can re-confirm.
+   * Moving a session later than a cancellation would be allowed counts as
+   * a late cancellation: the original appointment is cancelled with
+   * `late_cancel` and the new slot is booked as a new appointment.
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} studentId - Student user ID
+   * @param {string} startTime - New slot start ISO string
+   * @returns {Promise<Object>} Updated appointment, or the new appointment
+   *   after a late reschedule
+   */
+  async rescheduleAppointment(appointmentId, studentId, startTime) {
+    try {
+      const existing = await this.model.findById(appointmentId);
+      if (!existing) {
+        throw new AppError(
+          404,
+          "Appointment not found",
+          "appointment_not_found"
+        );
+      }
+      await this.assertNotRestricted(studentId);
+
+      const counselor = await this.getCounselorOrThrow(existing.counselorId);
+      const slot = await this.findBookableSlot(counselor, startTime);
+      const newSlotId = getSlotId(existing.counselorId, slot.startTime);
+
+      const appointmentRef = this.model.collection.doc(appointmentId);
+      const newSlotRef = db.collection(SLOTS_COLLECTION).doc(newSlotId);
+      let resultRef = appointmentRef;
+      let releasedSlot = null;
+      let isLate = false;
+
+      await runTransaction(db, async (transaction) => {
+        const appointmentDoc = await transaction.get(appointmentRef);
+        if (!appointmentDoc.exists) {
+          throw new AppError(
+            404,
+            "Appointment not found",
+            "appointment_not_found"
+          );
+        }
+        const appointment = appointmentDoc.data();
+        const oldSlotRef = db
+          .collection(SLOTS_COLLECTION)
+          .doc(appointment.slotId);
+        const [newSlotDoc, oldSlotDoc] = await Promise.all([
+          transaction.get(newSlotRef),
+          transaction.get(oldSlotRef),
+        ]);
+
+        if (appointment.studentId !== studentId) {
+          throw new AppError(
+            403,
+            "Only the student who booked can reschedule",
+            "appointment_access_denied"
+          );
+        }
+        assertActive(appointment);
+
+        if (newSlotDoc.exists && !isExpiredHold(newSlotDoc.data())) {
+          throw new AppError(
+            409,
+            "This slot has already been booked",
+            "slot_already_booked"
+          );
+        }
+
+        const timestamp = new Date().toISOString();
+        isLate = isLateChange(appointment);
+        resultRef = isLate ? this.model.collection.doc() : appointmentRef;
+
+        transaction.set(newSlotRef, {
+          counselorId: appointment.counselorId,
+          studentId,
+          appointmentId: resultRef.id,
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          createdAt: timestamp,
+        });
+        if (
+          oldSlotDoc.exists &&
+          oldSlotDoc.data().appointmentId === appointmentId
+        ) {
+          transaction.delete(oldSlotRef);
+          releasedSlot = oldSlotDoc.data();
+        }
+
+        const moved = {
+          slotId: newSlotId,
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          status: AppointmentStatus.PENDING,
+          rescheduledFrom: appointment.startTime,
+          rescheduledAt: timestamp,
+          updatedAt: timestamp,
+        };
+        if (!isLate) {
+          transaction.update(appointmentRef, moved);
+          return;
+        }
+
+        transaction.update(appointmentRef, {
+          status: AppointmentStatus.CANCELLED,
+          cancelledBy: studentId,
+          cancellationReason: "rescheduled",
+          cancelledAt: timestamp,
+          attendance: AttendanceStatus.LATE_CANCEL,
+          rescheduledTo: resultRef.id,
+          updatedAt: timestamp,
+        });
+        transaction.set(resultRef, {
+          studentId,
+          counselorId: appointment.counselorId,
+          notes: appointment.notes || null,
+          ...moved,
+          rescheduledFromAppointmentId: appointmentId,
+          createdAt: timestamp,
+        });
+      });
+
+      logger.info("Appointment rescheduled", {
+        appointmentId,
+        studentId,
+        startTime: slot.startTime,
+        ...(isLate && { lateCancel: true, newAppointmentId: resultRef.id }),
+      });
+
+      if (releasedSlot) {
+        publish(DomainEvent.SLOT_RELEASED, {
+          counselorId: releasedSlot.counselorId,
+          startTime: releasedSlot.startTime,
+          endTime: releasedSlot.endTime,
+        });
+      }
+
+      return this.model.findById(resultRef.id);
+    } catch (error) {
+      logger.error("Failed to reschedule appointment", {
+        error: error.message,
+        appointmentId,
+        studentId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+}
+
+function assertActive(appointment) {
+  if (!ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status)) {
+    throw new AppError(
+      400,
+      `Appointment is already ${appointment.status}`,
+      "invalid_appointment_status"
+    );
+  }
+}
+
+function assertPending(appointment) {
+  if (appointment.status !== AppointmentStatus.PENDING) {
+    throw new AppError(
+      400,
+      `Appointment is already ${appointment.status}`,
+      "invalid_appointment_status"
+    );
+  }
+}
+
+// Attendance is marked on confirmed sessions and can be corrected afterwards
+function assertAttendanceMarkable(appointment) {
+  const markable = [
+    AppointmentStatus.CONFIRMED,
+    AppointmentStatus.COMPLETED,
+    AppointmentStatus.NO_SHOW,
+  ];
+  if (!markable.includes(appointment.status)) {
+    throw new AppError(
+      400,
+      `Appointment is ${appointment.status}, only confirmed sessions can be marked`,
+      "invalid_appointment_status"
+    );
+  }
+}
+
+function assertCounselor(appointment, counselorId) {
+  if (appointment.counselorId !== counselorId) {
+    throw new AppError(
+      403,
+      "Only the assigned counselor can manage this appointment",
+      "appointment_access_denied"
+    );
+  }
+}
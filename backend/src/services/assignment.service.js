@@ -0,0 +1,599 @@
+/**
+ * Assignment service
+ * Manages counselor-client relationships in the counselor_clients
+ * collection: requests, acceptance, transfers and closure, with a status
+ * history on every assignment and a caseload limit per counselor
+ */
+import { db } from "../config/firebase.config.js";
+import config from "../config/config.js";
+import { UserRole } from "./auth.service.js";
+import { BaseService } from "./base.service.js";
+import { CounselorService } from "./counselor.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry, runTransaction } from "../utils/firebase-utils.js";
+import { deleteCached } from "../utils/firebase-cache.js";
+import logger from "../utils/logger.js";
+
+export const AssignmentStatus = {
+  PENDING: "pending",
+  ACTIVE: "active",
+  DECLINED: "declined",
+  TRANSFERRED: "transferred",
+  CLOSED: "closed",
+};
+
+// A student has at most one assignment in these states at a time
+export const OPEN_ASSIGNMENT_STATUSES = [
+  AssignmentStatus.PENDING,
+  AssignmentStatus.ACTIVE,
+];
+
+// One document per student, written whenever they request a counselor so
+// concurrent requests conflict instead of both creating an assignment
+const REQUEST_LOCKS_COLLECTION = "counselor_client_locks";
+const MAX_ASSIGNMENTS = 100;
+
+/**
+ * Get a counselor's caseload limit
+ * @param {Object} counselor - Counselor profile
+ * @returns {number} Maximum number of active clients
+ */
+export const getMaxCaseload = (counselor) =>
+  Number.isInteger(counselor.maxCaseload)
+    ? counselor.maxCaseload
+    : config.counseling.defaultMaxCaseload;
+
+/**
+ * Build a status history entry
+ * @param {string} status - New status
+ * @param {string} changedBy - User who made the change
+ * @param {string} [note] - Reason or comment
+ * @returns {Object} History entry
+ */
+const historyEntry = (status, changedBy, note) => ({
+  status,
+  changedBy,
+  at: new Date().toISOString(),
+  ...(note ? { note } : {}),
+});
+
+const isAdminRole = (role) =>
+  role === UserRole.ADMIN || role === UserRole.SUPERADMIN;
+
+export class AssignmentService extends BaseService {
+  constructor() {
+    super("counselor_clients");
+    this.counselorService = new CounselorService();
+  }
+
+  /**
+   * Hide counselor-only fields from the client
+   * @param {Object} assignment - Assignment
+   * @param {string} userId - Requesting user ID
+   * @returns {Object} Assignment for API responses
+   */
+  toResponse(assignment, userId) {
+    if (assignment.clientId !== userId) {
+      return assignment;
+    }
+    const { handoffNote, ...visible } = assignment;
+    return visible;
+  }
+
+  /**
+   * Apply a status change inside a transaction
+   * The transition callback validates the current assignment and returns
+   * the changes to apply; caseload counters are checked and updated in the
+   * same transaction
+   * @param {string} assignmentId - Assignment ID
+   * @param {Function} transition - (assignment) => ({ status, changedBy,
+   *   note, updates, caseload, transfer })
+   * @returns {Promise<Object>} Updated assignment and any transfer target
+   */
+  async transitionAssignment(assignmentId, transition) {
+    const assignmentRef = this.model.collection.doc(assignmentId);
+    const transferRef = this.model.collection.doc();
+    let counselorIds = [];
+    let transferred = null;
+
+    await runTransaction(db, async (transaction) => {
+      const assignmentDoc = await transaction.get(assignmentRef);
+      if (!assignmentDoc.exists) {
+        throw new AppError(404, "Assignment not found", "assignment_not_found");
+      }
+
+      const assignment = { id: assignmentDoc.id, ...assignmentDoc.data() };
+      const {
+        status,
+        changedBy,
+        note,
+        updates = {},
+        caseload = {},
+        transfer = null,
+      } = transition(assignment);
+
+      // Firestore transactions need every read before the first write
+      counselorIds = Object.keys(caseload);
+      const counselorRefs = counselorIds.map((id) =>
+        db.collection("counselors").doc(id)
+      );
+      const counselorDocs = await Promise.all(
+        counselorRefs.map((ref) => transaction.get(ref))
+      );
+
+      const counts = counselorDocs.map((counselorDoc, index) => {
+        if (!counselorDoc.exists) {
+          throw new AppError(404, "Counselor not found", "counselor_not_found");
+        }
+
+        const counselor = counselorDoc.data();
+        const current = counselor.activeClientCount || 0;
+        const delta = caseload[counselorIds[index]];
+        if (delta > 0 && current + delta > getMaxCaseload(counselor)) {
+          throw new AppError(
+            409,
+            "Counselor has reached their caseload limit",
+            "caseload_full"
+          );
+        }
+        return Math.max(0, current + delta);
+      });
+
+      const timestamp = new Date().toISOString();
+      transaction.update(assignmentRef, {
+        ...updates,
+        status,
+        statusHistory: [
+          ...(assignment.statusHistory || []),
+          historyEntry(status, changedBy, note),
+        ],
+        ...(transfer
+          ? {
+              transferredTo: {
+                assignmentId: transferRef.id,
+                counselorId: transfer.counselorId,
+              },
+            }
+          : {}),
+        updatedAt: timestamp,
+      });
+
+      counselorRefs.forEach((ref, index) => {
+        transaction.update(ref, {
+          activeClientCount: counts[index],
+          updatedAt: timestamp,
+        });
+      });
+
+      if (transfer) {
+        transferred = {
+          counselorId: transfer.counselorId,
+          clientId: assignment.clientId,
+          status: AssignmentStatus.ACTIVE,
+          requestMessage: null,
+          handoffNote: transfer.handoffNote,
+          transferredFrom: {
+            assignmentId,
+            counselorId: assignment.counselorId,
+          },
+          statusHistory: [historyEntry(AssignmentStatus.ACTIVE, changedBy)],
+          createdAt: timestamp,
+          updatedAt: timestamp,
+        };
+        transaction.set(transferRef, transferred);
+      }
+    });
+
+    // Profiles are cached by the counselor service
+    counselorIds.forEach((id) =>
+      deleteCached(this.counselorService.cacheNamespace, `getById:${id}`)
+    );
+
+    return {
+      assignment: await this.model.findById(assignmentId),
+      transferredTo: transferred
+        ? { id: transferRef.id, ...transferred }
+        : null,
+    };
+  }
+
+  /**
+   * Ask a counselor to take the student on as a client
+   * @param {string} clientId - Requesting student ID
+   * @param {Object} data - Request data
+   * @param {string} data.counselorId - Requested counselor ID
+   * @param {string} [data.message] - Message to the counselor
+   * @returns {Promise<Object>} Pending assignment
+   */
+  async requestCounselor(clientId, { counselorId, message }) {
+    try {
+      if (clientId === counselorId) {
+        throw new AppError(
+          400,
+          "You cannot request yourself as a counselor",
+          "invalid_counselor"
+        );
+      }
+
+      const counselorRef = db.collection("counselors").doc(counselorId);
+      const lockRef = db.collection(REQUEST_LOCKS_COLLECTION).doc(clientId);
+      const assignmentRef = this.model.collection.doc();
+      const openQuery = this.model.collection
+        .where("clientId", "==", clientId)
+        .where("status", "in", OPEN_ASSIGNMENT_STATUSES)
+        .limit(1);
+
+      // Written directly rather than through the model, which logs the
+      // full payload including the student's message
+      const assignment = await runTransaction(db, async (transaction) => {
+        // The lock is read only so that a concurrent request by the same
+        // student makes this transaction retry and see its assignment
+        const [counselorDoc, openSnapshot] = await Promise.all([
+          transaction.get(counselorRef),
+          transaction.get(openQuery),
+          transaction.get(lockRef),
+        ]);
+        if (!counselorDoc.exists) {
+          throw new AppError(404, "Counselor not found", "counselor_not_found");
+        }
+        const counselor = counselorDoc.data();
+        if ((counselor.activeClientCount || 0) >= getMaxCaseload(counselor)) {
+          throw new AppError(
+            409,
+            "Counselor has reached their caseload limit",
+            "caseload_full"
+          );
+        }
+        if (!openSnapshot.empty) {
+          throw new AppError(
+            409,
+            "You already have an open counselor assignment",
+            "assignment_exists"
+          );
+        }
+
+        const timestamp = new Date().toISOString();
+        const created = {
+          counselorId,
+          clientId,
+          status: AssignmentStatus.PENDING,
+          requestMessage: message || null,
+          statusHistory: [historyEntry(AssignmentStatus.PENDING, clientId)],
+          createdAt: timestamp,
+          updatedAt: timestamp,
+        };
+        transaction.set(assignmentRef, created);
+        transaction.set(lockRef, {
+          assignmentId: assignmentRef.id,
+          updatedAt: timestamp,
+        });
+        return { id: assignmentRef.id, ...created };
+      });
+
+      logger.info("Counselor requested", {
+        assignmentId: assignment.id,
+        clientId,
+        counselorId,
+      });
+      return assignment;
+    } catch (error) {
+      logger.error("Failed to request counselor", {
+        error: error.message,
+        clientId,
+        counselorId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List the user's assignments, most recently updated first
+   * @param {string} userId - User ID
+   * @param {string} role - User role
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.status] - Only include this status
+   * @returns {Promise<Array>} Assignments
+   */
+  async getAssignments(userId, role, { status } = {}) {
+    try {
+      const field = role === UserRole.COUNSELOR ? "counselorId" : "clientId";
+      let query = this.model.collection.where(field, "==", userId);
+      if (status) {
+        if (!Object.values(AssignmentStatus).includes(status)) {
+          throw new AppError(
+            400,
+            "Invalid assignment status",
+            "invalid_status"
+          );
+        }
+        query = query.where("status", "==", status);
+      }
+
+      const snapshot = await withRetry(() =>
+        query.orderBy("updatedAt", "desc").limit(MAX_ASSIGNMENTS).get()
+      );
+      return snapshot.docs.map((doc) =>
+        this.toResponse({ id: doc.id, ...doc.data() }, userId)
+      );
+    } catch (error) {
+      logger.error("Failed to get assignments", {
+        error: error.message,
+        userId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get an assignment the user is part of
+   * @param {string} assignmentId - Assignment ID
+   * @param {string} userId - Requesting user ID
+   * @param {string} role - Requesting user role
+   * @returns {Promise<Object>} Assignment
+   */
+  async getAssignment(assignmentId, userId, role) {
+    const assignment = await this.model.findById(assignmentId);
+    if (!assignment) {
+      throw new AppError(404, "Assignment not found", "assignment_not_found");
+    }
+
+    const isParticipant =
+      assignment.clientId === userId || assignment.counselorId === userId;
+    if (!isParticipant && !isAdminRole(role)) {
+      throw new AppError(
+        403,
+        "You don't have access to this assignment",
+        "assignment_access_denied"
+      );
+    }
+
+    return this.toResponse(assignment, userId);
+  }
+
+  /**
+   * Accept a pending request (counselor)
+   * @param {string} assignmentId - Assignment ID
+   * @param {string} counselorId - Counselor user ID
+   * @returns {Promise<Object>} Active assignment
+   */
+  async acceptAssignment(assignmentId, counselorId) {
+    try {
+      const { assignment } = await this.transitionAssignment(
+        assignmentId,
+        (current) => {
+          assertCounselor(current, counselorId);
+          assertStatus(current, [AssignmentStatus.PENDING]);
+
+          return {
+            status: AssignmentStatus.ACTIVE,
+            changedBy: counselorId,
+            updates: { acceptedAt: new Date().toISOString() },
+            caseload: { [counselorId]: 1 },
+          };
+        }
+      );
+
+      logger.info("Assignment accepted", { assignmentId, counselorId });
+      return assignment;
+    } catch (error) {
+      logger.error("Failed to accept assignment", {
+        error: error.message,
+        assignmentId,
+        counselorId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Decline a pending request (counselor)
+   * @param {string} assignmentId - Assignment ID
+   * @param {string} counselorId - Counselor user ID
+   * @param {string} [reason] - Reason shown to the student
+   * @returns {Promise<Object>} Declined assignment
+   */
+  async declineAssignment(assignmentId, counselorId, reason) {
+    try {
+      const { assignment } = await this.transitionAssignment(
+        assignmentId,
+        (current) => {
+          assertCounselor(current, counselorId);
+          assertStatus(current, [AssignmentStatus.PENDING]);
+
+          return {
+            status: AssignmentStatus.DECLINED,
+            changedBy: counselorId,
+            note: reason,
+          };
+        }
+      );
+
+      logger.info("Assignment declined", { assignmentId, counselorId });
+      return assignment;
+    } catch (error) {
+      logger.error("Failed to decline assignment", {
+        error: error.message,
+        assignmentId,
+        counselorId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Hand an active client over to another counselor
+   * The current assignment is marked transferred and a new active
+   * assignment carrying the handoff note is created for the new counselor
+   * @param {string} assignmentId - Assignment ID
+   * @param {string} userId - Current counselor or admin ID
+   * @param {string} role - Requesting user role
+   * @param {Object} data - Transfer data
+   * @param {string} data.counselorId - Receiving counselor ID
+   * @param {string} data.handoffNote - Context for the receiving counselor
+   * @returns {Promise<Object>} Previous and new assignment
+   */
+  async transferAssignment(
+    assignmentId,
+    userId,
+    role,
+    { counselorId, handoffNote }
+  ) {
+    try {
+      const result = await this.transitionAssignment(
+        assignmentId,
+        (current) => {
+          if (!isAdminRole(role)) {
+            assertCounselor(current, userId);
+          }
+          assertStatus(current, [AssignmentStatus.ACTIVE]);
+          if (
+            counselorId === current.counselorId ||
+            counselorId === current.clientId
+          ) {
+            throw new AppError(
+              400,
+              "Choose a different counselor for the transfer",
+              "invalid_counselor"
+            );
+          }
+
+          return {
+            status: AssignmentStatus.TRANSFERRED,
+            changedBy: userId,
+            updates: { endedAt: new Date().toISOString() },
+            caseload: { [current.counselorId]: -1, [counselorId]: 1 },
+            transfer: { counselorId, handoffNote },
+          };
+        }
+      );
+
+      logger.info("Assignment transferred", {
+        assignmentId,
+        newAssignmentId: result.transferredTo.id,
+        counselorId,
+      });
+      return result;
+    } catch (error) {
+      logger.error("Failed to transfer assignment", {
+        error: error.message,
+        assignmentId,
+        counselorId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Close a pending or active assignment
+   * Either party or an admin can end the relationship
+   * @param {string} assignmentId - Assignment ID
+   * @param {string} userId - Requesting user ID
+   * @param {string} role - Requesting user role
+   * @param {string} [reason] - Reason for closing
+   * @returns {Promise<Object>} Closed assignment
+   */
+  async closeAssignment(assignmentId, userId, role, reason) {
+    try {
+      const { assignment } = await this.transitionAssignment(
+        assignmentId,
+        (current) => {
+          const isParticipant =
+            current.clientId === userId || current.counselorId === userId;
+          if (!isParticipant && !isAdminRole(role)) {
+            throw new AppError(
+              403,
+              "You don't have access to this assignment",
+              "assignment_access_denied"
+            );
+          }
+          assertStatus(current, OPEN_ASSIGNMENT_STATUSES);
+
+          return {
+            status: AssignmentStatus.CLOSED,
+            changedBy: userId,
+            note: reason,
+            updates: { endedAt: new Date().toISOString() },
+            caseload:
+              current.status === AssignmentStatus.ACTIVE
+                ? { [current.counselorId]: -1 }
+                : {},
+          };
+        }
+      );
+
+      logger.info("Assignment closed", { assignmentId, userId });
+      return this.toResponse(assignment, userId);
+    } catch (error) {
+      logger.error("Failed to close assignment", {
+        error: error.message,
+        assignmentId,
+        userId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Set a counselor's caseload limit (admin)
+   * @param {string} counselorId - Counselor user ID
+   * @param {number} maxCaseload - Maximum number of active clients
+   * @returns {Promise<Object>} Caseload summary
+   */
+  async setMaxCaseload(counselorId, maxCaseload) {
+    try {
+      if (!Number.isInteger(maxCaseload)) {
+        throw new AppError(
+          400,
+          "maxCaseload must be a whole number",
+          "validation_error"
+        );
+      }
+
+      const counselor = await this.counselorService.getById(counselorId);
+      if (!counselor) {
+        throw new AppError(404, "Counselor not found", "counselor_not_found");
+      }
+
+      await this.counselorService.update(counselorId, { maxCaseload });
+
+      return {
+        counselorId,
+        maxCaseload,
+        activeClientCount: counselor.activeClientCount || 0,
+      };
+    } catch (error) {
+      logger.error("Failed to set caseload limit", {
+        error: error.message,
+        counselorId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+}
+
+function assertStatus(assignment, statuses) {
+  if (!statuses.includes(assignment.status)) {
+    throw new AppError(
+      400,
+      `Assignment is already ${assignment.status}`,
+      "invalid_assignment_status"
+    );
+  }
+}
+
+function assertCounselor(assignment, counselorId) {
+  if (assignment.counselorId !== counselorId) {
+    throw new AppError(
+      403,
+      "Only the assigned counselor can manage this assignment",
+      "assignment_access_denied"
+    );
+  }
+}
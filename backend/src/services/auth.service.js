@@ -1389,7 +1389,8 @@ class AuthService {
       // Add to counselors collection
       transaction.set(this.db.collection("counselors").doc(userId), {
         ...docData,
-        specialization: "",
+        specialties: [],
+        languages: [],
         availability: [],
         isAvailable: false,
         rating: 0,
@@ -0,0 +1,360 @@
+/**
+ * Availability service
+ * Manages counselor availability exceptions and the institute holiday calendar
+ */
+import { db } from "../config/firebase.config.js";
+import { BaseService } from "./base.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry } from "../utils/firebase-utils.js";
+import {
+  AvailabilityExceptionType,
+  getEffectiveWindows,
+  isValidDateString,
+  normalizeWindows,
+  toLocalDateString,
+} from "../utils/availability.js";
+import { DomainEvent, publish } from "../utils/domain-events.js";
+import logger from "../utils/logger.js";
+
+const EXCEPTIONS_SUBCOLLECTION = "availability_exceptions";
+const MAX_EXCEPTION_SPAN_DAYS = 90;
+
+export class AvailabilityService extends BaseService {
+  constructor() {
+    super("holidays");
+  }
+
+  /**
+   * Get the exceptions subcollection of a counselor
+   * @param {string} counselorId - Counselor user ID
+   * @returns {Object} Firestore collection reference
+   */
+  getExceptionsRef(counselorId) {
+    return db
+      .collection("counselors")
+      .doc(counselorId)
+      .collection(EXCEPTIONS_SUBCOLLECTION);
+  }
+
+  /**
+   * List a counselor's exceptions overlapping a date range
+   * @param {string} counselorId - Counselor user ID
+   * @param {string} from - First local date (inclusive)
+   * @param {string} to - Last local date (inclusive)
+   * @returns {Promise<Array>} Exceptions ordered by start date
+   */
+  async getExceptions(counselorId, from, to) {
+    const snapshot = await withRetry(() =>
+      this.getExceptionsRef(counselorId)
+        .where("startDate", "<=", to)
+        .orderBy("startDate")
+        .get()
+    );
+
+    // Firestore allows a range filter on one field only, so the end of
+    // the overlap check happens in memory
+    return snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .filter((exception) => exception.endDate >= from);
+  }
+
+  /**
+   * List holidays within a date range
+   * @param {string} from - First local date (inclusive)
+   * @param {string} to - Last local date (inclusive)
+   * @returns {Promise<Array>} Holidays ordered by date
+   */
+  async getHolidays(from, to) {
+    const snapshot = await withRetry(() =>
+      this.model.collection
+        .where("date", ">=", from)
+        .where("date", "<=", to)
+        .orderBy("date")
+        .get()
+    );
+
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Fetch every override needed to resolve a counselor's windows in a range
+   * @param {string} counselorId - Counselor user ID
+   * @param {string} from - First local date (inclusive)
+   * @param {string} to - Last local date (inclusive)
+   * @returns {Promise<{exceptions: Array, holidays: Array}>} Context
+   */
+  async getAvailabilityContext(counselorId, from, to) {
+    const [exceptions, holidays] = await Promise.all([
+      this.getExceptions(counselorId, from, to),
+      this.getHolidays(from, to),
+    ]);
+
+    return { exceptions, holidays };
+  }
+
+  /**
+   * Check whether a counselor has any availability left on a local date
+   * @param {Object} counselor - Counselor profile
+   * @param {string} [date] - Local date (defaults to today)
+   * @param {Array} [holidays] - Prefetched holidays covering the date
+   * @returns {Promise<boolean>} Whether the counselor is working that day
+   */
+  async isWorkingOn(counselor, date = toLocalDateString(Date.now()), holidays) {
+    const context = {
+      exceptions: await this.getExceptions(counselor.id, date, date),
+      holidays: holidays || (await this.getHolidays(date, date)),
+    };
+
+    return (
+      getEffectiveWindows(counselor.availability, date, context).length > 0
+    );
+  }
+
+  /**
+   * List a counselor's exceptions, optionally limited to a range
+   * @param {string} counselorId - Counselor user ID
+   * @param {Object} options - Range options
+   * @param {string} [options.from] - First local date (defaults to today)
+   * @param {string} [options.to] - Last local date
+   * @returns {Promise<Array>} Exceptions
+   */
+  async listExceptions(counselorId, { from, to } = {}) {
+    try {
+      const startDate = from || toLocalDateString(Date.now());
+      if (
+        !isValidDateString(startDate) ||
+        (to !== undefined && !isValidDateString(to))
+      ) {
+        throw new AppError(
+          400,
+          "from and to must be dates in YYYY-MM-DD format",
+          "invalid_date"
+        );
+      }
+
+      return await this.getExceptions(
+        counselorId,
+        startDate,
+        to || "9999-12-31"
+      );
+    } catch (error) {
+      logger.error("Failed to list availability exceptions", {
+        error: error.message,
+        counselorId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Add an availability exception for a counselor
+   * @param {string} counselorId - Counselor user ID
+   * @param {Object} data - Exception data
+   * @returns {Promise<Object>} Created exception
+   */
+  async createException(
+    counselorId,
+    { startDate, endDate, type, windows, reason }
+  ) {
+    try {
+      if (!isValidDateString(startDate) || !isValidDateString(endDate)) {
+        throw new AppError(400, "Invalid exception dates", "invalid_date");
+      }
+      if (endDate < startDate) {
+        throw new AppError(
+          400,
+          "endDate must not be before startDate",
+          "invalid_date_range"
+        );
+      }
+
+      const spanDays =
+        (Date.parse(endDate) - Date.parse(startDate)) / (24 * 60 * 60 * 1000);
+      if (spanDays >= MAX_EXCEPTION_SPAN_DAYS) {
+        throw new AppError(
+          400,
+          `An exception may cover at most ${MAX_EXCEPTION_SPAN_DAYS} days`,
+          "exception_too_long"
+        );
+      }
+
+      const exception = {
+        counselorId,
+        startDate,
+        endDate,
+        type,
+        windows: [],
+        reason: reason || null,
+        createdAt: new Date().toISOString(),
+      };
+
+      if (type !== AvailabilityExceptionType.UNAVAILABLE) {
+        const validWindows = normalizeWindows(windows);
+        if (
+          !Array.isArray(windows) ||
+          validWindows.length === 0 ||
+          validWindows.length !== windows.length
+        ) {
+          throw new AppError(
+            400,
+            "windows must be a list of { start, end } times in HH:mm format",
+            "invalid_windows"
+          );
+        }
+        exception.windows = validWindows.map(({ start, end }) => ({
+          start,
+          end,
+        }));
+      }
+
+      const ref = await withRetry(() =>
+        this.getExceptionsRef(counselorId).add(exception)
+      );
+      logger.info("Availability exception created", {
+        counselorId,
+        exceptionId: ref.id,
+        type,
+      });
+      if (type !== AvailabilityExceptionType.UNAVAILABLE) {
+        publish(DomainEvent.AVAILABILITY_CHANGED, { counselorId });
+      }
+
+      return { id: ref.id, ...exception };
+    } catch (error) {
+      logger.error("Failed to create availability exception", {
+        error: error.message,
+        counselorId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Remove one of a counselor's availability exceptions
+   * @param {string} counselorId - Counselor user ID
+   * @param {string} exceptionId - Exception ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteException(counselorId, exceptionId) {
+    try {
+      const ref = this.getExceptionsRef(counselorId).doc(exceptionId);
+      const doc = await withRetry(() => ref.get());
+      if (!doc.exists) {
+        throw new AppError(
+          404,
+          "Availability exception not found",
+          "exception_not_found"
+        );
+      }
+
+      await withRetry(() => ref.delete());
+      logger.info("Availability exception deleted", {
+        counselorId,
+        exceptionId,
+      });
+      if (doc.data().type === AvailabilityExceptionType.UNAVAILABLE) {
+        publish(DomainEvent.AVAILABILITY_CHANGED, { counselorId });
+      }
+
+      return true;
+    } catch (error) {
+      logger.error("Failed to delete availability exception", {
+        error: error.message,
+        counselorId,
+        exceptionId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List upcoming holidays
+   * @param {Object} options - Range options
+   * @param {string} [options.from] - First local date (defaults to today)
+   * @param {string} [options.to] - Last local date
+   * @returns {Promise<Array>} Holidays
+   */
+  async listHolidays({ from, to } = {}) {
+    try {
+      const startDate = from || toLocalDateString(Date.now());
+      if (
+        !isValidDateString(startDate) ||
+        (to !== undefined && !isValidDateString(to))
+      ) {
+        throw new AppError(
+          400,
+          "from and to must be dates in YYYY-MM-DD format",
+          "invalid_date"
+        );
+      }
+
+      return await this.getHolidays(startDate, to || "9999-12-31");
+    } catch (error) {
+      logger.error("Failed to list holidays", { error: error.message });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Add or rename an institute holiday (keyed by date)
+   * @param {Object} data - Holiday data
+   * @param {string} adminId - Admin user ID
+   * @returns {Promise<Object>} Saved holiday
+   */
+  async setHoliday({ date, name }, adminId) {
+    try {
+      if (!isValidDateString(date)) {
+        throw new AppError(
+          400,
+          "date must be a date in YYYY-MM-DD format",
+          "invalid_date"
+        );
+      }
+
+      const holiday = {
+        date,
+        name,
+        createdBy: adminId,
+        updatedAt: new Date().toISOString(),
+      };
+      await withRetry(() =>
+        this.model.collection.doc(date).set(holiday, { merge: true })
+      );
+      logger.info("Holiday saved", { date, adminId });
+
+      return { id: date, ...holiday };
+    } catch (error) {
+      logger.error("Failed to save holiday", { error: error.message, date });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Remove an institute holiday
+   * @param {string} date - Holiday date
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteHoliday(date) {
+    try {
+      const ref = this.model.collection.doc(date);
+      const doc = await withRetry(() => ref.get());
+      if (!doc.exists) {
+        throw new AppError(404, "Holiday not found", "holiday_not_found");
+      }
+
+      await withRetry(() => ref.delete());
+      logger.info("Holiday deleted", { date });
+
+      return true;
+    } catch (error) {
+      logger.error("Failed to delete holiday", { error: error.message, date });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+}
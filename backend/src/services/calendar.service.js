@@ -0,0 +1,198 @@
+/**
+ * Calendar service
+ * Publishes per-user iCalendar feeds of counseling sessions and counselor
+ * schedules. Calendar apps cannot send auth headers, so feeds are protected
+ * by a secret token in the URL; only its hash is stored.
+ */
+import crypto from "crypto";
+import { db } from "../config/firebase.config.js";
+import config from "../config/config.js";
+import { AppointmentStatus } from "./appointment.service.js";
+import { BaseService } from "./base.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry } from "../utils/firebase-utils.js";
+import { buildCalendar } from "../utils/ical.js";
+import logger from "../utils/logger.js";
+
+// Feeds show recent history and everything upcoming
+const FEED_HISTORY_DAYS = 30;
+const MAX_FEED_APPOINTMENTS = 500;
+
+const EVENT_STATUS = {
+  [AppointmentStatus.PENDING]: "TENTATIVE",
+  [AppointmentStatus.CONFIRMED]: "CONFIRMED",
+  [AppointmentStatus.COMPLETED]: "CONFIRMED",
+  [AppointmentStatus.NO_SHOW]: "CONFIRMED",
+  [AppointmentStatus.DECLINED]: "CANCELLED",
+  [AppointmentStatus.CANCELLED]: "CANCELLED",
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+export class CalendarService extends BaseService {
+  constructor() {
+    super("calendar_feeds");
+  }
+
+  /**
+   * Create (or replace) the user's feed token
+   * Any previously issued feed URL stops working
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { url, createdAt }
+   */
+  async createFeedToken(userId) {
+    try {
+      const token = crypto.randomBytes(32).toString("hex");
+      const feed = await this.model.create(
+        { userId, tokenHash: hashToken(token) },
+        userId
+      );
+
+      logger.info("Calendar feed token created", { userId });
+      return {
+        url: `${config.baseUrl}/calendar/feeds/${userId}.ics?token=${token}`,
+        createdAt: feed.createdAt,
+      };
+    } catch (error) {
+      logger.error("Failed to create calendar feed token", {
+        error: error.message,
+        userId,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Revoke the user's feed token
+   * @param {string} userId - User ID
+   */
+  async revokeFeedToken(userId) {
+    try {
+      await this.model.delete(userId);
+      logger.info("Calendar feed token revoked", { userId });
+    } catch (error) {
+      logger.error("Failed to revoke calendar feed token", {
+        error: error.message,
+        userId,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Check a feed token
+   * Unknown users and wrong tokens get the same 404
+   * @param {string} userId - Feed owner
+   * @param {string} token - Token from the feed URL
+   */
+  async verifyFeedToken(userId, token) {
+    const feed = await this.model.findById(userId);
+    const expected = feed ? Buffer.from(feed.tokenHash, "hex") : null;
+    const actual = Buffer.from(hashToken(String(token || "")), "hex");
+
+    if (!expected || !crypto.timingSafeEqual(expected, actual)) {
+      throw new AppError(
+        404,
+        "Calendar feed not found",
+        "calendar_feed_not_found"
+      );
+    }
+  }
+
+  /**
+   * Get the user's recent and upcoming appointments, as student or counselor
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Appointments
+   */
+  async getFeedAppointments(userId) {
+    const since = new Date(
+      Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000
+    ).toISOString();
+
+    const snapshots = await Promise.all(
+      ["studentId", "counselorId"].map((field) =>
+        withRetry(() =>
+          db
+            .collection("appointments")
+            .where(field, "==", userId)
+            .where("startTime", ">=", since)
+            .orderBy("startTime", "asc")
+            .limit(MAX_FEED_APPOINTMENTS)
+            .get()
+        )
+      )
+    );
+
+    return snapshots.flatMap((snapshot) =>
+      snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }))
+    );
+  }
+
+  /**
+   * Get counselor schedule blocks from schedules/{uid}
+   * Entries without a valid start and end are skipped
+   * @param {string} userId - Counselor user ID
+   * @returns {Promise<Array>} Schedule entries
+   */
+  async getScheduleEntries(userId) {
+    const doc = await withRetry(() =>
+      db.collection("schedules").doc(userId).get()
+    );
+    const entries = doc.exists ? doc.data().availability : [];
+
+    return (Array.isArray(entries) ? entries : []).filter(
+      (entry) =>
+        entry &&
+        !Number.isNaN(Date.parse(entry.start)) &&
+        !Number.isNaN(Date.parse(entry.end))
+    );
+  }
+
+  /**
+   * Build the user's iCalendar feed
+   * Event titles are generic so no client details reach third-party
+   * calendar services
+   * @param {string} userId - Feed owner
+   * @param {string} token - Token from the feed URL
+   * @returns {Promise<string>} iCalendar text
+   */
+  async getFeed(userId, token) {
+    try {
+      await this.verifyFeedToken(userId, token);
+
+      const [appointments, scheduleEntries] = await Promise.all([
+        this.getFeedAppointments(userId),
+        this.getScheduleEntries(userId),
+      ]);
+
+      const events = [
+        ...appointments.map((appointment) => ({
+          uid: `appointment-${appointment.id}@mindquest`,
+          start: appointment.startTime,
+          end: appointment.endTime,
+          summary: "Counseling session",
+          description: `Status: ${appointment.status}`,
+          status: EVENT_STATUS[appointment.status],
+          updatedAt: appointment.updatedAt,
+        })),
+        ...scheduleEntries.map((entry) => ({
+          uid: `schedule-${userId}-${Date.parse(entry.start)}@mindquest`,
+          start: entry.start,
+          end: entry.end,
+          summary: entry.title || "Counseling schedule",
+          status: "CONFIRMED",
+        })),
+      ];
+
+      return buildCalendar({ name: "MindQuest Counseling", events });
+    } catch (error) {
+      logger.error("Failed to build calendar feed", {
+        error: error.message,
+        userId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * Chat attachment service
+ * Files shared in conversations (worksheets, images). Clients upload
+ * straight to Firebase Storage through a short-lived signed URL; the
+ * backend records the upload, checks the stored object against the allowed
+ * types and size limits when it is sent with a message, and hands out
+ * signed download URLs to conversation participants only.
+ */
+import { db, storage } from "../config/firebase.config.js";
+import { BaseService } from "./base.service.js";
+import { AppError } from "../utils/error.js";
+import { withRetry } from "../utils/firebase-utils.js";
+import logger from "../utils/logger.js";
+
+export const AttachmentStatus = {
+  PENDING: "pending",
+  ATTACHED: "attached",
+  // The message was deleted for everyone; the file is kept for
+  // investigations but can no longer be downloaded
+  RETRACTED: "retracted",
+};
+
+const MB = 1024 * 1024;
+
+// Allowed types and their size limits. Keep in sync with the chat
+// attachment rules in storage.rules.
+export const ATTACHMENT_LIMITS = {
+  "image/jpeg": 5 * MB,
+  "image/png": 5 * MB,
+  "image/gif": 5 * MB,
+  "image/webp": 5 * MB,
+  "application/pdf": 10 * MB,
+  "application/msword": 10 * MB,
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    10 * MB,
+  "text/plain": 1 * MB,
+};
+
+export const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+const UPLOAD_URL_TTL_MS = 15 * 60 * 1000;
+const DOWNLOAD_URL_TTL_MS = 15 * 60 * 1000;
+const MAX_FILE_NAME_LENGTH = 100;
+
+/**
+ * Make a file name safe to use in a Storage path and download header
+ * @param {string} fileName - Name chosen by the client
+ * @returns {string} Sanitized name
+ */
+const toSafeFileName = (fileName) => {
+  const baseName = String(fileName).split(/[\\/]/).pop().trim();
+  const safeName = baseName
+    .replace(/[^\w.\- ]/g, "_")
+    .slice(-MAX_FILE_NAME_LENGTH);
+  return safeName.replace(/^\.+/, "") || "file";
+};
+
+/**
+ * Shape an attachment as stored on its message
+ * @param {Object} attachment - Attachment record
+ * @returns {Object} Attachment metadata
+ */
+export const toMessageAttachment = ({
+  id,
+  fileName,
+  contentType,
+  size,
+  checksum,
+}) => ({ id, fileName, contentType, size, checksum });
+
+export class ChatAttachmentService extends BaseService {
+  constructor() {
+    super("chat_attachments");
+  }
+
+  /**
+   * Get the Storage object of an attachment
+   * @param {Object} attachment - Attachment record
+   * @returns {Object} Storage file
+   */
+  getFile(attachment) {
+    return storage.bucket().file(attachment.storagePath);
+  }
+
+  /**
+   * Record an upload and get a signed URL to send the file to
+   * @param {string} conversationId - Conversation ID
+   * @param {string} uploaderId - Uploader's participant ID
+   * @param {Object} file - File details
+   * @param {string} file.fileName - Original file name
+   * @param {string} file.contentType - MIME type
+   * @param {number} file.size - Size in bytes
+   * @returns {Promise<Object>} Attachment ID and upload instructions
+   */
+  async createUpload(
+    conversationId,
+    uploaderId,
+    { fileName, contentType, size }
+  ) {
+    const maxSize = ATTACHMENT_LIMITS[contentType];
+    if (!maxSize) {
+      throw new AppError(
+        400,
+        `Files of type ${contentType} cannot be shared`,
+        "attachment_type_not_allowed"
+      );
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+      throw new AppError(
+        400,
+        "size must be the file size in bytes",
+        "validation_error"
+      );
+    }
+    if (size > maxSize) {
+      throw new AppError(
+        400,
+        `Files of this type may be at most ${maxSize / MB} MB`,
+        "attachment_too_large"
+      );
+    }
+
+    const ref = this.model.collection.doc();
+    const safeName = toSafeFileName(fileName);
+    const timestamp = new Date();
+    const expiresAt = new Date(timestamp.getTime() + UPLOAD_URL_TTL_MS);
+    const attachment = {
+      conversationId,
+      uploaderId,
+      fileName: safeName,
+      contentType,
+      size,
+      checksum: null,
+      storagePath: `chat/${conversationId}/${ref.id}/${safeName}`,
+      status: AttachmentStatus.PENDING,
+      messageId: null,
+      createdAt: timestamp.toISOString(),
+      updatedAt: timestamp.toISOString(),
+    };
+
+    // The signed URL only accepts the declared content type
+    const [uploadUrl] = await this.getFile(attachment).getSignedUrl({
+      version: "v4",
+      action: "write",
+      expires: expiresAt,
+      contentType,
+    });
+    await withRetry(() => ref.set(attachment));
+
+    logger.info("Chat attachment upload started", {
+      attachmentId: ref.id,
+      conversationId,
+      contentType,
+      size,
+    });
+
+    return {
+      attachmentId: ref.id,
+      uploadUrl,
+      method: "PUT",
+      headers: { "Content-Type": contentType },
+      maxSize,
+      expiresAt: expiresAt.toISOString(),
+    };
+  }
+
+  /**
+   * Check uploads before they are sent with a message
+   * The stored object is compared with the allowed types and limits, since
+   * a signed URL cannot cap the upload size. Objects that fail the check
+   * are deleted.
+   * @param {string} conversationId - Conversation ID
+   * @param {string} senderId - Sender's participant ID
+   * @param {Array<string>} attachmentIds - Attachment IDs
+   * @returns {Promise<Array<Object>>} Verified attachments with their refs
+   *   and the update time they were read at
+   */
+  async verifyUploads(conversationId, senderId, attachmentIds) {
+    const ids = [...new Set(attachmentIds)];
+    if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+      throw new AppError(
+        400,
+        `A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments`,
+        "too_many_attachments"
+      );
+    }
+
+    const docs = await withRetry(() =>
+      db.getAll(...ids.map((id) => this.model.collection.doc(id)))
+    );
+
+    return Promise.all(
+      docs.map(async (doc) => {
+        const attachment = doc.exists ? { id: doc.id, ...doc.data() } : null;
+        if (
+          !attachment ||
+          attachment.conversationId !== conversationId ||
+          attachment.uploaderId !== senderId ||
+          attachment.status !== AttachmentStatus.PENDING
+        ) {
+          throw new AppError(
+            404,
+            "Attachment not found",
+            "attachment_not_found"
+          );
+        }
+
+        const file = this.getFile(attachment);
+        const [exists] = await file.exists();
+        if (!exists) {
+          throw new AppError(
+            400,
+            `${attachment.fileName} has not finished uploading`,
+            "attachment_not_uploaded"
+          );
+        }
+
+        const [metadata] = await file.getMetadata();
+        const size = Number(metadata.size);
+        const maxSize = ATTACHMENT_LIMITS[metadata.contentType];
+        if (
+          metadata.contentType !== attachment.contentType ||
+          !maxSize ||
+          size > maxSize
+        ) {
+          logger.warn("Chat attachment rejected", {
+            attachmentId: attachment.id,
+            conversationId,
+            contentType: metadata.contentType,
+            size,
+          });
+          await file.delete({ ignoreNotFound: true });
+          await withRetry(() => doc.ref.delete());
+          throw new AppError(
+            400,
+            `${attachment.fileName} does not match an allowed file type and size`,
+            "attachment_rejected"
+          );
+        }
+
+        return {
+          ref: doc.ref,
+          updateTime: doc.updateTime,
+          attachment: {
+            ...attachment,
+            size,
+            // Base64 MD5 computed by Storage
+            checksum: metadata.md5Hash || null,
+          },
+        };
+      })
+    );
+  }
+
+  /**
+   * Get a signed URL to download an attachment
+   * @param {string} conversationId - Conversation ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Promise<Object>} Attachment metadata and download URL
+   */
+  async getDownload(conversationId, attachmentId) {
+    const attachment = await this.model.findById(attachmentId);
+    if (
+      !attachment ||
+      attachment.conversationId !== conversationId ||
+      attachment.status !== AttachmentStatus.ATTACHED
+    ) {
+      throw new AppError(404, "Attachment not found", "attachment_not_found");
+    }
+
+    const expiresAt = new Date(Date.now() + DOWNLOAD_URL_TTL_MS);
+    const [url] = await this.getFile(attachment).getSignedUrl({
+      version: "v4",
+      action: "read",
+      expires: expiresAt,
+      responseDisposition: `attachment; filename="${attachment.fileName}"`,
+    });
+
+    return {
+      ...toMessageAttachment(attachment),
+      messageId: attachment.messageId,
+      url,
+      expiresAt: expiresAt.toISOString(),
+    };
+  }
+}
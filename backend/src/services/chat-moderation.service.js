@@ -0,0 +1,556 @@
+/**
+ * Chat moderation service
+ * Participants report messages in direct and group conversations. Each
+ * report keeps a copy of the message and the messages before it, so
+ * moderators see what was said even if it is later edited or deleted.
+ * Admins review reports grouped by message and can dismiss them or warn,
+ * mute or ban the sender. Self-harm reports raise a risk alert for
+ * counselors.
+ */
+import { db } from "../config/firebase.config.js";
+import { UserRole } from "./auth.service.js";
+import { BaseService } from "./base.service.js";
+import { ChatService, ConversationType } from "./chat.service.js";
+import {
+  ChatSanctionType,
+  isSanctionActive,
+  SANCTIONS_COLLECTION,
+} from "./chat-safety.service.js";
+import {
+  NotificationService,
+  NotificationType,
+} from "./notification.service.js";
+import {
+  RiskDetectionService,
+  RiskSeverity,
+} from "./risk-detection.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry, runTransaction } from "../utils/firebase-utils.js";
+import { emitToRole } from "../utils/socket-emitter.js";
+import logger from "../utils/logger.js";
+
+export const ChatReportReason = {
+  HARASSMENT: "harassment",
+  SPAM: "spam",
+  SELF_HARM: "self_harm",
+  INAPPROPRIATE: "inappropriate",
+  OTHER: "other",
+};
+
+export const ChatReportStatus = {
+  OPEN: "open",
+  ACTIONED: "actioned",
+  DISMISSED: "dismissed",
+};
+
+export const ChatModerationAction = {
+  DISMISS: "dismiss",
+  WARN: "warn",
+  MUTE: "mute",
+  BAN: "ban",
+};
+
+const SANCTION_FOR_ACTION = {
+  [ChatModerationAction.WARN]: ChatSanctionType.WARNING,
+  [ChatModerationAction.MUTE]: ChatSanctionType.MUTE,
+  [ChatModerationAction.BAN]: ChatSanctionType.BAN,
+};
+
+// Earlier messages copied into a report for context
+const CONTEXT_MESSAGES = 5;
+const MAX_DETAILS_LENGTH = 500;
+const MAX_QUEUE_REPORTS = 200;
+const MAX_SANCTIONS = 200;
+const MAX_MUTE_DAYS = 30;
+const MAX_BAN_DAYS = 365;
+const MODERATOR_ROLES = [UserRole.ADMIN, UserRole.SUPERADMIN];
+const STAFF_ROLES = [UserRole.COUNSELOR, UserRole.ADMIN, UserRole.SUPERADMIN];
+
+/**
+ * Copy the parts of a message a moderator needs
+ * @param {Object} message - Message
+ * @returns {Object} Message snapshot
+ */
+const toMessageSnapshot = (message) => ({
+  id: message.id,
+  senderId: message.senderId,
+  content: message.content,
+  attachments: message.attachments || [],
+  timestamp: message.timestamp,
+  editedAt: message.editedAt || null,
+  deletedAt: message.deletedAt || null,
+});
+
+export class ChatModerationService extends BaseService {
+  constructor() {
+    super("chat_reports");
+    this.chatService = new ChatService();
+    this.notificationService = new NotificationService();
+    this.riskDetectionService = new RiskDetectionService();
+  }
+
+  /**
+   * Report a message in a conversation the reporter takes part in
+   * Each user can report a message once
+   * @param {Object} reporter - Reporting user
+   * @param {string} messageId - Message ID
+   * @param {Object} data - Report data
+   * @param {string} data.reason - One of ChatReportReason
+   * @param {string} [data.details] - What is wrong with the message
+   * @returns {Promise<Object>} Created report
+   */
+  async reportMessage(reporter, messageId, { reason, details }) {
+    try {
+      if (!Object.values(ChatReportReason).includes(reason)) {
+        throw new AppError(
+          400,
+          `reason must be one of: ${Object.values(ChatReportReason).join(
+            ", "
+          )}`,
+          "invalid_report_reason"
+        );
+      }
+
+      const message = await this.chatService.model.findById(messageId);
+      if (!message) {
+        throw new AppError(404, "Message not found", "message_not_found");
+      }
+      const { conversation, participantId } =
+        await this.chatService.getParticipation(
+          message.conversationId,
+          reporter.id
+        );
+      if (conversation.type === ConversationType.ANONYMOUS) {
+        throw new AppError(
+          400,
+          "Anonymous conversations are handled by their counselor",
+          "anonymous_report_not_supported"
+        );
+      }
+      if (message.senderId === participantId) {
+        throw new AppError(
+          400,
+          "You cannot report your own message",
+          "cannot_report_own_message"
+        );
+      }
+
+      const contextSnapshot = await withRetry(() =>
+        this.chatService.model.collection
+          .where("conversationId", "==", message.conversationId)
+          .orderBy("timestamp", "desc")
+          .startAfter(message.timestamp)
+          .limit(CONTEXT_MESSAGES)
+          .get()
+      );
+
+      const reportRef = this.model.collection.doc(
+        `${messageId}_${reporter.id}`
+      );
+      const timestamp = new Date().toISOString();
+      const report = {
+        messageId,
+        conversationId: message.conversationId,
+        conversationType: conversation.type,
+        reportedUserId: message.senderId,
+        reporterId: reporter.id,
+        reason,
+        details: details?.trim().slice(0, MAX_DETAILS_LENGTH) || null,
+        message: toMessageSnapshot(message),
+        context: contextSnapshot.docs
+          .map((doc) => toMessageSnapshot({ id: doc.id, ...doc.data() }))
+          .reverse(),
+        status: ChatReportStatus.OPEN,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      };
+
+      await runTransaction(db, async (transaction) => {
+        const reportDoc = await transaction.get(reportRef);
+        if (reportDoc.exists) {
+          throw new AppError(
+            409,
+            "You have already reported this message",
+            "already_reported"
+          );
+        }
+        transaction.set(reportRef, report);
+      });
+
+      logger.info("Chat message reported", {
+        reportId: reportRef.id,
+        messageId,
+        reason,
+      });
+
+      if (reason === ChatReportReason.SELF_HARM) {
+        try {
+          await this.riskDetectionService.raiseAlert({
+            source: "chat_report",
+            userId: message.senderId,
+            severity: RiskSeverity.HIGH,
+            messageId,
+            conversationId: message.conversationId,
+            reportId: reportRef.id,
+          });
+        } catch (error) {
+          logger.error("Failed to raise chat report risk alert", {
+            error: error.message,
+            reportId: reportRef.id,
+          });
+        }
+      }
+
+      emitToRole(MODERATOR_ROLES, "chat_report", {
+        reportId: reportRef.id,
+        messageId,
+        conversationId: message.conversationId,
+        reason,
+      });
+
+      return {
+        id: reportRef.id,
+        messageId,
+        reason,
+        details: report.details,
+        status: report.status,
+        createdAt: timestamp,
+      };
+    } catch (error) {
+      logger.error("Failed to report chat message", {
+        error: error.message,
+        messageId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get the moderation queue: reports grouped by message, oldest first
+   * (admin)
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.status=open] - Report status
+   * @returns {Promise<Array>} [{ messageId, conversationId, reportedUserId,
+   *   message, context, reasons, reports, firstReportedAt }]
+   */
+  async getModerationQueue({ status = ChatReportStatus.OPEN } = {}) {
+    try {
+      if (!Object.values(ChatReportStatus).includes(status)) {
+        throw new AppError(400, "Invalid report status", "invalid_status");
+      }
+
+      const snapshot = await withRetry(() =>
+        this.model.collection
+          .where("status", "==", status)
+          .orderBy("createdAt", "asc")
+          .limit(MAX_QUEUE_REPORTS)
+          .get()
+      );
+
+      const entries = new Map();
+      snapshot.docs.forEach((doc) => {
+        const { messageId, message, context, ...report } = doc.data();
+        if (!entries.has(messageId)) {
+          entries.set(messageId, {
+            messageId,
+            conversationId: report.conversationId,
+            conversationType: report.conversationType,
+            reportedUserId: report.reportedUserId,
+            message,
+            context,
+            reasons: {},
+            reports: [],
+            firstReportedAt: report.createdAt,
+          });
+        }
+
+        const entry = entries.get(messageId);
+        entry.reasons[report.reason] = (entry.reasons[report.reason] || 0) + 1;
+        entry.reports.push({
+          id: doc.id,
+          reporterId: report.reporterId,
+          reason: report.reason,
+          details: report.details,
+          createdAt: report.createdAt,
+        });
+      });
+
+      return Array.from(entries.values());
+    } catch (error) {
+      logger.error("Failed to get chat moderation queue", {
+        error: error.message,
+        status,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Act on a report (admin)
+   * Every open report on the same message is resolved with it
+   * @param {string} reportId - Report ID
+   * @param {string} adminId - Moderating admin ID
+   * @param {Object} data - Decision
+   * @param {string} data.action - One of ChatModerationAction
+   * @param {string} [data.note] - Reason given to the sender
+   * @param {number} [data.days] - Mute or ban length
+   * @returns {Promise<Object>} { reportId, action, sanction, resolvedReports }
+   */
+  async resolveReport(reportId, adminId, { action, note, days }) {
+    try {
+      if (!Object.values(ChatModerationAction).includes(action)) {
+        throw new AppError(
+          400,
+          `action must be one of: ${Object.values(ChatModerationAction).join(
+            ", "
+          )}`,
+          "invalid_moderation_action"
+        );
+      }
+
+      const report = await this.model.findById(reportId);
+      if (!report) {
+        throw new AppError(404, "Report not found", "chat_report_not_found");
+      }
+      if (report.status !== ChatReportStatus.OPEN) {
+        throw new AppError(
+          409,
+          "This report has already been resolved",
+          "chat_report_resolved"
+        );
+      }
+
+      const sanction =
+        action === ChatModerationAction.DISMISS
+          ? null
+          : await this.issueSanction(adminId, report.reportedUserId, {
+              type: SANCTION_FOR_ACTION[action],
+              reason: note,
+              days,
+              reportId,
+            });
+
+      const openReports = await withRetry(() =>
+        this.model.collection
+          .where("messageId", "==", report.messageId)
+          .where("status", "==", ChatReportStatus.OPEN)
+          .get()
+      );
+      const timestamp = new Date().toISOString();
+      const batch = db.batch();
+      openReports.docs.forEach((doc) =>
+        batch.update(doc.ref, {
+          status:
+            action === ChatModerationAction.DISMISS
+              ? ChatReportStatus.DISMISSED
+              : ChatReportStatus.ACTIONED,
+          action,
+          note: note || null,
+          sanctionId: sanction?.id || null,
+          resolvedBy: adminId,
+          resolvedAt: timestamp,
+          updatedAt: timestamp,
+        })
+      );
+      await withRetry(() => batch.commit());
+
+      logger.info("Chat report resolved", {
+        reportId,
+        adminId,
+        action,
+        resolvedReports: openReports.size,
+      });
+      return {
+        reportId,
+        action,
+        sanction,
+        resolvedReports: openReports.size,
+      };
+    } catch (error) {
+      logger.error("Failed to resolve chat report", {
+        error: error.message,
+        reportId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Warn, mute or ban a user and tell them (admin)
+   * Mutes stop the user sending messages; bans also stop them starting
+   * conversations. Anonymous support requests are never blocked.
+   * @param {string} adminId - Moderating admin ID
+   * @param {string} userId - User to sanction
+   * @param {Object} data - Sanction data
+   * @param {string} data.type - One of ChatSanctionType
+   * @param {string} [data.reason] - Reason given to the user
+   * @param {number} [data.days] - Length of a mute (required) or ban
+   *   (permanent when omitted)
+   * @param {string} [data.reportId] - Report that led to the sanction
+   * @returns {Promise<Object>} Sanction
+   */
+  async issueSanction(adminId, userId, { type, reason, days, reportId }) {
+    const maxDays =
+      type === ChatSanctionType.MUTE ? MAX_MUTE_DAYS : MAX_BAN_DAYS;
+    const needsDays =
+      type === ChatSanctionType.MUTE ||
+      (type === ChatSanctionType.BAN && days !== undefined && days !== null);
+    if (needsDays && (!Number.isInteger(days) || days < 1 || days > maxDays)) {
+      throw new AppError(
+        400,
+        `days must be a whole number from 1 to ${maxDays}`,
+        "validation_error"
+      );
+    }
+
+    const userDoc = await withRetry(() =>
+      db.collection("users").doc(userId).get()
+    );
+    if (!userDoc.exists) {
+      throw new AppError(404, "User not found", "user_not_found");
+    }
+    if (STAFF_ROLES.includes(userDoc.data().role)) {
+      throw new AppError(
+        400,
+        "Counselors and admins cannot be sanctioned in chat",
+        "cannot_sanction_staff"
+      );
+    }
+
+    const now = Date.now();
+    const sanction = {
+      userId,
+      type,
+      reason: reason || null,
+      reportId: reportId || null,
+      issuedBy: adminId,
+      expiresAt:
+        type !== ChatSanctionType.WARNING && days
+          ? new Date(now + days * 24 * 60 * 60 * 1000).toISOString()
+          : null,
+      revokedAt: null,
+      revokedBy: null,
+      createdAt: new Date(now).toISOString(),
+    };
+    const ref = await withRetry(() =>
+      db.collection(SANCTIONS_COLLECTION).add(sanction)
+    );
+    logger.info("Chat sanction issued", {
+      sanctionId: ref.id,
+      userId,
+      type,
+      expiresAt: sanction.expiresAt,
+    });
+
+    const titles = {
+      [ChatSanctionType.WARNING]: "Chat warning",
+      [ChatSanctionType.MUTE]: "You have been muted in chat",
+      [ChatSanctionType.BAN]: "You have been banned from chat",
+    };
+    try {
+      await this.notificationService.notify(userId, {
+        type: NotificationType.CHAT_SANCTION,
+        title: titles[type],
+        body: [
+          reason,
+          sanction.expiresAt && `This lasts until ${sanction.expiresAt}.`,
+        ]
+          .filter(Boolean)
+          .join(" "),
+        data: { sanctionId: ref.id, type, expiresAt: sanction.expiresAt },
+      });
+    } catch (error) {
+      logger.error("Failed to notify sanctioned chat user", {
+        error: error.message,
+        sanctionId: ref.id,
+      });
+    }
+
+    return { id: ref.id, ...sanction };
+  }
+
+  /**
+   * List sanctions, newest first (admin)
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.userId] - Only this user's sanctions
+   * @returns {Promise<Array>} Sanctions with an `active` flag
+   */
+  async getSanctions({ userId } = {}) {
+    try {
+      let query = db.collection(SANCTIONS_COLLECTION);
+      if (userId) {
+        query = query.where("userId", "==", userId);
+      }
+      const snapshot = await withRetry(() =>
+        query.orderBy("createdAt", "desc").limit(MAX_SANCTIONS).get()
+      );
+      const now = new Date().toISOString();
+
+      return snapshot.docs.map((doc) => {
+        const sanction = { id: doc.id, ...doc.data() };
+        return {
+          ...sanction,
+          active:
+            sanction.type !== ChatSanctionType.WARNING &&
+            isSanctionActive(sanction, now),
+        };
+      });
+    } catch (error) {
+      logger.error("Failed to get chat sanctions", {
+        error: error.message,
+        userId,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Lift a mute or ban early (admin)
+   * @param {string} sanctionId - Sanction ID
+   * @param {string} adminId - Admin user ID
+   * @returns {Promise<Object>} Revoked sanction
+   */
+  async revokeSanction(sanctionId, adminId) {
+    try {
+      const ref = db.collection(SANCTIONS_COLLECTION).doc(sanctionId);
+      const doc = await withRetry(() => ref.get());
+      if (!doc.exists) {
+        throw new AppError(
+          404,
+          "Sanction not found",
+          "chat_sanction_not_found"
+        );
+      }
+      const sanction = { id: doc.id, ...doc.data() };
+      if (
+        sanction.type === ChatSanctionType.WARNING ||
+        !isSanctionActive(sanction)
+      ) {
+        throw new AppError(
+          409,
+          "Only active mutes and bans can be lifted",
+          "chat_sanction_inactive"
+        );
+      }
+
+      const updates = {
+        revokedAt: new Date().toISOString(),
+        revokedBy: adminId,
+      };
+      await withRetry(() => ref.update(updates));
+
+      logger.info("Chat sanction lifted", { sanctionId, adminId });
+      return { ...sanction, ...updates, active: false };
+    } catch (error) {
+      logger.error("Failed to lift chat sanction", {
+        error: error.message,
+        sanctionId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+}
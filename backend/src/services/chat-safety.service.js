@@ -0,0 +1,227 @@
+/**
+ * Chat safety service
+ * Per-user block lists and the mutes and bans issued by chat moderators.
+ * Blocked users cannot message each other directly, and group messages
+ * from a blocked user are not delivered to the member who blocked them.
+ * Anonymous support requests are exempt so a student can always reach a
+ * counselor.
+ */
+import { db } from "../config/firebase.config.js";
+import { BaseService } from "./base.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry } from "../utils/firebase-utils.js";
+import logger from "../utils/logger.js";
+
+export const SANCTIONS_COLLECTION = "chat_sanctions";
+
+export const ChatSanctionType = {
+  WARNING: "warning",
+  MUTE: "mute",
+  BAN: "ban",
+};
+
+const MAX_BLOCKS = 500;
+
+/**
+ * Build the ID of a block record
+ * @param {string} blockerId - Blocking user ID
+ * @param {string} blockedId - Blocked user ID
+ * @returns {string} Block ID
+ */
+const getBlockId = (blockerId, blockedId) => `${blockerId}_${blockedId}`;
+
+/**
+ * Check whether a sanction is still in force
+ * @param {Object} sanction - Sanction
+ * @param {string} now - Current time as an ISO string
+ * @returns {boolean} Whether it applies
+ */
+export const isSanctionActive = (sanction, now = new Date().toISOString()) =>
+  !sanction.revokedAt && (!sanction.expiresAt || sanction.expiresAt > now);
+
+export class ChatSafetyService extends BaseService {
+  constructor() {
+    super("chat_blocks");
+  }
+
+  /**
+   * Block a user
+   * Blocking is silent; the other user is not told
+   * @param {string} userId - Blocking user ID
+   * @param {string} blockedId - User to block
+   * @returns {Promise<Object>} Block
+   */
+  async blockUser(userId, blockedId) {
+    try {
+      if (!blockedId || typeof blockedId !== "string") {
+        throw new AppError(400, "userId is required", "validation_error");
+      }
+      if (blockedId === userId) {
+        throw new AppError(
+          400,
+          "You cannot block yourself",
+          "cannot_block_self"
+        );
+      }
+
+      const userDoc = await withRetry(() =>
+        db.collection("users").doc(blockedId).get()
+      );
+      if (!userDoc.exists) {
+        throw new AppError(404, "User not found", "user_not_found");
+      }
+
+      const block = {
+        blockerId: userId,
+        blockedId,
+        createdAt: new Date().toISOString(),
+      };
+      await withRetry(() =>
+        this.model.collection.doc(getBlockId(userId, blockedId)).set(block)
+      );
+
+      logger.info("Chat user blocked", { userId, blockedId });
+      return { id: getBlockId(userId, blockedId), ...block };
+    } catch (error) {
+      logger.error("Failed to block chat user", {
+        error: error.message,
+        userId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Unblock a user
+   * @param {string} userId - Blocking user ID
+   * @param {string} blockedId - Blocked user ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async unblockUser(userId, blockedId) {
+    try {
+      const ref = this.model.collection.doc(getBlockId(userId, blockedId));
+      const doc = await withRetry(() => ref.get());
+      if (!doc.exists) {
+        throw new AppError(404, "Block not found", "block_not_found");
+      }
+
+      await withRetry(() => ref.delete());
+      logger.info("Chat user unblocked", { userId, blockedId });
+      return true;
+    } catch (error) {
+      logger.error("Failed to unblock chat user", {
+        error: error.message,
+        userId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List the users someone has blocked
+   * @param {string} userId - Blocking user ID
+   * @returns {Promise<Array>} Blocks, newest first
+   */
+  async getBlocks(userId) {
+    try {
+      const blocks = await this.model.findWhere("blockerId", "==", userId);
+
+      return blocks
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, MAX_BLOCKS);
+    } catch (error) {
+      logger.error("Failed to get chat blocks", {
+        error: error.message,
+        userId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get the IDs of the users someone has blocked
+   * @param {string} userId - Blocking user ID
+   * @returns {Promise<Set<string>>} Blocked user IDs
+   */
+  async getBlockedIds(userId) {
+    const blocks = await this.model.findWhere("blockerId", "==", userId);
+    return new Set(blocks.map((block) => block.blockedId));
+  }
+
+  /**
+   * Check whether either of two users has blocked the other
+   * @param {string} userId - First user ID
+   * @param {string} otherUserId - Second user ID
+   * @returns {Promise<boolean>} Whether they are blocked
+   */
+  async isBlockedBetween(userId, otherUserId) {
+    const docs = await withRetry(() =>
+      db.getAll(
+        this.model.collection.doc(getBlockId(userId, otherUserId)),
+        this.model.collection.doc(getBlockId(otherUserId, userId))
+      )
+    );
+    return docs.some((doc) => doc.exists);
+  }
+
+  /**
+   * Find which of some users have blocked a sender
+   * @param {string} senderId - Sender user ID
+   * @param {Array<string>} userIds - Users to check
+   * @returns {Promise<Array<string>>} IDs of users who blocked the sender
+   */
+  async getBlockersOf(senderId, userIds) {
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    const docs = await withRetry(() =>
+      db.getAll(
+        ...userIds.map((id) =>
+          this.model.collection.doc(getBlockId(id, senderId))
+        )
+      )
+    );
+    return docs.filter((doc) => doc.exists).map((doc) => doc.data().blockerId);
+  }
+
+  /**
+   * Throw if a moderator has stopped the user from chatting
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Check options
+   * @param {boolean} [options.bansOnly=false] - Ignore mutes, for actions
+   *   muted users may still take, such as opening a conversation
+   */
+  async assertCanChat(userId, { bansOnly = false } = {}) {
+    const snapshot = await withRetry(() =>
+      db.collection(SANCTIONS_COLLECTION).where("userId", "==", userId).get()
+    );
+    const now = new Date().toISOString();
+    const active = snapshot.docs
+      .map((doc) => doc.data())
+      .filter((sanction) => isSanctionActive(sanction, now));
+
+    const ban = active.find(({ type }) => type === ChatSanctionType.BAN);
+    if (ban) {
+      throw new AppError(
+        403,
+        ban.expiresAt
+          ? `You are banned from chat until ${ban.expiresAt}`
+          : "You are banned from chat",
+        "chat_banned"
+      );
+    }
+
+    const mute = active.find(({ type }) => type === ChatSanctionType.MUTE);
+    if (mute && !bansOnly) {
+      throw new AppError(
+        403,
+        `You are muted in chat until ${mute.expiresAt}`,
+        "chat_muted"
+      );
+    }
+  }
+}
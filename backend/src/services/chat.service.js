@@ -1,42 +1,1294 @@
+import { FieldValue } from "firebase-admin/firestore";
 import { db } from "../config/firebase.config.js";
 import { BaseService } from "./base.service.js";
+import {
+  AttachmentStatus,
+  ChatAttachmentService,
+  toMessageAttachment,
+} from "./chat-attachment.service.js";
+import { ChatSafetyService } from "./chat-safety.service.js";
+import {
+  MESSAGE_HISTORY_COLLECTION,
+  MessageChange,
+  recordMessageChange,
+} from "./message-history.service.js";
+import { RiskDetectionService } from "./risk-detection.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry, runTransaction } from "../utils/firebase-utils.js";
+import { tokenize } from "../utils/search-tokens.js";
+import { emitToRoom, getUserRoom } from "../utils/socket-emitter.js";
+import logger from "../utils/logger.js";
+
+export const CONVERSATIONS_COLLECTION = "conversations";
+// Backend-only mapping from anonymous aliases to real user IDs
+export const ANONYMOUS_IDENTITIES_COLLECTION = "anonymous_identities";
+export const MAX_MESSAGE_LENGTH = 2000;
+const MESSAGE_PREVIEW_LENGTH = 100;
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+// Senders can edit or delete a message for everyone this long after sending
+const MESSAGE_CHANGE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_MESSAGE_EDITS = 10;
+// Search looks through this many of the user's most recent conversations,
+// queried in chunks of the Firestore `in` filter limit
+const MAX_SEARCH_CONVERSATIONS = 300;
+const SEARCH_CHUNK_SIZE = 30;
+const MAX_SEARCH_TERMS = 10;
+const MAX_MESSAGE_TOKENS = 200;
+
+export const ConversationType = {
+  DIRECT: "direct",
+  ANONYMOUS: "anonymous",
+  GROUP: "group",
+};
+
+/**
+ * Build the deterministic ID of the direct conversation between two users
+ * @param {string} userId1 - First participant
+ * @param {string} userId2 - Second participant
+ * @returns {string} Conversation ID
+ */
+export const getDirectConversationId = (userId1, userId2) =>
+  [userId1, userId2].sort().join("_");
+
+/**
+ * Build the preview stored on a conversation for its latest message
+ * @param {Object} message - Saved message
+ * @returns {Object} Last message summary
+ */
+export const toLastMessage = (message) => ({
+  id: message.id,
+  senderId: message.senderId,
+  preview: message.deletedAt
+    ? "Message deleted"
+    : message.content.slice(0, MESSAGE_PREVIEW_LENGTH) ||
+      `Attachment: ${message.attachments?.[0]?.fileName}`,
+  timestamp: message.timestamp,
+});
+
+/**
+ * Build the search tokens stored on a message
+ * @param {string} content - Message text
+ * @returns {Array<string>} Tokens
+ */
+export const getMessageSearchTokens = (content) =>
+  tokenize(content).slice(0, MAX_MESSAGE_TOKENS);
+
+/**
+ * Shape a stored message for one participant
+ * @param {Object} doc - Message snapshot
+ * @param {string} participantId - Viewing participant ID
+ * @returns {Object|null} Message, or null if the participant deleted it for
+ *   themselves
+ */
+const toParticipantMessage = (doc, participantId) => {
+  const { hiddenFor = [], searchTokens, ...message } = doc.data();
+  return hiddenFor.includes(participantId) ? null : { id: doc.id, ...message };
+};
+
+/**
+ * Parse an optional date filter of a message search
+ * @param {string} value - Date or date-time, ISO 8601
+ * @param {string} name - Filter name for the error message
+ * @param {Object} [options] - Parse options
+ * @param {boolean} [options.endOfDay] - Read a date without a time as the
+ *   end of that day (UTC) rather than its start
+ * @returns {string|null} ISO timestamp, or null when not given
+ */
+const parseSearchDate = (value, name, { endOfDay = false } = {}) => {
+  if (value === undefined || value === "") {
+    return null;
+  }
+  const date = new Date(value);
+  if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+    throw new AppError(400, `${name} must be an ISO 8601 date`, "invalid_date");
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date.toISOString();
+};
+
+/**
+ * Clamp a requested page size
+ * @param {number|string} limit - Requested page size
+ * @returns {number} Page size between 1 and MAX_PAGE_SIZE
+ */
+const parsePageSize = (limit) =>
+  Math.min(
+    Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
 
 export class ChatService extends BaseService {
   constructor() {
     super("messages");
+    this.riskDetectionService = new RiskDetectionService();
+    this.attachmentService = new ChatAttachmentService();
+    this.safetyService = new ChatSafetyService();
   }
-  async createMessage(senderId, receiverId, content) {
+
+  /**
+   * Validate and normalize message content
+   * @param {*} content - Raw message content
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.allowEmpty] - Accept a missing or blank text,
+   *   for messages that only carry attachments
+   * @returns {string} Trimmed content
+   */
+  validateContent(content, { allowEmpty = false } = {}) {
+    if (allowEmpty && (content === undefined || content === null)) {
+      return "";
+    }
+    if (
+      typeof content !== "string" ||
+      (!allowEmpty && content.trim().length === 0)
+    ) {
+      throw new AppError(400, "Message content is required", "invalid_message");
+    }
+
+    const trimmed = content.trim();
+    if (trimmed.length > MAX_MESSAGE_LENGTH) {
+      throw new AppError(
+        400,
+        `Messages may be at most ${MAX_MESSAGE_LENGTH} characters`,
+        "message_too_long"
+      );
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Get a conversation by ID
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object|null>} Conversation or null
+   */
+  async getConversation(conversationId) {
+    if (typeof conversationId !== "string" || !conversationId) {
+      return null;
+    }
+
+    const doc = await withRetry(() =>
+      db.collection(CONVERSATIONS_COLLECTION).doc(conversationId).get()
+    );
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  /**
+   * Push a realtime event to everyone in a conversation, including
+   * participants who have not joined the conversation room
+   * @param {Object} conversation - Conversation with participants
+   * @param {string} event - Event name
+   * @param {*} payload - Event payload
+   * @param {Object} [options] - Delivery options
+   * @param {Array<string>} [options.exceptUserIds] - Participants to skip
+   */
+  publishToConversation(conversation, event, payload, { exceptUserIds } = {}) {
+    emitToRoom(
+      [conversation.id, ...conversation.participants.map(getUserRoom)],
+      event,
+      payload,
+      { except: exceptUserIds?.map(getUserRoom) }
+    );
+  }
+
+  /**
+   * Resolve the ID a user appears under in a conversation
+   * Students take part in anonymous conversations through their alias, so
+   * their real user ID is never stored on the conversation or its messages
+   * @param {Object|null} conversation - Conversation
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} Participant ID, or null if not a participant
+   */
+  async getParticipantId(conversation, userId) {
+    if (conversation?.participants?.includes(userId)) {
+      return userId;
+    }
+    if (conversation?.type !== ConversationType.ANONYMOUS) {
+      return null;
+    }
+
+    const aliasId = conversation.anonymous?.aliasId;
+    const identity = await withRetry(() =>
+      db.collection(ANONYMOUS_IDENTITIES_COLLECTION).doc(aliasId).get()
+    );
+    return identity.exists && identity.data().userId === userId
+      ? aliasId
+      : null;
+  }
+
+  /**
+   * Check whether a user takes part in a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Whether the user is a participant
+   */
+  async isConversationParticipant(conversationId, userId) {
+    const conversation = await this.getConversation(conversationId);
+    return Boolean(await this.getParticipantId(conversation, userId));
+  }
+
+  /**
+   * Get a conversation the user takes part in, and the ID they appear
+   * under in it, or throw
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<{conversation: Object, participantId: string}>}
+   */
+  async getParticipation(conversationId, userId) {
+    const conversation = await this.getConversation(conversationId);
+    const participantId = await this.getParticipantId(conversation, userId);
+    if (!participantId) {
+      // Same response whether the conversation is missing or private so
+      // conversation IDs cannot be probed
+      throw new AppError(
+        403,
+        "You are not a participant in this conversation",
+        "conversation_access_denied"
+      );
+    }
+    return { conversation, participantId };
+  }
+
+  /**
+   * Get a conversation the user takes part in or throw
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Conversation
+   */
+  async getConversationForParticipant(conversationId, userId) {
+    const { conversation } = await this.getParticipation(
+      conversationId,
+      userId
+    );
+    return conversation;
+  }
+
+  /**
+   * Get the direct conversation between two users, creating it if needed
+   * @param {string} userId - Requesting user ID
+   * @param {string} otherUserId - Other participant's user ID
+   * @returns {Promise<Object>} Conversation
+   */
+  async getOrCreateDirectConversation(userId, otherUserId) {
     try {
-      const messageData = {
+      if (!otherUserId || typeof otherUserId !== "string") {
+        throw new AppError(400, "Recipient is required", "invalid_recipient");
+      }
+      if (otherUserId === userId) {
+        throw new AppError(
+          400,
+          "You cannot start a conversation with yourself",
+          "invalid_recipient"
+        );
+      }
+
+      await this.safetyService.assertCanChat(userId, { bansOnly: true });
+
+      const conversationId = getDirectConversationId(userId, otherUserId);
+      const participants = [userId, otherUserId].sort();
+      const existing = await this.getConversation(conversationId);
+      if (existing) {
+        // The ID only names the two users, so never trust a stored
+        // conversation whose type or participants do not match it
+        if (
+          existing.type !== ConversationType.DIRECT ||
+          !Array.isArray(existing.participants) ||
+          existing.participants.length !== 2 ||
+          !participants.every((id) => existing.participants.includes(id))
+        ) {
+          logger.warn("Direct conversation ID holds another conversation", {
+            conversationId,
+          });
+          throw new AppError(
+            409,
+            "This conversation cannot be used for direct messages",
+            "invalid_conversation"
+          );
+        }
+        return existing;
+      }
+
+      const recipient = await withRetry(() =>
+        db.collection("users").doc(otherUserId).get()
+      );
+      if (!recipient.exists) {
+        throw new AppError(404, "Recipient not found", "recipient_not_found");
+      }
+
+      const timestamp = new Date().toISOString();
+      const conversation = {
+        type: ConversationType.DIRECT,
+        participants,
+        lastMessage: null,
+        lastMessageAt: null,
+        unreadCounts: { [userId]: 0, [otherUserId]: 0 },
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      };
+
+      // The ID is deterministic, so a concurrent create simply merges
+      await withRetry(() =>
+        db
+          .collection(CONVERSATIONS_COLLECTION)
+          .doc(conversationId)
+          .set(conversation, { merge: true })
+      );
+      logger.info("Conversation created", { conversationId });
+
+      return { id: conversationId, ...conversation };
+    } catch (error) {
+      logger.error("Failed to get or create conversation", {
+        error: error.message,
+        userId,
+        otherUserId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Persist a direct message
+   * @param {string} senderId - Sender user ID
+   * @param {string} receiverId - Receiver user ID
+   * @param {string} content - Message text
+   * @param {Object} [options] - Sender context
+   * @param {string} [options.senderRole] - Sender's role, used for risk screening
+   * @param {Array<string>} [options.attachmentIds] - Uploaded attachments to
+   *   send with the message
+   * @returns {Promise<Object>} Saved message, with `support` resources
+   *   attached when the content indicates risk of self-harm
+   */
+  async createMessage(senderId, receiverId, content, options = {}) {
+    const text = this.validateContent(content, {
+      allowEmpty: Boolean(options.attachmentIds?.length),
+    });
+    const conversation = await this.getOrCreateDirectConversation(
+      senderId,
+      receiverId
+    );
+    await this.assertCanSend(conversation, senderId);
+
+    return this.saveMessage(conversation, senderId, receiverId, text, options);
+  }
+
+  /**
+   * Throw if the user may not send into a conversation right now, because
+   * a moderator muted or banned them or because of a block between the
+   * two sides of a direct conversation
+   * Anonymous conversations are exempt so students can always reach a
+   * counselor
+   * @param {Object} conversation - Conversation
+   * @param {string} userId - Sender user ID
+   */
+  async assertCanSend(conversation, userId) {
+    if (conversation.type === ConversationType.ANONYMOUS) {
+      return;
+    }
+
+    await this.safetyService.assertCanChat(userId);
+    if (conversation.type === ConversationType.GROUP) {
+      return;
+    }
+
+    const otherUserId = conversation.participants.find((id) => id !== userId);
+    if (
+      otherUserId &&
+      (await this.safetyService.isBlockedBetween(userId, otherUserId))
+    ) {
+      // Same response for both sides so users cannot tell who blocked whom
+      throw new AppError(403, "You cannot message this user", "blocked_user");
+    }
+  }
+
+  /**
+   * Persist a message sent into an existing conversation
+   * @param {string} userId - Sender user ID
+   * @param {string} conversationId - Conversation ID
+   * @param {string} content - Message text
+   * @param {Object} [options] - Sender context, see createMessage
+   * @returns {Promise<Object>} Saved message
+   */
+  async createConversationMessage(
+    userId,
+    conversationId,
+    content,
+    options = {}
+  ) {
+    const text = this.validateContent(content, {
+      allowEmpty: Boolean(options.attachmentIds?.length),
+    });
+    const { conversation, participantId } = await this.getParticipation(
+      conversationId,
+      userId
+    );
+    await this.assertCanSend(conversation, userId);
+    // An anonymous request has no receiver until a counselor claims it, and
+    // group messages are addressed to every member
+    const receiverId =
+      conversation.type === ConversationType.GROUP
+        ? null
+        : conversation.participants.find((id) => id !== participantId) || null;
+
+    return this.saveMessage(
+      conversation,
+      participantId,
+      receiverId,
+      text,
+      options
+    );
+  }
+
+  /**
+   * Write a validated message into a conversation and deliver it
+   * @param {Object} conversation - Conversation
+   * @param {string} senderId - Sender participant ID
+   * @param {string|null} receiverId - Receiver participant ID
+   * @param {string} text - Validated message text
+   * @param {Object} [options] - Sender context, see createMessage
+   * @returns {Promise<Object>} Saved message
+   */
+  async saveMessage(
+    conversation,
+    senderId,
+    receiverId,
+    text,
+    { senderRole, attachmentIds = [] } = {}
+  ) {
+    try {
+      if (!Array.isArray(attachmentIds)) {
+        throw new AppError(
+          400,
+          "attachmentIds must be an array",
+          "validation_error"
+        );
+      }
+      const uploads =
+        attachmentIds.length > 0
+          ? await this.attachmentService.verifyUploads(
+              conversation.id,
+              senderId,
+              attachmentIds
+            )
+          : [];
+
+      const timestamp = new Date().toISOString();
+      const messageRef = this.model.collection.doc();
+      const message = {
+        id: messageRef.id,
+        conversationId: conversation.id,
         senderId,
         receiverId,
-        content,
-        timestamp: new Date().toISOString(),
+        content: text,
+        ...(uploads.length > 0 && {
+          attachments: uploads.map(({ attachment }) =>
+            toMessageAttachment(attachment)
+          ),
+        }),
+        timestamp,
         read: false,
+        createdAt: timestamp,
+        updatedAt: timestamp,
       };
 
-      return await this.create(messageData);
+      // Group messages count as unread for every other member, except
+      // members who blocked the sender and never receive them
+      const blockerIds =
+        conversation.type === ConversationType.GROUP
+          ? await this.safetyService.getBlockersOf(
+              senderId,
+              conversation.participants.filter(
+                (memberId) => memberId !== senderId
+              )
+            )
+          : [];
+      const unreadIds =
+        conversation.type === ConversationType.GROUP
+          ? conversation.participants.filter(
+              (memberId) =>
+                memberId !== senderId && !blockerIds.includes(memberId)
+            )
+          : [receiverId].filter(Boolean);
+
+      // Write the message and the conversation summary together so the
+      // inbox never points at a message that failed to save. The base
+      // service is bypassed because it logs the full message payload.
+      const { id, ...messageData } = message;
+      const batch = db.batch();
+      batch.set(messageRef, {
+        ...messageData,
+        searchTokens: getMessageSearchTokens(text),
+      });
+      batch.update(
+        db.collection(CONVERSATIONS_COLLECTION).doc(conversation.id),
+        {
+          lastMessage: toLastMessage(message),
+          lastMessageAt: timestamp,
+          ...Object.fromEntries(
+            unreadIds.map((unreadId) => [
+              `unreadCounts.${unreadId}`,
+              FieldValue.increment(1),
+            ])
+          ),
+          updatedAt: timestamp,
+        }
+      );
+      // The precondition fails the batch if another message claimed an
+      // attachment since it was verified
+      uploads.forEach(({ ref, updateTime, attachment }) =>
+        batch.update(
+          ref,
+          {
+            status: AttachmentStatus.ATTACHED,
+            messageId: message.id,
+            size: attachment.size,
+            checksum: attachment.checksum,
+            updatedAt: timestamp,
+          },
+          { lastUpdateTime: updateTime }
+        )
+      );
+      await withRetry(() => batch.commit());
+
+      this.publishToConversation(conversation, "receive_message", message, {
+        exceptUserIds: blockerIds,
+      });
+
+      const support = await this.riskDetectionService.screenMessage(
+        message,
+        senderRole
+      );
+      if (!support) {
+        return message;
+      }
+
+      // Reach every device of the sender, not just the one that sent it
+      emitToRoom(getUserRoom(senderId), "support_resources", support);
+      return { ...message, support };
     } catch (error) {
-      throw new Error(`Failed to create message: ${error.message}`);
+      logger.error("Failed to create message", {
+        error: error.message,
+        conversationId: conversation.id,
+        senderId,
+        receiverId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get a message the user sent that can still be edited or deleted for
+   * everyone, or throw
+   * @param {string} messageId - Message ID
+   * @param {string} userId - User ID
+   * @returns {Promise<{message: Object, conversation: Object}>}
+   */
+  async getChangeableMessage(messageId, userId) {
+    const message =
+      typeof messageId === "string" && messageId
+        ? await this.model.findById(messageId)
+        : null;
+    if (!message) {
+      throw new AppError(404, "Message not found", "message_not_found");
+    }
+
+    const { conversation, participantId } = await this.getParticipation(
+      message.conversationId,
+      userId
+    );
+    if (message.senderId !== participantId) {
+      throw new AppError(
+        403,
+        "Only the sender can change a message",
+        "message_change_denied"
+      );
     }
+    if (message.deletedAt) {
+      throw new AppError(409, "This message was deleted", "message_deleted");
+    }
+    if (
+      Date.now() - new Date(message.timestamp).getTime() >
+      MESSAGE_CHANGE_WINDOW_MS
+    ) {
+      throw new AppError(
+        409,
+        `Messages can only be changed within ${
+          MESSAGE_CHANGE_WINDOW_MS / 60000
+        } minutes of sending`,
+        "message_change_window_expired"
+      );
+    }
+
+    return { message, conversation };
+  }
+
+  /**
+   * Change a message inside a transaction, keeping a copy of the previous
+   * version in the message history
+   * @param {Object} message - Message being changed
+   * @param {Object} change - Change details, see recordMessageChange
+   * @param {Function} mutate - Receives (transaction, current message) and
+   *   returns the message field updates
+   * @returns {Promise<Object>} Message after the change
+   */
+  async changeMessage(message, change, mutate) {
+    const messageRef = this.model.collection.doc(message.id);
+    const historyRef = db
+      .collection(MESSAGE_HISTORY_COLLECTION)
+      .doc(message.id);
+    const conversationRef = db
+      .collection(CONVERSATIONS_COLLECTION)
+      .doc(message.conversationId);
+
+    return runTransaction(db, async (transaction) => {
+      const [messageDoc, historyDoc, conversationDoc] = await Promise.all([
+        transaction.get(messageRef),
+        transaction.get(historyRef),
+        transaction.get(conversationRef),
+      ]);
+      const { hiddenFor, searchTokens, ...current } = {
+        id: messageDoc.id,
+        ...messageDoc.data(),
+      };
+      if (current.deletedAt) {
+        throw new AppError(409, "This message was deleted", "message_deleted");
+      }
+
+      recordMessageChange(transaction, historyDoc, current, change);
+      const updates = mutate(transaction, current);
+      transaction.update(messageRef, updates);
+
+      const { searchTokens: updatedTokens, ...changed } = {
+        ...current,
+        ...updates,
+      };
+      if (changed.deletedAt) {
+        delete changed.attachments;
+      }
+      if (conversationDoc.data().lastMessage?.id === message.id) {
+        transaction.update(conversationRef, {
+          lastMessage: toLastMessage(changed),
+        });
+      }
+      return changed;
+    });
   }
 
-  async getChatHistory(userId1, userId2) {
+  /**
+   * Edit a message the user sent
+   * Every earlier version is kept in the message history. The new text is
+   * screened for risk like a new message.
+   * @param {string} userId - User ID
+   * @param {string} messageId - Message ID
+   * @param {string} content - New message text
+   * @param {Object} [options] - Sender context, see createMessage
+   * @returns {Promise<Object>} Edited message
+   */
+  async editMessage(userId, messageId, content, { senderRole } = {}) {
     try {
-      const messages = await db
-        .collection("messages")
-        .where("senderId", "in", [userId1, userId2])
-        .where("receiverId", "in", [userId1, userId2])
-        .orderBy("timestamp", "desc")
-        .limit(50)
-        .get();
+      const text = this.validateContent(content);
+      const { message, conversation } = await this.getChangeableMessage(
+        messageId,
+        userId
+      );
+      if (conversation.type !== ConversationType.ANONYMOUS) {
+        await this.safetyService.assertCanChat(userId);
+      }
+      if ((message.editCount || 0) >= MAX_MESSAGE_EDITS) {
+        throw new AppError(
+          409,
+          `Messages can be edited at most ${MAX_MESSAGE_EDITS} times`,
+          "message_edit_limit"
+        );
+      }
+
+      const timestamp = new Date().toISOString();
+      const edited = await this.changeMessage(
+        message,
+        { action: MessageChange.EDITED, content: text, timestamp },
+        (transaction, current) => ({
+          content: text,
+          searchTokens: getMessageSearchTokens(text),
+          editCount: (current.editCount || 0) + 1,
+          editedAt: timestamp,
+          updatedAt: timestamp,
+        })
+      );
+      logger.info("Message edited", { messageId, editCount: edited.editCount });
 
-      return messages.docs.map((doc) => ({
-        id: doc.id,
-        ...doc.data(),
-      }));
+      this.publishToConversation(conversation, "message_updated", edited);
+
+      const support = await this.riskDetectionService.screenMessage(
+        edited,
+        senderRole
+      );
+      if (!support) {
+        return edited;
+      }
+      emitToRoom(getUserRoom(userId), "support_resources", support);
+      return { ...edited, support };
     } catch (error) {
-      throw new Error(`Failed to get chat history: ${error.message}`);
+      logger.error("Failed to edit message", {
+        error: error.message,
+        messageId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Delete a message the user sent for everyone in the conversation
+   * The message stays as a placeholder without content or attachments. Its
+   * content is kept in the message history and its attachments in Storage,
+   * but they are no longer available to participants.
+   * @param {string} userId - User ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} Deletion details
+   */
+  async deleteMessage(userId, messageId) {
+    try {
+      const { message, conversation } = await this.getChangeableMessage(
+        messageId,
+        userId
+      );
+
+      const timestamp = new Date().toISOString();
+      await this.changeMessage(
+        message,
+        { action: MessageChange.DELETED, timestamp },
+        (transaction, current) => {
+          (current.attachments || []).forEach(({ id }) =>
+            transaction.update(
+              this.attachmentService.model.collection.doc(id),
+              { status: AttachmentStatus.RETRACTED, updatedAt: timestamp }
+            )
+          );
+          return {
+            content: "",
+            searchTokens: [],
+            attachments: FieldValue.delete(),
+            deletedAt: timestamp,
+            updatedAt: timestamp,
+          };
+        }
+      );
+      logger.info("Message deleted for everyone", { messageId });
+
+      const deletion = {
+        conversationId: conversation.id,
+        messageId,
+        deletedAt: timestamp,
+      };
+      this.publishToConversation(conversation, "message_deleted", deletion);
+      return deletion;
+    } catch (error) {
+      logger.error("Failed to delete message", {
+        error: error.message,
+        messageId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Delete a message for the current user only
+   * Works on any message in the user's conversations, at any time. Other
+   * participants still see it.
+   * @param {string} userId - User ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} Hidden message reference
+   */
+  async hideMessage(userId, messageId) {
+    try {
+      const message =
+        typeof messageId === "string" && messageId
+          ? await this.model.findById(messageId)
+          : null;
+      if (!message) {
+        throw new AppError(404, "Message not found", "message_not_found");
+      }
+      const { participantId } = await this.getParticipation(
+        message.conversationId,
+        userId
+      );
+
+      await withRetry(() =>
+        this.model.collection.doc(messageId).update({
+          hiddenFor: FieldValue.arrayUnion(participantId),
+        })
+      );
+
+      // Only the user's own devices need to drop the message
+      const hidden = { conversationId: message.conversationId, messageId };
+      emitToRoom(getUserRoom(userId), "message_hidden", hidden);
+      return hidden;
+    } catch (error) {
+      logger.error("Failed to hide message", {
+        error: error.message,
+        messageId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Start an attachment upload in a conversation the user takes part in
+   * @param {string} userId - User ID
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} file - File details, see ChatAttachmentService.createUpload
+   * @returns {Promise<Object>} Attachment ID and signed upload URL
+   */
+  async createAttachmentUpload(userId, conversationId, file) {
+    try {
+      const { conversation, participantId } = await this.getParticipation(
+        conversationId,
+        userId
+      );
+      if (conversation.type !== ConversationType.ANONYMOUS) {
+        await this.safetyService.assertCanChat(userId);
+      }
+      return await this.attachmentService.createUpload(
+        conversationId,
+        participantId,
+        file
+      );
+    } catch (error) {
+      logger.error("Failed to start attachment upload", {
+        error: error.message,
+        conversationId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get a signed download URL for an attachment of a conversation the user
+   * takes part in
+   * @param {string} userId - User ID
+   * @param {string} conversationId - Conversation ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Promise<Object>} Attachment metadata and download URL
+   */
+  async getAttachmentDownload(userId, conversationId, attachmentId) {
+    try {
+      await this.getParticipation(conversationId, userId);
+      return await this.attachmentService.getDownload(
+        conversationId,
+        attachmentId
+      );
+    } catch (error) {
+      logger.error("Failed to get attachment download", {
+        error: error.message,
+        conversationId,
+        attachmentId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List the conversations of a user, most recently active first
+   * @param {string} userId - User ID
+   * @param {Object} options - Paging options
+   * @param {number} [options.limit] - Page size
+   * @param {string} [options.cursor] - ID of the last conversation seen
+   * @returns {Promise<{conversations: Array, nextCursor: string|null}>} Page
+   */
+  async getInbox(userId, { limit, cursor } = {}) {
+    try {
+      const pageSize = parsePageSize(limit);
+      let query = db
+        .collection(CONVERSATIONS_COLLECTION)
+        .where("participants", "array-contains", userId)
+        .orderBy("lastMessageAt", "desc");
+
+      if (cursor) {
+        const cursorDoc = await withRetry(() =>
+          db.collection(CONVERSATIONS_COLLECTION).doc(cursor).get()
+        );
+        if (
+          !cursorDoc.exists ||
+          !cursorDoc.data().participants?.includes(userId)
+        ) {
+          throw new AppError(400, "Invalid cursor", "invalid_cursor");
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      const snapshot = await withRetry(() => query.limit(pageSize + 1).get());
+      const docs = snapshot.docs.slice(0, pageSize);
+
+      return {
+        conversations: docs.map((doc) => {
+          const { unreadCounts, ...conversation } = doc.data();
+          return {
+            id: doc.id,
+            ...conversation,
+            unreadCount: unreadCounts?.[userId] || 0,
+          };
+        }),
+        nextCursor:
+          snapshot.docs.length > pageSize ? docs[docs.length - 1].id : null,
+      };
+    } catch (error) {
+      logger.error("Failed to get inbox", { error: error.message, userId });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Page backwards through the messages of a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Requesting user ID
+   * @param {Object} options - Paging options
+   * @param {number} [options.limit] - Page size
+   * @param {string} [options.cursor] - ID of the oldest message already loaded
+   * @returns {Promise<{messages: Array, nextCursor: string|null}>} Newest first
+   */
+  async getConversationMessages(
+    conversationId,
+    userId,
+    { limit, cursor } = {}
+  ) {
+    try {
+      const { conversation, participantId } = await this.getParticipation(
+        conversationId,
+        userId
+      );
+      // Group messages from users the viewer blocked are left out
+      const blockedIds =
+        conversation.type === ConversationType.GROUP
+          ? await this.safetyService.getBlockedIds(userId)
+          : new Set();
+
+      const pageSize = parsePageSize(limit);
+      let query = this.model.collection
+        .where("conversationId", "==", conversationId)
+        .orderBy("timestamp", "desc");
+
+      if (cursor) {
+        const cursorDoc = await withRetry(() =>
+          this.model.collection.doc(cursor).get()
+        );
+        if (
+          !cursorDoc.exists ||
+          cursorDoc.data().conversationId !== conversationId
+        ) {
+          throw new AppError(400, "Invalid cursor", "invalid_cursor");
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      const snapshot = await withRetry(() => query.limit(pageSize + 1).get());
+      const docs = snapshot.docs.slice(0, pageSize);
+
+      // Pages can come back short when messages are left out; nextCursor
+      // still moves past them
+      return {
+        messages: docs
+          .map((doc) => toParticipantMessage(doc, participantId))
+          .filter((message) => message && !blockedIds.has(message.senderId)),
+        nextCursor:
+          snapshot.docs.length > pageSize ? docs[docs.length - 1].id : null,
+      };
+    } catch (error) {
+      logger.error("Failed to get conversation messages", {
+        error: error.message,
+        conversationId,
+        userId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get the latest messages exchanged with another user
+   * @param {string} userId - Requesting user ID
+   * @param {string} otherUserId - Other participant's user ID
+   * @param {Object} options - Paging options, see getConversationMessages
+   * @returns {Promise<{messages: Array, nextCursor: string|null}>} Newest first
+   */
+  async getChatHistory(userId, otherUserId, options = {}) {
+    const conversationId = getDirectConversationId(userId, otherUserId);
+    if (
+      otherUserId === userId ||
+      !(await this.isConversationParticipant(conversationId, userId))
+    ) {
+      return { messages: [], nextCursor: null };
+    }
+
+    return this.getConversationMessages(conversationId, userId, options);
+  }
+
+  /**
+   * Get the IDs of the aliases a student has used in anonymous
+   * conversations
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} Alias IDs
+   */
+  async getAliasIds(userId) {
+    const snapshot = await withRetry(() =>
+      db
+        .collection(ANONYMOUS_IDENTITIES_COLLECTION)
+        .where("userId", "==", userId)
+        .select()
+        .get()
+    );
+    return snapshot.docs.map((doc) => doc.id);
+  }
+
+  /**
+   * Get the conversations a message search looks through
+   * These are the user's MAX_SEARCH_CONVERSATIONS most recently active
+   * conversations, including anonymous ones joined under an alias. A direct
+   * conversation with the requested participant is always included, even
+   * when it is older.
+   * @param {string} userId - User ID
+   * @param {Object} filters - Search filters
+   * @param {string} [filters.participantId] - Only conversations with this
+   *   participant
+   * @param {string|null} [filters.fromTime] - Earliest message time
+   * @returns {Promise<{conversations: Map, truncated: boolean}>}
+   *   Conversations and the ID the user appears under in each, by
+   *   conversation ID
+   */
+  async getSearchConversations(userId, { participantId, fromTime }) {
+    const ownIds = [userId, ...(await this.getAliasIds(userId))];
+
+    // array-contains-any takes at most 30 values
+    const idChunks = [];
+    for (let i = 0; i < ownIds.length; i += SEARCH_CHUNK_SIZE) {
+      idChunks.push(ownIds.slice(i, i + SEARCH_CHUNK_SIZE));
+    }
+    const snapshots = await Promise.all(
+      idChunks.map((chunk) =>
+        withRetry(() =>
+          db
+            .collection(CONVERSATIONS_COLLECTION)
+            .where("participants", "array-contains-any", chunk)
+            .orderBy("lastMessageAt", "desc")
+            .limit(MAX_SEARCH_CONVERSATIONS + 1)
+            .get()
+        )
+      )
+    );
+    const recent = snapshots
+      .flatMap((snapshot) => snapshot.docs)
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) =>
+        (b.lastMessageAt || "").localeCompare(a.lastMessageAt || "")
+      );
+    const truncated = recent.length > MAX_SEARCH_CONVERSATIONS;
+    const candidates = recent.slice(0, MAX_SEARCH_CONVERSATIONS);
+
+    if (
+      typeof participantId === "string" &&
+      participantId &&
+      !ownIds.includes(participantId)
+    ) {
+      const direct = await this.getConversation(
+        getDirectConversationId(userId, participantId)
+      );
+      if (
+        direct?.participants.includes(userId) &&
+        !candidates.some(({ id }) => id === direct.id)
+      ) {
+        candidates.push(direct);
+      }
+    }
+
+    // Keep conversations with the requested participant; those without
+    // messages since `from` cannot match
+    const conversations = new Map();
+    candidates.forEach((conversation) => {
+      if (
+        (participantId &&
+          (ownIds.includes(participantId) ||
+            !conversation.participants.includes(participantId))) ||
+        (fromTime &&
+          !(
+            conversation.lastMessageAt && conversation.lastMessageAt >= fromTime
+          ))
+      ) {
+        return;
+      }
+      conversations.set(conversation.id, {
+        conversation,
+        participantId: conversation.participants.find((id) =>
+          ownIds.includes(id)
+        ),
+      });
+    });
+
+    return { conversations, truncated };
+  }
+
+  /**
+   * Search the messages of the user's conversations
+   * Terms match whole words. The longest term is looked up in the search
+   * tokens stored on each message and the other terms are checked on the
+   * results, so pages can come back short; nextCursor still moves past the
+   * messages left out. Only the user's most recent conversations are
+   * searched, see getSearchConversations.
+   * @param {string} userId - User ID
+   * @param {Object} filters - Search filters
+   * @param {string} [filters.q] - Search terms, all of which must appear
+   * @param {string} [filters.participantId] - Only search conversations
+   *   with this participant
+   * @param {string} [filters.from] - Earliest message time, ISO 8601
+   * @param {string} [filters.to] - Latest message time, ISO 8601
+   * @param {number} [filters.limit] - Page size
+   * @param {string} [filters.cursor] - ID of the last message seen
+   * @returns {Promise<{messages: Array, nextCursor: string|null,
+   *   truncated: boolean}>} Newest first; `truncated` is set when some older
+   *   conversations were not searched
+   */
+  async searchMessages(
+    userId,
+    { q, participantId, from, to, limit, cursor } = {}
+  ) {
+    try {
+      const terms = tokenize(q).slice(0, MAX_SEARCH_TERMS);
+      if (typeof q === "string" && q.trim() && terms.length === 0) {
+        throw new AppError(
+          400,
+          "Search terms must be at least 2 characters",
+          "invalid_search_query"
+        );
+      }
+      const fromTime = parseSearchDate(from, "from");
+      const toTime = parseSearchDate(to, "to", { endOfDay: true });
+      if (fromTime && toTime && fromTime > toTime) {
+        throw new AppError(400, "from must be before to", "invalid_date_range");
+      }
+      if (terms.length === 0 && !participantId && !fromTime && !toTime) {
+        throw new AppError(
+          400,
+          "Search by keyword, participant or date range",
+          "search_criteria_required"
+        );
+      }
+
+      const { conversations, truncated } = await this.getSearchConversations(
+        userId,
+        { participantId, fromTime }
+      );
+
+      let cursorDoc = null;
+      if (cursor) {
+        cursorDoc = await withRetry(() =>
+          this.model.collection.doc(cursor).get()
+        );
+        if (
+          !cursorDoc.exists ||
+          !conversations.has(cursorDoc.data().conversationId)
+        ) {
+          throw new AppError(400, "Invalid cursor", "invalid_cursor");
+        }
+      }
+      if (conversations.size === 0) {
+        return { messages: [], nextCursor: null, truncated };
+      }
+
+      const pageSize = parsePageSize(limit);
+      const conversationIds = [...conversations.keys()];
+      const chunks = [];
+      for (let i = 0; i < conversationIds.length; i += SEARCH_CHUNK_SIZE) {
+        chunks.push(conversationIds.slice(i, i + SEARCH_CHUNK_SIZE));
+      }
+      // The longest term is usually the rarest
+      const [lookupTerm] = [...terms].sort((a, b) => b.length - a.length);
+
+      const snapshots = await Promise.all(
+        chunks.map((chunk) => {
+          let query = this.model.collection.where(
+            "conversationId",
+            "in",
+            chunk
+          );
+          if (lookupTerm) {
+            query = query.where("searchTokens", "array-contains", lookupTerm);
+          }
+          if (fromTime) {
+            query = query.where("timestamp", ">=", fromTime);
+          }
+          if (toTime) {
+            query = query.where("timestamp", "<=", toTime);
+          }
+          query = query.orderBy("timestamp", "desc");
+          if (cursorDoc) {
+            query = query.startAfter(cursorDoc);
+          }
+          return withRetry(() => query.limit(pageSize + 1).get());
+        })
+      );
+
+      // Merge the chunks in query order: newest first, then by
+      // descending document ID
+      const docs = snapshots
+        .flatMap((chunkSnapshot) => chunkSnapshot.docs)
+        .sort((a, b) => {
+          const byTime = b.data().timestamp.localeCompare(a.data().timestamp);
+          if (byTime !== 0) {
+            return byTime;
+          }
+          return b.id < a.id ? -1 : 1;
+        });
+      const page = docs.slice(0, pageSize);
+
+      // Group messages from users the searcher blocked are left out
+      const hasGroups = [...conversations.values()].some(
+        ({ conversation }) => conversation.type === ConversationType.GROUP
+      );
+      const blockedIds = hasGroups
+        ? await this.safetyService.getBlockedIds(userId)
+        : new Set();
+
+      return {
+        messages: page
+          .filter((doc) => {
+            const {
+              conversationId,
+              senderId,
+              deletedAt,
+              searchTokens = [],
+            } = doc.data();
+            return (
+              !deletedAt &&
+              terms.every((term) => searchTokens.includes(term)) &&
+              !(
+                conversations.get(conversationId).conversation.type ===
+                  ConversationType.GROUP && blockedIds.has(senderId)
+              )
+            );
+          })
+          .map((doc) =>
+            toParticipantMessage(
+              doc,
+              conversations.get(doc.data().conversationId).participantId
+            )
+          )
+          .filter(Boolean),
+        nextCursor: docs.length > pageSize ? page[page.length - 1].id : null,
+        truncated,
+      };
+    } catch (error) {
+      logger.error("Failed to search messages", {
+        error: error.message,
+        userId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
     }
   }
 
@@ -49,34 +1301,116 @@ export class ChatService extends BaseService {
         .orderBy("timestamp", "desc")
         .get();
 
-      return messages.docs.map((doc) => ({
-        id: doc.id,
-        ...doc.data(),
-      }));
+      return messages.docs
+        .map((doc) => toParticipantMessage(doc, userId))
+        .filter(Boolean);
     } catch (error) {
-      throw new Error(`Failed to get unread messages: ${error.message}`);
+      logger.error("Failed to get unread messages", { error: error.message });
+      throw handleFirebaseError(error);
     }
   }
 
-  async markMessagesAsRead(senderId, receiverId) {
+  /**
+   * Mark every message a user received in a conversation as read
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Reading user ID
+   * @returns {Promise<Object>} Read receipt with the number of messages updated
+   */
+  async markConversationRead(conversationId, userId) {
     try {
-      const messages = await db
-        .collection("messages")
-        .where("senderId", "==", senderId)
-        .where("receiverId", "==", receiverId)
-        .where("read", "==", false)
-        .get();
+      const { conversation, participantId } = await this.getParticipation(
+        conversationId,
+        userId
+      );
+      if (conversation.type === ConversationType.GROUP) {
+        return await this.markGroupRead(conversation, participantId);
+      }
+
+      const messages = await withRetry(() =>
+        this.model.collection
+          .where("conversationId", "==", conversationId)
+          .where("receiverId", "==", participantId)
+          .where("read", "==", false)
+          .get()
+      );
 
       // Use a batch to update multiple documents efficiently
       const batch = db.batch();
       messages.docs.forEach((doc) => {
         batch.update(doc.ref, { read: true });
       });
+      batch.update(
+        db.collection(CONVERSATIONS_COLLECTION).doc(conversationId),
+        {
+          [`unreadCounts.${participantId}`]: 0,
+        }
+      );
+
+      await withRetry(() => batch.commit());
 
-      await batch.commit();
-      return { count: messages.size };
+      const receipt = {
+        conversationId,
+        readerId: participantId,
+        count: messages.size,
+        readAt: new Date().toISOString(),
+      };
+      if (messages.size > 0) {
+        this.publishToConversation(conversation, "messages_read", receipt);
+      }
+      return receipt;
     } catch (error) {
-      throw new Error(`Failed to mark messages as read: ${error.message}`);
+      logger.error("Failed to mark conversation as read", {
+        error: error.message,
+        conversationId,
+        userId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Mark a group conversation as read for one member
+   * Group messages have no single receiver, so each member's read position
+   * is kept on the conversation instead of on the messages
+   * @param {Object} conversation - Group conversation
+   * @param {string} memberId - Reading member ID
+   * @returns {Promise<Object>} Read receipt with the number of unread messages
+   */
+  async markGroupRead(conversation, memberId) {
+    const readAt = new Date().toISOString();
+    const lastReadMessageId = conversation.lastMessage?.id || null;
+    const count = conversation.unreadCounts?.[memberId] || 0;
+
+    await withRetry(() =>
+      db
+        .collection(CONVERSATIONS_COLLECTION)
+        .doc(conversation.id)
+        .update({
+          [`unreadCounts.${memberId}`]: 0,
+          [`readState.${memberId}`]: { lastReadMessageId, readAt },
+        })
+    );
+
+    const receipt = {
+      conversationId: conversation.id,
+      readerId: memberId,
+      count,
+      lastReadMessageId,
+      readAt,
+    };
+    if (count > 0) {
+      this.publishToConversation(conversation, "messages_read", receipt);
+    }
+    return receipt;
+  }
+
+  async markMessagesAsRead(senderId, receiverId) {
+    const conversationId = getDirectConversationId(senderId, receiverId);
+    if (!(await this.isConversationParticipant(conversationId, receiverId))) {
+      return { count: 0 };
     }
+
+    return this.markConversationRead(conversationId, receiverId);
   }
 }
@@ -0,0 +1,459 @@
+/**
+ * Consent service
+ * Versioned consent documents (informed consent for counseling and the
+ * data-sharing agreement) written by admins, and per-user acceptance
+ * records. Publishing a new version supersedes the previous one, so users
+ * have to accept again before their next counseling action.
+ */
+import { db } from "../config/firebase.config.js";
+import { BaseService } from "./base.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry, runTransaction } from "../utils/firebase-utils.js";
+import { emitToAll } from "../utils/socket-emitter.js";
+import logger from "../utils/logger.js";
+
+export const ConsentType = {
+  COUNSELING: "counseling",
+  DATA_SHARING: "data_sharing",
+};
+
+export const ConsentDocumentStatus = {
+  DRAFT: "draft",
+  CURRENT: "current",
+  SUPERSEDED: "superseded",
+};
+
+const ACCEPTANCES_COLLECTION = "consent_acceptances";
+const CURRENT_CACHE_TTL_MS = 60 * 1000;
+const MAX_HISTORY = 100;
+
+// Current documents shared by every service instance
+let currentCache = { documents: null, expiresAt: 0 };
+
+/**
+ * Ensure a consent type is one of ConsentType
+ * @param {string} type - Type to check
+ */
+const assertType = (type) => {
+  if (!Object.values(ConsentType).includes(type)) {
+    throw new AppError(
+      400,
+      `type must be one of: ${Object.values(ConsentType).join(", ")}`,
+      "invalid_consent_type"
+    );
+  }
+};
+
+export class ConsentService extends BaseService {
+  constructor() {
+    super("consent_documents");
+  }
+
+  /**
+   * Get the current version of every consent type that has been published
+   * @returns {Promise<Array>} Current documents
+   */
+  async getCurrentDocuments() {
+    if (currentCache.documents && currentCache.expiresAt > Date.now()) {
+      return currentCache.documents;
+    }
+
+    const documents = await this.model.findWhere(
+      "status",
+      "==",
+      ConsentDocumentStatus.CURRENT
+    );
+    currentCache = {
+      documents,
+      expiresAt: Date.now() + CURRENT_CACHE_TTL_MS,
+    };
+    return documents;
+  }
+
+  /**
+   * Get the user's acceptance of each current document
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} [{ document, acceptance }], acceptance is null
+   *   when the current version has not been accepted
+   */
+  async getCurrentAcceptances(userId) {
+    const documents = await this.getCurrentDocuments();
+    if (documents.length === 0) {
+      return [];
+    }
+
+    const acceptanceDocs = await withRetry(() =>
+      db.getAll(
+        ...documents.map((document) =>
+          db.collection(ACCEPTANCES_COLLECTION).doc(`${userId}_${document.id}`)
+        )
+      )
+    );
+    return documents.map((document, index) => ({
+      document,
+      acceptance: acceptanceDocs[index].exists
+        ? acceptanceDocs[index].data()
+        : null,
+    }));
+  }
+
+  /**
+   * Get the current documents the user still has to accept
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Documents awaiting acceptance
+   */
+  async getPendingDocuments(userId) {
+    const acceptances = await this.getCurrentAcceptances(userId);
+    return acceptances
+      .filter(({ acceptance }) => !acceptance)
+      .map(({ document }) => document);
+  }
+
+  /**
+   * Get the user's consent status for every current document
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { complete, documents }
+   */
+  async getStatus(userId) {
+    try {
+      const acceptances = await this.getCurrentAcceptances(userId);
+      const documents = acceptances.map(({ document, acceptance }) => ({
+        id: document.id,
+        type: document.type,
+        version: document.version,
+        title: document.title,
+        body: document.body,
+        changeSummary: document.changeSummary,
+        publishedAt: document.publishedAt,
+        accepted: Boolean(acceptance),
+        acceptedAt: acceptance?.acceptedAt || null,
+      }));
+
+      return {
+        complete: documents.every((document) => document.accepted),
+        documents,
+      };
+    } catch (error) {
+      logger.error("Failed to get consent status", {
+        error: error.message,
+        userId,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Record that a user accepted the current version of a document
+   * Accepting the same version again returns the original record
+   * @param {string} userId - User ID
+   * @param {string} documentId - Consent document ID
+   * @param {Object} [context] - Request context kept with the record
+   * @param {string} [context.ip] - Client IP address
+   * @param {string} [context.userAgent] - Client user agent
+   * @returns {Promise<Object>} Acceptance record
+   */
+  async acceptDocument(userId, documentId, { ip, userAgent } = {}) {
+    try {
+      const documentRef = this.model.collection.doc(documentId);
+      const acceptanceRef = db
+        .collection(ACCEPTANCES_COLLECTION)
+        .doc(`${userId}_${documentId}`);
+
+      const acceptance = await runTransaction(db, async (transaction) => {
+        const [documentDoc, acceptanceDoc] = await Promise.all([
+          transaction.get(documentRef),
+          transaction.get(acceptanceRef),
+        ]);
+        if (
+          !documentDoc.exists ||
+          documentDoc.data().status === ConsentDocumentStatus.DRAFT
+        ) {
+          throw new AppError(
+            404,
+            "Consent document not found",
+            "consent_document_not_found"
+          );
+        }
+        if (acceptanceDoc.exists) {
+          return acceptanceDoc.data();
+        }
+        if (documentDoc.data().status !== ConsentDocumentStatus.CURRENT) {
+          throw new AppError(
+            409,
+            "A newer version of this document has been published",
+            "consent_version_outdated"
+          );
+        }
+
+        const { type, version } = documentDoc.data();
+        const record = {
+          userId,
+          documentId,
+          type,
+          version,
+          acceptedAt: new Date().toISOString(),
+          ip: ip || null,
+          userAgent: userAgent || null,
+        };
+        transaction.set(acceptanceRef, record);
+        return record;
+      });
+
+      logger.info("Consent accepted", {
+        userId,
+        documentId,
+        version: acceptance.version,
+      });
+      return { id: acceptanceRef.id, ...acceptance };
+    } catch (error) {
+      logger.error("Failed to accept consent document", {
+        error: error.message,
+        userId,
+        documentId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List a user's acceptance records, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Acceptance records
+   */
+  async getAcceptanceHistory(userId) {
+    try {
+      const snapshot = await withRetry(() =>
+        db
+          .collection(ACCEPTANCES_COLLECTION)
+          .where("userId", "==", userId)
+          .orderBy("acceptedAt", "desc")
+          .limit(MAX_HISTORY)
+          .get()
+      );
+
+      return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      logger.error("Failed to get consent history", {
+        error: error.message,
+        userId,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List every version of the consent documents (admin)
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.type] - Only include this type
+   * @returns {Promise<Array>} Documents, newest version first per type
+   */
+  async getAllDocuments({ type } = {}) {
+    try {
+      if (type) assertType(type);
+
+      const documents = type
+        ? await this.findWhere("type", "==", type)
+        : await this.getAll();
+
+      return documents.sort(
+        (a, b) => a.type.localeCompare(b.type) || b.version - a.version
+      );
+    } catch (error) {
+      logger.error("Failed to get consent documents", {
+        error: error.message,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Draft the next version of a consent document (admin)
+   * Only one draft per type can exist at a time
+   * @param {string} adminId - Admin user ID
+   * @param {Object} data - Document data
+   * @param {string} data.type - One of ConsentType
+   * @param {string} data.title - Title
+   * @param {string} data.body - Full text shown to users
+   * @param {string} [data.changeSummary] - What changed since the last version
+   * @returns {Promise<Object>} Created draft
+   */
+  async createDraft(adminId, { type, title, body, changeSummary }) {
+    try {
+      assertType(type);
+
+      const document = await runTransaction(db, async (transaction) => {
+        const latest = await transaction.get(
+          this.model.collection
+            .where("type", "==", type)
+            .orderBy("version", "desc")
+            .limit(1)
+        );
+        const previous = latest.empty ? null : latest.docs[0].data();
+        if (previous?.status === ConsentDocumentStatus.DRAFT) {
+          throw new AppError(
+            409,
+            "A draft of this document already exists",
+            "consent_draft_exists"
+          );
+        }
+
+        const version = (previous?.version || 0) + 1;
+        const timestamp = new Date().toISOString();
+        const draft = {
+          type,
+          version,
+          title: title.trim(),
+          body: body.trim(),
+          changeSummary: changeSummary?.trim() || null,
+          status: ConsentDocumentStatus.DRAFT,
+          createdBy: adminId,
+          publishedAt: null,
+          publishedBy: null,
+          createdAt: timestamp,
+          updatedAt: timestamp,
+        };
+        const ref = this.model.collection.doc(`${type}_v${version}`);
+        transaction.set(ref, draft);
+        return { id: ref.id, ...draft };
+      });
+
+      logger.info("Consent document drafted", {
+        documentId: document.id,
+        adminId,
+      });
+      return document;
+    } catch (error) {
+      logger.error("Failed to draft consent document", {
+        error: error.message,
+        type,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Edit a draft (admin)
+   * Published versions are immutable because users accepted their text
+   * @param {string} documentId - Consent document ID
+   * @param {string} adminId - Admin user ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Updated draft
+   */
+  async updateDraft(documentId, adminId, { title, body, changeSummary }) {
+    try {
+      const document = await this.model.findById(documentId);
+      if (!document) {
+        throw new AppError(
+          404,
+          "Consent document not found",
+          "consent_document_not_found"
+        );
+      }
+      if (document.status !== ConsentDocumentStatus.DRAFT) {
+        throw new AppError(
+          409,
+          "Published consent documents cannot be edited; draft a new version instead",
+          "consent_document_published"
+        );
+      }
+
+      return await this.update(documentId, {
+        ...(title !== undefined && { title: title.trim() }),
+        ...(body !== undefined && { body: body.trim() }),
+        ...(changeSummary !== undefined && {
+          changeSummary: changeSummary.trim() || null,
+        }),
+        updatedBy: adminId,
+      });
+    } catch (error) {
+      logger.error("Failed to update consent document", {
+        error: error.message,
+        documentId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Publish a draft as the current version (admin)
+   * The previous version is superseded, so every user is asked to accept
+   * the new one before their next counseling action
+   * @param {string} documentId - Consent document ID
+   * @param {string} adminId - Admin user ID
+   * @returns {Promise<Object>} Published document
+   */
+  async publishDraft(documentId, adminId) {
+    try {
+      const ref = this.model.collection.doc(documentId);
+
+      const published = await runTransaction(db, async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) {
+          throw new AppError(
+            404,
+            "Consent document not found",
+            "consent_document_not_found"
+          );
+        }
+        if (doc.data().status !== ConsentDocumentStatus.DRAFT) {
+          throw new AppError(
+            409,
+            "This version has already been published",
+            "consent_document_published"
+          );
+        }
+
+        const current = await transaction.get(
+          this.model.collection
+            .where("type", "==", doc.data().type)
+            .where("status", "==", ConsentDocumentStatus.CURRENT)
+        );
+
+        const timestamp = new Date().toISOString();
+        const updates = {
+          status: ConsentDocumentStatus.CURRENT,
+          publishedAt: timestamp,
+          publishedBy: adminId,
+          updatedAt: timestamp,
+        };
+        current.docs.forEach((currentDoc) =>
+          transaction.update(currentDoc.ref, {
+            status: ConsentDocumentStatus.SUPERSEDED,
+            supersededAt: timestamp,
+            updatedAt: timestamp,
+          })
+        );
+        transaction.update(ref, updates);
+
+        return { id: doc.id, ...doc.data(), ...updates };
+      });
+      currentCache.expiresAt = 0;
+
+      // Connected clients show the new version right away; others are
+      // prompted by GET /consents or the next blocked counseling request
+      emitToAll("consent_updated", {
+        documentId: published.id,
+        type: published.type,
+        version: published.version,
+      });
+
+      logger.info("Consent document published", {
+        documentId,
+        adminId,
+        version: published.version,
+      });
+      return published;
+    } catch (error) {
+      logger.error("Failed to publish consent document", {
+        error: error.message,
+        documentId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Counselor matching service
+ * Ranks counselors for a student by specialty overlap with their concerns,
+ * language and gender preference, remaining caseload, rating and how soon
+ * they have an open slot
+ */
+import { AppointmentService } from "./appointment.service.js";
+import { getMaxCaseload } from "./assignment.service.js";
+import { BaseService } from "./base.service.js";
+import {
+  getSpecialties,
+  normalizeTag,
+  normalizeTags,
+  toPublicCounselorProfile,
+} from "../utils/counselor-profile.js";
+import { handleFirebaseError } from "../utils/error.js";
+import { withRetry } from "../utils/firebase-utils.js";
+import { isOnline } from "../utils/presence.js";
+import logger from "../utils/logger.js";
+
+// Relative weight of each criterion; they add up to 1
+const MATCH_WEIGHTS = {
+  specialty: 0.35,
+  language: 0.15,
+  gender: 0.1,
+  caseload: 0.15,
+  rating: 0.15,
+  availability: 0.1,
+};
+
+// Ratings are pulled towards a neutral prior so one 5-star review does not
+// outrank a long track record
+const PRIOR_RATING = 3;
+const PRIOR_RATING_WEIGHT = 5;
+
+const SLOT_LOOKAHEAD_DAYS = 14;
+const MAX_CONCERNS = 10;
+const DEFAULT_MATCH_LIMIT = 5;
+const MAX_MATCH_LIMIT = 20;
+
+/**
+ * Score the criteria that do not need a slot lookup
+ * Criteria the student did not ask for score 1 for everyone
+ * @param {Object} counselor - Counselor document
+ * @param {Object} preferences - Normalized student preferences
+ * @returns {Object} { matchedSpecialties, breakdown }
+ */
+const scoreProfile = (counselor, { concerns, language, genderPreference }) => {
+  const specialties = getSpecialties(counselor);
+  const matchedSpecialties = concerns.filter((concern) =>
+    specialties.includes(concern)
+  );
+  const totalRatings = counselor.totalRatings || 0;
+  const adjustedRating =
+    ((counselor.rating || 0) * totalRatings +
+      PRIOR_RATING * PRIOR_RATING_WEIGHT) /
+    (totalRatings + PRIOR_RATING_WEIGHT);
+
+  return {
+    matchedSpecialties,
+    breakdown: {
+      specialty:
+        concerns.length > 0 ? matchedSpecialties.length / concerns.length : 1,
+      language:
+        !language || normalizeTags(counselor.languages).includes(language)
+          ? 1
+          : 0,
+      gender:
+        !genderPreference ||
+        (typeof counselor.gender === "string" &&
+          normalizeTag(counselor.gender) === genderPreference)
+          ? 1
+          : 0,
+      caseload: Math.max(
+        1 - (counselor.activeClientCount || 0) / getMaxCaseload(counselor),
+        0
+      ),
+      rating: adjustedRating / 5,
+      availability: 0,
+    },
+  };
+};
+
+/**
+ * Combine criterion scores into one weighted score
+ * @param {Object} breakdown - Scores from 0 to 1 keyed by criterion
+ * @returns {number} Score from 0 to 1
+ */
+const weightedScore = (breakdown) =>
+  Object.entries(MATCH_WEIGHTS).reduce(
+    (score, [criterion, weight]) => score + breakdown[criterion] * weight,
+    0
+  );
+
+export class CounselorMatchingService extends BaseService {
+  constructor() {
+    super("counselors");
+    this.appointmentService = new AppointmentService();
+  }
+
+  /**
+   * Get a counselor's next open slot, if any within the lookahead
+   * Failures only cost the counselor the availability score
+   * @param {string} counselorId - Counselor user ID
+   * @returns {Promise<Object|null>} Slot or null
+   */
+  async getNextOpenSlot(counselorId) {
+    try {
+      const slots = await this.appointmentService.getAvailableSlots(
+        counselorId,
+        { days: SLOT_LOOKAHEAD_DAYS }
+      );
+      return slots[0] || null;
+    } catch (error) {
+      logger.warn("Failed to get next open slot for matching", {
+        error: error.message,
+        counselorId,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Rank available counselors with room in their caseload for a student
+   * Slots are only looked up for the best profile matches
+   * @param {Object} preferences - Student preferences
+   * @param {Array<string>|string} [preferences.concerns] - Concerns, matched
+   *   against counselor specialties
+   * @param {string} [preferences.language] - Preferred language
+   * @param {string} [preferences.genderPreference] - Preferred counselor gender
+   * @param {number} [preferences.limit=5] - Maximum number of matches
+   * @returns {Promise<Array>} Counselors, best match first, with `score`,
+   *   `scoreBreakdown`, `matchedSpecialties` and `nextAvailableSlot`
+   */
+  async matchCounselors({ concerns, language, genderPreference, limit } = {}) {
+    try {
+      const preferences = {
+        concerns: normalizeTags(concerns).slice(0, MAX_CONCERNS),
+        language: typeof language === "string" ? normalizeTag(language) : null,
+        genderPreference:
+          typeof genderPreference === "string"
+            ? normalizeTag(genderPreference)
+            : null,
+      };
+      const pageSize = Math.min(
+        Math.max(parseInt(limit, 10) || DEFAULT_MATCH_LIMIT, 1),
+        MAX_MATCH_LIMIT
+      );
+
+      const snapshot = await withRetry(() =>
+        this.model.collection.where("isAvailable", "==", true).get()
+      );
+      const candidates = snapshot.docs
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+        .filter(
+          (counselor) =>
+            (counselor.activeClientCount || 0) < getMaxCaseload(counselor)
+        )
+        .map((counselor) => ({
+          counselor,
+          ...scoreProfile(counselor, preferences),
+        }))
+        .sort((a, b) => weightedScore(b.breakdown) - weightedScore(a.breakdown))
+        // Only a shortlist gets the slot lookup; availability is a light
+        // criterion, so it reorders the shortlist rather than the field
+        .slice(0, pageSize * 2);
+
+      const now = Date.now();
+      const lookaheadMs = SLOT_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+      const matches = await Promise.all(
+        candidates.map(async ({ counselor, matchedSpecialties, breakdown }) => {
+          const nextAvailableSlot = await this.getNextOpenSlot(counselor.id);
+          const scoreBreakdown = {
+            ...breakdown,
+            availability: nextAvailableSlot
+              ? Math.max(
+                  1 -
+                    (Date.parse(nextAvailableSlot.startTime) - now) /
+                      lookaheadMs,
+                  0
+                )
+              : 0,
+          };
+
+          return {
+            ...toPublicCounselorProfile(counselor),
+            isOnline: isOnline(counselor.id),
+            nextAvailableSlot,
+            matchedSpecialties,
+            score: Math.round(weightedScore(scoreBreakdown) * 1000) / 1000,
+            scoreBreakdown,
+          };
+        })
+      );
+
+      return matches.sort((a, b) => b.score - a.score).slice(0, pageSize);
+    } catch (error) {
+      logger.error("Failed to match counselors", { error: error.message });
+      throw handleFirebaseError(error);
+    }
+  }
+}
@@ -2,6 +2,14 @@ import { UserRole } from "./auth.service.js";
 import { admin, db } from "../config/firebase.config.js";
 import logger from "../utils/logger.js";
 import { BaseService } from "./base.service.js";
+import { AvailabilityService } from "./availability.service.js";
+import { toLocalDateString } from "../utils/availability.js";
+import {
+  normalizeCounselorProfile,
+  normalizeTag,
+} from "../utils/counselor-profile.js";
+import { DomainEvent, publish } from "../utils/domain-events.js";
+import { isOnline } from "../utils/presence.js";
 
 // Use the admin.db instance that's already initialized
 const counselorDb = admin.db;
@@ -9,6 +17,7 @@ const counselorDb = admin.db;
 export class CounselorService extends BaseService {
   constructor() {
     super("counselors");
+    this.availabilityService = new AvailabilityService();
   }
   async getCounselorProfile(uid) {
     try {
@@ -28,7 +37,7 @@ export class CounselorService extends BaseService {
 
   async updateCounselorProfile(uid, data) {
     try {
-      return await this.update(uid, data);
+      return await this.update(uid, normalizeCounselorProfile(data));
     } catch (error) {
       throw new Error(`Failed to update counselor profile: ${error.message}`);
     }
@@ -69,13 +78,38 @@ export class CounselorService extends BaseService {
     }
   }
 
+  /**
+   * Check whether a counselor is actively assigned to a client
+   * @param {string} counselorId - Counselor user ID
+   * @param {string} clientId - Student user ID
+   * @returns {Promise<boolean>} Whether an active assignment exists
+   */
+  async isAssignedCounselor(counselorId, clientId) {
+    try {
+      const snapshot = await counselorDb
+        .collection("counselor_clients")
+        .where("counselorId", "==", counselorId)
+        .where("clientId", "==", clientId)
+        .where("status", "==", "active")
+        .limit(1)
+        .get();
+
+      return !snapshot.empty;
+    } catch (error) {
+      throw new Error(`Failed to check counselor assignment: ${error.message}`);
+    }
+  }
+
   async createCounselor(userId, data) {
     try {
       const counselorData = {
-        ...data,
+        specialties: [],
+        languages: [],
+        ...normalizeCounselorProfile(data),
         userId,
         rating: 0,
         totalRatings: 0,
+        activeClientCount: 0,
         availability: {
           monday: { start: "09:00", end: "17:00" },
           tuesday: { start: "09:00", end: "17:00" },
@@ -96,48 +130,54 @@ export class CounselorService extends BaseService {
 
   async updateAvailability(userId, availability) {
     try {
-      await db.collection("counselors").doc(userId).update({
-        availability,
-        updatedAt: new Date().toISOString(),
-      });
+      // Go through the base service so cached profiles used for slot
+      // computation are invalidated
+      await this.update(userId, { availability });
+      publish(DomainEvent.AVAILABILITY_CHANGED, { counselorId: userId });
     } catch (error) {
       throw new Error(`Failed to update availability: ${error.message}`);
     }
   }
 
-  async updateRating(userId, rating) {
-    try {
-      const counselorRef = db.collection("counselors").doc(userId);
-      const counselor = await counselorRef.get();
-      const data = counselor.data();
-
-      const newTotalRatings = data.totalRatings + 1;
-      const newRating =
-        (data.rating * data.totalRatings + rating) / newTotalRatings;
-
-      await counselorRef.update({
-        rating: newRating,
-        totalRatings: newTotalRatings,
-        updatedAt: new Date().toISOString(),
-      });
-    } catch (error) {
-      throw new Error(`Failed to update rating: ${error.message}`);
-    }
-  }
-
   async searchCounselors(query) {
     try {
-      return await this.findWhere("specialties", "array-contains", query, {
-        limit: 10,
-      });
+      if (typeof query !== "string" || !query.trim()) {
+        return [];
+      }
+
+      return await this.findWhere(
+        "specialties",
+        "array-contains",
+        normalizeTag(query),
+        { limit: 10 }
+      );
     } catch (error) {
       throw new Error(`Failed to search counselors: ${error.message}`);
     }
   }
 
-  async getAvailableCounselors() {
+  async getAvailableCounselors({ onlineOnly = false } = {}) {
     try {
-      return await this.findWhere("isAvailable", "==", true);
+      const counselors = await this.findWhere("isAvailable", "==", true);
+
+      // Drop counselors who are on leave or off for a holiday today
+      const today = toLocalDateString(Date.now());
+      const holidays = await this.availabilityService.getHolidays(today, today);
+      const working = await Promise.all(
+        counselors.map((counselor) =>
+          this.availabilityService.isWorkingOn(counselor, today, holidays)
+        )
+      );
+
+      // Counselors with a live socket connection are listed first
+      return counselors
+        .filter((_, index) => working[index])
+        .map((counselor) => ({
+          ...counselor,
+          isOnline: isOnline(counselor.id),
+        }))
+        .filter((counselor) => !onlineOnly || counselor.isOnline)
+        .sort((a, b) => Number(b.isOnline) - Number(a.isOnline));
     } catch (error) {
       throw new Error(`Failed to get available counselors: ${error.message}`);
     }
@@ -4,7 +4,13 @@
  */
 import { db } from "../config/firebase.config.js";
 import { AppError, handleFirebaseError } from "../utils/error.js";
-import { withRetry, getDocument } from "../utils/firebase-utils.js";
+import {
+  withRetry,
+  getDocument,
+  runTransaction,
+} from "../utils/firebase-utils.js";
+import { normalizeTag } from "../utils/counselor-profile.js";
+import { DomainEvent, publish } from "../utils/domain-events.js";
 import logger from "../utils/logger.js";
 
 export class EventsService {
@@ -203,6 +209,67 @@ export class EventsService {
     }
   }
 
+  /**
+   * Record that a user attended an event
+   * Each user is checked in once per event; check-ins count towards quests
+   * @param {string} eventId - Event ID
+   * @param {string} userId - Attending user ID
+   * @param {string} adminId - Admin recording the check-in
+   * @returns {Promise<Object>} Check-in
+   */
+  async checkInAttendee(eventId, userId, adminId) {
+    try {
+      const [eventDoc, userDoc] = await Promise.all([
+        withRetry(() => db.collection("events").doc(eventId).get()),
+        withRetry(() => db.collection("users").doc(userId).get()),
+      ]);
+      if (!eventDoc.exists) {
+        throw new AppError(404, "Event not found", "event_not_found");
+      }
+      if (!userDoc.exists) {
+        throw new AppError(404, "User not found", "user_not_found");
+      }
+
+      const category = eventDoc.data().category
+        ? normalizeTag(eventDoc.data().category)
+        : null;
+      const checkIn = {
+        eventId,
+        userId,
+        category,
+        checkedInBy: adminId,
+        checkedInAt: new Date().toISOString(),
+      };
+
+      const checkInRef = db
+        .collection("event_check_ins")
+        .doc(`${eventId}_${userId}`);
+      await runTransaction(db, async (transaction) => {
+        const existing = await transaction.get(checkInRef);
+        if (existing.exists) {
+          throw new AppError(
+            409,
+            "User is already checked in to this event",
+            "already_checked_in"
+          );
+        }
+        transaction.set(checkInRef, checkIn);
+      });
+
+      logger.info("Event check-in recorded", { eventId, userId });
+      publish(DomainEvent.EVENT_CHECKED_IN, { userId, key: eventId, category });
+      return checkIn;
+    } catch (error) {
+      logger.error("Failed to check in event attendee", {
+        error: error.message,
+        eventId,
+        userId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
   /**
    * Process event roles to include user details for easy searching
    * @param {Array} roles - Array of role assignments
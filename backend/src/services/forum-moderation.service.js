@@ -0,0 +1,641 @@
+/**
+ * Forum moderation service
+ * Students report posts; reported posts form a moderation queue where
+ * admins dismiss reports, hide posts, lock threads or ban authors from
+ * posting. Posts reported by several students are hidden until reviewed,
+ * and self-harm reports raise a risk alert for counselors.
+ */
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "../config/firebase.config.js";
+import { UserRole } from "./auth.service.js";
+import { BaseService } from "./base.service.js";
+import {
+  BANS_COLLECTION,
+  getPostRef,
+  isForumStaff,
+  STAFF_ROLES,
+  toPost,
+} from "./forum.service.js";
+import {
+  RiskDetectionService,
+  RiskSeverity,
+} from "./risk-detection.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry, runTransaction } from "../utils/firebase-utils.js";
+import {
+  logSecurityEvent,
+  SecurityEventSeverity,
+  SecurityEventType,
+} from "../utils/security-monitor.js";
+import { emitToRole } from "../utils/socket-emitter.js";
+import logger from "../utils/logger.js";
+
+export const ReportReason = {
+  HARASSMENT: "harassment",
+  SPAM: "spam",
+  SELF_HARM: "self_harm",
+  MISINFORMATION: "misinformation",
+  OTHER: "other",
+};
+
+export const ReportStatus = {
+  OPEN: "open",
+  ACTIONED: "actioned",
+  DISMISSED: "dismissed",
+};
+
+export const ModerationAction = {
+  DISMISS: "dismiss",
+  HIDE: "hide",
+  LOCK: "lock",
+  BAN: "ban",
+};
+
+// Distinct reports after which a post is hidden pending review
+const AUTO_HIDE_REPORT_COUNT = 3;
+const MAX_DETAILS_LENGTH = 500;
+const MAX_QUEUE_REPORTS = 200;
+const MAX_BAN_DAYS = 365;
+const MODERATOR_ROLES = [UserRole.ADMIN, UserRole.SUPERADMIN];
+// Backend-only log of every lookup of an anonymous post's author
+const AUTHOR_DISCLOSURES_COLLECTION = "forum_author_disclosures";
+
+/**
+ * Leave the author out of an anonymous post
+ * @param {Object} post - Stored post
+ * @returns {Object} Post
+ */
+const withoutAnonymousAuthor = ({ authorId, authorName, ...post }) =>
+  post.anonymous ? post : { ...post, authorId, authorName };
+
+export class ForumModerationService extends BaseService {
+  constructor() {
+    super("forum_reports");
+    this.riskDetectionService = new RiskDetectionService();
+  }
+
+  /**
+   * Report a thread or reply
+   * Each user can report a post once
+   * @param {Object} reporter - Reporting user
+   * @param {string} threadId - Thread ID
+   * @param {string|null} replyId - Reply ID, or null for the thread itself
+   * @param {Object} data - Report data
+   * @param {string} data.reason - One of ReportReason
+   * @param {string} [data.details] - What is wrong with the post
+   * @returns {Promise<Object>} Created report
+   */
+  async reportPost(reporter, threadId, replyId, { reason, details }) {
+    try {
+      if (!Object.values(ReportReason).includes(reason)) {
+        throw new AppError(
+          400,
+          `reason must be one of: ${Object.values(ReportReason).join(", ")}`,
+          "invalid_report_reason"
+        );
+      }
+
+      const postId = replyId || threadId;
+      const threadRef = getPostRef(threadId);
+      const postRef = getPostRef(threadId, replyId);
+      const reportRef = this.model.collection.doc(`${postId}_${reporter.id}`);
+      const timestamp = new Date().toISOString();
+      const report = {
+        threadId,
+        replyId: replyId || null,
+        postId,
+        reporterId: reporter.id,
+        reason,
+        details: details?.trim().slice(0, MAX_DETAILS_LENGTH) || null,
+        status: ReportStatus.OPEN,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      };
+
+      const { postAuthorId, autoHidden } = await runTransaction(
+        db,
+        async (transaction) => {
+          const [threadDoc, postDoc, reportDoc] = await Promise.all([
+            transaction.get(threadRef),
+            transaction.get(postRef),
+            transaction.get(reportRef),
+          ]);
+          const isVisible = (doc) =>
+            doc.exists && (!doc.data().hidden || isForumStaff(reporter));
+          if (!isVisible(threadDoc) || !isVisible(postDoc)) {
+            throw new AppError(404, "Post not found", "forum_post_not_found");
+          }
+          if (reportDoc.exists) {
+            throw new AppError(
+              409,
+              "You have already reported this post",
+              "already_reported"
+            );
+          }
+
+          const post = postDoc.data();
+          const hide =
+            !post.hidden &&
+            (post.reportCount || 0) + 1 >= AUTO_HIDE_REPORT_COUNT;
+
+          transaction.set(reportRef, {
+            ...report,
+            postAuthorId: post.authorId,
+          });
+          transaction.update(postRef, {
+            reportCount: FieldValue.increment(1),
+            ...(hide && {
+              hidden: true,
+              autoHidden: true,
+              hiddenBy: null,
+              hiddenReason: null,
+              hiddenAt: timestamp,
+            }),
+          });
+
+          return { postAuthorId: post.authorId, autoHidden: hide };
+        }
+      );
+
+      logger.info("Forum post reported", {
+        reportId: reportRef.id,
+        threadId,
+        replyId,
+        reason,
+        autoHidden,
+      });
+
+      if (reason === ReportReason.SELF_HARM) {
+        try {
+          await this.riskDetectionService.raiseAlert({
+            source: "forum_report",
+            userId: postAuthorId,
+            severity: RiskSeverity.HIGH,
+            threadId,
+            ...(replyId && { replyId }),
+            reportId: reportRef.id,
+          });
+        } catch (error) {
+          logger.error("Failed to raise forum report risk alert", {
+            error: error.message,
+            reportId: reportRef.id,
+          });
+        }
+      }
+
+      emitToRole(MODERATOR_ROLES, "forum_report", {
+        reportId: reportRef.id,
+        threadId,
+        replyId: report.replyId,
+        reason,
+        autoHidden,
+      });
+
+      return { id: reportRef.id, ...report };
+    } catch (error) {
+      logger.error("Failed to report forum post", {
+        error: error.message,
+        threadId,
+        replyId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get the moderation queue: reports grouped by post, oldest first (admin)
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.status=open] - Report status
+   * @returns {Promise<Array>} [{ postId, threadId, replyId, post, reasons,
+   *   reports, firstReportedAt }]
+   */
+  async getModerationQueue({ status = ReportStatus.OPEN } = {}) {
+    try {
+      if (!Object.values(ReportStatus).includes(status)) {
+        throw new AppError(400, "Invalid report status", "invalid_status");
+      }
+
+      const snapshot = await withRetry(() =>
+        this.model.collection
+          .where("status", "==", status)
+          .orderBy("createdAt", "asc")
+          .limit(MAX_QUEUE_REPORTS)
+          .get()
+      );
+
+      const entries = new Map();
+      snapshot.docs.forEach((doc) => {
+        const { threadId, replyId, postId, ...report } = doc.data();
+        if (!entries.has(postId)) {
+          entries.set(postId, {
+            postId,
+            threadId,
+            replyId,
+            reasons: {},
+            reports: [],
+            firstReportedAt: report.createdAt,
+          });
+        }
+
+        const entry = entries.get(postId);
+        entry.reasons[report.reason] = (entry.reasons[report.reason] || 0) + 1;
+        entry.reports.push({
+          id: doc.id,
+          reporterId: report.reporterId,
+          reason: report.reason,
+          details: report.details,
+          createdAt: report.createdAt,
+        });
+      });
+
+      const queue = Array.from(entries.values());
+      if (queue.length === 0) {
+        return [];
+      }
+
+      const postDocs = await withRetry(() =>
+        db.getAll(
+          ...queue.map((entry) => getPostRef(entry.threadId, entry.replyId))
+        )
+      );
+      return queue.map((entry, index) => ({
+        ...entry,
+        post: postDocs[index].exists
+          ? withoutAnonymousAuthor({
+              id: postDocs[index].id,
+              ...postDocs[index].data(),
+            })
+          : null,
+      }));
+    } catch (error) {
+      logger.error("Failed to get forum moderation queue", {
+        error: error.message,
+        status,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Act on a report (admin)
+   * Every open report on the same post is resolved with it. Dismissing
+   * restores a post that was hidden automatically; banning also hides it.
+   * @param {string} reportId - Report ID
+   * @param {string} adminId - Moderating admin ID
+   * @param {Object} data - Decision
+   * @param {string} data.action - One of ModerationAction
+   * @param {string} [data.note] - Reason shown with a hidden post or ban
+   * @param {number} [data.banDays] - Ban length; permanent when omitted
+   * @returns {Promise<Object>} { reportId, action, resolvedReports }
+   */
+  async resolveReport(reportId, adminId, { action, note, banDays }) {
+    try {
+      if (!Object.values(ModerationAction).includes(action)) {
+        throw new AppError(
+          400,
+          `action must be one of: ${Object.values(ModerationAction).join(
+            ", "
+          )}`,
+          "invalid_moderation_action"
+        );
+      }
+
+      const report = await this.model.findById(reportId);
+      if (!report) {
+        throw new AppError(404, "Report not found", "forum_report_not_found");
+      }
+      if (report.status !== ReportStatus.OPEN) {
+        throw new AppError(
+          409,
+          "This report has already been resolved",
+          "forum_report_resolved"
+        );
+      }
+
+      const { threadId, replyId } = report;
+      switch (action) {
+        case ModerationAction.DISMISS: {
+          const postDoc = await withRetry(() =>
+            getPostRef(threadId, replyId).get()
+          );
+          if (postDoc.exists && postDoc.data().autoHidden) {
+            await this.moderatePost(adminId, threadId, replyId, {
+              hidden: false,
+            });
+          }
+          break;
+        }
+        case ModerationAction.HIDE:
+          await this.moderatePost(adminId, threadId, replyId, {
+            hidden: true,
+            reason: note,
+          });
+          break;
+        case ModerationAction.LOCK:
+          await this.moderatePost(adminId, threadId, null, {
+            locked: true,
+            reason: note,
+          });
+          break;
+        case ModerationAction.BAN:
+          await this.banUser(adminId, report.postAuthorId, {
+            reason: note,
+            days: banDays,
+          });
+          await this.moderatePost(adminId, threadId, replyId, {
+            hidden: true,
+            reason: note,
+          });
+          break;
+      }
+
+      const openReports = await withRetry(() =>
+        this.model.collection
+          .where("postId", "==", report.postId)
+          .where("status", "==", ReportStatus.OPEN)
+          .get()
+      );
+      const timestamp = new Date().toISOString();
+      const batch = db.batch();
+      openReports.docs.forEach((doc) =>
+        batch.update(doc.ref, {
+          status:
+            action === ModerationAction.DISMISS
+              ? ReportStatus.DISMISSED
+              : ReportStatus.ACTIONED,
+          action,
+          note: note || null,
+          resolvedBy: adminId,
+          resolvedAt: timestamp,
+          updatedAt: timestamp,
+        })
+      );
+      await withRetry(() => batch.commit());
+
+      logger.info("Forum report resolved", {
+        reportId,
+        adminId,
+        action,
+        resolvedReports: openReports.size,
+      });
+      return { reportId, action, resolvedReports: openReports.size };
+    } catch (error) {
+      logger.error("Failed to resolve forum report", {
+        error: error.message,
+        reportId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Look up who wrote a post, including anonymous ones (admin)
+   * The reason is stored in the disclosure log and raised as a security
+   * event before the author is returned
+   * @param {Object} admin - Admin user with `id` and `role`
+   * @param {string} threadId - Thread ID
+   * @param {string|null} replyId - Reply ID, or null for the thread itself
+   * @param {string} reason - Justification
+   * @returns {Promise<Object>} { threadId, replyId, anonymous, authorId,
+   *   authorName }
+   */
+  async revealAuthor(admin, threadId, replyId, reason) {
+    try {
+      const postDoc = await withRetry(() =>
+        getPostRef(threadId, replyId).get()
+      );
+      if (!postDoc.exists) {
+        throw new AppError(404, "Post not found", "forum_post_not_found");
+      }
+      const { anonymous = false, authorId, authorName } = postDoc.data();
+
+      await withRetry(() =>
+        db.collection(AUTHOR_DISCLOSURES_COLLECTION).add({
+          threadId,
+          replyId: replyId || null,
+          anonymous,
+          actorId: admin.id,
+          actorRole: admin.role,
+          reason,
+          timestamp: new Date().toISOString(),
+        })
+      );
+      await logSecurityEvent(
+        SecurityEventType.FORUM_AUTHOR_DISCLOSURE,
+        SecurityEventSeverity.HIGH,
+        {
+          userId: admin.id,
+          threadId,
+          replyId,
+          reason,
+        }
+      );
+
+      return {
+        threadId,
+        replyId: replyId || null,
+        anonymous,
+        authorId,
+        authorName,
+      };
+    } catch (error) {
+      logger.error("Failed to reveal forum post author", {
+        error: error.message,
+        threadId,
+        replyId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Hide or restore a post, or lock or unlock a thread (admin)
+   * @param {string} adminId - Moderating admin ID
+   * @param {string} threadId - Thread ID
+   * @param {string|null} replyId - Reply ID, or null for the thread itself
+   * @param {Object} data - Changes
+   * @param {boolean} [data.hidden] - Hide the post from students
+   * @param {boolean} [data.locked] - Stop replies to the thread
+   * @param {string} [data.reason] - Moderation note
+   * @returns {Promise<Object>} Updated post
+   */
+  async moderatePost(adminId, threadId, replyId, { hidden, locked, reason }) {
+    try {
+      if (hidden === undefined && locked === undefined) {
+        throw new AppError(400, "Provide hidden or locked", "validation_error");
+      }
+      if (replyId && locked !== undefined) {
+        throw new AppError(
+          400,
+          "Only threads can be locked",
+          "validation_error"
+        );
+      }
+
+      const postRef = getPostRef(threadId, replyId);
+      const postDoc = await withRetry(() => postRef.get());
+      if (!postDoc.exists) {
+        throw new AppError(404, "Post not found", "forum_post_not_found");
+      }
+
+      const timestamp = new Date().toISOString();
+      const updates = { updatedAt: timestamp };
+      if (hidden !== undefined) {
+        Object.assign(updates, {
+          hidden,
+          autoHidden: false,
+          hiddenBy: hidden ? adminId : null,
+          hiddenReason: hidden ? reason || null : null,
+          hiddenAt: hidden ? timestamp : null,
+        });
+      }
+      if (locked !== undefined) {
+        Object.assign(updates, {
+          locked,
+          lockedBy: locked ? adminId : null,
+          lockedAt: locked ? timestamp : null,
+        });
+      }
+      await withRetry(() => postRef.update(updates));
+
+      logger.info("Forum post moderated", {
+        threadId,
+        replyId,
+        adminId,
+        hidden,
+        locked,
+      });
+      return toPost(
+        { id: postDoc.id, ...postDoc.data(), ...updates },
+        { id: adminId, role: UserRole.ADMIN }
+      );
+    } catch (error) {
+      logger.error("Failed to moderate forum post", {
+        error: error.message,
+        threadId,
+        replyId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Ban a student from starting threads and replying (admin)
+   * Banning again replaces the previous ban
+   * @param {string} adminId - Moderating admin ID
+   * @param {string} userId - User to ban
+   * @param {Object} data - Ban data
+   * @param {string} [data.reason] - Reason shown to other moderators
+   * @param {number} [data.days] - Ban length; permanent when omitted
+   * @returns {Promise<Object>} Ban
+   */
+  async banUser(adminId, userId, { reason, days }) {
+    try {
+      if (
+        days !== undefined &&
+        days !== null &&
+        (!Number.isInteger(days) || days < 1 || days > MAX_BAN_DAYS)
+      ) {
+        throw new AppError(
+          400,
+          `days must be a whole number from 1 to ${MAX_BAN_DAYS}`,
+          "validation_error"
+        );
+      }
+
+      const userDoc = await withRetry(() =>
+        db.collection("users").doc(userId).get()
+      );
+      if (!userDoc.exists) {
+        throw new AppError(404, "User not found", "user_not_found");
+      }
+      if (STAFF_ROLES.includes(userDoc.data().role)) {
+        throw new AppError(
+          400,
+          "Counselors and admins cannot be banned from the forum",
+          "cannot_ban_staff"
+        );
+      }
+
+      const now = Date.now();
+      const ban = {
+        userId,
+        reason: reason || null,
+        bannedBy: adminId,
+        expiresAt: days
+          ? new Date(now + days * 24 * 60 * 60 * 1000).toISOString()
+          : null,
+        createdAt: new Date(now).toISOString(),
+      };
+      await withRetry(() =>
+        db.collection(BANS_COLLECTION).doc(userId).set(ban)
+      );
+
+      logger.info("User banned from forum", {
+        userId,
+        adminId,
+        expiresAt: ban.expiresAt,
+      });
+      return { id: userId, ...ban };
+    } catch (error) {
+      logger.error("Failed to ban forum user", {
+        error: error.message,
+        userId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Lift a ban (admin)
+   * @param {string} userId - Banned user ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async unbanUser(userId) {
+    try {
+      const ref = db.collection(BANS_COLLECTION).doc(userId);
+      const doc = await withRetry(() => ref.get());
+      if (!doc.exists) {
+        throw new AppError(404, "Ban not found", "forum_ban_not_found");
+      }
+
+      await withRetry(() => ref.delete());
+      logger.info("Forum ban lifted", { userId });
+      return true;
+    } catch (error) {
+      logger.error("Failed to lift forum ban", {
+        error: error.message,
+        userId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List bans that are still in force (admin)
+   * @returns {Promise<Array>} Bans, newest first
+   */
+  async getBans() {
+    try {
+      const snapshot = await withRetry(() =>
+        db.collection(BANS_COLLECTION).get()
+      );
+      const now = new Date().toISOString();
+
+      return snapshot.docs
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+        .filter((ban) => !ban.expiresAt || ban.expiresAt > now)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    } catch (error) {
+      logger.error("Failed to get forum bans", { error: error.message });
+      throw handleFirebaseError(error);
+    }
+  }
+}
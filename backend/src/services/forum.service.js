@@ -0,0 +1,584 @@
+/**
+ * Forum service
+ * Peer-support forum for students: admin-managed boards, threads and
+ * replies, optional anonymous posting and upvotes. Posts are screened for
+ * risk language so counselors can reach out; reports and moderation are
+ * handled by the forum moderation service.
+ */
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "../config/firebase.config.js";
+import { UserRole } from "./auth.service.js";
+import { BaseService } from "./base.service.js";
+import { RiskDetectionService } from "./risk-detection.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry, runTransaction } from "../utils/firebase-utils.js";
+import logger from "../utils/logger.js";
+
+export const THREADS_COLLECTION = "forum_threads";
+export const REPLIES_SUBCOLLECTION = "replies";
+export const BANS_COLLECTION = "forum_bans";
+
+// Staff see hidden posts. The authors of anonymous posts stay hidden from
+// everyone; admins can look one up through an audited moderation request.
+export const STAFF_ROLES = [
+  UserRole.COUNSELOR,
+  UserRole.ADMIN,
+  UserRole.SUPERADMIN,
+];
+
+export const ThreadSort = {
+  RECENT: "recent",
+  TOP: "top",
+};
+
+const UPVOTES_SUBCOLLECTION = "upvotes";
+const ANONYMOUS_AUTHOR = "Anonymous";
+const MAX_TITLE_LENGTH = 150;
+const MAX_BODY_LENGTH = 5000;
+const MAX_REPLY_LENGTH = 3000;
+const MAX_REPLIES = 500;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * Check whether a user is forum staff
+ * @param {Object} user - User with `role`
+ * @returns {boolean} True for counselors and admins
+ */
+export const isForumStaff = (user) => STAFF_ROLES.includes(user?.role);
+
+/**
+ * Get the document of a thread, or of a reply when replyId is given
+ * @param {string} threadId - Thread ID
+ * @param {string} [replyId] - Reply ID
+ * @returns {FirebaseFirestore.DocumentReference} Post reference
+ */
+export const getPostRef = (threadId, replyId) => {
+  const threadRef = db.collection(THREADS_COLLECTION).doc(threadId);
+  return replyId
+    ? threadRef.collection(REPLIES_SUBCOLLECTION).doc(replyId)
+    : threadRef;
+};
+
+/**
+ * Shape a thread or reply for a viewer
+ * The author of an anonymous post is never included, whoever is viewing
+ * @param {Object} post - Stored post with `id`
+ * @param {Object} viewer - Viewing user
+ * @returns {Object} Post
+ */
+export const toPost = ({ authorId, authorName, ...post }, viewer) => ({
+  ...post,
+  authorName: post.anonymous ? ANONYMOUS_AUTHOR : authorName,
+  ...(!post.anonymous && { authorId }),
+  isMine: authorId === viewer.id,
+});
+
+/**
+ * Trim a piece of post text and check its length
+ * @param {string} text - Submitted text
+ * @param {string} field - Field name for the error message
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Trimmed text
+ */
+const requireText = (text, field, maxLength) => {
+  const trimmed = typeof text === "string" ? text.trim() : "";
+  if (!trimmed || trimmed.length > maxLength) {
+    throw new AppError(
+      400,
+      `${field} must be between 1 and ${maxLength} characters`,
+      "validation_error"
+    );
+  }
+  return trimmed;
+};
+
+export class ForumService extends BaseService {
+  constructor() {
+    super("forum_boards");
+    this.riskDetectionService = new RiskDetectionService();
+  }
+
+  /**
+   * Reject users who are banned from posting
+   * @param {string} userId - User ID
+   */
+  async assertNotBanned(userId) {
+    const doc = await withRetry(() =>
+      db.collection(BANS_COLLECTION).doc(userId).get()
+    );
+    if (!doc.exists) {
+      return;
+    }
+
+    const { expiresAt } = doc.data();
+    if (!expiresAt || expiresAt > new Date().toISOString()) {
+      throw new AppError(
+        403,
+        expiresAt
+          ? `You are banned from posting in the forum until ${expiresAt}`
+          : "You are banned from posting in the forum",
+        "forum_banned"
+      );
+    }
+  }
+
+  /**
+   * Get a board that students can post in, or throw
+   * @param {string} boardId - Board ID
+   * @returns {Promise<Object>} Board
+   */
+  async getActiveBoard(boardId) {
+    const board = await this.model.findById(boardId);
+    if (!board || !board.active) {
+      throw new AppError(404, "Board not found", "forum_board_not_found");
+    }
+    return board;
+  }
+
+  /**
+   * Get a thread the viewer may see, or throw
+   * @param {string} threadId - Thread ID
+   * @param {Object} viewer - Viewing user
+   * @returns {Promise<Object>} Stored thread
+   */
+  async getVisibleThread(threadId, viewer) {
+    const doc = await withRetry(() => getPostRef(threadId).get());
+    if (!doc.exists || (doc.data().hidden && !isForumStaff(viewer))) {
+      throw new AppError(404, "Thread not found", "forum_thread_not_found");
+    }
+    return { id: doc.id, ...doc.data() };
+  }
+
+  /**
+   * Screen a new post and flag it when it indicates risk
+   * @param {Object} author - Posting user
+   * @param {string} text - Post text
+   * @param {string} threadId - Thread ID
+   * @param {string} [replyId] - Reply ID
+   * @returns {Promise<Object|null>} Support resources for the author, if flagged
+   */
+  async screenPost(author, text, threadId, replyId) {
+    const support = await this.riskDetectionService.screenContent(
+      text,
+      author.role,
+      {
+        source: "forum",
+        userId: author.id,
+        threadId,
+        ...(replyId && { replyId }),
+      }
+    );
+    if (support) {
+      await withRetry(() =>
+        getPostRef(threadId, replyId).update({ riskFlagged: true })
+      ).catch((error) =>
+        logger.error("Failed to flag forum post", {
+          error: error.message,
+          threadId,
+          replyId,
+        })
+      );
+    }
+    return support;
+  }
+
+  /**
+   * List the boards students can post in
+   * @returns {Promise<Array>} Active boards in display order
+   */
+  async getBoards() {
+    try {
+      const boards = await this.findWhere("active", "==", true);
+      return boards.sort(
+        (a, b) => a.order - b.order || a.name.localeCompare(b.name)
+      );
+    } catch (error) {
+      logger.error("Failed to get forum boards", { error: error.message });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List visible threads of a board
+   * @param {string} boardId - Board ID
+   * @param {Object} viewer - Viewing user
+   * @param {Object} options - Options
+   * @param {string} [options.sort=recent] - recent (latest activity) or top
+   * @param {number} [options.limit=20] - Maximum number of threads
+   * @returns {Promise<Array>} Threads without their bodies
+   */
+  async getThreads(boardId, viewer, { sort = ThreadSort.RECENT, limit } = {}) {
+    try {
+      if (!Object.values(ThreadSort).includes(sort)) {
+        throw new AppError(
+          400,
+          `sort must be one of: ${Object.values(ThreadSort).join(", ")}`,
+          "validation_error"
+        );
+      }
+      await this.getActiveBoard(boardId);
+
+      const snapshot = await withRetry(() =>
+        db
+          .collection(THREADS_COLLECTION)
+          .where("boardId", "==", boardId)
+          .where("hidden", "==", false)
+          .orderBy(
+            sort === ThreadSort.TOP ? "upvoteCount" : "lastActivityAt",
+            "desc"
+          )
+          .limit(
+            Math.min(
+              Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1),
+              MAX_PAGE_SIZE
+            )
+          )
+          .get()
+      );
+
+      return snapshot.docs.map((doc) => {
+        const { body, ...thread } = toPost(
+          { id: doc.id, ...doc.data() },
+          viewer
+        );
+        return thread;
+      });
+    } catch (error) {
+      logger.error("Failed to get forum threads", {
+        error: error.message,
+        boardId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get a thread with its replies
+   * Staff also see hidden replies, marked with `hidden`
+   * @param {string} threadId - Thread ID
+   * @param {Object} viewer - Viewing user
+   * @returns {Promise<Object>} Thread with `replies` and `upvoted` flags
+   */
+  async getThread(threadId, viewer) {
+    try {
+      const thread = await this.getVisibleThread(threadId, viewer);
+
+      const snapshot = await withRetry(() =>
+        getPostRef(threadId)
+          .collection(REPLIES_SUBCOLLECTION)
+          .orderBy("createdAt", "asc")
+          .limit(MAX_REPLIES)
+          .get()
+      );
+      const replies = snapshot.docs
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+        .filter((reply) => !reply.hidden || isForumStaff(viewer));
+
+      const upvoteDocs = await withRetry(() =>
+        db.getAll(
+          ...[thread, ...replies].map((post, index) =>
+            getPostRef(threadId, index === 0 ? null : post.id)
+              .collection(UPVOTES_SUBCOLLECTION)
+              .doc(viewer.id)
+          )
+        )
+      );
+
+      return {
+        ...toPost(thread, viewer),
+        upvoted: upvoteDocs[0].exists,
+        replies: replies.map((reply, index) => ({
+          ...toPost(reply, viewer),
+          upvoted: upvoteDocs[index + 1].exists,
+        })),
+      };
+    } catch (error) {
+      logger.error("Failed to get forum thread", {
+        error: error.message,
+        threadId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Start a thread
+   * @param {string} boardId - Board ID
+   * @param {Object} author - Posting user
+   * @param {Object} data - Thread data
+   * @param {string} data.title - Title
+   * @param {string} data.body - Opening post
+   * @param {boolean} [data.anonymous=false] - Hide the author from everyone
+   * @returns {Promise<Object>} Created thread, with `support` if it was flagged
+   */
+  async createThread(boardId, author, { title, body, anonymous = false }) {
+    try {
+      const thread = {
+        boardId,
+        title: requireText(title, "title", MAX_TITLE_LENGTH),
+        body: requireText(body, "body", MAX_BODY_LENGTH),
+      };
+      await Promise.all([
+        this.assertNotBanned(author.id),
+        this.getActiveBoard(boardId),
+      ]);
+
+      const timestamp = new Date().toISOString();
+      Object.assign(thread, {
+        authorId: author.id,
+        authorName: author.name || null,
+        anonymous: Boolean(anonymous),
+        hidden: false,
+        locked: false,
+        riskFlagged: false,
+        replyCount: 0,
+        upvoteCount: 0,
+        reportCount: 0,
+        lastActivityAt: timestamp,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      });
+
+      // The base service is bypassed because it logs the full payload,
+      // which links anonymous posts to their author
+      const threadRef = db.collection(THREADS_COLLECTION).doc();
+      const batch = db.batch();
+      batch.set(threadRef, thread);
+      batch.update(this.model.collection.doc(boardId), {
+        threadCount: FieldValue.increment(1),
+        lastActivityAt: timestamp,
+      });
+      await withRetry(() => batch.commit());
+
+      logger.info("Forum thread created", { threadId: threadRef.id, boardId });
+
+      const support = await this.screenPost(
+        author,
+        `${thread.title}\n${thread.body}`,
+        threadRef.id
+      );
+      return {
+        ...toPost(
+          { id: threadRef.id, ...thread, riskFlagged: Boolean(support) },
+          author
+        ),
+        ...(support && { support }),
+      };
+    } catch (error) {
+      logger.error("Failed to create forum thread", {
+        error: error.message,
+        boardId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Reply to a thread
+   * @param {string} threadId - Thread ID
+   * @param {Object} author - Posting user
+   * @param {Object} data - Reply data
+   * @param {string} data.body - Reply text
+   * @param {boolean} [data.anonymous=false] - Hide the author from everyone
+   * @returns {Promise<Object>} Created reply, with `support` if it was flagged
+   */
+  async createReply(threadId, author, { body, anonymous = false }) {
+    try {
+      const text = requireText(body, "body", MAX_REPLY_LENGTH);
+      await this.assertNotBanned(author.id);
+
+      const threadRef = getPostRef(threadId);
+      const replyRef = threadRef.collection(REPLIES_SUBCOLLECTION).doc();
+      const timestamp = new Date().toISOString();
+      const reply = {
+        threadId,
+        body: text,
+        authorId: author.id,
+        authorName: author.name || null,
+        anonymous: Boolean(anonymous),
+        hidden: false,
+        riskFlagged: false,
+        upvoteCount: 0,
+        reportCount: 0,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      };
+
+      await runTransaction(db, async (transaction) => {
+        const threadDoc = await transaction.get(threadRef);
+        if (
+          !threadDoc.exists ||
+          (threadDoc.data().hidden && !isForumStaff(author))
+        ) {
+          throw new AppError(404, "Thread not found", "forum_thread_not_found");
+        }
+        if (threadDoc.data().locked) {
+          throw new AppError(
+            403,
+            "This thread is locked and no longer accepts replies",
+            "forum_thread_locked"
+          );
+        }
+
+        transaction.set(replyRef, reply);
+        transaction.update(threadRef, {
+          replyCount: FieldValue.increment(1),
+          lastActivityAt: timestamp,
+        });
+      });
+
+      logger.info("Forum reply created", { threadId, replyId: replyRef.id });
+
+      const support = await this.screenPost(
+        author,
+        text,
+        threadId,
+        replyRef.id
+      );
+      return {
+        ...toPost(
+          { id: replyRef.id, ...reply, riskFlagged: Boolean(support) },
+          author
+        ),
+        ...(support && { support }),
+      };
+    } catch (error) {
+      logger.error("Failed to create forum reply", {
+        error: error.message,
+        threadId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Add or remove the viewer's upvote on a thread or reply
+   * Each user counts once per post, so repeating a call changes nothing
+   * @param {Object} viewer - Voting user
+   * @param {string} threadId - Thread ID
+   * @param {string|null} replyId - Reply ID, or null for the thread itself
+   * @param {boolean} upvoted - Whether the post should be upvoted
+   * @returns {Promise<Object>} { upvoted, upvoteCount }
+   */
+  async setUpvote(viewer, threadId, replyId, upvoted) {
+    try {
+      await this.getVisibleThread(threadId, viewer);
+
+      const postRef = getPostRef(threadId, replyId);
+      const voteRef = postRef.collection(UPVOTES_SUBCOLLECTION).doc(viewer.id);
+
+      return await runTransaction(db, async (transaction) => {
+        const [postDoc, voteDoc] = await Promise.all([
+          transaction.get(postRef),
+          transaction.get(voteRef),
+        ]);
+        if (
+          !postDoc.exists ||
+          (postDoc.data().hidden && !isForumStaff(viewer))
+        ) {
+          throw new AppError(404, "Post not found", "forum_post_not_found");
+        }
+
+        const upvoteCount = postDoc.data().upvoteCount || 0;
+        if (voteDoc.exists === upvoted) {
+          return { upvoted, upvoteCount };
+        }
+
+        if (upvoted) {
+          transaction.set(voteRef, { createdAt: new Date().toISOString() });
+        } else {
+          transaction.delete(voteRef);
+        }
+        transaction.update(postRef, {
+          upvoteCount: FieldValue.increment(upvoted ? 1 : -1),
+        });
+
+        return { upvoted, upvoteCount: upvoteCount + (upvoted ? 1 : -1) };
+      });
+    } catch (error) {
+      logger.error("Failed to update forum upvote", {
+        error: error.message,
+        threadId,
+        replyId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List every board, including inactive ones (admin)
+   * @returns {Promise<Array>} Boards in display order
+   */
+  async getAllBoards() {
+    try {
+      const boards = await this.getAll();
+      return boards.sort(
+        (a, b) => a.order - b.order || a.name.localeCompare(b.name)
+      );
+    } catch (error) {
+      logger.error("Failed to get all forum boards", { error: error.message });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Create a board (admin)
+   * @param {string} adminId - Admin user ID
+   * @param {Object} data - Board data
+   * @returns {Promise<Object>} Created board
+   */
+  async createBoard(adminId, { name, description, order = 0 }) {
+    try {
+      return await this.create({
+        name: name.trim(),
+        description: description?.trim() || "",
+        order,
+        active: true,
+        threadCount: 0,
+        lastActivityAt: null,
+        createdBy: adminId,
+      });
+    } catch (error) {
+      logger.error("Failed to create forum board", { error: error.message });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Rename, reorder or close a board (admin)
+   * Closed boards keep their threads but are hidden from students
+   * @param {string} boardId - Board ID
+   * @param {string} adminId - Admin user ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Updated board
+   */
+  async updateBoard(boardId, adminId, { name, description, order, active }) {
+    try {
+      const board = await this.model.findById(boardId);
+      if (!board) {
+        throw new AppError(404, "Board not found", "forum_board_not_found");
+      }
+
+      return await this.update(boardId, {
+        ...(name !== undefined && { name: name.trim() }),
+        ...(description !== undefined && { description: description.trim() }),
+        ...(order !== undefined && { order }),
+        ...(active !== undefined && { active }),
+        updatedBy: adminId,
+      });
+    } catch (error) {
+      logger.error("Failed to update forum board", {
+        error: error.message,
+        boardId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+}
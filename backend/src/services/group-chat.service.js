@@ -0,0 +1,738 @@
+/**
+ * Group chat service
+ * Named group conversations for counselor-led support circles and event
+ * volunteer teams. Each member has a role (owner, moderator or member) that
+ * decides who may rename the group, invite, remove and promote. Messages,
+ * unread counts and read receipts go through the chat service like any
+ * other conversation.
+ */
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "../config/firebase.config.js";
+import { RoleType } from "../models/event-role.model.js";
+import { UserRole } from "./auth.service.js";
+import { BaseService } from "./base.service.js";
+import {
+  CONVERSATIONS_COLLECTION,
+  ChatService,
+  ConversationType,
+} from "./chat.service.js";
+import {
+  NotificationService,
+  NotificationType,
+} from "./notification.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry, runTransaction } from "../utils/firebase-utils.js";
+import {
+  emitToRoom,
+  getUserRoom,
+  leaveRooms,
+} from "../utils/socket-emitter.js";
+import logger from "../utils/logger.js";
+
+export const GroupKind = {
+  SUPPORT_CIRCLE: "support_circle",
+  EVENT_TEAM: "event_team",
+};
+
+export const GroupRole = {
+  OWNER: "owner",
+  MODERATOR: "moderator",
+  MEMBER: "member",
+};
+
+const MAX_GROUP_MEMBERS = 50;
+const MANAGER_ROLES = [GroupRole.OWNER, GroupRole.MODERATOR];
+const CIRCLE_CREATOR_ROLES = [
+  UserRole.COUNSELOR,
+  UserRole.ADMIN,
+  UserRole.SUPERADMIN,
+];
+const ADMIN_ROLES = [UserRole.ADMIN, UserRole.SUPERADMIN];
+// Event roles that can set up their event's volunteer team chat
+const EVENT_TEAM_CREATOR_ROLES = [
+  RoleType.ORGANIZER,
+  RoleType.LEAD,
+  RoleType.SUBLEAD,
+];
+
+/**
+ * Shape a group conversation for clients
+ * @param {Object} conversation - Group conversation
+ * @returns {Object} Group with its member list
+ */
+export const toGroup = ({
+  id,
+  group,
+  lastMessage,
+  lastMessageAt,
+  ...rest
+}) => ({
+  id,
+  type: ConversationType.GROUP,
+  name: group.name,
+  description: group.description,
+  kind: group.kind,
+  eventId: group.eventId,
+  createdBy: group.createdBy,
+  archivedAt: group.archivedAt || null,
+  members: Object.entries(group.members || {}).map(([userId, member]) => ({
+    userId,
+    ...member,
+  })),
+  lastMessage,
+  lastMessageAt,
+  createdAt: rest.createdAt,
+  updatedAt: rest.updatedAt,
+});
+
+/**
+ * Get a member's role in a group
+ * @param {Object} conversation - Group conversation
+ * @param {string} userId - User ID
+ * @returns {string|null} Role, or null if not a member
+ */
+const getMemberRole = (conversation, userId) =>
+  conversation.group?.members?.[userId]?.role || null;
+
+/**
+ * Build the Firestore changes that add members to a group
+ * @param {Array<Object>} users - Users to add, with `id` and `name`
+ * @param {string} role - Role given to them
+ * @param {string} addedBy - Adding user ID
+ * @param {string} timestamp - Join time
+ * @returns {Object} Field updates keyed by field path
+ */
+const toMemberUpdates = (users, role, addedBy, timestamp) =>
+  Object.fromEntries(
+    users.flatMap(({ id, name }) => [
+      [`group.members.${id}`, { role, name, joinedAt: timestamp, addedBy }],
+      [`unreadCounts.${id}`, 0],
+    ])
+  );
+
+export class GroupChatService extends BaseService {
+  constructor() {
+    super(CONVERSATIONS_COLLECTION);
+    this.chatService = new ChatService();
+    this.notificationService = new NotificationService();
+  }
+
+  /**
+   * Check that a user may create a group of the given kind
+   * Support circles are led by counselors; event teams are set up by admins
+   * or the event's organizers and leads
+   * @param {Object} creator - Creating user
+   * @param {string} kind - One of GroupKind
+   * @param {string} [eventId] - Event of an event team
+   */
+  async assertCanCreate(creator, kind, eventId) {
+    if (kind === GroupKind.SUPPORT_CIRCLE) {
+      if (!CIRCLE_CREATOR_ROLES.includes(creator.role)) {
+        throw new AppError(
+          403,
+          "Only counselors can start support circles",
+          "group_create_forbidden"
+        );
+      }
+      return;
+    }
+
+    if (!eventId) {
+      throw new AppError(
+        400,
+        "eventId is required for event teams",
+        "validation_error"
+      );
+    }
+
+    const eventRef = db.collection("events").doc(eventId);
+    const [event, eventRole] = await Promise.all([
+      withRetry(() => eventRef.get()),
+      withRetry(() => eventRef.collection("event_roles").doc(creator.id).get()),
+    ]);
+    if (!event.exists) {
+      throw new AppError(404, "Event not found", "event_not_found");
+    }
+    if (ADMIN_ROLES.includes(creator.role)) {
+      return;
+    }
+
+    const role = eventRole.exists ? eventRole.data() : null;
+    if (
+      !role ||
+      role.isActive === false ||
+      !EVENT_TEAM_CREATOR_ROLES.includes(role.role) ||
+      (role.expiration && role.expiration < new Date().toISOString())
+    ) {
+      throw new AppError(
+        403,
+        "Only the event's organizers and leads can start its team chat",
+        "group_create_forbidden"
+      );
+    }
+  }
+
+  /**
+   * Load the users being added to a group
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Promise<Array<Object>>} [{ id, name }]
+   */
+  async getUsersToAdd(userIds) {
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    const docs = await withRetry(() =>
+      db.getAll(...userIds.map((id) => db.collection("users").doc(id)))
+    );
+    const missing = docs.find((doc) => !doc.exists);
+    if (missing) {
+      throw new AppError(404, `User ${missing.id} not found`, "user_not_found");
+    }
+    return docs.map((doc) => ({ id: doc.id, name: doc.data().name || null }));
+  }
+
+  /**
+   * Get a group the user is a member of, or throw
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Group conversation
+   */
+  async getGroupConversation(conversationId, userId) {
+    const conversation = await this.chatService.getConversationForParticipant(
+      conversationId,
+      userId
+    );
+    if (conversation.type !== ConversationType.GROUP) {
+      throw new AppError(404, "Group not found", "group_not_found");
+    }
+    return conversation;
+  }
+
+  /**
+   * Change a group inside a transaction
+   * @param {string} conversationId - Conversation ID
+   * @param {string} actorId - Acting member ID
+   * @param {Function} mutate - Receives (conversation, actorRole) and
+   *   returns the field updates to apply
+   * @returns {Promise<Object>} Updated conversation
+   */
+  async updateGroupConversation(conversationId, actorId, mutate) {
+    const ref = this.model.collection.doc(conversationId);
+
+    await runTransaction(db, async (transaction) => {
+      const doc = await transaction.get(ref);
+      const conversation = doc.exists ? { id: doc.id, ...doc.data() } : null;
+      const actorRole = conversation && getMemberRole(conversation, actorId);
+      if (!actorRole || conversation.type !== ConversationType.GROUP) {
+        // Same response as the chat service so group IDs cannot be probed
+        throw new AppError(
+          403,
+          "You are not a participant in this conversation",
+          "conversation_access_denied"
+        );
+      }
+
+      transaction.update(ref, {
+        ...mutate(conversation, actorRole),
+        updatedAt: new Date().toISOString(),
+      });
+    });
+
+    return this.chatService.getConversation(conversationId);
+  }
+
+  /**
+   * Create a group; the creator becomes its owner
+   * @param {Object} creator - Creating user
+   * @param {Object} data - Group data
+   * @param {string} data.name - Group name
+   * @param {string} [data.description] - What the group is for
+   * @param {string} data.kind - One of GroupKind
+   * @param {string} [data.eventId] - Event of an event team
+   * @param {Array<string>} [data.memberIds] - Users to add as members
+   * @returns {Promise<Object>} Created group
+   */
+  async createGroup(
+    creator,
+    { name, description, kind, eventId, memberIds = [] }
+  ) {
+    try {
+      if (!Object.values(GroupKind).includes(kind)) {
+        throw new AppError(
+          400,
+          `kind must be one of: ${Object.values(GroupKind).join(", ")}`,
+          "invalid_group_kind"
+        );
+      }
+
+      const invitedIds = [...new Set(memberIds)].filter(
+        (id) => id !== creator.id
+      );
+      if (invitedIds.length + 1 > MAX_GROUP_MEMBERS) {
+        throw new AppError(
+          400,
+          `Groups can have at most ${MAX_GROUP_MEMBERS} members`,
+          "group_full"
+        );
+      }
+
+      await this.assertCanCreate(creator, kind, eventId);
+      const invitees = await this.getUsersToAdd(invitedIds);
+
+      const timestamp = new Date().toISOString();
+      const ref = this.model.collection.doc();
+      const conversation = {
+        type: ConversationType.GROUP,
+        participants: [creator.id, ...invitedIds],
+        group: {
+          name: name.trim(),
+          description: description?.trim() || "",
+          kind,
+          eventId: kind === GroupKind.EVENT_TEAM ? eventId : null,
+          createdBy: creator.id,
+          members: {
+            [creator.id]: {
+              role: GroupRole.OWNER,
+              name: creator.name || null,
+              joinedAt: timestamp,
+              addedBy: creator.id,
+            },
+          },
+        },
+        lastMessage: null,
+        lastMessageAt: null,
+        unreadCounts: { [creator.id]: 0 },
+        readState: {},
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      };
+      invitees.forEach(({ id, name: memberName }) => {
+        conversation.group.members[id] = {
+          role: GroupRole.MEMBER,
+          name: memberName,
+          joinedAt: timestamp,
+          addedBy: creator.id,
+        };
+        conversation.unreadCounts[id] = 0;
+      });
+
+      await withRetry(() => ref.set(conversation));
+      logger.info("Group conversation created", {
+        conversationId: ref.id,
+        kind,
+        memberCount: conversation.participants.length,
+      });
+
+      const created = { id: ref.id, ...conversation };
+      this.chatService.publishToConversation(
+        created,
+        "group_updated",
+        toGroup(created)
+      );
+      await this.notifyAdded(created, invitedIds, creator);
+
+      return toGroup(created);
+    } catch (error) {
+      logger.error("Failed to create group conversation", {
+        error: error.message,
+        kind,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Let new members know they were added
+   * Failures are logged but never undo the change
+   * @param {Object} conversation - Group conversation
+   * @param {Array<string>} userIds - Added user IDs
+   * @param {Object} addedBy - Adding user
+   */
+  async notifyAdded(conversation, userIds, addedBy) {
+    if (userIds.length === 0) {
+      return;
+    }
+
+    try {
+      await this.notificationService.notify(userIds, {
+        type: NotificationType.GROUP_ADDED,
+        title: `Added to ${conversation.group.name}`,
+        body: `${addedBy.name || "Someone"} added you to the group chat "${
+          conversation.group.name
+        }".`,
+        data: { conversationId: conversation.id },
+      });
+    } catch (error) {
+      logger.error("Failed to notify added group members", {
+        error: error.message,
+        conversationId: conversation.id,
+      });
+    }
+  }
+
+  /**
+   * Get a group with its members and the viewer's read state
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Member user ID
+   * @returns {Promise<Object>} Group
+   */
+  async getGroup(conversationId, userId) {
+    try {
+      const conversation = await this.getGroupConversation(
+        conversationId,
+        userId
+      );
+
+      return {
+        ...toGroup(conversation),
+        myRole: getMemberRole(conversation, userId),
+        unreadCount: conversation.unreadCounts?.[userId] || 0,
+        readState: conversation.readState || {},
+      };
+    } catch (error) {
+      logger.error("Failed to get group conversation", {
+        error: error.message,
+        conversationId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Rename a group or change its description (owner or moderator)
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Acting member ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Updated group
+   */
+  async updateGroup(conversationId, userId, { name, description }) {
+    try {
+      const updated = await this.updateGroupConversation(
+        conversationId,
+        userId,
+        (conversation, actorRole) => {
+          if (!MANAGER_ROLES.includes(actorRole)) {
+            throw new AppError(
+              403,
+              "Only the owner and moderators can edit the group",
+              "group_permission_denied"
+            );
+          }
+          return {
+            ...(name !== undefined && { "group.name": name.trim() }),
+            ...(description !== undefined && {
+              "group.description": description.trim(),
+            }),
+          };
+        }
+      );
+
+      const group = toGroup(updated);
+      this.chatService.publishToConversation(updated, "group_updated", group);
+      return group;
+    } catch (error) {
+      logger.error("Failed to update group conversation", {
+        error: error.message,
+        conversationId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Invite users into a group (owner or moderator)
+   * Invited users join as members right away and can leave at any time
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} actor - Inviting user
+   * @param {Array<string>} userIds - Users to add
+   * @returns {Promise<Object>} Updated group
+   */
+  async addMembers(conversationId, actor, userIds) {
+    try {
+      const requestedIds = [...new Set(userIds)];
+      if (requestedIds.length === 0) {
+        throw new AppError(
+          400,
+          "Choose at least one user to add",
+          "validation_error"
+        );
+      }
+      const users = await this.getUsersToAdd(requestedIds);
+      let addedIds = [];
+
+      const updated = await this.updateGroupConversation(
+        conversationId,
+        actor.id,
+        (conversation, actorRole) => {
+          if (!MANAGER_ROLES.includes(actorRole)) {
+            throw new AppError(
+              403,
+              "Only the owner and moderators can invite members",
+              "group_permission_denied"
+            );
+          }
+
+          const newUsers = users.filter(
+            ({ id }) => !conversation.participants.includes(id)
+          );
+          if (
+            conversation.participants.length + newUsers.length >
+            MAX_GROUP_MEMBERS
+          ) {
+            throw new AppError(
+              400,
+              `Groups can have at most ${MAX_GROUP_MEMBERS} members`,
+              "group_full"
+            );
+          }
+
+          addedIds = newUsers.map(({ id }) => id);
+          return {
+            participants: FieldValue.arrayUnion(...addedIds),
+            ...toMemberUpdates(
+              newUsers,
+              GroupRole.MEMBER,
+              actor.id,
+              new Date().toISOString()
+            ),
+          };
+        }
+      );
+
+      const group = toGroup(updated);
+      if (addedIds.length > 0) {
+        logger.info("Group members added", {
+          conversationId,
+          addedBy: actor.id,
+          count: addedIds.length,
+        });
+        this.chatService.publishToConversation(updated, "group_updated", group);
+        await this.notifyAdded(updated, addedIds, actor);
+      }
+      return group;
+    } catch (error) {
+      logger.error("Failed to add group members", {
+        error: error.message,
+        conversationId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Change a member's role (owner)
+   * Making someone else the owner hands the group over, and the previous
+   * owner becomes a moderator
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Owner user ID
+   * @param {string} memberId - Member whose role changes
+   * @param {string} role - One of GroupRole
+   * @returns {Promise<Object>} Updated group
+   */
+  async setMemberRole(conversationId, userId, memberId, role) {
+    try {
+      if (!Object.values(GroupRole).includes(role)) {
+        throw new AppError(
+          400,
+          `role must be one of: ${Object.values(GroupRole).join(", ")}`,
+          "invalid_group_role"
+        );
+      }
+
+      const updated = await this.updateGroupConversation(
+        conversationId,
+        userId,
+        (conversation, actorRole) => {
+          if (actorRole !== GroupRole.OWNER) {
+            throw new AppError(
+              403,
+              "Only the owner can change member roles",
+              "group_permission_denied"
+            );
+          }
+          if (memberId === userId) {
+            throw new AppError(
+              400,
+              "Hand the group over to another member instead",
+              "validation_error"
+            );
+          }
+          if (!getMemberRole(conversation, memberId)) {
+            throw new AppError(
+              404,
+              "Member not found",
+              "group_member_not_found"
+            );
+          }
+
+          return {
+            [`group.members.${memberId}.role`]: role,
+            ...(role === GroupRole.OWNER && {
+              [`group.members.${userId}.role`]: GroupRole.MODERATOR,
+            }),
+          };
+        }
+      );
+
+      logger.info("Group member role changed", {
+        conversationId,
+        memberId,
+        role,
+      });
+      const group = toGroup(updated);
+      this.chatService.publishToConversation(updated, "group_updated", group);
+      return group;
+    } catch (error) {
+      logger.error("Failed to change group member role", {
+        error: error.message,
+        conversationId,
+        memberId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Take a member out of a group and tell everyone involved
+   * @param {string} conversationId - Conversation ID
+   * @param {string} actorId - Acting member ID
+   * @param {string} memberId - Member to remove
+   * @param {Function} authorize - Receives (conversation, actorRole,
+   *   memberRole) and throws if the removal is not allowed
+   * @param {string} reason - "left" or "removed"
+   * @returns {Promise<Object>} Updated group
+   */
+  async removeFromGroup(conversationId, actorId, memberId, authorize, reason) {
+    const updated = await this.updateGroupConversation(
+      conversationId,
+      actorId,
+      (conversation, actorRole) => {
+        const memberRole = getMemberRole(conversation, memberId);
+        if (!memberRole) {
+          throw new AppError(404, "Member not found", "group_member_not_found");
+        }
+        authorize(conversation, actorRole, memberRole);
+
+        return {
+          participants: FieldValue.arrayRemove(memberId),
+          [`group.members.${memberId}`]: FieldValue.delete(),
+          [`unreadCounts.${memberId}`]: FieldValue.delete(),
+          [`readState.${memberId}`]: FieldValue.delete(),
+          ...(conversation.participants.length === 1 && {
+            "group.archivedAt": new Date().toISOString(),
+          }),
+        };
+      }
+    );
+
+    // Stop delivering the group's messages to the removed user's devices
+    leaveRooms(getUserRoom(memberId), conversationId);
+    emitToRoom(
+      [conversationId, getUserRoom(memberId)],
+      "group_member_removed",
+      {
+        conversationId,
+        userId: memberId,
+        removedBy: actorId,
+        reason,
+      }
+    );
+
+    const group = toGroup(updated);
+    this.chatService.publishToConversation(updated, "group_updated", group);
+    logger.info("Group member removed", { conversationId, memberId, reason });
+    return group;
+  }
+
+  /**
+   * Remove a member from a group
+   * The owner can remove anyone; moderators can remove members only
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Acting member ID
+   * @param {string} memberId - Member to remove
+   * @returns {Promise<Object>} Updated group
+   */
+  async removeMember(conversationId, userId, memberId) {
+    try {
+      if (memberId === userId) {
+        throw new AppError(
+          400,
+          "Leave the group instead of removing yourself",
+          "validation_error"
+        );
+      }
+
+      return await this.removeFromGroup(
+        conversationId,
+        userId,
+        memberId,
+        (conversation, actorRole, memberRole) => {
+          const allowed =
+            actorRole === GroupRole.OWNER ||
+            (actorRole === GroupRole.MODERATOR &&
+              memberRole === GroupRole.MEMBER);
+          if (!allowed) {
+            throw new AppError(
+              403,
+              "You cannot remove this member",
+              "group_permission_denied"
+            );
+          }
+        },
+        "removed"
+      );
+    } catch (error) {
+      logger.error("Failed to remove group member", {
+        error: error.message,
+        conversationId,
+        memberId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Leave a group
+   * The owner has to hand the group over first, unless they are the last
+   * member, in which case the group is archived
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Leaving member ID
+   * @returns {Promise<Object>} Updated group
+   */
+  async leaveGroup(conversationId, userId) {
+    try {
+      return await this.removeFromGroup(
+        conversationId,
+        userId,
+        userId,
+        (conversation, actorRole) => {
+          if (
+            actorRole === GroupRole.OWNER &&
+            conversation.participants.length > 1
+          ) {
+            throw new AppError(
+              409,
+              "Make another member the owner before leaving",
+              "group_owner_cannot_leave"
+            );
+          }
+        },
+        "left"
+      );
+    } catch (error) {
+      logger.error("Failed to leave group conversation", {
+        error: error.message,
+        conversationId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Message history service
+ * Keeps an immutable copy of every version of a chat message once it is
+ * edited or deleted, so safety investigations can see what was actually
+ * sent. The copies live in a backend-only collection and can only be read
+ * by admins with a written reason, which is audited.
+ */
+import { db } from "../config/firebase.config.js";
+import { BaseService } from "./base.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry } from "../utils/firebase-utils.js";
+import {
+  logSecurityEvent,
+  SecurityEventSeverity,
+  SecurityEventType,
+} from "../utils/security-monitor.js";
+import logger from "../utils/logger.js";
+
+export const MESSAGE_HISTORY_COLLECTION = "message_history";
+const ACCESS_LOG_COLLECTION = "message_history_access";
+
+export const MessageChange = {
+  EDITED: "edited",
+  DELETED: "deleted",
+};
+
+/**
+ * Record a change to a message inside a transaction
+ * The first change also stores the message as originally sent. Must be
+ * called after every read of the transaction.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} historyDoc - Snapshot of the message's history document
+ * @param {Object} message - Message before the change
+ * @param {Object} change - Change details
+ * @param {string} change.action - One of MessageChange
+ * @param {string} [change.content] - New content of an edit
+ * @param {string} change.timestamp - Time of the change
+ */
+export const recordMessageChange = (
+  transaction,
+  historyDoc,
+  message,
+  { action, content, timestamp }
+) => {
+  const version = {
+    action,
+    ...(action === MessageChange.EDITED && { content }),
+    changedAt: timestamp,
+  };
+
+  if (!historyDoc.exists) {
+    transaction.set(historyDoc.ref, {
+      conversationId: message.conversationId,
+      senderId: message.senderId,
+      original: {
+        content: message.content,
+        attachments: message.attachments || [],
+        timestamp: message.timestamp,
+      },
+      versions: [version],
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    });
+    return;
+  }
+
+  transaction.update(historyDoc.ref, {
+    versions: [...historyDoc.data().versions, version],
+    updatedAt: timestamp,
+  });
+};
+
+export class MessageHistoryService extends BaseService {
+  constructor() {
+    super(MESSAGE_HISTORY_COLLECTION);
+  }
+
+  /**
+   * Read a message and its full history for a safety investigation
+   * The reason is stored in the access log and raised as a security event
+   * before anything is returned
+   * @param {string} messageId - Message ID
+   * @param {string} adminId - Admin user ID
+   * @param {string} adminRole - Admin role
+   * @param {string} reason - Justification
+   * @returns {Promise<Object>} Current message and its history
+   */
+  async readForInvestigation(messageId, adminId, adminRole, reason) {
+    try {
+      const [messageDoc, historyDoc] = await withRetry(() =>
+        db.getAll(
+          db.collection("messages").doc(messageId),
+          this.model.collection.doc(messageId)
+        )
+      );
+      if (!messageDoc.exists) {
+        throw new AppError(404, "Message not found", "message_not_found");
+      }
+      const message = { id: messageDoc.id, ...messageDoc.data() };
+
+      await withRetry(() =>
+        db.collection(ACCESS_LOG_COLLECTION).add({
+          messageId,
+          conversationId: message.conversationId,
+          actorId: adminId,
+          actorRole: adminRole,
+          reason,
+          timestamp: new Date().toISOString(),
+        })
+      );
+      await logSecurityEvent(
+        SecurityEventType.MESSAGE_HISTORY_ACCESS,
+        SecurityEventSeverity.HIGH,
+        {
+          userId: adminId,
+          messageId,
+          conversationId: message.conversationId,
+          reason,
+        }
+      );
+
+      return {
+        message,
+        history: historyDoc.exists
+          ? { id: historyDoc.id, ...historyDoc.data() }
+          : null,
+      };
+    } catch (error) {
+      logger.error("Failed to read message history", {
+        error: error.message,
+        messageId,
+        adminId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Notification service
+ * Stores in-app notifications and pushes them to connected sockets
+ */
+import { db } from "../config/firebase.config.js";
+import { BaseService } from "./base.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry } from "../utils/firebase-utils.js";
+import { emitToUser } from "../utils/socket-emitter.js";
+import logger from "../utils/logger.js";
+
+export const NotificationType = {
+  APPOINTMENT_REMINDER: "appointment_reminder",
+  BOOKING_RESTRICTED: "booking_restricted",
+  WAITLIST_OFFER: "waitlist_offer",
+  QUEST_COMPLETED: "quest_completed",
+  GROUP_ADDED: "group_added",
+  CHAT_SANCTION: "chat_sanction",
+};
+
+const MAX_NOTIFICATIONS = 50;
+
+export class NotificationService extends BaseService {
+  constructor() {
+    super("notifications");
+  }
+
+  /**
+   * Send the same notification to one or more users
+   * @param {string|Array<string>} userIds - Recipient user ID(s)
+   * @param {Object} notification - Notification content
+   * @param {string} notification.type - Type from NotificationType
+   * @param {string} notification.title - Short title
+   * @param {string} notification.body - Message text
+   * @param {Object} [notification.data] - References for the client
+   * @returns {Promise<Array>} Created notifications
+   */
+  async notify(userIds, { type, title, body, data = {} }) {
+    const recipients = [].concat(userIds).filter(Boolean);
+    const timestamp = new Date().toISOString();
+    const batch = db.batch();
+
+    const created = recipients.map((userId) => {
+      const ref = this.model.collection.doc();
+      const notification = {
+        userId,
+        type,
+        title,
+        body,
+        data,
+        read: false,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      };
+      batch.set(ref, notification);
+      return { id: ref.id, ...notification };
+    });
+
+    await withRetry(() => batch.commit());
+    created.forEach((notification) =>
+      emitToUser(notification.userId, "notification", notification)
+    );
+
+    logger.debug("Notifications sent", { type, count: created.length });
+    return created;
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - Options
+   * @param {boolean} [options.unreadOnly=false] - Only unread notifications
+   * @returns {Promise<Array>} Notifications
+   */
+  async getNotifications(userId, { unreadOnly = false } = {}) {
+    try {
+      let query = this.model.collection.where("userId", "==", userId);
+      if (unreadOnly) {
+        query = query.where("read", "==", false);
+      }
+
+      const snapshot = await withRetry(() =>
+        query.orderBy("createdAt", "desc").limit(MAX_NOTIFICATIONS).get()
+      );
+      return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      logger.error("Failed to get notifications", {
+        error: error.message,
+        userId,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Mark one of the user's notifications as read
+   * @param {string} notificationId - Notification ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Updated notification
+   */
+  async markRead(notificationId, userId) {
+    try {
+      const notification = await this.model.findById(notificationId);
+      if (!notification || notification.userId !== userId) {
+        throw new AppError(
+          404,
+          "Notification not found",
+          "notification_not_found"
+        );
+      }
+
+      return await this.model.update(notificationId, {
+        read: true,
+        readAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error("Failed to mark notification as read", {
+        error: error.message,
+        notificationId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Mark all of the user's notifications as read
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of notifications updated
+   */
+  async markAllRead(userId) {
+    try {
+      const snapshot = await withRetry(() =>
+        this.model.collection
+          .where("userId", "==", userId)
+          .where("read", "==", false)
+          .limit(500)
+          .get()
+      );
+      if (snapshot.empty) {
+        return 0;
+      }
+
+      const timestamp = new Date().toISOString();
+      const batch = db.batch();
+      snapshot.docs.forEach((doc) => {
+        batch.update(doc.ref, {
+          read: true,
+          readAt: timestamp,
+          updatedAt: timestamp,
+        });
+      });
+      await withRetry(() => batch.commit());
+
+      return snapshot.size;
+    } catch (error) {
+      logger.error("Failed to mark notifications as read", {
+        error: error.message,
+        userId,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+}
@@ -0,0 +1,559 @@
+/**
+ * Quest service
+ * Admins define quests such as "attend 2 workshops" or "log your mood on 7
+ * days". Progress is counted from student activity events; completing a
+ * quest awards its badge and points. Points feed a leaderboard that users
+ * can opt out of. Every counted activity also extends the user's daily streak.
+ */
+import { db } from "../config/firebase.config.js";
+import { BaseService } from "./base.service.js";
+import {
+  NotificationService,
+  NotificationType,
+} from "./notification.service.js";
+import { addDays, toLocalDateString } from "../utils/availability.js";
+import { normalizeTag } from "../utils/counselor-profile.js";
+import { DomainEvent } from "../utils/domain-events.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry, runTransaction } from "../utils/firebase-utils.js";
+import logger from "../utils/logger.js";
+import { sanitizeHtml } from "../utils/validator.js";
+
+// Activity events a quest can count
+export const QUEST_TRIGGERS = [
+  DomainEvent.MOOD_LOGGED,
+  DomainEvent.JOURNAL_WRITTEN,
+  DomainEvent.SESSION_ATTENDED,
+  DomainEvent.EVENT_CHECKED_IN,
+  DomainEvent.RESOURCE_VIEWED,
+];
+
+const PROGRESS_COLLECTION = "quest_progress";
+const PROFILES_COLLECTION = "quest_profiles";
+const MAX_TARGET = 365;
+const MAX_POINTS = 1000;
+const MAX_BADGE_NAME_LENGTH = 60;
+const MAX_BADGE_ICON_LENGTH = 200;
+const DEFAULT_LEADERBOARD_SIZE = 10;
+const MAX_LEADERBOARD_SIZE = 50;
+
+// Fields admins can set; everything else is managed by the service
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "trigger",
+  "target",
+  "category",
+  "points",
+  "badge",
+  "startsAt",
+  "endsAt",
+  "active",
+];
+
+/**
+ * Check an admin's quest fields and normalize them
+ * @param {Object} data - Submitted fields
+ * @param {Object} [current] - Stored quest when updating
+ * @returns {Object} Normalized fields
+ */
+const normalizeQuest = (data, current = {}) => {
+  const fields = Object.fromEntries(
+    Object.entries(data).filter(
+      ([key, value]) => EDITABLE_FIELDS.includes(key) && value !== undefined
+    )
+  );
+  if (typeof fields.category === "string") {
+    fields.category = normalizeTag(fields.category) || null;
+  }
+  if (fields.badge !== undefined) {
+    // Nested fields are not sanitized by request validation
+    const { name, icon } = fields.badge || {};
+    fields.badge = {
+      name:
+        typeof name === "string" && name.trim()
+          ? sanitizeHtml(name.trim()).slice(0, MAX_BADGE_NAME_LENGTH)
+          : fields.title || current.title,
+      icon:
+        typeof icon === "string" && icon.trim()
+          ? sanitizeHtml(icon.trim()).slice(0, MAX_BADGE_ICON_LENGTH)
+          : null,
+    };
+  }
+  ["startsAt", "endsAt"].forEach((field) => {
+    if (fields[field] !== undefined) {
+      fields[field] = fields[field]
+        ? new Date(fields[field]).toISOString()
+        : null;
+    }
+  });
+
+  const quest = { ...current, ...fields };
+  if (!QUEST_TRIGGERS.includes(quest.trigger)) {
+    throw new AppError(
+      400,
+      `trigger must be one of: ${QUEST_TRIGGERS.join(", ")}`,
+      "invalid_quest_trigger"
+    );
+  }
+  if (
+    !Number.isInteger(quest.target) ||
+    quest.target < 1 ||
+    quest.target > MAX_TARGET
+  ) {
+    throw new AppError(
+      400,
+      `target must be a whole number from 1 to ${MAX_TARGET}`,
+      "invalid_quest_target"
+    );
+  }
+  if (
+    !Number.isInteger(quest.points) ||
+    quest.points < 0 ||
+    quest.points > MAX_POINTS
+  ) {
+    throw new AppError(
+      400,
+      `points must be a whole number from 0 to ${MAX_POINTS}`,
+      "invalid_quest_points"
+    );
+  }
+  if (quest.category && quest.trigger !== DomainEvent.EVENT_CHECKED_IN) {
+    throw new AppError(
+      400,
+      "category only applies to event check-in quests",
+      "invalid_quest_category"
+    );
+  }
+  if (quest.startsAt && quest.endsAt && quest.startsAt >= quest.endsAt) {
+    throw new AppError(
+      400,
+      "endsAt must be after startsAt",
+      "invalid_quest_window"
+    );
+  }
+
+  return fields;
+};
+
+/**
+ * Check whether a quest is running at a point in time
+ * @param {Object} quest - Quest
+ * @param {string} now - ISO timestamp
+ * @returns {boolean} Whether progress counts
+ */
+const isRunning = (quest, now) =>
+  quest.active &&
+  (!quest.startsAt || quest.startsAt <= now) &&
+  (!quest.endsAt || quest.endsAt > now);
+
+/**
+ * Build an empty quest profile
+ * @param {string} userId - User ID
+ * @returns {Object} Profile
+ */
+const emptyProfile = (userId) => ({
+  userId,
+  points: 0,
+  badges: [],
+  completedQuests: 0,
+  streak: { current: 0, longest: 0, lastActiveDate: null },
+  leaderboardVisible: true,
+  updatedAt: null,
+});
+
+/**
+ * Prepare a stored profile for display
+ * The stored streak only changes on activity, so a streak whose last active
+ * day is before yesterday is shown as broken
+ * @param {Object} profile - Stored profile
+ * @param {string} today - Today's local date
+ * @returns {Object} Profile
+ */
+const toProfile = (profile, today) => {
+  const streak = { ...emptyProfile().streak, ...profile.streak };
+  const isAlive =
+    streak.lastActiveDate === today ||
+    streak.lastActiveDate === addDays(today, -1);
+  return {
+    ...profile,
+    streak: { ...streak, current: isAlive ? streak.current : 0 },
+  };
+};
+
+export class QuestService extends BaseService {
+  constructor() {
+    super("quests");
+    this.notificationService = new NotificationService();
+  }
+
+  /**
+   * Get a user's progress document reference for a quest
+   * @param {string} userId - User ID
+   * @param {string} questId - Quest ID
+   * @returns {Object} Firestore document reference
+   */
+  getProgressRef(userId, questId) {
+    return db.collection(PROGRESS_COLLECTION).doc(`${userId}_${questId}`);
+  }
+
+  /**
+   * List all quests (admin)
+   * @returns {Promise<Array>} Quests, newest first
+   */
+  async getAllQuests() {
+    try {
+      const snapshot = await withRetry(() =>
+        this.model.collection.orderBy("createdAt", "desc").get()
+      );
+      return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      logger.error("Failed to list quests", { error: error.message });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Define a quest (admin)
+   * @param {string} adminId - Admin ID
+   * @param {Object} data - Quest fields
+   * @returns {Promise<Object>} Created quest
+   */
+  async createQuest(adminId, data) {
+    try {
+      const quest = await this.create({
+        description: null,
+        category: null,
+        startsAt: null,
+        endsAt: null,
+        active: true,
+        ...normalizeQuest({ badge: {}, ...data }),
+        createdBy: adminId,
+        updatedBy: adminId,
+      });
+
+      logger.info("Quest created", { questId: quest.id });
+      return quest;
+    } catch (error) {
+      logger.error("Failed to create quest", { error: error.message });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Edit a quest (admin)
+   * Progress already made is kept; lowering the target does not complete
+   * quests retroactively
+   * @param {string} questId - Quest ID
+   * @param {string} adminId - Admin ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated quest
+   */
+  async updateQuest(questId, adminId, data) {
+    try {
+      const current = await this.model.findById(questId);
+      if (!current) {
+        throw new AppError(404, "Quest not found", "quest_not_found");
+      }
+
+      const quest = await this.update(questId, {
+        ...normalizeQuest(data, current),
+        updatedBy: adminId,
+      });
+      logger.info("Quest updated", { questId });
+      return quest;
+    } catch (error) {
+      logger.error("Failed to update quest", {
+        error: error.message,
+        questId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List running quests with the user's progress
+   * Completed quests stay listed while they run
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Quests with `progress`, `target` and
+   *   `completedAt`
+   */
+  async getQuestsForUser(userId) {
+    try {
+      const now = new Date().toISOString();
+      const snapshot = await withRetry(() =>
+        this.model.collection.where("active", "==", true).get()
+      );
+      const quests = snapshot.docs
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+        .filter((quest) => isRunning(quest, now));
+      if (quests.length === 0) {
+        return [];
+      }
+
+      const progressDocs = await withRetry(() =>
+        db.getAll(
+          ...quests.map((quest) => this.getProgressRef(userId, quest.id))
+        )
+      );
+
+      return quests.map((quest, index) => {
+        const progress = progressDocs[index].data();
+        const { createdBy, updatedBy, ...details } = quest;
+        return {
+          ...details,
+          progress: progress?.keys.length || 0,
+          completedAt: progress?.completedAt || null,
+        };
+      });
+    } catch (error) {
+      logger.error("Failed to get quests", { error: error.message });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Count an activity towards the user's streak and running quests
+   * @param {string} trigger - DomainEvent of the activity
+   * @param {Object} activity - Event payload
+   * @param {string} activity.userId - Acting user ID
+   * @param {string} activity.key - Occurrence key, counted once per quest
+   * @param {string} [activity.category] - Event category for check-ins
+   * @returns {Promise<Array>} Quests completed by this activity
+   */
+  async recordActivity(trigger, { userId, key, category }) {
+    await this.recordActiveDay(userId);
+
+    const now = new Date().toISOString();
+    const snapshot = await withRetry(() =>
+      this.model.collection
+        .where("trigger", "==", trigger)
+        .where("active", "==", true)
+        .get()
+    );
+
+    const completed = [];
+    for (const doc of snapshot.docs) {
+      const quest = { id: doc.id, ...doc.data() };
+      if (
+        !isRunning(quest, now) ||
+        (quest.category && quest.category !== category)
+      ) {
+        continue;
+      }
+
+      if (await this.advanceProgress(quest, userId, key)) {
+        completed.push(quest);
+      }
+    }
+    return completed;
+  }
+
+  /**
+   * Extend the user's streak with today
+   * The streak grows when the user was also active yesterday and restarts
+   * at 1 after a missed day
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async recordActiveDay(userId) {
+    const profileRef = db.collection(PROFILES_COLLECTION).doc(userId);
+    const today = toLocalDateString(Date.now());
+
+    await runTransaction(db, async (transaction) => {
+      const profileDoc = await transaction.get(profileRef);
+      const profile = toProfile(
+        profileDoc.data() || emptyProfile(userId),
+        today
+      );
+      const { current, longest, lastActiveDate } = profile.streak;
+      if (lastActiveDate === today) {
+        return;
+      }
+
+      const next = current + 1;
+      transaction.set(profileRef, {
+        ...profile,
+        streak: {
+          current: next,
+          longest: Math.max(longest, next),
+          lastActiveDate: today,
+        },
+        updatedAt: new Date().toISOString(),
+      });
+    });
+  }
+
+  /**
+   * Add an occurrence to a user's quest progress, awarding the quest when
+   * it reaches the target
+   * @param {Object} quest - Quest
+   * @param {string} userId - User ID
+   * @param {string} key - Occurrence key
+   * @returns {Promise<boolean>} Whether the quest was completed
+   */
+  async advanceProgress(quest, userId, key) {
+    const progressRef = this.getProgressRef(userId, quest.id);
+    const profileRef = db.collection(PROFILES_COLLECTION).doc(userId);
+    let completed = false;
+
+    await runTransaction(db, async (transaction) => {
+      const [progressDoc, profileDoc] = await Promise.all([
+        transaction.get(progressRef),
+        transaction.get(profileRef),
+      ]);
+      const progress = progressDoc.data() || { keys: [], completedAt: null };
+      if (progress.completedAt || progress.keys.includes(key)) {
+        return;
+      }
+
+      const timestamp = new Date().toISOString();
+      const keys = [...progress.keys, key];
+      completed = keys.length >= quest.target;
+
+      transaction.set(progressRef, {
+        userId,
+        questId: quest.id,
+        keys,
+        target: quest.target,
+        completedAt: completed ? timestamp : null,
+        createdAt: progress.createdAt || timestamp,
+        updatedAt: timestamp,
+      });
+
+      if (completed) {
+        const profile = profileDoc.data() || emptyProfile(userId);
+        transaction.set(profileRef, {
+          ...profile,
+          points: profile.points + quest.points,
+          completedQuests: profile.completedQuests + 1,
+          badges: [
+            ...profile.badges,
+            {
+              questId: quest.id,
+              name: quest.badge.name,
+              icon: quest.badge.icon,
+              awardedAt: timestamp,
+            },
+          ],
+          updatedAt: timestamp,
+        });
+      }
+    });
+
+    if (completed) {
+      logger.info("Quest completed", { questId: quest.id, userId });
+      await this.notificationService.notify(userId, {
+        type: NotificationType.QUEST_COMPLETED,
+        title: `Quest complete: ${quest.title}`,
+        body: `You earned the "${quest.badge.name}" badge and ${quest.points} points.`,
+        data: { questId: quest.id, points: quest.points },
+      });
+    }
+    return completed;
+  }
+
+  /**
+   * Get a user's points, badges, streak and leaderboard setting
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Profile
+   */
+  async getProfile(userId) {
+    try {
+      const doc = await withRetry(() =>
+        db.collection(PROFILES_COLLECTION).doc(userId).get()
+      );
+      return toProfile(
+        doc.exists ? doc.data() : emptyProfile(userId),
+        toLocalDateString(Date.now())
+      );
+    } catch (error) {
+      logger.error("Failed to get quest profile", { error: error.message });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Show or hide the user on the leaderboard
+   * @param {string} userId - User ID
+   * @param {boolean} visible - Whether to appear on the leaderboard
+   * @returns {Promise<Object>} Updated profile
+   */
+  async setLeaderboardVisibility(userId, visible) {
+    try {
+      const profileRef = db.collection(PROFILES_COLLECTION).doc(userId);
+      let profile;
+
+      await runTransaction(db, async (transaction) => {
+        const doc = await transaction.get(profileRef);
+        profile = {
+          ...toProfile(
+            doc.data() || emptyProfile(userId),
+            toLocalDateString(Date.now())
+          ),
+          leaderboardVisible: visible,
+          updatedAt: new Date().toISOString(),
+        };
+        transaction.set(profileRef, profile);
+      });
+
+      logger.info("Leaderboard visibility changed", { visible });
+      return profile;
+    } catch (error) {
+      logger.error("Failed to change leaderboard visibility", {
+        error: error.message,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get the top users by points, leaving out those who opted out
+   * @param {string} viewerId - Requesting user ID, flagged in the results
+   * @param {Object} options - Options
+   * @param {number} [options.limit=10] - Number of users
+   * @returns {Promise<Array>} [{ rank, name, points, badgeCount, isMe }]
+   */
+  async getLeaderboard(viewerId, { limit } = {}) {
+    try {
+      const pageSize = Math.min(
+        Math.max(parseInt(limit, 10) || DEFAULT_LEADERBOARD_SIZE, 1),
+        MAX_LEADERBOARD_SIZE
+      );
+      const snapshot = await withRetry(() =>
+        db
+          .collection(PROFILES_COLLECTION)
+          .where("leaderboardVisible", "==", true)
+          .where("points", ">", 0)
+          .orderBy("points", "desc")
+          .limit(pageSize)
+          .get()
+      );
+      if (snapshot.empty) {
+        return [];
+      }
+
+      const userDocs = await withRetry(() =>
+        db.getAll(
+          ...snapshot.docs.map((doc) => db.collection("users").doc(doc.id))
+        )
+      );
+
+      return snapshot.docs.map((doc, index) => {
+        const { points, badges } = doc.data();
+        return {
+          rank: index + 1,
+          name: userDocs[index].data()?.name || "MindQuest member",
+          points,
+          badgeCount: badges.length,
+          isMe: doc.id === viewerId,
+        };
+      });
+    } catch (error) {
+      logger.error("Failed to get leaderboard", { error: error.message });
+      throw handleFirebaseError(error);
+    }
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * Questionnaire service
+ * Handles screening questionnaire submissions, scoring and score history
+ */
+import { UserRole } from "./auth.service.js";
+import { BaseService } from "./base.service.js";
+import { CounselorService } from "./counselor.service.js";
+import {
+  RiskDetectionService,
+  RiskSeverity,
+} from "./risk-detection.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry } from "../utils/firebase-utils.js";
+import {
+  QUESTIONNAIRES,
+  getMaxScore,
+  getQuestionnaire,
+  isValidAnswerSet,
+  scoreAnswers,
+} from "../utils/questionnaires.js";
+import logger from "../utils/logger.js";
+
+const MAX_HISTORY = 100;
+
+/**
+ * Get a questionnaire definition or throw a 404
+ * @param {string} questionnaireId - Questionnaire ID
+ * @returns {Object} Definition
+ */
+const getQuestionnaireOrThrow = (questionnaireId) => {
+  const questionnaire = getQuestionnaire(questionnaireId);
+  if (!questionnaire) {
+    throw new AppError(
+      404,
+      "Questionnaire not found",
+      "questionnaire_not_found"
+    );
+  }
+  return questionnaire;
+};
+
+export class QuestionnaireService extends BaseService {
+  constructor() {
+    super("questionnaire_responses");
+    this.counselorService = new CounselorService();
+    this.riskDetectionService = new RiskDetectionService();
+  }
+
+  /**
+   * List the available questionnaires
+   * @returns {Array<Object>} Questionnaire summaries
+   */
+  listQuestionnaires() {
+    return Object.values(QUESTIONNAIRES).map(
+      ({ id, version, title, description, items }) => ({
+        id,
+        version,
+        title,
+        description,
+        itemCount: items.length,
+      })
+    );
+  }
+
+  /**
+   * Get a questionnaire definition for display
+   * Scoring bands are included so clients can explain results
+   * @param {string} questionnaireId - Questionnaire ID
+   * @returns {Object} Definition
+   */
+  getDefinition(questionnaireId) {
+    const { riskItems, ...definition } =
+      getQuestionnaireOrThrow(questionnaireId);
+    return definition;
+  }
+
+  /**
+   * Ensure the requester may see a student's results
+   * Only the student and their actively assigned counselor have access
+   * @param {string} studentId - Student user ID
+   * @param {string} requesterId - Requesting user ID
+   * @param {string} requesterRole - Requesting user role
+   */
+  async assertCanView(studentId, requesterId, requesterRole) {
+    if (studentId === requesterId) {
+      return;
+    }
+
+    if (
+      requesterRole === UserRole.COUNSELOR &&
+      (await this.counselorService.isAssignedCounselor(requesterId, studentId))
+    ) {
+      return;
+    }
+
+    throw new AppError(
+      403,
+      "You don't have access to these results",
+      "questionnaire_access_denied"
+    );
+  }
+
+  /**
+   * Score and store a questionnaire response
+   * @param {string} studentId - Submitting student ID
+   * @param {string} questionnaireId - Questionnaire ID
+   * @param {Array<number>} answers - One answer value per item
+   * @returns {Promise<Object>} Stored response, with `support` resources
+   *   attached when an answer indicates risk of self-harm
+   */
+  async submitResponse(studentId, questionnaireId, answers) {
+    try {
+      const questionnaire = getQuestionnaireOrThrow(questionnaireId);
+      if (!isValidAnswerSet(questionnaire, answers)) {
+        throw new AppError(
+          400,
+          `answers must contain one option value for each of the ${questionnaire.items.length} items`,
+          "invalid_answers"
+        );
+      }
+
+      const score = scoreAnswers(questionnaire, answers);
+      const response = await this.model.create({
+        studentId,
+        questionnaireId,
+        version: questionnaire.version,
+        answers,
+        ...score,
+        submittedAt: new Date().toISOString(),
+      });
+      logger.info("Questionnaire response submitted", {
+        responseId: response.id,
+        questionnaireId,
+        severity: score.severity,
+      });
+
+      if (!score.riskFlagged) {
+        return response;
+      }
+
+      try {
+        const highestRiskAnswer = Math.max(
+          ...questionnaire.riskItems.map((index) => answers[index])
+        );
+        await this.riskDetectionService.raiseAlert({
+          source: "questionnaire",
+          userId: studentId,
+          severity:
+            highestRiskAnswer >= 2 ? RiskSeverity.CRITICAL : RiskSeverity.HIGH,
+          questionnaireId,
+          responseId: response.id,
+        });
+      } catch (error) {
+        logger.error("Failed to raise questionnaire risk alert", {
+          error: error.message,
+          responseId: response.id,
+        });
+      }
+
+      return {
+        ...response,
+        support: this.riskDetectionService.getSupportResources(),
+      };
+    } catch (error) {
+      logger.error("Failed to submit questionnaire response", {
+        error: error.message,
+        studentId,
+        questionnaireId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get a single response
+   * @param {string} responseId - Response ID
+   * @param {string} requesterId - Requesting user ID
+   * @param {string} requesterRole - Requesting user role
+   * @returns {Promise<Object>} Response
+   */
+  async getResponse(responseId, requesterId, requesterRole) {
+    try {
+      const response = await this.model.findById(responseId);
+      if (!response) {
+        throw new AppError(404, "Response not found", "response_not_found");
+      }
+
+      await this.assertCanView(response.studentId, requesterId, requesterRole);
+      return response;
+    } catch (error) {
+      logger.error("Failed to get questionnaire response", {
+        error: error.message,
+        responseId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List a student's responses, newest first
+   * @param {string} studentId - Student user ID
+   * @param {string} requesterId - Requesting user ID
+   * @param {string} requesterRole - Requesting user role
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.questionnaireId] - Only this questionnaire
+   * @returns {Promise<Array>} Responses
+   */
+  async getResponses(
+    studentId,
+    requesterId,
+    requesterRole,
+    { questionnaireId } = {}
+  ) {
+    try {
+      await this.assertCanView(studentId, requesterId, requesterRole);
+
+      let query = this.model.collection.where("studentId", "==", studentId);
+      if (questionnaireId) {
+        getQuestionnaireOrThrow(questionnaireId);
+        query = query.where("questionnaireId", "==", questionnaireId);
+      }
+
+      const snapshot = await withRetry(() =>
+        query.orderBy("submittedAt", "desc").limit(MAX_HISTORY).get()
+      );
+      return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      logger.error("Failed to get questionnaire responses", {
+        error: error.message,
+        studentId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get a student's score history for one questionnaire, oldest first
+   * @param {string} studentId - Student user ID
+   * @param {string} requesterId - Requesting user ID
+   * @param {string} requesterRole - Requesting user role
+   * @param {string} questionnaireId - Questionnaire ID
+   * @returns {Promise<Object>} Score series and change since the first result
+   */
+  async getTrends(studentId, requesterId, requesterRole, questionnaireId) {
+    const questionnaire = getQuestionnaireOrThrow(questionnaireId);
+    const responses = await this.getResponses(
+      studentId,
+      requesterId,
+      requesterRole,
+      { questionnaireId }
+    );
+
+    const points = responses
+      .map(({ id, submittedAt, totalScore, severity }) => ({
+        responseId: id,
+        submittedAt,
+        totalScore,
+        severity,
+      }))
+      .reverse();
+    const first = points[0];
+    const latest = points[points.length - 1];
+
+    return {
+      questionnaireId,
+      maxScore: getMaxScore(questionnaire),
+      points,
+      latest: latest || null,
+      change: latest ? latest.totalScore - first.totalScore : null,
+    };
+  }
+}
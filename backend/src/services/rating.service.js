@@ -0,0 +1,368 @@
+/**
+ * Rating service
+ * Handles counselor ratings tied to a completed appointment or a finished
+ * counselor assignment, one per student per session, with moderated
+ * written feedback
+ */
+import { db } from "../config/firebase.config.js";
+import { AppointmentStatus } from "./appointment.service.js";
+import { AssignmentStatus } from "./assignment.service.js";
+import { BaseService } from "./base.service.js";
+import { CounselorService } from "./counselor.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry, runTransaction } from "../utils/firebase-utils.js";
+import { deleteCached } from "../utils/firebase-cache.js";
+import logger from "../utils/logger.js";
+
+export const FeedbackStatus = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+export const RATING_VALUES = [1, 2, 3, 4, 5];
+
+// Relationships that have ended and can therefore be rated
+const RATEABLE_ASSIGNMENT_STATUSES = [
+  AssignmentStatus.CLOSED,
+  AssignmentStatus.TRANSFERRED,
+];
+
+const MAX_FEEDBACK_LENGTH = 1000;
+
+/**
+ * Build an empty distribution with a zero count for every star value
+ * @returns {Object} Counts keyed by rating value
+ */
+const emptyDistribution = () =>
+  RATING_VALUES.reduce((distribution, value) => {
+    distribution[value] = 0;
+    return distribution;
+  }, {});
+
+export class RatingService extends BaseService {
+  constructor() {
+    super("counselor_ratings");
+    this.counselorService = new CounselorService();
+  }
+
+  /**
+   * Find the rated session and check the student took part in it
+   * @param {string} studentId - Rating student ID
+   * @param {Object} session - Exactly one of appointmentId or assignmentId
+   * @returns {Promise<Object>} { sessionType, sessionId, counselorId }
+   */
+  async getRateableSession(studentId, { appointmentId, assignmentId }) {
+    if (Boolean(appointmentId) === Boolean(assignmentId)) {
+      throw new AppError(
+        400,
+        "Provide either appointmentId or assignmentId",
+        "validation_error"
+      );
+    }
+
+    if (appointmentId) {
+      const appointment = await db
+        .collection("appointments")
+        .doc(appointmentId)
+        .get();
+      if (!appointment.exists || appointment.data().studentId !== studentId) {
+        throw new AppError(
+          404,
+          "Appointment not found",
+          "appointment_not_found"
+        );
+      }
+      if (appointment.data().status !== AppointmentStatus.COMPLETED) {
+        throw new AppError(
+          400,
+          "Only completed sessions can be rated",
+          "session_not_completed"
+        );
+      }
+
+      return {
+        sessionType: "appointment",
+        sessionId: appointmentId,
+        counselorId: appointment.data().counselorId,
+      };
+    }
+
+    const assignment = await db
+      .collection("counselor_clients")
+      .doc(assignmentId)
+      .get();
+    if (!assignment.exists || assignment.data().clientId !== studentId) {
+      throw new AppError(404, "Assignment not found", "assignment_not_found");
+    }
+    if (!RATEABLE_ASSIGNMENT_STATUSES.includes(assignment.data().status)) {
+      throw new AppError(
+        400,
+        "Only finished assignments can be rated",
+        "session_not_completed"
+      );
+    }
+
+    return {
+      sessionType: "assignment",
+      sessionId: assignmentId,
+      counselorId: assignment.data().counselorId,
+    };
+  }
+
+  /**
+   * Rate a counselor for a completed session
+   * The rating and the counselor's aggregate are written in one
+   * transaction, and the rating ID is derived from the session so each
+   * session can only be rated once
+   * @param {string} studentId - Rating student ID
+   * @param {Object} data - Rating data
+   * @param {string} [data.appointmentId] - Completed appointment
+   * @param {string} [data.assignmentId] - Closed or transferred assignment
+   * @param {number} data.rating - Whole number from 1 to 5
+   * @param {string} [data.feedback] - Written feedback, shown after review
+   * @returns {Promise<Object>} Created rating
+   */
+  async submitRating(
+    studentId,
+    { appointmentId, assignmentId, rating, feedback }
+  ) {
+    try {
+      if (!RATING_VALUES.includes(rating)) {
+        throw new AppError(
+          400,
+          "rating must be a whole number from 1 to 5",
+          "invalid_rating"
+        );
+      }
+      if (feedback && feedback.length > MAX_FEEDBACK_LENGTH) {
+        throw new AppError(
+          400,
+          `feedback must be at most ${MAX_FEEDBACK_LENGTH} characters long`,
+          "validation_error"
+        );
+      }
+
+      const { sessionType, sessionId, counselorId } =
+        await this.getRateableSession(studentId, {
+          appointmentId,
+          assignmentId,
+        });
+
+      const ratingRef = this.model.collection.doc(
+        `${sessionType}_${sessionId}`
+      );
+      const counselorRef = db.collection("counselors").doc(counselorId);
+      const timestamp = new Date().toISOString();
+      const ratingData = {
+        counselorId,
+        studentId,
+        sessionType,
+        sessionId,
+        rating,
+        feedback: feedback || null,
+        feedbackStatus: feedback ? FeedbackStatus.PENDING : null,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      };
+
+      await runTransaction(db, async (transaction) => {
+        const [ratingDoc, counselorDoc] = await Promise.all([
+          transaction.get(ratingRef),
+          transaction.get(counselorRef),
+        ]);
+        if (ratingDoc.exists) {
+          throw new AppError(
+            409,
+            "You have already rated this session",
+            "already_rated"
+          );
+        }
+        if (!counselorDoc.exists) {
+          throw new AppError(404, "Counselor not found", "counselor_not_found");
+        }
+
+        const counselor = counselorDoc.data();
+        const totalRatings = (counselor.totalRatings || 0) + 1;
+        const distribution = {
+          ...emptyDistribution(),
+          ...(counselor.ratingDistribution || {}),
+        };
+        distribution[rating] += 1;
+
+        transaction.set(ratingRef, ratingData);
+        transaction.update(counselorRef, {
+          rating:
+            ((counselor.rating || 0) * (counselor.totalRatings || 0) + rating) /
+            totalRatings,
+          totalRatings,
+          ratingDistribution: distribution,
+          updatedAt: timestamp,
+        });
+      });
+
+      deleteCached(
+        this.counselorService.cacheNamespace,
+        `getById:${counselorId}`
+      );
+
+      logger.info("Counselor rated", {
+        ratingId: ratingRef.id,
+        counselorId,
+        sessionType,
+      });
+      return { id: ratingRef.id, ...ratingData };
+    } catch (error) {
+      logger.error("Failed to submit rating", {
+        error: error.message,
+        studentId,
+        appointmentId,
+        assignmentId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get approved written feedback for a counselor, newest first
+   * Reviews are shown without the student's identity
+   * @param {string} counselorId - Counselor user ID
+   * @param {Object} options - Options
+   * @param {number} [options.limit=20] - Maximum number of reviews
+   * @returns {Promise<Array>} Reviews
+   */
+  async getCounselorReviews(counselorId, { limit = 20 } = {}) {
+    try {
+      const snapshot = await withRetry(() =>
+        this.model.collection
+          .where("counselorId", "==", counselorId)
+          .where("feedbackStatus", "==", FeedbackStatus.APPROVED)
+          .orderBy("createdAt", "desc")
+          .limit(Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100))
+          .get()
+      );
+
+      return snapshot.docs.map((doc) => {
+        const { rating, feedback, createdAt } = doc.data();
+        return { id: doc.id, rating, feedback, createdAt };
+      });
+    } catch (error) {
+      logger.error("Failed to get counselor reviews", {
+        error: error.message,
+        counselorId,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List ratings with written feedback for moderation (admin)
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.status=pending] - Feedback status
+   * @returns {Promise<Array>} Ratings, oldest first
+   */
+  async getFeedbackForModeration({ status = FeedbackStatus.PENDING } = {}) {
+    try {
+      if (!Object.values(FeedbackStatus).includes(status)) {
+        throw new AppError(400, "Invalid feedback status", "invalid_status");
+      }
+
+      const snapshot = await withRetry(() =>
+        this.model.collection
+          .where("feedbackStatus", "==", status)
+          .orderBy("createdAt", "asc")
+          .limit(100)
+          .get()
+      );
+      return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      logger.error("Failed to get feedback for moderation", {
+        error: error.message,
+        status,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Approve or reject written feedback (admin)
+   * @param {string} ratingId - Rating ID
+   * @param {string} adminId - Moderating admin ID
+   * @param {string} status - approved or rejected
+   * @returns {Promise<Object>} Updated rating
+   */
+  async moderateFeedback(ratingId, adminId, status) {
+    try {
+      const rating = await this.model.findById(ratingId);
+      if (!rating) {
+        throw new AppError(404, "Rating not found", "rating_not_found");
+      }
+      if (!rating.feedback) {
+        throw new AppError(
+          400,
+          "This rating has no written feedback",
+          "no_feedback"
+        );
+      }
+
+      const updated = await this.model.update(ratingId, {
+        feedbackStatus: status,
+        moderatedBy: adminId,
+        moderatedAt: new Date().toISOString(),
+      });
+
+      logger.info("Rating feedback moderated", { ratingId, adminId, status });
+      return updated;
+    } catch (error) {
+      logger.error("Failed to moderate feedback", {
+        error: error.message,
+        ratingId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get the rating distribution of every counselor and overall (admin)
+   * @returns {Promise<Object>} { overall, counselors }
+   */
+  async getRatingDistributions() {
+    try {
+      const snapshot = await withRetry(() =>
+        db
+          .collection("counselors")
+          .select("rating", "totalRatings", "ratingDistribution")
+          .get()
+      );
+
+      const overall = emptyDistribution();
+      const counselors = snapshot.docs.map((doc) => {
+        const data = doc.data();
+        const distribution = {
+          ...emptyDistribution(),
+          ...(data.ratingDistribution || {}),
+        };
+        RATING_VALUES.forEach((value) => {
+          overall[value] += distribution[value];
+        });
+
+        return {
+          counselorId: doc.id,
+          rating: data.rating || 0,
+          totalRatings: data.totalRatings || 0,
+          distribution,
+        };
+      });
+
+      return { overall, counselors };
+    } catch (error) {
+      logger.error("Failed to get rating distributions", {
+        error: error.message,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+}
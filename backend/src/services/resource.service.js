@@ -0,0 +1,603 @@
+/**
+ * Resource service
+ * Manages the wellbeing resource library: admin-authored articles, videos,
+ * helplines and exercises, with draft/published states, keyword search,
+ * per-user bookmarks and view counts
+ */
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "../config/firebase.config.js";
+import { UserRole } from "./auth.service.js";
+import { BaseService } from "./base.service.js";
+import { normalizeTag, normalizeTags } from "../utils/counselor-profile.js";
+import { DomainEvent, publish } from "../utils/domain-events.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import {
+  executeQueryWithCache,
+  invalidateCache,
+} from "../utils/firebase-cache.js";
+import { withRetry } from "../utils/firebase-utils.js";
+import logger from "../utils/logger.js";
+import { tokenize } from "../utils/search-tokens.js";
+
+export const ResourceType = {
+  ARTICLE: "article",
+  VIDEO: "video",
+  HELPLINE: "helpline",
+  EXERCISE: "exercise",
+};
+
+export const ResourceStatus = {
+  DRAFT: "draft",
+  PUBLISHED: "published",
+};
+
+export const ResourceAudience = {
+  ALL: "all",
+  STUDENTS: "students",
+  COUNSELORS: "counselors",
+};
+
+const RESOURCES_COLLECTION = "resources";
+const BOOKMARKS_SUBCOLLECTION = "resource_bookmarks";
+const RESOURCE_CACHE_TTL = 10 * 60 * 1000;
+const MAX_TAGS = 15;
+const MAX_RESULTS = 50;
+const MAX_BOOKMARKS = 200;
+
+// Fields admins can set; everything else is managed by the service
+const EDITABLE_FIELDS = [
+  "title",
+  "summary",
+  "body",
+  "url",
+  "contact",
+  "type",
+  "tags",
+  "audience",
+  "language",
+];
+
+/**
+ * Build the stored search tokens of a resource
+ * @param {Object} resource - Resource fields
+ * @returns {Array<string>} Tokens from the title, summary and tags
+ */
+const getSearchTokens = ({ title, summary, tags = [] }) =>
+  tokenize(title, summary, ...tags);
+
+/**
+ * Score a resource against search tokens
+ * Title hits count double, and a token also matches longer words it starts,
+ * so "anx" finds "anxiety"
+ * @param {Object} resource - Resource with `searchTokens`
+ * @param {Array<string>} queryTokens - Tokens of the search query
+ * @returns {number} Score, 0 when a query token does not match at all
+ */
+const scoreResource = (resource, queryTokens) => {
+  const titleTokens = tokenize(resource.title);
+  let score = 0;
+
+  for (const token of queryTokens) {
+    const matches = (candidate) => candidate.startsWith(token);
+    if (!(resource.searchTokens || []).some(matches)) {
+      return 0;
+    }
+    score += titleTokens.some(matches) ? 2 : 1;
+  }
+  return score;
+};
+
+/**
+ * Get the audiences whose resources a role may see
+ * @param {string} role - User role
+ * @returns {Array<string>|null} Audiences, or null for every audience
+ */
+const getVisibleAudiences = (role) => {
+  switch (role) {
+    case UserRole.USER:
+      return [ResourceAudience.ALL, ResourceAudience.STUDENTS];
+    case UserRole.COUNSELOR:
+      return [ResourceAudience.ALL, ResourceAudience.COUNSELORS];
+    default:
+      return null;
+  }
+};
+
+/**
+ * Check whether a role may open a resource
+ * @param {Object} resource - Resource
+ * @param {string} role - User role
+ * @returns {boolean} Whether the resource is published for the role
+ */
+const isVisibleTo = (resource, role) => {
+  const audiences = getVisibleAudiences(role);
+  return (
+    resource.status === ResourceStatus.PUBLISHED &&
+    (!audiences || audiences.includes(resource.audience))
+  );
+};
+
+/**
+ * Check an admin's resource fields and normalize them
+ * @param {Object} data - Submitted fields
+ * @param {Object} [current] - Stored resource when updating
+ * @returns {Object} Normalized fields
+ */
+const normalizeResource = (data, current = {}) => {
+  const fields = Object.fromEntries(
+    Object.entries(data).filter(
+      ([key, value]) => EDITABLE_FIELDS.includes(key) && value !== undefined
+    )
+  );
+  if (fields.tags !== undefined) {
+    fields.tags = normalizeTags(fields.tags).slice(0, MAX_TAGS);
+  }
+  if (fields.language !== undefined) {
+    fields.language = normalizeTag(fields.language);
+  }
+
+  const resource = { ...current, ...fields };
+  if (!Object.values(ResourceType).includes(resource.type)) {
+    throw new AppError(
+      400,
+      `type must be one of: ${Object.values(ResourceType).join(", ")}`,
+      "invalid_resource_type"
+    );
+  }
+  if (!Object.values(ResourceAudience).includes(resource.audience)) {
+    throw new AppError(
+      400,
+      `audience must be one of: ${Object.values(ResourceAudience).join(", ")}`,
+      "invalid_resource_audience"
+    );
+  }
+  if (resource.type === ResourceType.HELPLINE && !resource.contact) {
+    throw new AppError(
+      400,
+      "Helplines need a contact number or address",
+      "resource_contact_required"
+    );
+  }
+  if (resource.type === ResourceType.VIDEO && !resource.url) {
+    throw new AppError(400, "Videos need a url", "resource_url_required");
+  }
+
+  return {
+    ...fields,
+    searchTokens: getSearchTokens(resource),
+  };
+};
+
+export class ResourceService extends BaseService {
+  constructor() {
+    super(RESOURCES_COLLECTION);
+  }
+
+  /**
+   * Get the bookmark subcollection of a user
+   * @param {string} userId - User ID
+   * @returns {Object} Firestore collection reference
+   */
+  getBookmarksRef(userId) {
+    return db
+      .collection("users")
+      .doc(userId)
+      .collection(BOOKMARKS_SUBCOLLECTION);
+  }
+
+  /**
+   * Drop cached resource lists after an admin change
+   */
+  invalidateResourceCache() {
+    invalidateCache(`firestore:${RESOURCES_COLLECTION}-*`);
+  }
+
+  /**
+   * Get published resources, cached per type and language
+   * @param {Object} filters - Equality filters
+   * @param {string} [filters.type] - Resource type
+   * @param {string} [filters.language] - Language
+   * @returns {Promise<Array>} Published resources
+   */
+  async getPublished({ type, language } = {}) {
+    return executeQueryWithCache(
+      RESOURCES_COLLECTION,
+      async () => {
+        let query = this.model.collection.where(
+          "status",
+          "==",
+          ResourceStatus.PUBLISHED
+        );
+        if (type) {
+          query = query.where("type", "==", type);
+        }
+        if (language) {
+          query = query.where("language", "==", language);
+        }
+
+        const snapshot = await withRetry(() => query.get());
+        return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+      },
+      { type: type || null, language: language || null },
+      { ttl: RESOURCE_CACHE_TTL }
+    );
+  }
+
+  /**
+   * Search the published library
+   * Without a query, resources are ordered by popularity
+   * @param {Object} viewer - { id, role } of the requesting user
+   * @param {Object} options - Search options
+   * @param {string} [options.q] - Keywords
+   * @param {string} [options.type] - Resource type
+   * @param {string} [options.tag] - Tag
+   * @param {string} [options.language] - Language
+   * @param {number} [options.limit=20] - Maximum results
+   * @returns {Promise<Array>} Resources without their body, best match first
+   */
+  async searchResources(viewer, { q, type, tag, language, limit } = {}) {
+    try {
+      const pageSize = Math.min(
+        Math.max(parseInt(limit, 10) || 20, 1),
+        MAX_RESULTS
+      );
+      if (type && !Object.values(ResourceType).includes(type)) {
+        throw new AppError(
+          400,
+          `type must be one of: ${Object.values(ResourceType).join(", ")}`,
+          "invalid_resource_type"
+        );
+      }
+
+      const audiences = getVisibleAudiences(viewer.role);
+      const tagFilter = typeof tag === "string" ? normalizeTag(tag) : null;
+      const queryTokens = tokenize(q);
+
+      const resources = await this.getPublished({
+        type,
+        language: typeof language === "string" ? normalizeTag(language) : null,
+      });
+
+      return resources
+        .filter(
+          (resource) =>
+            (!audiences || audiences.includes(resource.audience)) &&
+            (!tagFilter || resource.tags.includes(tagFilter))
+        )
+        .map((resource) => ({
+          resource,
+          score:
+            queryTokens.length > 0 ? scoreResource(resource, queryTokens) : 1,
+        }))
+        .filter(({ score }) => score > 0)
+        .sort(
+          (a, b) =>
+            b.score - a.score ||
+            (b.resource.viewCount || 0) - (a.resource.viewCount || 0)
+        )
+        .slice(0, pageSize)
+        .map(({ resource: { body, searchTokens, ...summary } }) => summary);
+    } catch (error) {
+      logger.error("Failed to search resources", { error: error.message });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Open a published resource and count the view
+   * @param {string} resourceId - Resource ID
+   * @param {Object} viewer - { id, role } of the requesting user
+   * @returns {Promise<Object>} Resource with `bookmarked`
+   */
+  async viewResource(resourceId, viewer) {
+    try {
+      const resource = await this.model.findById(resourceId);
+      if (!resource || !isVisibleTo(resource, viewer.role)) {
+        throw new AppError(404, "Resource not found", "resource_not_found");
+      }
+
+      const [, bookmark] = await Promise.all([
+        withRetry(() =>
+          this.model.collection
+            .doc(resourceId)
+            .update({ viewCount: FieldValue.increment(1) })
+        ),
+        withRetry(() => this.getBookmarksRef(viewer.id).doc(resourceId).get()),
+      ]);
+
+      publish(DomainEvent.RESOURCE_VIEWED, {
+        userId: viewer.id,
+        key: resourceId,
+      });
+
+      const { searchTokens, ...details } = resource;
+      return {
+        ...details,
+        viewCount: (resource.viewCount || 0) + 1,
+        bookmarked: bookmark.exists,
+      };
+    } catch (error) {
+      logger.error("Failed to view resource", {
+        error: error.message,
+        resourceId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Bookmark a published resource the user may see
+   * @param {Object} viewer - { id, role } of the requesting user
+   * @param {string} resourceId - Resource ID
+   * @returns {Promise<Object>} Bookmark
+   */
+  async addBookmark(viewer, resourceId) {
+    try {
+      const resource = await this.model.findById(resourceId);
+      if (!resource || !isVisibleTo(resource, viewer.role)) {
+        throw new AppError(404, "Resource not found", "resource_not_found");
+      }
+
+      const bookmark = { resourceId, createdAt: new Date().toISOString() };
+      await withRetry(() =>
+        this.getBookmarksRef(viewer.id).doc(resourceId).set(bookmark)
+      );
+      return bookmark;
+    } catch (error) {
+      logger.error("Failed to bookmark resource", {
+        error: error.message,
+        resourceId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Remove a bookmark
+   * @param {string} userId - User ID
+   * @param {string} resourceId - Resource ID
+   * @returns {Promise<boolean>} True when removed
+   */
+  async removeBookmark(userId, resourceId) {
+    try {
+      const ref = this.getBookmarksRef(userId).doc(resourceId);
+      const doc = await withRetry(() => ref.get());
+      if (!doc.exists) {
+        throw new AppError(404, "Bookmark not found", "bookmark_not_found");
+      }
+
+      await withRetry(() => ref.delete());
+      return true;
+    } catch (error) {
+      logger.error("Failed to remove bookmark", {
+        error: error.message,
+        resourceId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List the user's bookmarked resources, most recent first
+   * Resources that were unpublished, deleted or moved to an audience the
+   * user is not in are left out
+   * @param {Object} viewer - { id, role } of the requesting user
+   * @returns {Promise<Array>} Resources with `bookmarkedAt`
+   */
+  async getBookmarks(viewer) {
+    try {
+      const snapshot = await withRetry(() =>
+        this.getBookmarksRef(viewer.id)
+          .orderBy("createdAt", "desc")
+          .limit(MAX_BOOKMARKS)
+          .get()
+      );
+      if (snapshot.empty) {
+        return [];
+      }
+
+      const resourceDocs = await withRetry(() =>
+        db.getAll(
+          ...snapshot.docs.map((doc) => this.model.collection.doc(doc.id))
+        )
+      );
+      const bookmarkedAt = new Map(
+        snapshot.docs.map((doc) => [doc.id, doc.data().createdAt])
+      );
+
+      return resourceDocs
+        .filter((doc) => doc.exists && isVisibleTo(doc.data(), viewer.role))
+        .map((doc) => {
+          const { body, searchTokens, ...resource } = doc.data();
+          return {
+            id: doc.id,
+            ...resource,
+            bookmarkedAt: bookmarkedAt.get(doc.id),
+          };
+        });
+    } catch (error) {
+      logger.error("Failed to get bookmarks", { error: error.message });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List resources in any state (admin)
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.status] - draft or published
+   * @returns {Promise<Array>} Resources, most recently updated first
+   */
+  async getAllResources({ status } = {}) {
+    try {
+      let query = this.model.collection;
+      if (status) {
+        query = query.where("status", "==", status);
+      }
+
+      const snapshot = await withRetry(() =>
+        query.orderBy("updatedAt", "desc").get()
+      );
+      return snapshot.docs.map((doc) => {
+        const { searchTokens, ...resource } = doc.data();
+        return { id: doc.id, ...resource };
+      });
+    } catch (error) {
+      logger.error("Failed to list resources", { error: error.message });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Create a resource as a draft (admin)
+   * @param {string} adminId - Authoring admin ID
+   * @param {Object} data - Resource fields
+   * @returns {Promise<Object>} Created resource
+   */
+  async createResource(adminId, data) {
+    try {
+      const resource = await this.model.create({
+        body: null,
+        url: null,
+        contact: null,
+        tags: [],
+        ...normalizeResource({
+          audience: ResourceAudience.ALL,
+          language: "en",
+          ...data,
+        }),
+        status: ResourceStatus.DRAFT,
+        viewCount: 0,
+        createdBy: adminId,
+        updatedBy: adminId,
+        publishedAt: null,
+      });
+
+      logger.info("Resource created", { resourceId: resource.id });
+      return resource;
+    } catch (error) {
+      logger.error("Failed to create resource", { error: error.message });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get a resource in any state or throw a 404
+   * @param {string} resourceId - Resource ID
+   * @returns {Promise<Object>} Resource
+   */
+  async getResourceOrThrow(resourceId) {
+    const resource = await this.model.findById(resourceId);
+    if (!resource) {
+      throw new AppError(404, "Resource not found", "resource_not_found");
+    }
+    return resource;
+  }
+
+  /**
+   * Edit a resource (admin)
+   * @param {string} resourceId - Resource ID
+   * @param {string} adminId - Editing admin ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated resource
+   */
+  async updateResource(resourceId, adminId, data) {
+    try {
+      const current = await this.getResourceOrThrow(resourceId);
+      const resource = await this.model.update(resourceId, {
+        ...normalizeResource(data, current),
+        updatedBy: adminId,
+      });
+
+      this.invalidateResourceCache();
+      logger.info("Resource updated", { resourceId });
+      return resource;
+    } catch (error) {
+      logger.error("Failed to update resource", {
+        error: error.message,
+        resourceId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Publish a draft or move a resource back to draft (admin)
+   * @param {string} resourceId - Resource ID
+   * @param {string} adminId - Admin ID
+   * @param {string} status - ResourceStatus value
+   * @returns {Promise<Object>} Updated resource
+   */
+  async setStatus(resourceId, adminId, status) {
+    try {
+      const current = await this.getResourceOrThrow(resourceId);
+      if (current.status === status) {
+        throw new AppError(
+          400,
+          `Resource is already ${status}`,
+          "invalid_resource_status"
+        );
+      }
+      if (
+        status === ResourceStatus.PUBLISHED &&
+        !current.body &&
+        !current.url &&
+        !current.contact
+      ) {
+        throw new AppError(
+          400,
+          "Add a body, url or contact before publishing",
+          "resource_incomplete"
+        );
+      }
+
+      const resource = await this.model.update(resourceId, {
+        status,
+        updatedBy: adminId,
+        ...(status === ResourceStatus.PUBLISHED && {
+          publishedAt: new Date().toISOString(),
+        }),
+      });
+
+      this.invalidateResourceCache();
+      logger.info("Resource status changed", { resourceId, status });
+      return resource;
+    } catch (error) {
+      logger.error("Failed to change resource status", {
+        error: error.message,
+        resourceId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Delete a resource (admin)
+   * Bookmarks pointing at it are skipped when listed
+   * @param {string} resourceId - Resource ID
+   * @returns {Promise<boolean>} True when deleted
+   */
+  async deleteResource(resourceId) {
+    try {
+      await this.getResourceOrThrow(resourceId);
+      await this.model.delete(resourceId);
+
+      this.invalidateResourceCache();
+      logger.info("Resource deleted", { resourceId });
+      return true;
+    } catch (error) {
+      logger.error("Failed to delete resource", {
+        error: error.message,
+        resourceId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+}
@@ -0,0 +1,526 @@
+/**
+ * Risk detection service
+ * Screens student chat messages and forum posts for language indicating
+ * risk of self-harm and escalates matches to counselors and admins
+ */
+import { db } from "../config/firebase.config.js";
+import config from "../config/config.js";
+import { UserRole } from "./auth.service.js";
+import { BaseService } from "./base.service.js";
+import { CounselorService } from "./counselor.service.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry } from "../utils/firebase-utils.js";
+import {
+  logSecurityEvent,
+  SecurityEventSeverity,
+  SecurityEventType,
+} from "../utils/security-monitor.js";
+import { emitToRole, emitToUser } from "../utils/socket-emitter.js";
+import logger from "../utils/logger.js";
+
+export const RiskSeverity = {
+  MEDIUM: "medium",
+  HIGH: "high",
+  CRITICAL: "critical",
+};
+
+export const RiskAlertStatus = {
+  OPEN: "open",
+  ACKNOWLEDGED: "acknowledged",
+  RESOLVED: "resolved",
+};
+
+// Built-in list. Entries in the risk_keywords collection add phrases or
+// override these by phrase (e.g. to change severity or deactivate one).
+export const DEFAULT_RISK_KEYWORDS = [
+  { phrase: "kill myself", severity: RiskSeverity.CRITICAL },
+  { phrase: "end my life", severity: RiskSeverity.CRITICAL },
+  { phrase: "want to die", severity: RiskSeverity.CRITICAL },
+  { phrase: "suicide", severity: RiskSeverity.CRITICAL },
+  { phrase: "suicidal", severity: RiskSeverity.CRITICAL },
+  { phrase: "better off dead", severity: RiskSeverity.CRITICAL },
+  { phrase: "no reason to live", severity: RiskSeverity.HIGH },
+  { phrase: "hurt myself", severity: RiskSeverity.HIGH },
+  { phrase: "self harm", severity: RiskSeverity.HIGH },
+  { phrase: "cut myself", severity: RiskSeverity.HIGH },
+  { phrase: "can't go on", severity: RiskSeverity.MEDIUM },
+  { phrase: "hopeless", severity: RiskSeverity.MEDIUM },
+];
+
+const ALERTS_COLLECTION = "risk_alerts";
+const KEYWORD_CACHE_TTL_MS = 60 * 1000;
+const MAX_PHRASE_LENGTH = 100;
+const SEVERITY_RANK = [
+  RiskSeverity.MEDIUM,
+  RiskSeverity.HIGH,
+  RiskSeverity.CRITICAL,
+];
+
+// Staff discuss risk with students, so their messages are not screened
+const UNSCREENED_ROLES = [
+  UserRole.COUNSELOR,
+  UserRole.ADMIN,
+  UserRole.SUPERADMIN,
+];
+// Admins receive every alert; counselors only while on duty
+const ALERT_ADMIN_ROLES = [UserRole.ADMIN, UserRole.SUPERADMIN];
+
+// Keyword list shared by every service instance
+let keywordCache = { keywords: null, expiresAt: 0 };
+
+/**
+ * Lowercase text and reduce it to space-separated words so phrases match
+ * regardless of punctuation or spacing ("self-harm" matches "self harm")
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text padded with spaces
+ */
+export const normalizeForMatching = (text) =>
+  ` ${String(text || "")
+    .toLowerCase()
+    .replace(/[’']/g, "'")
+    .replace(/[^a-z0-9']+/g, " ")
+    .trim()} `;
+
+/**
+ * Ensure a severity is one of RiskSeverity
+ * @param {string} severity - Severity to check
+ */
+const assertSeverity = (severity) => {
+  if (!SEVERITY_RANK.includes(severity)) {
+    throw new AppError(
+      400,
+      `severity must be one of: ${SEVERITY_RANK.join(", ")}`,
+      "invalid_severity"
+    );
+  }
+};
+
+/**
+ * Pick the most severe of a list of severities
+ * @param {Array<string>} severities - Severities
+ * @returns {string|null} Highest severity
+ */
+const highestSeverity = (severities) =>
+  severities.reduce(
+    (highest, severity) =>
+      SEVERITY_RANK.indexOf(severity) > SEVERITY_RANK.indexOf(highest)
+        ? severity
+        : highest,
+    null
+  );
+
+export class RiskDetectionService extends BaseService {
+  constructor() {
+    super("risk_keywords");
+    this.counselorService = new CounselorService();
+  }
+
+  /**
+   * Merge the built-in keywords with the ones configured by admins
+   * @returns {Promise<Array>} Keywords, including inactive ones
+   */
+  async getMergedKeywords() {
+    const snapshot = await withRetry(() => this.model.collection.get());
+    const keywords = new Map(
+      DEFAULT_RISK_KEYWORDS.map((keyword) => [
+        keyword.phrase,
+        { ...keyword, active: true, isDefault: true },
+      ])
+    );
+
+    snapshot.docs.forEach((doc) => {
+      const keyword = doc.data();
+      keywords.set(keyword.phrase, {
+        id: doc.id,
+        ...keyword,
+        isDefault: false,
+      });
+    });
+
+    return Array.from(keywords.values());
+  }
+
+  /**
+   * Get the active keyword list
+   * @returns {Promise<Array<{phrase: string, severity: string}>>} Keywords
+   */
+  async getActiveKeywords() {
+    if (keywordCache.keywords && keywordCache.expiresAt > Date.now()) {
+      return keywordCache.keywords;
+    }
+
+    const keywords = (await this.getMergedKeywords()).filter(
+      (keyword) => keyword.active !== false
+    );
+
+    keywordCache = {
+      keywords,
+      expiresAt: Date.now() + KEYWORD_CACHE_TTL_MS,
+    };
+    return keywords;
+  }
+
+  /**
+   * Match text against the keyword list
+   * @param {string} text - Text to analyze
+   * @returns {Promise<{severity: string, matches: Array}|null>} Result or null
+   */
+  async analyzeText(text) {
+    const normalized = normalizeForMatching(text);
+    const keywords = await this.getActiveKeywords();
+
+    const matches = keywords.filter((keyword) =>
+      normalized.includes(normalizeForMatching(keyword.phrase))
+    );
+    if (matches.length === 0) {
+      return null;
+    }
+
+    return {
+      severity: highestSeverity(matches.map((match) => match.severity)),
+      matches: matches.map(({ phrase, severity }) => ({ phrase, severity })),
+    };
+  }
+
+  /**
+   * Get the support resources shown to a student at risk
+   * @returns {Object} Helplines and guidance
+   */
+  getSupportResources() {
+    return {
+      message:
+        "It sounds like you're going through a lot right now. You don't have to face this alone - please reach out to one of these helplines, or contact a counselor.",
+      helplines: config.crisis.helplines,
+      campusContact: config.crisis.campusContact,
+    };
+  }
+
+  /**
+   * Screen a saved chat message and escalate it if it indicates risk
+   * Failures are logged but never block delivery of the message
+   * @param {Object} message - Saved message
+   * @param {string} [senderRole] - Role of the sender
+   * @returns {Promise<Object|null>} Support resources for the sender, if flagged
+   */
+  async screenMessage(message, senderRole) {
+    return this.screenContent(message.content, senderRole, {
+      source: "chat",
+      userId: message.senderId,
+      messageId: message.id,
+      conversationId: message.conversationId,
+    });
+  }
+
+  /**
+   * Screen user-written text and raise an alert if it indicates risk
+   * Failures are logged but never block saving the content
+   * @param {string} text - Text to screen
+   * @param {string} [authorRole] - Role of the author
+   * @param {Object} alert - Alert fields, see raiseAlert
+   * @param {string} alert.source - What the text is (e.g. "chat")
+   * @param {string} alert.userId - Author of the text
+   * @returns {Promise<Object|null>} Support resources for the author, if flagged
+   */
+  async screenContent(text, authorRole, { source, userId, ...references }) {
+    if (UNSCREENED_ROLES.includes(authorRole)) {
+      return null;
+    }
+
+    let analysis;
+    try {
+      analysis = await this.analyzeText(text);
+    } catch (error) {
+      logger.error("Failed to analyze text for risk", {
+        error: error.message,
+        source,
+        ...references,
+      });
+      return null;
+    }
+    if (!analysis) {
+      return null;
+    }
+
+    try {
+      await this.raiseAlert({ source, userId, ...references, ...analysis });
+    } catch (error) {
+      logger.error("Failed to raise risk alert", {
+        error: error.message,
+        source,
+        ...references,
+      });
+    }
+
+    return this.getSupportResources();
+  }
+
+  /**
+   * Push an alert event to admins and on-duty counselors
+   * Counselors are on duty while they are online, available and working
+   * today. If none is, every counselor is notified so an alert is never
+   * left with admins only.
+   * @param {string} event - Event name
+   * @param {Object} alert - Alert
+   */
+  async notifyStaff(event, alert) {
+    emitToRole(ALERT_ADMIN_ROLES, event, alert);
+
+    let onDutyIds = [];
+    try {
+      const counselors = await this.counselorService.getAvailableCounselors({
+        onlineOnly: true,
+      });
+      onDutyIds = counselors.map(({ id }) => id);
+    } catch (error) {
+      logger.error("Failed to find on-duty counselors", {
+        error: error.message,
+        alertId: alert.id,
+      });
+    }
+
+    if (onDutyIds.length > 0) {
+      emitToUser(onDutyIds, event, alert);
+    } else {
+      emitToRole(UserRole.COUNSELOR, event, alert);
+    }
+  }
+
+  /**
+   * Record a risk alert and notify on-duty staff
+   * Alerts reference the flagged content but never copy it
+   * @param {Object} data - Alert data
+   * @param {string} data.source - What produced the alert (e.g. "chat")
+   * @param {string} data.userId - Student at risk
+   * @param {string} data.severity - Highest matched severity
+   * @param {Array} [data.matches] - Matched keywords
+   * @returns {Promise<Object>} Created alert
+   */
+  async raiseAlert({ source, userId, severity, matches = [], ...references }) {
+    const timestamp = new Date().toISOString();
+    const alert = {
+      source,
+      userId,
+      severity,
+      matches,
+      ...references,
+      status: RiskAlertStatus.OPEN,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    };
+
+    const ref = await withRetry(() =>
+      db.collection(ALERTS_COLLECTION).add(alert)
+    );
+    const created = { id: ref.id, ...alert };
+
+    await logSecurityEvent(
+      SecurityEventType.CRISIS_RISK_DETECTED,
+      severity === RiskSeverity.CRITICAL
+        ? SecurityEventSeverity.CRITICAL
+        : SecurityEventSeverity.HIGH,
+      { userId, alertId: ref.id, source, riskSeverity: severity }
+    );
+    await this.notifyStaff("risk_alert", created);
+
+    return created;
+  }
+
+  /**
+   * List risk alerts, newest first
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.status] - Only include this status
+   * @param {number} [filters.limit=50] - Maximum number of alerts
+   * @returns {Promise<Array>} Alerts
+   */
+  async getAlerts({ status, limit = 50 } = {}) {
+    try {
+      let query = db.collection(ALERTS_COLLECTION);
+      if (status) {
+        if (!Object.values(RiskAlertStatus).includes(status)) {
+          throw new AppError(400, "Invalid alert status", "invalid_status");
+        }
+        query = query.where("status", "==", status);
+      }
+
+      const snapshot = await withRetry(() =>
+        query
+          .orderBy("createdAt", "desc")
+          .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100))
+          .get()
+      );
+
+      return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      logger.error("Failed to get risk alerts", { error: error.message });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Acknowledge or resolve a risk alert
+   * @param {string} alertId - Alert ID
+   * @param {string} staffId - Counselor or admin handling the alert
+   * @param {Object} data - Update data
+   * @param {string} data.status - acknowledged or resolved
+   * @param {string} [data.note] - Handling note
+   * @returns {Promise<Object>} Updated alert
+   */
+  async updateAlertStatus(alertId, staffId, { status, note }) {
+    try {
+      if (
+        status !== RiskAlertStatus.ACKNOWLEDGED &&
+        status !== RiskAlertStatus.RESOLVED
+      ) {
+        throw new AppError(400, "Invalid alert status", "invalid_status");
+      }
+
+      const ref = db.collection(ALERTS_COLLECTION).doc(alertId);
+      const doc = await withRetry(() => ref.get());
+      if (!doc.exists) {
+        throw new AppError(404, "Risk alert not found", "alert_not_found");
+      }
+
+      const timestamp = new Date().toISOString();
+      const updates = {
+        status,
+        updatedAt: timestamp,
+        ...(status === RiskAlertStatus.ACKNOWLEDGED
+          ? { acknowledgedBy: staffId, acknowledgedAt: timestamp }
+          : { resolvedBy: staffId, resolvedAt: timestamp }),
+        ...(note ? { note } : {}),
+      };
+      await withRetry(() => ref.update(updates));
+
+      const updated = { id: alertId, ...doc.data(), ...updates };
+      await this.notifyStaff("risk_alert_updated", updated);
+      return updated;
+    } catch (error) {
+      logger.error("Failed to update risk alert", {
+        error: error.message,
+        alertId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List built-in and configured keywords, including inactive ones
+   * @returns {Promise<Array>} Keywords ordered by phrase
+   */
+  async listKeywords() {
+    try {
+      const keywords = await this.getMergedKeywords();
+      return keywords.sort((a, b) => a.phrase.localeCompare(b.phrase));
+    } catch (error) {
+      logger.error("Failed to list risk keywords", { error: error.message });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Add a keyword or phrase
+   * @param {Object} data - Keyword data
+   * @param {string} adminId - Admin user ID
+   * @returns {Promise<Object>} Created keyword
+   */
+  async createKeyword({ phrase, severity, active = true }, adminId) {
+    try {
+      const normalized = normalizeForMatching(phrase).trim();
+      if (!normalized || normalized.length > MAX_PHRASE_LENGTH) {
+        throw new AppError(
+          400,
+          `Phrase must be between 1 and ${MAX_PHRASE_LENGTH} characters`,
+          "invalid_phrase"
+        );
+      }
+      assertSeverity(severity);
+
+      const existing = await this.findWhere("phrase", "==", normalized, {
+        limit: 1,
+      });
+      if (existing.length > 0) {
+        throw new AppError(
+          409,
+          "This phrase is already configured",
+          "keyword_exists"
+        );
+      }
+
+      const keyword = await this.create({
+        phrase: normalized,
+        severity,
+        active: active !== false,
+        createdBy: adminId,
+      });
+      keywordCache.expiresAt = 0;
+
+      return keyword;
+    } catch (error) {
+      logger.error("Failed to create risk keyword", { error: error.message });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Change the severity or active flag of a keyword
+   * @param {string} keywordId - Keyword ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Updated keyword
+   */
+  async updateKeyword(keywordId, { severity, active }) {
+    try {
+      const keyword = await this.model.findById(keywordId);
+      if (!keyword) {
+        throw new AppError(404, "Risk keyword not found", "keyword_not_found");
+      }
+
+      const updates = {};
+      if (severity !== undefined) {
+        assertSeverity(severity);
+        updates.severity = severity;
+      }
+      if (active !== undefined) updates.active = Boolean(active);
+
+      const updated = await this.update(keywordId, updates);
+      keywordCache.expiresAt = 0;
+
+      return updated;
+    } catch (error) {
+      logger.error("Failed to update risk keyword", {
+        error: error.message,
+        keywordId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Remove a keyword
+   * @param {string} keywordId - Keyword ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteKeyword(keywordId) {
+    try {
+      const keyword = await this.model.findById(keywordId);
+      if (!keyword) {
+        throw new AppError(404, "Risk keyword not found", "keyword_not_found");
+      }
+
+      await this.delete(keywordId);
+      keywordCache.expiresAt = 0;
+
+      return true;
+    } catch (error) {
+      logger.error("Failed to delete risk keyword", {
+        error: error.message,
+        keywordId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+}
@@ -0,0 +1,459 @@
+/**
+ * Session note service
+ * Stores counselors' private clinical notes encrypted at the application
+ * layer and records every access in an audit log
+ */
+import { db } from "../config/firebase.config.js";
+import config from "../config/config.js";
+import { AppointmentService } from "./appointment.service.js";
+import { UserRole } from "./auth.service.js";
+import { BaseService } from "./base.service.js";
+import { CounselorService } from "./counselor.service.js";
+import {
+  decryptText,
+  encryptText,
+  parseEncryptionKey,
+} from "../utils/encryption.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry } from "../utils/firebase-utils.js";
+import {
+  logSecurityEvent,
+  SecurityEventSeverity,
+  SecurityEventType,
+} from "../utils/security-monitor.js";
+import logger from "../utils/logger.js";
+
+export const NoteAccessAction = {
+  CREATE: "create",
+  READ: "read",
+  UPDATE: "update",
+  BREAK_GLASS: "break_glass",
+};
+
+const ACCESS_LOG_COLLECTION = "note_access_logs";
+const MAX_NOTE_LENGTH = 20000;
+const MAX_NOTES = 100;
+
+/**
+ * Bind a ciphertext to its note, author and client
+ * @param {string} noteId - Note ID
+ * @param {Object} note - Note with counselorId and clientId
+ * @returns {string} Associated data
+ */
+const getAssociatedData = (noteId, { counselorId, clientId }) =>
+  `session_notes/${noteId}:${counselorId}:${clientId}`;
+
+/**
+ * Strip the encrypted payload and attach the plaintext body
+ * @param {Object} note - Stored note
+ * @param {string} body - Decrypted body
+ * @returns {Object} Note for API responses
+ */
+const toNoteResponse = ({ encryptedBody, ...note }, body) => ({
+  ...note,
+  body,
+});
+
+export class SessionNoteService extends BaseService {
+  constructor() {
+    super("session_notes");
+    this.counselorService = new CounselorService();
+    this.appointmentService = new AppointmentService();
+  }
+
+  /**
+   * Get the notes encryption key
+   * @returns {Buffer} Key
+   */
+  getKey() {
+    const key = parseEncryptionKey(config.notes.encryptionKey);
+    if (!key) {
+      logger.error("NOTES_ENCRYPTION_KEY is missing or not a 32-byte key");
+      throw new AppError(
+        503,
+        "Session notes are not available",
+        "notes_encryption_unavailable"
+      );
+    }
+    return key;
+  }
+
+  /**
+   * Validate a note body
+   * Bodies skip request validation so clinical text is stored verbatim
+   * @param {string} body - Note body
+   * @returns {string} Trimmed body
+   */
+  validateBody(body) {
+    if (typeof body !== "string" || !body.trim()) {
+      throw new AppError(400, "body is required", "validation_error");
+    }
+    if (body.length > MAX_NOTE_LENGTH) {
+      throw new AppError(
+        400,
+        `body must be at most ${MAX_NOTE_LENGTH} characters long`,
+        "note_too_long"
+      );
+    }
+    return body.trim();
+  }
+
+  /**
+   * Encrypt a note body
+   * @param {string} noteId - Note ID
+   * @param {Object} note - Note with counselorId and clientId
+   * @param {string} body - Plaintext body
+   * @returns {Object} Encrypted payload
+   */
+  encryptBody(noteId, note, body) {
+    return {
+      ...encryptText(body, this.getKey(), getAssociatedData(noteId, note)),
+      keyId: config.notes.keyId,
+    };
+  }
+
+  /**
+   * Decrypt a stored note's body
+   * @param {Object} note - Stored note
+   * @returns {string} Plaintext body
+   */
+  decryptBody(note) {
+    const key = this.getKey();
+    try {
+      return decryptText(
+        note.encryptedBody,
+        key,
+        getAssociatedData(note.id, note)
+      );
+    } catch (error) {
+      logger.error("Failed to decrypt session note", {
+        error: error.message,
+        noteId: note.id,
+        keyId: note.encryptedBody?.keyId,
+      });
+      throw new AppError(
+        500,
+        "Note could not be decrypted",
+        "note_decryption_failed"
+      );
+    }
+  }
+
+  /**
+   * Record note accesses
+   * The write is awaited so note content is never returned without an
+   * audit entry
+   * @param {Array<string>} noteIds - Accessed notes
+   * @param {Object} access - Access details
+   * @param {string} access.actorId - Accessing user ID
+   * @param {string} access.actorRole - Accessing user role
+   * @param {string} access.action - Action from NoteAccessAction
+   * @param {boolean} [access.granted=true] - Whether access was allowed
+   * @param {string} [access.reason] - Justification for break-glass access
+   */
+  async logAccess(
+    noteIds,
+    { actorId, actorRole, action, granted = true, reason }
+  ) {
+    const timestamp = new Date().toISOString();
+    const batch = db.batch();
+
+    noteIds.forEach((noteId) => {
+      batch.set(db.collection(ACCESS_LOG_COLLECTION).doc(), {
+        noteId,
+        actorId,
+        actorRole,
+        action,
+        granted,
+        ...(reason ? { reason } : {}),
+        timestamp,
+      });
+    });
+
+    await withRetry(() => batch.commit());
+  }
+
+  /**
+   * Get a note that the counselor authored
+   * Denied attempts are logged before the error is thrown
+   * @param {string} noteId - Note ID
+   * @param {string} counselorId - Requesting counselor ID
+   * @param {string} action - Attempted action
+   * @returns {Promise<Object>} Stored note
+   */
+  async getAuthoredNoteOrThrow(noteId, counselorId, action) {
+    const note = await this.model.findById(noteId);
+    if (!note) {
+      throw new AppError(404, "Note not found", "note_not_found");
+    }
+
+    if (note.counselorId !== counselorId) {
+      await this.logAccess([noteId], {
+        actorId: counselorId,
+        actorRole: UserRole.COUNSELOR,
+        action,
+        granted: false,
+      });
+      throw new AppError(
+        403,
+        "Only the authoring counselor can access this note",
+        "note_access_denied"
+      );
+    }
+
+    return note;
+  }
+
+  /**
+   * Write a note about one of the counselor's clients
+   * @param {string} counselorId - Authoring counselor ID
+   * @param {Object} data - Note data
+   * @param {string} data.clientId - Student the note is about
+   * @param {string} [data.appointmentId] - Session the note belongs to
+   * @param {string} data.body - Note text
+   * @returns {Promise<Object>} Created note with its decrypted body
+   */
+  async createNote(counselorId, { clientId, appointmentId, body }) {
+    try {
+      if (typeof clientId !== "string" || !clientId) {
+        throw new AppError(400, "clientId is required", "validation_error");
+      }
+      const text = this.validateBody(body);
+
+      if (
+        !(await this.counselorService.isAssignedCounselor(
+          counselorId,
+          clientId
+        ))
+      ) {
+        throw new AppError(
+          403,
+          "You can only write notes for your assigned clients",
+          "client_not_assigned"
+        );
+      }
+
+      if (appointmentId) {
+        const appointment = await this.appointmentService.getAppointment(
+          appointmentId,
+          counselorId,
+          UserRole.COUNSELOR
+        );
+        if (appointment.studentId !== clientId) {
+          throw new AppError(
+            400,
+            "Appointment does not belong to this client",
+            "appointment_client_mismatch"
+          );
+        }
+      }
+
+      const noteId = this.model.collection.doc().id;
+      const note = {
+        counselorId,
+        clientId,
+        appointmentId: appointmentId || null,
+      };
+
+      const created = await this.model.create(
+        { ...note, encryptedBody: this.encryptBody(noteId, note, text) },
+        noteId
+      );
+      await this.logAccess([noteId], {
+        actorId: counselorId,
+        actorRole: UserRole.COUNSELOR,
+        action: NoteAccessAction.CREATE,
+      });
+
+      logger.info("Session note created", { noteId, counselorId });
+      return toNoteResponse(created, text);
+    } catch (error) {
+      logger.error("Failed to create session note", {
+        error: error.message,
+        counselorId,
+        clientId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List the counselor's own notes, newest first
+   * @param {string} counselorId - Authoring counselor ID
+   * @param {Object} filters - Optional filters
+   * @param {string} [filters.clientId] - Only notes about this client
+   * @returns {Promise<Array>} Notes with decrypted bodies
+   */
+  async getNotes(counselorId, { clientId } = {}) {
+    try {
+      let query = this.model.collection.where("counselorId", "==", counselorId);
+      if (clientId) {
+        query = query.where("clientId", "==", clientId);
+      }
+
+      const snapshot = await withRetry(() =>
+        query.orderBy("createdAt", "desc").limit(MAX_NOTES).get()
+      );
+      const notes = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+      if (notes.length > 0) {
+        await this.logAccess(
+          notes.map((note) => note.id),
+          {
+            actorId: counselorId,
+            actorRole: UserRole.COUNSELOR,
+            action: NoteAccessAction.READ,
+          }
+        );
+      }
+
+      return notes.map((note) => toNoteResponse(note, this.decryptBody(note)));
+    } catch (error) {
+      logger.error("Failed to get session notes", {
+        error: error.message,
+        counselorId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Read one of the counselor's own notes
+   * @param {string} noteId - Note ID
+   * @param {string} counselorId - Requesting counselor ID
+   * @returns {Promise<Object>} Note with decrypted body
+   */
+  async getNote(noteId, counselorId) {
+    try {
+      const note = await this.getAuthoredNoteOrThrow(
+        noteId,
+        counselorId,
+        NoteAccessAction.READ
+      );
+      await this.logAccess([noteId], {
+        actorId: counselorId,
+        actorRole: UserRole.COUNSELOR,
+        action: NoteAccessAction.READ,
+      });
+
+      return toNoteResponse(note, this.decryptBody(note));
+    } catch (error) {
+      logger.error("Failed to get session note", {
+        error: error.message,
+        noteId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Replace the body of one of the counselor's own notes
+   * @param {string} noteId - Note ID
+   * @param {string} counselorId - Requesting counselor ID
+   * @param {string} body - New note text
+   * @returns {Promise<Object>} Updated note with decrypted body
+   */
+  async updateNote(noteId, counselorId, body) {
+    try {
+      const text = this.validateBody(body);
+      const note = await this.getAuthoredNoteOrThrow(
+        noteId,
+        counselorId,
+        NoteAccessAction.UPDATE
+      );
+
+      const updated = await this.model.update(noteId, {
+        encryptedBody: this.encryptBody(noteId, note, text),
+      });
+      await this.logAccess([noteId], {
+        actorId: counselorId,
+        actorRole: UserRole.COUNSELOR,
+        action: NoteAccessAction.UPDATE,
+      });
+
+      return toNoteResponse(updated, text);
+    } catch (error) {
+      logger.error("Failed to update session note", {
+        error: error.message,
+        noteId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Emergency admin access to a note
+   * Requires a written justification, which is stored in the access log
+   * and raised as a security event
+   * @param {string} noteId - Note ID
+   * @param {string} adminId - Admin user ID
+   * @param {string} adminRole - Admin role
+   * @param {string} reason - Justification
+   * @returns {Promise<Object>} Note with decrypted body
+   */
+  async breakGlassRead(noteId, adminId, adminRole, reason) {
+    try {
+      const note = await this.model.findById(noteId);
+      if (!note) {
+        throw new AppError(404, "Note not found", "note_not_found");
+      }
+
+      await this.logAccess([noteId], {
+        actorId: adminId,
+        actorRole: adminRole,
+        action: NoteAccessAction.BREAK_GLASS,
+        reason,
+      });
+      await logSecurityEvent(
+        SecurityEventType.NOTE_BREAK_GLASS_ACCESS,
+        SecurityEventSeverity.HIGH,
+        {
+          userId: adminId,
+          noteId,
+          counselorId: note.counselorId,
+          clientId: note.clientId,
+          reason,
+        }
+      );
+
+      return toNoteResponse(note, this.decryptBody(note));
+    } catch (error) {
+      logger.error("Failed break-glass access to session note", {
+        error: error.message,
+        noteId,
+        adminId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get the access log of a note, newest first
+   * @param {string} noteId - Note ID
+   * @returns {Promise<Array>} Access log entries
+   */
+  async getAccessLogs(noteId) {
+    try {
+      const snapshot = await withRetry(() =>
+        db
+          .collection(ACCESS_LOG_COLLECTION)
+          .where("noteId", "==", noteId)
+          .orderBy("timestamp", "desc")
+          .limit(200)
+          .get()
+      );
+      return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      logger.error("Failed to get note access logs", {
+        error: error.message,
+        noteId,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+}
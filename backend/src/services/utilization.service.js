@@ -0,0 +1,221 @@
+/**
+ * Utilization service
+ * Reports how much of each counselor's offered time was booked and used,
+ * with attendance outcomes, for admins
+ */
+import { db } from "../config/firebase.config.js";
+import config from "../config/config.js";
+import {
+  AppointmentService,
+  AppointmentStatus,
+  AttendanceStatus,
+} from "./appointment.service.js";
+import { AvailabilityService } from "./availability.service.js";
+import { BaseService } from "./base.service.js";
+import {
+  addDays,
+  isValidDateString,
+  localToUtc,
+  toLocalDateString,
+} from "../utils/availability.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry } from "../utils/firebase-utils.js";
+import logger from "../utils/logger.js";
+
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 92;
+
+// Appointments that used up a slot, whether or not the student came
+const BOOKED_STATUSES = [
+  AppointmentStatus.PENDING,
+  AppointmentStatus.CONFIRMED,
+  AppointmentStatus.COMPLETED,
+  AppointmentStatus.NO_SHOW,
+];
+
+/**
+ * Build zeroed appointment counters
+ * @returns {Object} Counters
+ */
+const emptyCounts = () => ({
+  offeredSlots: 0,
+  booked: 0,
+  attended: 0,
+  noShows: 0,
+  lateCancels: 0,
+  cancelled: 0,
+  declined: 0,
+});
+
+/**
+ * Divide, rounding to three decimals, or null when there is nothing to divide
+ * @param {number} part - Numerator
+ * @param {number} total - Denominator
+ * @returns {number|null} Ratio
+ */
+const ratio = (part, total) =>
+  total > 0 ? Math.round((part / total) * 1000) / 1000 : null;
+
+/**
+ * Add derived rates to counters
+ * @param {Object} counts - Appointment counters
+ * @returns {Object} Counters with rates and hours
+ */
+const withRates = (counts) => ({
+  ...counts,
+  offeredHours:
+    (counts.offeredSlots * config.counseling.slotDurationMinutes) / 60,
+  attendedHours: (counts.attended * config.counseling.slotDurationMinutes) / 60,
+  bookingRate: ratio(counts.booked, counts.offeredSlots),
+  utilization: ratio(counts.attended, counts.offeredSlots),
+  noShowRate: ratio(counts.noShows, counts.attended + counts.noShows),
+});
+
+export class UtilizationService extends BaseService {
+  constructor() {
+    super("appointments");
+    this.appointmentService = new AppointmentService();
+    this.availabilityService = new AvailabilityService();
+  }
+
+  /**
+   * Count the slots a counselor offered between two local dates
+   * @param {Object} counselor - Counselor profile
+   * @param {string} from - First local date
+   * @param {string} to - Last local date
+   * @returns {Promise<number>} Offered slots
+   */
+  async countOfferedSlots(counselor, from, to) {
+    const context = await this.availabilityService.getAvailabilityContext(
+      counselor.id,
+      from,
+      to
+    );
+
+    let offered = 0;
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      offered += (
+        await this.appointmentService.getCandidateSlots(
+          counselor,
+          date,
+          context
+        )
+      ).length;
+    }
+    return offered;
+  }
+
+  /**
+   * Build the utilization report for a range of local dates
+   * @param {Object} range - Report range
+   * @param {string} [range.from] - First local date (default: 29 days ago)
+   * @param {string} [range.to] - Last local date (default: today)
+   * @returns {Promise<Object>} { from, to, totals, counselors }
+   */
+  async getUtilizationReport({ from, to } = {}) {
+    try {
+      const lastDate = to || toLocalDateString(Date.now());
+      const firstDate = from || addDays(lastDate, 1 - DEFAULT_REPORT_DAYS);
+      if (!isValidDateString(firstDate) || !isValidDateString(lastDate)) {
+        throw new AppError(
+          400,
+          "from and to must be dates in YYYY-MM-DD format",
+          "invalid_date"
+        );
+      }
+      if (
+        firstDate > lastDate ||
+        addDays(firstDate, MAX_REPORT_DAYS - 1) < lastDate
+      ) {
+        throw new AppError(
+          400,
+          `The report range must be 1 to ${MAX_REPORT_DAYS} days`,
+          "invalid_date_range"
+        );
+      }
+
+      const [counselorSnapshot, appointmentSnapshot] = await Promise.all([
+        withRetry(() => db.collection("counselors").get()),
+        withRetry(() =>
+          this.model.collection
+            .where("startTime", ">=", localToUtc(firstDate, 0).toISOString())
+            .where(
+              "startTime",
+              "<",
+              localToUtc(addDays(lastDate, 1), 0).toISOString()
+            )
+            .get()
+        ),
+      ]);
+
+      const counts = new Map();
+      const countsFor = (counselorId) => {
+        if (!counts.has(counselorId)) {
+          counts.set(counselorId, emptyCounts());
+        }
+        return counts.get(counselorId);
+      };
+
+      for (const doc of counselorSnapshot.docs) {
+        const counselor = { id: doc.id, ...doc.data() };
+        countsFor(counselor.id).offeredSlots = await this.countOfferedSlots(
+          counselor,
+          firstDate,
+          lastDate
+        );
+      }
+
+      for (const doc of appointmentSnapshot.docs) {
+        const { counselorId, status, attendance } = doc.data();
+        const entry = countsFor(counselorId);
+        if (BOOKED_STATUSES.includes(status)) {
+          entry.booked++;
+        }
+
+        switch (status) {
+          case AppointmentStatus.COMPLETED:
+            entry.attended++;
+            break;
+          case AppointmentStatus.NO_SHOW:
+            entry.noShows++;
+            break;
+          case AppointmentStatus.DECLINED:
+            entry.declined++;
+            break;
+          case AppointmentStatus.CANCELLED:
+            if (attendance === AttendanceStatus.LATE_CANCEL) {
+              entry.lateCancels++;
+            } else {
+              entry.cancelled++;
+            }
+            break;
+        }
+      }
+
+      const totals = emptyCounts();
+      const counselors = [...counts.entries()].map(([counselorId, entry]) => {
+        Object.keys(totals).forEach((key) => {
+          totals[key] += entry[key];
+        });
+        return { counselorId, ...withRates(entry) };
+      });
+
+      return {
+        from: firstDate,
+        to: lastDate,
+        totals: withRates(totals),
+        counselors: counselors.sort(
+          (a, b) => (b.utilization ?? -1) - (a.utilization ?? -1)
+        ),
+      };
+    } catch (error) {
+      logger.error("Failed to build utilization report", {
+        error: error.message,
+        from,
+        to,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+}
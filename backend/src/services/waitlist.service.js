@@ -0,0 +1,659 @@
+/**
+ * Waitlist service
+ * Queues students for a specific counselor or for any counselor. When a
+ * slot opens, the next student in line is offered it with a time-limited
+ * hold: the slot lock is written for them so nobody else can book it, and
+ * it turns into an appointment only if they accept in time. Students who
+ * let an offer lapse or decline it move to the back of the queue.
+ */
+import { db } from "../config/firebase.config.js";
+import config from "../config/config.js";
+import {
+  AppointmentService,
+  AppointmentStatus,
+  SLOTS_COLLECTION,
+  isExpiredHold,
+} from "./appointment.service.js";
+import { BaseService } from "./base.service.js";
+import {
+  NotificationService,
+  NotificationType,
+} from "./notification.service.js";
+import {
+  getSlotId,
+  toLocalDateString,
+  toLocalTimeString,
+} from "../utils/availability.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry, runTransaction } from "../utils/firebase-utils.js";
+import logger from "../utils/logger.js";
+
+export const WaitlistStatus = {
+  WAITING: "waiting",
+  OFFERED: "offered",
+  BOOKED: "booked",
+  LEFT: "left",
+  EXPIRED: "expired",
+};
+
+// Entries in these states hold a place in the queue
+export const OPEN_WAITLIST_STATUSES = [
+  WaitlistStatus.WAITING,
+  WaitlistStatus.OFFERED,
+];
+
+// Offers a student can let lapse or decline before leaving the queue
+const MAX_SKIPS = 2;
+// Waiting entries considered per offered slot
+const OFFER_CANDIDATES = 10;
+
+export class WaitlistService extends BaseService {
+  constructor() {
+    super("waitlist_entries");
+    this.appointmentService = new AppointmentService();
+    this.notificationService = new NotificationService();
+  }
+
+  /**
+   * Join the waitlist for a counselor, or for any counselor
+   * @param {string} studentId - Student user ID
+   * @param {Object} data - Waitlist data
+   * @param {string} [data.counselorId] - Preferred counselor; omit for any
+   * @returns {Promise<Object>} Created entry
+   */
+  async joinWaitlist(studentId, { counselorId } = {}) {
+    try {
+      const targetId = counselorId || null;
+      if (targetId) {
+        await this.appointmentService.getCounselorOrThrow(targetId);
+      }
+      const restriction = await this.appointmentService.getBookingRestriction(
+        studentId
+      );
+      if (restriction) {
+        throw new AppError(
+          403,
+          `Booking is paused after repeated missed sessions. You can join a waitlist again from ${toLocalDateString(
+            restriction.until
+          )}.`,
+          "booking_restricted"
+        );
+      }
+
+      const existing = await withRetry(() =>
+        this.model.collection
+          .where("studentId", "==", studentId)
+          .where("counselorId", "==", targetId)
+          .where("status", "in", OPEN_WAITLIST_STATUSES)
+          .limit(1)
+          .get()
+      );
+      if (!existing.empty) {
+        throw new AppError(
+          409,
+          "You are already on this waitlist",
+          "already_waitlisted"
+        );
+      }
+
+      const timestamp = new Date().toISOString();
+      const entry = await this.model.create({
+        studentId,
+        counselorId: targetId,
+        status: WaitlistStatus.WAITING,
+        queuedAt: timestamp,
+        skipCount: 0,
+        offer: null,
+      });
+
+      logger.info("Student joined waitlist", {
+        entryId: entry.id,
+        counselorId: targetId,
+      });
+      return entry;
+    } catch (error) {
+      logger.error("Failed to join waitlist", {
+        error: error.message,
+        studentId,
+        counselorId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List the student's open waitlist entries with their queue position
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Array>} Entries, oldest first
+   */
+  async getMyEntries(studentId) {
+    try {
+      const snapshot = await withRetry(() =>
+        this.model.collection
+          .where("studentId", "==", studentId)
+          .where("status", "in", OPEN_WAITLIST_STATUSES)
+          .get()
+      );
+
+      const entries = await Promise.all(
+        snapshot.docs.map(async (doc) => {
+          const entry = { id: doc.id, ...doc.data() };
+          if (entry.status !== WaitlistStatus.WAITING) {
+            return { ...entry, position: null };
+          }
+
+          const ahead = await withRetry(() =>
+            this.model.collection
+              .where("counselorId", "==", entry.counselorId)
+              .where("status", "==", WaitlistStatus.WAITING)
+              .where("queuedAt", "<", entry.queuedAt)
+              .count()
+              .get()
+          );
+          return { ...entry, position: ahead.data().count + 1 };
+        })
+      );
+
+      return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+    } catch (error) {
+      logger.error("Failed to get waitlist entries", {
+        error: error.message,
+        studentId,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get one of the student's entries or throw
+   * @param {string} entryId - Entry ID
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object>} Entry
+   */
+  async getEntryForStudent(entryId, studentId) {
+    const entry = await this.model.findById(entryId);
+    if (!entry || entry.studentId !== studentId) {
+      throw new AppError(
+        404,
+        "Waitlist entry not found",
+        "waitlist_entry_not_found"
+      );
+    }
+    return entry;
+  }
+
+  /**
+   * Leave the waitlist; an outstanding offer is passed on
+   * @param {string} entryId - Entry ID
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object>} Updated entry
+   */
+  async leaveWaitlist(entryId, studentId) {
+    try {
+      await this.getEntryForStudent(entryId, studentId);
+      const { entry, releasedSlot } = await this.closeEntry(
+        entryId,
+        (current) => {
+          assertOpen(current);
+          return {
+            status: WaitlistStatus.LEFT,
+            leftAt: new Date().toISOString(),
+          };
+        }
+      );
+
+      logger.info("Student left waitlist", { entryId });
+      if (releasedSlot) {
+        await this.offerSlot(releasedSlot);
+      }
+      return entry;
+    } catch (error) {
+      logger.error("Failed to leave waitlist", {
+        error: error.message,
+        entryId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Turn down an offered slot; the student keeps a place at the back of
+   * the queue until they have skipped too many offers
+   * @param {string} entryId - Entry ID
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object>} Updated entry
+   */
+  async declineOffer(entryId, studentId) {
+    try {
+      await this.getEntryForStudent(entryId, studentId);
+      const { entry, releasedSlot } = await this.closeEntry(
+        entryId,
+        (current) => {
+          assertOffered(current);
+          return skipUpdates(current);
+        }
+      );
+
+      logger.info("Waitlist offer declined", { entryId });
+      if (releasedSlot) {
+        await this.offerSlot(releasedSlot);
+      }
+      return entry;
+    } catch (error) {
+      logger.error("Failed to decline waitlist offer", {
+        error: error.message,
+        entryId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Update an entry and release the slot it holds, inside a transaction
+   * @param {string} entryId - Entry ID
+   * @param {Function} getUpdates - Receives the entry and returns the updates;
+   *   throw an AppError to reject the change
+   * @returns {Promise<Object>} { entry, releasedSlot }
+   */
+  async closeEntry(entryId, getUpdates) {
+    const entryRef = this.model.collection.doc(entryId);
+    let releasedSlot = null;
+
+    await runTransaction(db, async (transaction) => {
+      const entryDoc = await transaction.get(entryRef);
+      if (!entryDoc.exists) {
+        throw new AppError(
+          404,
+          "Waitlist entry not found",
+          "waitlist_entry_not_found"
+        );
+      }
+
+      const current = { id: entryDoc.id, ...entryDoc.data() };
+      const slotRef = current.offer
+        ? db.collection(SLOTS_COLLECTION).doc(current.offer.slotId)
+        : null;
+      const slotDoc = slotRef ? await transaction.get(slotRef) : null;
+
+      transaction.update(entryRef, {
+        ...getUpdates(current),
+        offer: null,
+        updatedAt: new Date().toISOString(),
+      });
+
+      if (
+        current.status === WaitlistStatus.OFFERED &&
+        slotDoc?.exists &&
+        slotDoc.data().waitlistEntryId === entryId &&
+        !slotDoc.data().appointmentId
+      ) {
+        transaction.delete(slotRef);
+        releasedSlot = current.offer;
+      }
+    });
+
+    return { entry: await this.model.findById(entryId), releasedSlot };
+  }
+
+  /**
+   * Accept an offered slot, turning the hold into a pending appointment
+   * @param {string} entryId - Entry ID
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object>} Created appointment
+   */
+  async acceptOffer(entryId, studentId) {
+    try {
+      const entry = await this.getEntryForStudent(entryId, studentId);
+      assertOffered(entry);
+
+      const entryRef = this.model.collection.doc(entryId);
+      const slotRef = db.collection(SLOTS_COLLECTION).doc(entry.offer.slotId);
+      const appointmentRef = db.collection("appointments").doc();
+      let appointment;
+
+      await runTransaction(db, async (transaction) => {
+        const [entryDoc, slotDoc] = await Promise.all([
+          transaction.get(entryRef),
+          transaction.get(slotRef),
+        ]);
+        const current = entryDoc.data();
+        const slot = slotDoc.data();
+
+        assertOffered(current);
+        if (
+          current.offer.slotId !== entry.offer.slotId ||
+          !slotDoc.exists ||
+          slot.waitlistEntryId !== entryId ||
+          slot.appointmentId ||
+          isExpiredHold(slot)
+        ) {
+          throw new AppError(
+            410,
+            "This offer has expired",
+            "waitlist_offer_expired"
+          );
+        }
+        await this.appointmentService.assertBookingLimit(
+          transaction,
+          studentId
+        );
+
+        const timestamp = new Date().toISOString();
+        appointment = {
+          studentId,
+          counselorId: slot.counselorId,
+          slotId: slotRef.id,
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          status: AppointmentStatus.PENDING,
+          notes: null,
+          waitlistEntryId: entryId,
+          createdAt: timestamp,
+          updatedAt: timestamp,
+        };
+
+        transaction.set(appointmentRef, appointment);
+        transaction.update(slotRef, {
+          appointmentId: appointmentRef.id,
+          holdExpiresAt: null,
+        });
+        transaction.update(entryRef, {
+          status: WaitlistStatus.BOOKED,
+          appointmentId: appointmentRef.id,
+          bookedAt: timestamp,
+          updatedAt: timestamp,
+        });
+      });
+
+      logger.info("Waitlist offer accepted", {
+        entryId,
+        appointmentId: appointmentRef.id,
+      });
+      return { id: appointmentRef.id, ...appointment };
+    } catch (error) {
+      logger.error("Failed to accept waitlist offer", {
+        error: error.message,
+        entryId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get the next waiting entries for a counselor's slot: the counselor's own
+   * queue first, then the general queue
+   * @param {string} counselorId - Counselor user ID
+   * @returns {Promise<Array>} Entries in offer order
+   */
+  async getOfferCandidates(counselorId) {
+    const queues = await Promise.all(
+      [counselorId, null].map((target) =>
+        withRetry(() =>
+          this.model.collection
+            .where("counselorId", "==", target)
+            .where("status", "==", WaitlistStatus.WAITING)
+            .orderBy("queuedAt", "asc")
+            .limit(OFFER_CANDIDATES)
+            .get()
+        )
+      )
+    );
+
+    return queues.flatMap((snapshot) =>
+      snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }))
+    );
+  }
+
+  /**
+   * Offer a free slot to the next eligible student in line
+   * Students who cannot book right now are passed over without losing
+   * their place
+   * @param {Object} slot - Slot
+   * @param {string} slot.counselorId - Counselor user ID
+   * @param {string} slot.startTime - Slot start ISO string
+   * @param {string} slot.endTime - Slot end ISO string
+   * @returns {Promise<Object|null>} Offered entry, or null if nobody was offered
+   */
+  async offerSlot({ counselorId, startTime, endTime }) {
+    const earliestStart =
+      Date.now() + config.counseling.minBookingNoticeMinutes * 60 * 1000;
+    if (Date.parse(startTime) < earliestStart) {
+      return null;
+    }
+
+    const slotId = getSlotId(counselorId, startTime);
+    const slotRef = db.collection(SLOTS_COLLECTION).doc(slotId);
+    const candidates = await this.getOfferCandidates(counselorId);
+
+    for (const candidate of candidates) {
+      if (
+        candidate.studentId === counselorId ||
+        (await this.appointmentService.getBookingRestriction(
+          candidate.studentId
+        ))
+      ) {
+        continue;
+      }
+
+      const entryRef = this.model.collection.doc(candidate.id);
+      const expiresAt = new Date(
+        Date.now() + config.counseling.waitlistHoldMinutes * 60 * 1000
+      ).toISOString();
+      const offer = { slotId, counselorId, startTime, endTime, expiresAt };
+      let outcome = "skipped";
+
+      await runTransaction(db, async (transaction) => {
+        const [entryDoc, slotDoc] = await Promise.all([
+          transaction.get(entryRef),
+          transaction.get(slotRef),
+        ]);
+        if (slotDoc.exists && !isExpiredHold(slotDoc.data())) {
+          outcome = "taken";
+          return;
+        }
+        if (entryDoc.data()?.status !== WaitlistStatus.WAITING) {
+          return;
+        }
+
+        const timestamp = new Date().toISOString();
+        transaction.set(slotRef, {
+          counselorId,
+          studentId: candidate.studentId,
+          appointmentId: null,
+          waitlistEntryId: candidate.id,
+          holdExpiresAt: expiresAt,
+          startTime,
+          endTime,
+          createdAt: timestamp,
+        });
+        transaction.update(entryRef, {
+          status: WaitlistStatus.OFFERED,
+          offer,
+          offeredAt: timestamp,
+          updatedAt: timestamp,
+        });
+        outcome = "offered";
+      });
+
+      if (outcome === "taken") {
+        return null;
+      }
+      if (outcome === "offered") {
+        await this.notificationService.notify(candidate.studentId, {
+          type: NotificationType.WAITLIST_OFFER,
+          title: "A counseling slot opened up",
+          body: `A session on ${toLocalDateString(
+            startTime
+          )} at ${toLocalTimeString(
+            startTime
+          )} is held for you until ${toLocalTimeString(
+            expiresAt
+          )}. Accept it before then to book it.`,
+          data: { waitlistEntryId: candidate.id, ...offer },
+        });
+
+        logger.info("Waitlist slot offered", {
+          entryId: candidate.id,
+          counselorId,
+          startTime,
+        });
+        return { ...candidate, status: WaitlistStatus.OFFERED, offer };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Offer a counselor's open slots to the students waiting for them
+   * Used when the counselor's hours change
+   * @param {string} counselorId - Counselor user ID
+   * @returns {Promise<number>} Number of offers made
+   */
+  async offerOpenSlots(counselorId) {
+    const candidates = await this.getOfferCandidates(counselorId);
+    if (candidates.length === 0) {
+      return 0;
+    }
+
+    const slots = await this.appointmentService.getAvailableSlots(counselorId, {
+      days: config.counseling.bookingWindowDays,
+    });
+
+    let offered = 0;
+    for (const slot of slots) {
+      if (offered >= candidates.length) {
+        break;
+      }
+      if (await this.offerSlot({ counselorId, ...slot })) {
+        offered++;
+      } else if ((await this.getOfferCandidates(counselorId)).length === 0) {
+        break;
+      }
+    }
+    return offered;
+  }
+
+  /**
+   * Skip students whose offers ran out and pass the slots on
+   * @param {number} [now=Date.now()] - Current time in ms
+   * @returns {Promise<number>} Number of offers expired
+   */
+  async expireOffers(now = Date.now()) {
+    const snapshot = await withRetry(() =>
+      this.model.collection
+        .where("status", "==", WaitlistStatus.OFFERED)
+        .where("offer.expiresAt", "<=", new Date(now).toISOString())
+        .get()
+    );
+
+    let expired = 0;
+    for (const doc of snapshot.docs) {
+      try {
+        const { releasedSlot } = await this.closeEntry(doc.id, (current) => {
+          assertOffered(current);
+          return skipUpdates(current);
+        });
+        expired++;
+
+        logger.info("Waitlist offer expired", { entryId: doc.id });
+        if (releasedSlot) {
+          await this.offerSlot(releasedSlot);
+        }
+      } catch (error) {
+        logger.error("Failed to expire waitlist offer", {
+          error: error.message,
+          entryId: doc.id,
+        });
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Summarize waitlist demand per counselor (admin)
+   * @returns {Promise<Object>} { totalWaiting, general, counselors }
+   */
+  async getDemandStats() {
+    try {
+      const snapshot = await withRetry(() =>
+        this.model.collection
+          .where("status", "in", OPEN_WAITLIST_STATUSES)
+          .select("counselorId", "status", "queuedAt")
+          .get()
+      );
+
+      const queues = new Map();
+      for (const doc of snapshot.docs) {
+        const { counselorId, status, queuedAt } = doc.data();
+        const queue = queues.get(counselorId) || {
+          counselorId,
+          waiting: 0,
+          offered: 0,
+          oldestQueuedAt: null,
+        };
+        queue[status === WaitlistStatus.OFFERED ? "offered" : "waiting"]++;
+        if (!queue.oldestQueuedAt || queuedAt < queue.oldestQueuedAt) {
+          queue.oldestQueuedAt = queuedAt;
+        }
+        queues.set(counselorId, queue);
+      }
+
+      const { null: general, ...byCounselor } = Object.fromEntries(queues);
+      return {
+        totalWaiting: snapshot.size,
+        general: general || {
+          counselorId: null,
+          waiting: 0,
+          offered: 0,
+          oldestQueuedAt: null,
+        },
+        counselors: Object.values(byCounselor).sort(
+          (a, b) => b.waiting + b.offered - (a.waiting + a.offered)
+        ),
+      };
+    } catch (error) {
+      logger.error("Failed to get waitlist stats", { error: error.message });
+      throw handleFirebaseError(error);
+    }
+  }
+}
+
+/**
+ * Build the updates for a skipped offer: back of the queue, or out of it
+ * after too many skips
+ * @param {Object} entry - Offered entry
+ * @returns {Object} Entry updates
+ */
+function skipUpdates(entry) {
+  const skipCount = (entry.skipCount || 0) + 1;
+  const timestamp = new Date().toISOString();
+
+  return skipCount >= MAX_SKIPS
+    ? { status: WaitlistStatus.EXPIRED, skipCount, expiredAt: timestamp }
+    : { status: WaitlistStatus.WAITING, skipCount, queuedAt: timestamp };
+}
+
+function assertOpen(entry) {
+  if (!OPEN_WAITLIST_STATUSES.includes(entry.status)) {
+    throw new AppError(
+      400,
+      `Waitlist entry is already ${entry.status}`,
+      "invalid_waitlist_status"
+    );
+  }
+}
+
+function assertOffered(entry) {
+  if (entry?.status !== WaitlistStatus.OFFERED) {
+    throw new AppError(
+      400,
+      "There is no open offer for this waitlist entry",
+      "invalid_waitlist_status"
+    );
+  }
+}
@@ -0,0 +1,650 @@
+/**
+ * Wellbeing service
+ * Handles daily mood check-ins, the private journal, streaks and weekly
+ * summaries. Everything is stored under the student's user document and is
+ * only visible to them; a student can opt in to sharing selected trends
+ * with their assigned counselor, but never journal text or check-in notes.
+ */
+import { UserRole } from "./auth.service.js";
+import { BaseService } from "./base.service.js";
+import { CounselorService } from "./counselor.service.js";
+import {
+  addDays,
+  isValidDateString,
+  toLocalDateString,
+} from "../utils/availability.js";
+import { normalizeTags } from "../utils/counselor-profile.js";
+import { DomainEvent, publish } from "../utils/domain-events.js";
+import { AppError, handleFirebaseError } from "../utils/error.js";
+import { withRetry } from "../utils/firebase-utils.js";
+import logger from "../utils/logger.js";
+
+const MOOD_SUBCOLLECTION = "mood_checkins";
+const JOURNAL_SUBCOLLECTION = "journal_entries";
+
+export const MOOD_MIN = 1;
+export const MOOD_MAX = 5;
+
+// Trends a student can share with their assigned counselor
+export const ShareableTrend = {
+  MOOD: "mood",
+  TAGS: "tags",
+  STREAKS: "streaks",
+};
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const TOP_TAG_COUNT = 5;
+const MAX_HISTORY_DAYS = 366;
+const MAX_JOURNAL_PAGE = 50;
+const DEFAULT_SUMMARY_WEEKS = 4;
+const MAX_SUMMARY_WEEKS = 12;
+
+/**
+ * Normalize check-in and journal tags
+ * @param {Array<string>} tags - Raw tags
+ * @returns {Array<string>} Normalized tags
+ */
+const cleanTags = (tags) =>
+  normalizeTags(tags)
+    .filter((tag) => tag.length <= MAX_TAG_LENGTH)
+    .slice(0, MAX_TAGS);
+
+/**
+ * Get the Monday of the week containing a local date
+ * @param {string} date - YYYY-MM-DD date
+ * @returns {string} Monday of that week
+ */
+const getWeekStart = (date) => {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addDays(date, -((weekday + 6) % 7));
+};
+
+/**
+ * Compute the current and longest run of consecutive days
+ * The current streak is still alive if the last active day was yesterday
+ * @param {Array<string>} dates - Active local dates
+ * @param {string} today - Today's local date
+ * @returns {Object} { current, longest, lastDate }
+ */
+const computeStreak = (dates, today) => {
+  const days = [...new Set(dates)].sort();
+  let longest = 0;
+  let run = 0;
+
+  days.forEach((date, index) => {
+    run = index > 0 && addDays(days[index - 1], 1) === date ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const lastDate = days[days.length - 1] || null;
+  const isAlive = lastDate === today || lastDate === addDays(today, -1);
+  return { current: isAlive ? run : 0, longest, lastDate };
+};
+
+/**
+ * Round a mood average to one decimal
+ * @param {Array<number>} moods - Mood values
+ * @returns {number|null} Average or null without values
+ */
+const averageMood = (moods) =>
+  moods.length > 0
+    ? Math.round(
+        (moods.reduce((sum, mood) => sum + mood, 0) / moods.length) * 10
+      ) / 10
+    : null;
+
+/**
+ * Count tags and return the most frequent ones
+ * @param {Array<Object>} checkIns - Check-ins with `tags`
+ * @returns {Array<Object>} [{ tag, count }], most frequent first
+ */
+const topTags = (checkIns) => {
+  const counts = new Map();
+  checkIns.forEach(({ tags = [] }) =>
+    tags.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1))
+  );
+
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    .slice(0, TOP_TAG_COUNT);
+};
+
+export class WellbeingService extends BaseService {
+  constructor() {
+    super("users");
+    this.counselorService = new CounselorService();
+  }
+
+  /**
+   * Get the mood check-in subcollection of a user
+   * Check-ins are keyed by local date, one per day
+   * @param {string} userId - User ID
+   * @returns {Object} Firestore collection reference
+   */
+  getMoodRef(userId) {
+    return this.model.collection.doc(userId).collection(MOOD_SUBCOLLECTION);
+  }
+
+  /**
+   * Get the journal subcollection of a user
+   * @param {string} userId - User ID
+   * @returns {Object} Firestore collection reference
+   */
+  getJournalRef(userId) {
+    return this.model.collection.doc(userId).collection(JOURNAL_SUBCOLLECTION);
+  }
+
+  /**
+   * Record today's mood check-in, replacing an earlier one from today
+   * @param {string} userId - User ID
+   * @param {Object} data - Check-in data
+   * @param {number} data.mood - Mood from 1 (very low) to 5 (very good)
+   * @param {Array<string>} [data.tags] - Feelings or influences
+   * @param {string} [data.note] - Private note
+   * @returns {Promise<Object>} Check-in
+   */
+  async checkIn(userId, { mood, tags, note }) {
+    try {
+      if (!Number.isInteger(mood) || mood < MOOD_MIN || mood > MOOD_MAX) {
+        throw new AppError(
+          400,
+          `mood must be a whole number from ${MOOD_MIN} to ${MOOD_MAX}`,
+          "invalid_mood"
+        );
+      }
+
+      const date = toLocalDateString(Date.now());
+      const ref = this.getMoodRef(userId).doc(date);
+      const existing = await withRetry(() => ref.get());
+      const timestamp = new Date().toISOString();
+
+      const checkIn = {
+        date,
+        mood,
+        tags: cleanTags(tags),
+        note: note || null,
+        createdAt: existing.exists ? existing.data().createdAt : timestamp,
+        updatedAt: timestamp,
+      };
+      // Written directly so the note never reaches the service logs
+      await withRetry(() => ref.set(checkIn));
+
+      logger.info("Mood check-in recorded", {
+        date,
+        updated: existing.exists,
+      });
+      publish(DomainEvent.MOOD_LOGGED, { userId, key: date });
+      return { id: date, ...checkIn };
+    } catch (error) {
+      logger.error("Failed to record mood check-in", {
+        error: error.message,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Resolve a from/to range of local dates
+   * @param {Object} range - Range
+   * @param {string} [range.from] - First date (default: 29 days before `to`)
+   * @param {string} [range.to] - Last date (default: today)
+   * @returns {Object} { from, to }
+   */
+  resolveRange({ from, to } = {}) {
+    const lastDate = to || toLocalDateString(Date.now());
+    const firstDate = from || addDays(lastDate, -29);
+    if (!isValidDateString(firstDate) || !isValidDateString(lastDate)) {
+      throw new AppError(
+        400,
+        "from and to must be dates in YYYY-MM-DD format",
+        "invalid_date"
+      );
+    }
+    if (
+      firstDate > lastDate ||
+      addDays(firstDate, MAX_HISTORY_DAYS - 1) < lastDate
+    ) {
+      throw new AppError(
+        400,
+        `The date range must be 1 to ${MAX_HISTORY_DAYS} days`,
+        "invalid_date_range"
+      );
+    }
+    return { from: firstDate, to: lastDate };
+  }
+
+  /**
+   * Fetch check-ins between two local dates, oldest first
+   * @param {string} userId - User ID
+   * @param {string} from - First local date
+   * @param {string} to - Last local date
+   * @returns {Promise<Array>} Check-ins
+   */
+  async fetchCheckIns(userId, from, to) {
+    const snapshot = await withRetry(() =>
+      this.getMoodRef(userId)
+        .where("date", ">=", from)
+        .where("date", "<=", to)
+        .orderBy("date")
+        .get()
+    );
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Fetch journal entry dates between two local dates
+   * @param {string} userId - User ID
+   * @param {string} from - First local date
+   * @param {string} to - Last local date
+   * @returns {Promise<Array<string>>} Entry dates
+   */
+  async fetchJournalDates(userId, from, to) {
+    const snapshot = await withRetry(() =>
+      this.getJournalRef(userId)
+        .where("date", ">=", from)
+        .where("date", "<=", to)
+        .select("date")
+        .get()
+    );
+    return snapshot.docs.map((doc) => doc.data().date);
+  }
+
+  /**
+   * List the user's mood check-ins in a date range
+   * @param {string} userId - User ID
+   * @param {Object} range - { from, to } local dates
+   * @returns {Promise<Array>} Check-ins, oldest first
+   */
+  async getCheckIns(userId, range) {
+    try {
+      const { from, to } = this.resolveRange(range);
+      return await this.fetchCheckIns(userId, from, to);
+    } catch (error) {
+      logger.error("Failed to get mood check-ins", { error: error.message });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Delete a mood check-in
+   * @param {string} userId - User ID
+   * @param {string} date - Check-in date
+   * @returns {Promise<boolean>} True when deleted
+   */
+  async deleteCheckIn(userId, date) {
+    try {
+      const ref = this.getMoodRef(userId).doc(date);
+      const doc = await withRetry(() => ref.get());
+      if (!doc.exists) {
+        throw new AppError(404, "Check-in not found", "check_in_not_found");
+      }
+
+      await withRetry(() => ref.delete());
+      logger.info("Mood check-in deleted", { date });
+      return true;
+    } catch (error) {
+      logger.error("Failed to delete mood check-in", {
+        error: error.message,
+        date,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Write a journal entry
+   * @param {string} userId - User ID
+   * @param {Object} data - Entry data
+   * @param {string} [data.title] - Title
+   * @param {string} data.content - Entry text
+   * @param {Array<string>} [data.tags] - Tags
+   * @returns {Promise<Object>} Entry
+   */
+  async createJournalEntry(userId, { title, content, tags }) {
+    try {
+      const timestamp = new Date().toISOString();
+      const entry = {
+        date: toLocalDateString(timestamp),
+        title: title || null,
+        content,
+        tags: cleanTags(tags),
+        createdAt: timestamp,
+        updatedAt: timestamp,
+      };
+
+      const ref = await withRetry(() => this.getJournalRef(userId).add(entry));
+      logger.info("Journal entry created", { entryId: ref.id });
+      publish(DomainEvent.JOURNAL_WRITTEN, { userId, key: ref.id });
+      return { id: ref.id, ...entry };
+    } catch (error) {
+      logger.error("Failed to create journal entry", { error: error.message });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * List journal entries, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - Paging options
+   * @param {number} [options.limit=20] - Page size
+   * @param {string} [options.before] - Only entries created before this time
+   * @param {string} [options.tag] - Only entries with this tag
+   * @returns {Promise<Array>} Entries
+   */
+  async getJournalEntries(userId, { limit, before, tag } = {}) {
+    try {
+      const pageSize = Math.min(
+        Math.max(parseInt(limit, 10) || 20, 1),
+        MAX_JOURNAL_PAGE
+      );
+
+      const tagFilter = tag && cleanTags([tag])[0];
+      let query = this.getJournalRef(userId);
+      if (tagFilter) {
+        query = query.where("tags", "array-contains", tagFilter);
+      }
+      if (before) {
+        query = query.where("createdAt", "<", before);
+      }
+
+      const snapshot = await withRetry(() =>
+        query.orderBy("createdAt", "desc").limit(pageSize).get()
+      );
+      return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      logger.error("Failed to get journal entries", { error: error.message });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get a journal entry or throw a 404
+   * @param {string} userId - User ID
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<Object>} Entry
+   */
+  async getJournalEntry(userId, entryId) {
+    try {
+      const doc = await withRetry(() =>
+        this.getJournalRef(userId).doc(entryId).get()
+      );
+      if (!doc.exists) {
+        throw new AppError(
+          404,
+          "Journal entry not found",
+          "journal_entry_not_found"
+        );
+      }
+      return { id: doc.id, ...doc.data() };
+    } catch (error) {
+      logger.error("Failed to get journal entry", {
+        error: error.message,
+        entryId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Edit a journal entry; its date stays the day it was written
+   * @param {string} userId - User ID
+   * @param {string} entryId - Entry ID
+   * @param {Object} data - Fields to change: title, content, tags
+   * @returns {Promise<Object>} Updated entry
+   */
+  async updateJournalEntry(userId, entryId, { title, content, tags }) {
+    try {
+      const entry = await this.getJournalEntry(userId, entryId);
+      const updates = { updatedAt: new Date().toISOString() };
+      if (title !== undefined) updates.title = title || null;
+      if (content !== undefined) updates.content = content;
+      if (tags !== undefined) updates.tags = cleanTags(tags);
+
+      await withRetry(() =>
+        this.getJournalRef(userId).doc(entryId).update(updates)
+      );
+      logger.info("Journal entry updated", { entryId });
+      return { ...entry, ...updates };
+    } catch (error) {
+      logger.error("Failed to update journal entry", {
+        error: error.message,
+        entryId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Delete a journal entry
+   * @param {string} userId - User ID
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<boolean>} True when deleted
+   */
+  async deleteJournalEntry(userId, entryId) {
+    try {
+      await this.getJournalEntry(userId, entryId);
+      await withRetry(() => this.getJournalRef(userId).doc(entryId).delete());
+      logger.info("Journal entry deleted", { entryId });
+      return true;
+    } catch (error) {
+      logger.error("Failed to delete journal entry", {
+        error: error.message,
+        entryId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get check-in and journaling streaks over the past year
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { checkIn, journal } with current and longest
+   */
+  async getStreaks(userId) {
+    try {
+      const today = toLocalDateString(Date.now());
+      const from = addDays(today, 1 - MAX_HISTORY_DAYS);
+      const [checkIns, journalDates] = await Promise.all([
+        this.fetchCheckIns(userId, from, today),
+        this.fetchJournalDates(userId, from, today),
+      ]);
+
+      return {
+        checkIn: computeStreak(
+          checkIns.map(({ date }) => date),
+          today
+        ),
+        journal: computeStreak(journalDates, today),
+      };
+    } catch (error) {
+      logger.error("Failed to get wellbeing streaks", {
+        error: error.message,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Summarize recent weeks (Monday to Sunday), newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - Summary options
+   * @param {number} [options.weeks=4] - Number of weeks, including this one
+   * @returns {Promise<Array>} Weekly summaries
+   */
+  async getWeeklySummaries(userId, { weeks } = {}) {
+    try {
+      const weekCount = Math.min(
+        Math.max(parseInt(weeks, 10) || DEFAULT_SUMMARY_WEEKS, 1),
+        MAX_SUMMARY_WEEKS
+      );
+      const today = toLocalDateString(Date.now());
+      const firstWeek = addDays(getWeekStart(today), -7 * (weekCount - 1));
+      const [checkIns, journalDates] = await Promise.all([
+        this.fetchCheckIns(userId, firstWeek, today),
+        this.fetchJournalDates(userId, firstWeek, today),
+      ]);
+
+      const summaries = [];
+      for (let index = 0; index < weekCount; index++) {
+        const weekStart = addDays(firstWeek, 7 * index);
+        const weekEnd = addDays(weekStart, 6);
+        const inWeek = (date) => date >= weekStart && date <= weekEnd;
+        const weekCheckIns = checkIns.filter(({ date }) => inWeek(date));
+        const moods = weekCheckIns.map(({ mood }) => mood);
+        const average = averageMood(moods);
+        const previous = summaries[summaries.length - 1];
+
+        summaries.push({
+          weekStart,
+          weekEnd,
+          checkIns: weekCheckIns.length,
+          averageMood: average,
+          lowestMood: moods.length > 0 ? Math.min(...moods) : null,
+          highestMood: moods.length > 0 ? Math.max(...moods) : null,
+          moodChange:
+            average !== null && previous?.averageMood != null
+              ? Math.round((average - previous.averageMood) * 10) / 10
+              : null,
+          topTags: topTags(weekCheckIns),
+          journalEntries: journalDates.filter(inWeek).length,
+        });
+      }
+
+      return summaries.reverse();
+    } catch (error) {
+      logger.error("Failed to get weekly wellbeing summaries", {
+        error: error.message,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get which trends the user shares with their assigned counselor
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { sharedTrends, updatedAt }
+   */
+  async getSharing(userId) {
+    try {
+      const user = await this.model.findById(userId);
+      return user?.wellbeingSharing || { sharedTrends: [], updatedAt: null };
+    } catch (error) {
+      logger.error("Failed to get wellbeing sharing", {
+        error: error.message,
+      });
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Choose which trends to share with the assigned counselor
+   * An empty list stops sharing
+   * @param {string} userId - User ID
+   * @param {Array<string>} sharedTrends - Values from ShareableTrend
+   * @returns {Promise<Object>} Sharing settings
+   */
+  async updateSharing(userId, sharedTrends) {
+    try {
+      const allowed = Object.values(ShareableTrend);
+      if (
+        !Array.isArray(sharedTrends) ||
+        sharedTrends.some((trend) => !allowed.includes(trend))
+      ) {
+        throw new AppError(
+          400,
+          `sharedTrends may only contain: ${allowed.join(", ")}`,
+          "invalid_shared_trends"
+        );
+      }
+
+      const wellbeingSharing = {
+        sharedTrends: [...new Set(sharedTrends)],
+        updatedAt: new Date().toISOString(),
+      };
+      await this.update(userId, { wellbeingSharing });
+      return wellbeingSharing;
+    } catch (error) {
+      logger.error("Failed to update wellbeing sharing", {
+        error: error.message,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+
+  /**
+   * Get the trends a student shares, for their assigned counselor
+   * Only the trends the student opted in to are included
+   * @param {string} studentId - Student user ID
+   * @param {string} counselorId - Requesting counselor ID
+   * @param {string} counselorRole - Requesting user role
+   * @param {Object} options - { weeks } as for weekly summaries
+   * @returns {Promise<Object>} { sharedTrends, weeks, streaks }
+   */
+  async getSharedTrends(studentId, counselorId, counselorRole, options) {
+    try {
+      if (
+        counselorRole !== UserRole.COUNSELOR ||
+        !(await this.counselorService.isAssignedCounselor(
+          counselorId,
+          studentId
+        ))
+      ) {
+        throw new AppError(
+          403,
+          "Only the student's assigned counselor can view shared trends",
+          "wellbeing_access_denied"
+        );
+      }
+
+      const { sharedTrends } = await this.getSharing(studentId);
+      if (sharedTrends.length === 0) {
+        throw new AppError(
+          403,
+          "This student is not sharing wellbeing trends",
+          "wellbeing_not_shared"
+        );
+      }
+
+      const shares = (trend) => sharedTrends.includes(trend);
+      const summaries =
+        shares(ShareableTrend.MOOD) || shares(ShareableTrend.TAGS)
+          ? await this.getWeeklySummaries(studentId, options)
+          : [];
+
+      return {
+        sharedTrends,
+        weeks: summaries.map((summary) => ({
+          weekStart: summary.weekStart,
+          weekEnd: summary.weekEnd,
+          ...(shares(ShareableTrend.MOOD) && {
+            checkIns: summary.checkIns,
+            averageMood: summary.averageMood,
+            lowestMood: summary.lowestMood,
+            highestMood: summary.highestMood,
+            moodChange: summary.moodChange,
+          }),
+          ...(shares(ShareableTrend.TAGS) && { topTags: summary.topTags }),
+        })),
+        streaks: shares(ShareableTrend.STREAKS)
+          ? await this.getStreaks(studentId)
+          : null,
+      };
+    } catch (error) {
+      logger.error("Failed to get shared wellbeing trends", {
+        error: error.message,
+        studentId,
+      });
+      if (error instanceof AppError) throw error;
+      throw handleFirebaseError(error);
+    }
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Appointment Reminders
+ *
+ * Notifies students and counselors ahead of confirmed counseling sessions.
+ * Each lead time in config.counseling.reminderLeadMinutes (e.g. 24h and 1h)
+ * is sent at most once per appointment; the appointment's `remindersSent`
+ * list is claimed in a transaction so overlapping runs cannot send twice.
+ */
+
+import { db } from "../config/firebase.config.js";
+import config from "../config/config.js";
+import { AppointmentStatus } from "../services/appointment.service.js";
+import {
+  NotificationService,
+  NotificationType,
+} from "../services/notification.service.js";
+import { toLocalDateString, toLocalTimeString } from "./availability.js";
+import { runTransaction } from "./firebase-utils.js";
+import logger from "./logger.js";
+
+const MS_PER_MINUTE = 60 * 1000;
+
+const notificationService = new NotificationService();
+
+/**
+ * Describe a lead time for reminder text
+ * @param {number} minutes - Lead time in minutes
+ * @returns {string} e.g. "24 hours" or "30 minutes"
+ */
+const describeLeadTime = (minutes) => {
+  if (minutes % 60 !== 0) {
+    return `${minutes} minutes`;
+  }
+  const hours = minutes / 60;
+  return hours === 1 ? "1 hour" : `${hours} hours`;
+};
+
+/**
+ * Record that a reminder was sent, unless another run already did
+ * @param {Object} appointmentRef - Appointment document reference
+ * @param {string} key - Reminder key (e.g. "60m")
+ * @returns {Promise<Object|null>} Appointment if claimed, otherwise null
+ */
+async function claimReminder(appointmentRef, key) {
+  let claimed = null;
+
+  await runTransaction(db, async (transaction) => {
+    const doc = await transaction.get(appointmentRef);
+    const appointment = doc.data();
+    if (
+      !doc.exists ||
+      appointment.status !== AppointmentStatus.CONFIRMED ||
+      (appointment.remindersSent || []).includes(key)
+    ) {
+      return;
+    }
+
+    transaction.update(appointmentRef, {
+      remindersSent: [...(appointment.remindersSent || []), key],
+    });
+    claimed = { id: doc.id, ...appointment };
+  });
+
+  return claimed;
+}
+
+/**
+ * Send due reminders for confirmed appointments
+ * A session falls into the window of the shortest lead time it has not
+ * passed yet, so sessions booked at short notice only get the later
+ * reminders
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {Promise<number>} Number of reminders sent
+ */
+export async function runAppointmentReminders(now = Date.now()) {
+  const leadTimes = config.counseling.reminderLeadMinutes;
+  let sent = 0;
+
+  for (const [index, leadMinutes] of leadTimes.entries()) {
+    const nextLeadMinutes = leadTimes[index + 1] || 0;
+    const windowStart = new Date(now + nextLeadMinutes * MS_PER_MINUTE);
+    const windowEnd = new Date(now + leadMinutes * MS_PER_MINUTE);
+    const key = `${leadMinutes}m`;
+
+    const snapshot = await db
+      .collection("appointments")
+      .where("status", "==", AppointmentStatus.CONFIRMED)
+      .where("startTime", ">", windowStart.toISOString())
+      .where("startTime", "<=", windowEnd.toISOString())
+      .get();
+
+    for (const doc of snapshot.docs) {
+      if ((doc.data().remindersSent || []).includes(key)) {
+        continue;
+      }
+
+      try {
+        const appointment = await claimReminder(doc.ref, key);
+        if (!appointment) {
+          continue;
+        }
+
+        await notificationService.notify(
+          [appointment.studentId, appointment.counselorId],
+          {
+            type: NotificationType.APPOINTMENT_REMINDER,
+            title: "Upcoming counseling session",
+            body: `Your session starts in ${describeLeadTime(
+              leadMinutes
+            )}, on ${toLocalDateString(
+              appointment.startTime
+            )} at ${toLocalTimeString(appointment.startTime)}.`,
+            data: {
+              appointmentId: appointment.id,
+              startTime: appointment.startTime,
+              endTime: appointment.endTime,
+            },
+          }
+        );
+        sent++;
+      } catch (error) {
+        logger.error("Failed to send appointment reminder", {
+          error: error.message,
+          appointmentId: doc.id,
+          key,
+        });
+      }
+    }
+  }
+
+  if (sent > 0) {
+    logger.info(`Sent ${sent} appointment reminders`);
+  }
+  return sent;
+}
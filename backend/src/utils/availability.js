@@ -0,0 +1,252 @@
+/**
+ * Availability Utilities
+ *
+ * Pure helpers for turning a counselor's weekly `availability` map
+ * (e.g. `{ monday: { start: "09:00", end: "17:00" } }`) into concrete,
+ * bookable time slots. Times in the availability map are campus local
+ * time; slots are returned as UTC ISO strings.
+ */
+
+import config from "../config/config.js";
+
+export const DAYS_OF_WEEK = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// Date-specific overrides of the weekly template
+export const AvailabilityExceptionType = {
+  UNAVAILABLE: "unavailable", // Leave or blocked days
+  CUSTOM_HOURS: "custom_hours", // Replace the weekly hours (e.g. exam week)
+  EXTRA_HOURS: "extra_hours", // Additional sessions on top of other hours
+};
+
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+/**
+ * Parse a UTC offset such as "+05:30" into minutes
+ * @param {string} offset - UTC offset string
+ * @returns {number} Offset in minutes
+ */
+export const parseUtcOffset = (offset = config.counseling.utcOffset) => {
+  const match = /^([+-])(\d{2}):(\d{2})$/.exec(offset);
+  if (!match) {
+    return 0;
+  }
+  const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3], 10);
+  return match[1] === "-" ? -minutes : minutes;
+};
+
+/**
+ * Convert an "HH:mm" string into minutes since midnight
+ * @param {string} time - Time string
+ * @returns {number|null} Minutes since midnight or null if invalid
+ */
+export const parseTime = (time) => {
+  const match = TIME_REGEX.exec(time || "");
+  if (!match) {
+    return null;
+  }
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+/**
+ * Check whether a string is a valid YYYY-MM-DD date
+ * @param {string} date - Date string
+ * @returns {boolean} Whether the date is valid
+ */
+export const isValidDateString = (date) => {
+  if (!DATE_REGEX.test(date || "")) {
+    return false;
+  }
+  return !isNaN(Date.parse(`${date}T00:00:00Z`));
+};
+
+/**
+ * Get the campus-local calendar date (YYYY-MM-DD) of an instant
+ * @param {Date|string|number} instant - Point in time
+ * @returns {string} Local date string
+ */
+export const toLocalDateString = (instant) => {
+  const time = new Date(instant).getTime();
+  return new Date(time + parseUtcOffset() * MS_PER_MINUTE)
+    .toISOString()
+    .slice(0, 10);
+};
+
+/**
+ * Get the campus local HH:MM time of an instant
+ * @param {Date|string|number} instant - Point in time
+ * @returns {string} Time string
+ */
+export const toLocalTimeString = (instant) => {
+  const time = new Date(instant).getTime();
+  return new Date(time + parseUtcOffset() * MS_PER_MINUTE)
+    .toISOString()
+    .slice(11, 16);
+};
+
+/**
+ * Add a number of days to a YYYY-MM-DD date string
+ * @param {string} date - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting date string
+ */
+export const addDays = (date, days) => {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * MS_PER_DAY)
+    .toISOString()
+    .slice(0, 10);
+};
+
+/**
+ * Get the lowercase weekday name of a YYYY-MM-DD date string
+ * @param {string} date - Date string
+ * @returns {string} Weekday name (e.g. "monday")
+ */
+export const getDayName = (date) => {
+  return DAYS_OF_WEEK[new Date(`${date}T00:00:00Z`).getUTCDay()];
+};
+
+/**
+ * Convert a local date and minutes since midnight into a UTC Date
+ * @param {string} date - Local date string
+ * @param {number} minutes - Minutes since local midnight
+ * @returns {Date} UTC date
+ */
+export const localToUtc = (date, minutes) => {
+  const midnightUtc = Date.parse(`${date}T00:00:00Z`);
+  return new Date(midnightUtc + (minutes - parseUtcOffset()) * MS_PER_MINUTE);
+};
+
+/**
+ * Normalize an availability entry into an array of windows
+ * Accepts a single `{ start, end }` object or an array of them
+ * @param {Object|Array} entry - Availability entry for a day
+ * @returns {Array<{start: string, end: string}>} Valid windows
+ */
+export const normalizeWindows = (entry) => {
+  if (!entry) {
+    return [];
+  }
+
+  const windows = Array.isArray(entry) ? entry : [entry];
+  return windows.filter((window) => {
+    const start = parseTime(window?.start);
+    const end = parseTime(window?.end);
+    return start !== null && end !== null && end > start;
+  });
+};
+
+/**
+ * Get the availability windows for a specific local date
+ * @param {Object} availability - Weekly availability map
+ * @param {string} date - Local date string
+ * @returns {Array<{start: string, end: string}>} Windows for the date
+ */
+export const getWeeklyWindows = (availability, date) => {
+  return normalizeWindows(availability?.[getDayName(date)]);
+};
+
+/**
+ * Resolve the windows a counselor is actually available on a local date
+ *
+ * Precedence: custom hours replace the weekly template, holidays and
+ * unavailable exceptions clear the day, and extra hours are always added
+ * last because they are an explicit opt-in by the counselor.
+ *
+ * @param {Object} availability - Weekly availability map
+ * @param {string} date - Local date string
+ * @param {Object} context - Overrides covering the date
+ * @param {Array} [context.exceptions] - Counselor availability exceptions
+ * @param {Array} [context.holidays] - Institute holidays
+ * @returns {Array<{start: string, end: string}>} Effective windows
+ */
+export const getEffectiveWindows = (
+  availability,
+  date,
+  { exceptions = [], holidays = [] } = {}
+) => {
+  const applicable = exceptions.filter(
+    (exception) => exception.startDate <= date && exception.endDate >= date
+  );
+  const ofType = (type) =>
+    applicable.filter((exception) => exception.type === type);
+
+  const customHours = ofType(AvailabilityExceptionType.CUSTOM_HOURS);
+  let windows =
+    customHours.length > 0
+      ? customHours.flatMap((exception) => normalizeWindows(exception.windows))
+      : getWeeklyWindows(availability, date);
+
+  const isHoliday = holidays.some((holiday) => holiday.date === date);
+  if (isHoliday || ofType(AvailabilityExceptionType.UNAVAILABLE).length > 0) {
+    windows = [];
+  }
+
+  return [
+    ...windows,
+    ...ofType(AvailabilityExceptionType.EXTRA_HOURS).flatMap((exception) =>
+      normalizeWindows(exception.windows)
+    ),
+  ];
+};
+
+/**
+ * Split availability windows for a date into fixed-length slots
+ * @param {string} date - Local date string
+ * @param {Array<{start: string, end: string}>} windows - Availability windows
+ * @param {number} durationMinutes - Slot length in minutes
+ * @returns {Array<{startTime: string, endTime: string, date: string}>} Slots
+ */
+export const buildSlotsForDate = (
+  date,
+  windows,
+  durationMinutes = config.counseling.slotDurationMinutes
+) => {
+  const slots = [];
+
+  for (const window of normalizeWindows(windows)) {
+    const windowEnd = parseTime(window.end);
+    for (
+      let minutes = parseTime(window.start);
+      minutes + durationMinutes <= windowEnd;
+      minutes += durationMinutes
+    ) {
+      slots.push({
+        date,
+        startTime: localToUtc(date, minutes).toISOString(),
+        endTime: localToUtc(date, minutes + durationMinutes).toISOString(),
+      });
+    }
+  }
+
+  // Windows may overlap (e.g. extra hours on top of the weekly template),
+  // so keep the earliest slot and drop any slot that overlaps it
+  return slots
+    .sort((a, b) => a.startTime.localeCompare(b.startTime))
+    .reduce((kept, slot) => {
+      const previous = kept[kept.length - 1];
+      if (!previous || slot.startTime >= previous.endTime) {
+        kept.push(slot);
+      }
+      return kept;
+    }, []);
+};
+
+/**
+ * Build a deterministic slot identifier used to lock a slot
+ * @param {string} counselorId - Counselor ID
+ * @param {string} startTime - Slot start ISO string
+ * @returns {string} Slot ID
+ */
+export const getSlotId = (counselorId, startTime) => {
+  return `${counselorId}_${Date.parse(startTime)}`;
+};
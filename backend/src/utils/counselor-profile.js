@@ -0,0 +1,103 @@
+/**
+ * Counselor Profile Utilities
+ *
+ * Counselor specialties and languages are stored as `specialties` and
+ * `languages` arrays of lowercase tags, so "Anxiety ", "anxiety" and the
+ * legacy single `specialization` string all compare equal. Student concerns
+ * are normalized the same way before matching.
+ */
+
+/**
+ * Normalize a single tag
+ * @param {string} value - Raw tag, e.g. "Exam_Stress"
+ * @returns {string} Normalized tag, e.g. "exam stress"
+ */
+export const normalizeTag = (value) =>
+  String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_-]+/g, " ");
+
+/**
+ * Normalize a list of tags
+ * @param {Array<string>|string} value - Tags, or a comma-separated string
+ * @returns {Array<string>} Unique, non-empty normalized tags
+ */
+export const normalizeTags = (value) => {
+  const list = typeof value === "string" ? value.split(",") : value;
+  if (!Array.isArray(list)) {
+    return [];
+  }
+
+  return [
+    ...new Set(
+      list
+        .filter((tag) => typeof tag === "string")
+        .map(normalizeTag)
+        .filter(Boolean)
+    ),
+  ];
+};
+
+/**
+ * Get a counselor's specialties, including an unmigrated `specialization`
+ * @param {Object} counselor - Counselor document
+ * @returns {Array<string>} Normalized specialties
+ */
+export const getSpecialties = (counselor) =>
+  normalizeTags([
+    ...normalizeTags(counselor.specialties),
+    ...normalizeTags(counselor.specialization),
+  ]);
+
+/**
+ * Normalize the specialty and language fields of counselor profile data
+ * Fields that are not present are left out so partial updates keep them
+ * @param {Object} data - Profile data
+ * @returns {Object} Profile data with `specialties` replacing `specialization`
+ */
+export const normalizeCounselorProfile = (data) => {
+  const { specialization, ...profile } = data;
+
+  if (profile.specialties !== undefined || specialization !== undefined) {
+    profile.specialties = getSpecialties({
+      specialties: profile.specialties,
+      specialization,
+    });
+  }
+  if (profile.languages !== undefined) {
+    profile.languages = normalizeTags(profile.languages);
+  }
+  if (typeof profile.gender === "string") {
+    profile.gender = normalizeTag(profile.gender);
+  }
+
+  return profile;
+};
+
+// Profile fields students may see; caseload, contact details and admin
+// fields stay on the server
+const PUBLIC_PROFILE_FIELDS = [
+  "name",
+  "avatarId",
+  "bio",
+  "languages",
+  "gender",
+  "rating",
+  "totalRatings",
+];
+
+/**
+ * Reduce a counselor document to the fields shown to students
+ * @param {Object} counselor - Counselor document with `id`
+ * @returns {Object} Public profile
+ */
+export const toPublicCounselorProfile = (counselor) => ({
+  id: counselor.id,
+  ...Object.fromEntries(
+    PUBLIC_PROFILE_FIELDS.filter((field) => counselor[field] !== undefined).map(
+      (field) => [field, counselor[field]]
+    )
+  ),
+  specialties: getSpecialties(counselor),
+});
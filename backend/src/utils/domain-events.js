@@ -0,0 +1,62 @@
+/**
+ * Domain Events
+ *
+ * In-process publish/subscribe for changes in one service that another
+ * service reacts to, without the publisher importing the subscriber (the
+ * waitlist depends on appointments, so appointments cannot call it
+ * directly). Events are published after the change is committed; handlers
+ * run asynchronously and their failures are logged, never propagated to
+ * the publisher.
+ */
+
+import { EventEmitter } from "events";
+import logger from "./logger.js";
+
+export const DomainEvent = {
+  // A booked slot became free again. Payload: { counselorId, startTime, endTime }
+  SLOT_RELEASED: "slot_released",
+  // A counselor's offered hours changed. Payload: { counselorId }
+  AVAILABILITY_CHANGED: "availability_changed",
+
+  // Student activity, counted towards quests. Payload: { userId, key, ... }
+  // where `key` identifies the occurrence, so repeats are counted once
+  // Key: local date of the check-in
+  MOOD_LOGGED: "mood_logged",
+  // Key: journal entry ID
+  JOURNAL_WRITTEN: "journal_written",
+  // Key: appointment ID
+  SESSION_ATTENDED: "session_attended",
+  // Key: event ID. Also carries the event `category`
+  EVENT_CHECKED_IN: "event_checked_in",
+  // Key: resource ID
+  RESOURCE_VIEWED: "resource_viewed",
+};
+
+const emitter = new EventEmitter();
+
+/**
+ * Publish a domain event
+ * @param {string} event - Event from DomainEvent
+ * @param {Object} payload - Event payload
+ */
+export const publish = (event, payload) => {
+  emitter.emit(event, payload);
+};
+
+/**
+ * Handle a domain event
+ * @param {string} event - Event from DomainEvent
+ * @param {Function} handler - Receives the payload; may be async
+ */
+export const subscribe = (event, handler) => {
+  emitter.on(event, (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch((error) => {
+        logger.error("Domain event handler failed", {
+          event,
+          error: error.message,
+        });
+      });
+  });
+};
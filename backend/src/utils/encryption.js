@@ -0,0 +1,72 @@
+/**
+ * Application-layer encryption helpers
+ * AES-256-GCM with a random IV per value. Callers pass associated data that
+ * identifies the record so a ciphertext cannot be moved to another document.
+ */
+import crypto from "crypto";
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+/**
+ * Decode a base64 encryption key
+ * @param {string} encodedKey - Base64 encoded key
+ * @returns {Buffer|null} 32-byte key, or null if missing or the wrong size
+ */
+export const parseEncryptionKey = (encodedKey) => {
+  if (!encodedKey) {
+    return null;
+  }
+
+  const key = Buffer.from(encodedKey, "base64");
+  return key.length === KEY_LENGTH ? key : null;
+};
+
+/**
+ * Encrypt a string
+ * @param {string} plaintext - Value to encrypt
+ * @param {Buffer} key - 32-byte key
+ * @param {string} associatedData - Authenticated, unencrypted context
+ * @returns {{algorithm: string, iv: string, authTag: string, ciphertext: string}} Encrypted payload (base64 fields)
+ */
+export const encryptText = (plaintext, key, associatedData) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(associatedData, "utf8"));
+
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+
+  return {
+    algorithm: ALGORITHM,
+    iv: iv.toString("base64"),
+    authTag: cipher.getAuthTag().toString("base64"),
+    ciphertext: ciphertext.toString("base64"),
+  };
+};
+
+/**
+ * Decrypt a payload produced by encryptText
+ * Throws if the key, associated data or payload do not match
+ * @param {Object} payload - Encrypted payload
+ * @param {Buffer} key - 32-byte key
+ * @param {string} associatedData - Context used at encryption time
+ * @returns {string} Plaintext
+ */
+export const decryptText = (payload, key, associatedData) => {
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    Buffer.from(payload.iv, "base64")
+  );
+  decipher.setAAD(Buffer.from(associatedData, "utf8"));
+  decipher.setAuthTag(Buffer.from(payload.authTag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(payload.ciphertext, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+};
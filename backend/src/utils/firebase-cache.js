@@ -16,6 +16,7 @@ const CACHE_CONFIG = {
   CLEANUP_INTERVAL: config.cache?.cleanupInterval || 60 * 1000, // 1 minute
   CACHEABLE_COLLECTIONS: [
     "products",
+    "resources",
     "events", 
     "teams",
     "sales",
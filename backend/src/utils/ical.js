@@ -0,0 +1,111 @@
+/**
+ * iCalendar (RFC 5545) helpers
+ * Builds VCALENDAR documents for calendar feed subscriptions. All times are
+ * written in UTC so no VTIMEZONE definitions are needed.
+ */
+
+const PRODUCT_ID = "-//MindQuest//Counseling//EN";
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Format an instant as a UTC DATE-TIME (e.g. 20250120T033000Z)
+ * @param {Date|string|number} instant - Point in time
+ * @returns {string} Formatted value
+ */
+export const formatDateTime = (instant) =>
+  new Date(instant)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+/**
+ * Fold a content line to 75 octets as required by RFC 5545
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char, "utf8");
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+
+  return chunks.join("\r\n ");
+};
+
+/**
+ * Build a VEVENT block
+ * @param {Object} event - Event
+ * @param {string} event.uid - Globally unique, stable ID
+ * @param {string} event.start - Start instant
+ * @param {string} event.end - End instant
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Details
+ * @param {string} [event.status] - TENTATIVE, CONFIRMED or CANCELLED
+ * @param {string} [event.updatedAt] - Last modification instant
+ * @returns {Array<string>} Content lines
+ */
+const buildEvent = ({
+  uid,
+  start,
+  end,
+  summary,
+  description,
+  status,
+  updatedAt,
+}) => [
+  "BEGIN:VEVENT",
+  `UID:${escapeText(uid)}`,
+  `DTSTAMP:${formatDateTime(updatedAt || Date.now())}`,
+  `DTSTART:${formatDateTime(start)}`,
+  `DTEND:${formatDateTime(end)}`,
+  `SUMMARY:${escapeText(summary)}`,
+  ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+  ...(status ? [`STATUS:${status}`] : []),
+  "END:VEVENT",
+];
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object} calendar - Calendar
+ * @param {string} calendar.name - Display name for calendar apps
+ * @param {Array<Object>} calendar.events - Events (see buildEvent)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const buildCalendar = ({ name, events }) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(buildEvent),
+    "END:VCALENDAR",
+  ]
+    .map(foldLine)
+    .join("\r\n") + "\r\n";
@@ -0,0 +1,59 @@
+/**
+ * Presence Registry
+ *
+ * Tracks which users currently have at least one connected socket. A user
+ * may be connected from several tabs or devices, so sockets are counted per
+ * user and the user only goes offline when the last one disconnects.
+ *
+ * Note: the registry lives in process memory. When running several backend
+ * instances behind a load balancer, use a shared store (e.g. the Socket.IO
+ * Redis adapter) instead.
+ */
+
+const connections = new Map();
+
+/**
+ * Register a connected socket
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID
+ * @returns {boolean} True if this is the user's first connection
+ */
+export const addConnection = (userId, socketId) => {
+  const sockets = connections.get(userId) || new Set();
+  sockets.add(socketId);
+  connections.set(userId, sockets);
+  return sockets.size === 1;
+};
+
+/**
+ * Unregister a disconnected socket
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID
+ * @returns {boolean} True if the user has no connections left
+ */
+export const removeConnection = (userId, socketId) => {
+  const sockets = connections.get(userId);
+  if (!sockets) {
+    return false;
+  }
+
+  sockets.delete(socketId);
+  if (sockets.size === 0) {
+    connections.delete(userId);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Check whether a user has any connected socket
+ * @param {string} userId - User ID
+ * @returns {boolean} Whether the user is online
+ */
+export const isOnline = (userId) => connections.has(userId);
+
+/**
+ * List the IDs of every online user
+ * @returns {Array<string>} Online user IDs
+ */
+export const getOnlineUserIds = () => Array.from(connections.keys());
@@ -0,0 +1,22 @@
+/**
+ * Quest Progress
+ *
+ * Feeds student activity into the quest engine. Each activity event is
+ * counted towards the running quests with a matching trigger.
+ */
+
+import { QUEST_TRIGGERS, QuestService } from "../services/quest.service.js";
+import { subscribe } from "./domain-events.js";
+
+const questService = new QuestService();
+
+/**
+ * Subscribe the quest engine to activity events
+ */
+export function registerQuestHandlers() {
+  QUEST_TRIGGERS.forEach((trigger) => {
+    subscribe(trigger, (activity) =>
+      questService.recordActivity(trigger, activity)
+    );
+  });
+}
@@ -0,0 +1,135 @@
+/**
+ * Screening Questionnaires
+ *
+ * Definitions of standardized screening instruments and pure scoring
+ * helpers. Scores are always computed on the server from the raw answers;
+ * clients never submit totals or severities.
+ *
+ * PHQ-9 and GAD-7 were developed by Drs. Robert L. Spitzer, Janet B.W.
+ * Williams, Kurt Kroenke and colleagues, with an educational grant from
+ * Pfizer Inc. No permission is required to reproduce or distribute them.
+ */
+
+// Shared answer scale for PHQ-9 and GAD-7
+const FREQUENCY_OPTIONS = [
+  { value: 0, label: "Not at all" },
+  { value: 1, label: "Several days" },
+  { value: 2, label: "More than half the days" },
+  { value: 3, label: "Nearly every day" },
+];
+
+const PHQ9 = {
+  id: "phq9",
+  version: 1,
+  title: "Patient Health Questionnaire (PHQ-9)",
+  description: "Depression screening",
+  prompt:
+    "Over the last 2 weeks, how often have you been bothered by any of the following problems?",
+  options: FREQUENCY_OPTIONS,
+  items: [
+    "Little interest or pleasure in doing things",
+    "Feeling down, depressed, or hopeless",
+    "Trouble falling or staying asleep, or sleeping too much",
+    "Feeling tired or having little energy",
+    "Poor appetite or overeating",
+    "Feeling bad about yourself - or that you are a failure or have let yourself or your family down",
+    "Trouble concentrating on things, such as reading the newspaper or watching television",
+    "Moving or speaking so slowly that other people could have noticed? Or the opposite - being so fidgety or restless that you have been moving around a lot more than usual",
+    "Thoughts that you would be better off dead or of hurting yourself in some way",
+  ],
+  bands: [
+    { min: 0, max: 4, severity: "minimal" },
+    { min: 5, max: 9, severity: "mild" },
+    { min: 10, max: 14, severity: "moderate" },
+    { min: 15, max: 19, severity: "moderately_severe" },
+    { min: 20, max: 27, severity: "severe" },
+  ],
+  // Item 9 asks about thoughts of self-harm; any non-zero answer needs
+  // follow-up regardless of the total score
+  riskItems: [8],
+};
+
+const GAD7 = {
+  id: "gad7",
+  version: 1,
+  title: "Generalized Anxiety Disorder Scale (GAD-7)",
+  description: "Anxiety screening",
+  prompt:
+    "Over the last 2 weeks, how often have you been bothered by the following problems?",
+  options: FREQUENCY_OPTIONS,
+  items: [
+    "Feeling nervous, anxious, or on edge",
+    "Not being able to stop or control worrying",
+    "Worrying too much about different things",
+    "Trouble relaxing",
+    "Being so restless that it is hard to sit still",
+    "Becoming easily annoyed or irritable",
+    "Feeling afraid, as if something awful might happen",
+  ],
+  bands: [
+    { min: 0, max: 4, severity: "minimal" },
+    { min: 5, max: 9, severity: "mild" },
+    { min: 10, max: 14, severity: "moderate" },
+    { min: 15, max: 21, severity: "severe" },
+  ],
+  riskItems: [],
+};
+
+export const QUESTIONNAIRES = {
+  [PHQ9.id]: PHQ9,
+  [GAD7.id]: GAD7,
+};
+
+/**
+ * Get a questionnaire definition
+ * @param {string} questionnaireId - Questionnaire ID (e.g. "phq9")
+ * @returns {Object|null} Definition or null if unknown
+ */
+export const getQuestionnaire = (questionnaireId) =>
+  Object.prototype.hasOwnProperty.call(QUESTIONNAIRES, questionnaireId)
+    ? QUESTIONNAIRES[questionnaireId]
+    : null;
+
+/**
+ * Check that answers are one valid option per item
+ * @param {Object} questionnaire - Questionnaire definition
+ * @param {Array<number>} answers - Submitted answers
+ * @returns {boolean} Whether the answers are complete and valid
+ */
+export const isValidAnswerSet = (questionnaire, answers) => {
+  const values = questionnaire.options.map((option) => option.value);
+  return (
+    Array.isArray(answers) &&
+    answers.length === questionnaire.items.length &&
+    answers.every((answer) => values.includes(answer))
+  );
+};
+
+/**
+ * Get the highest possible total score of a questionnaire
+ * @param {Object} questionnaire - Questionnaire definition
+ * @returns {number} Maximum score
+ */
+export const getMaxScore = (questionnaire) =>
+  Math.max(...questionnaire.options.map((option) => option.value)) *
+  questionnaire.items.length;
+
+/**
+ * Score a complete answer set
+ * @param {Object} questionnaire - Questionnaire definition
+ * @param {Array<number>} answers - Valid answers, one per item
+ * @returns {{totalScore: number, maxScore: number, severity: string, riskFlagged: boolean}} Score
+ */
+export const scoreAnswers = (questionnaire, answers) => {
+  const totalScore = answers.reduce((sum, answer) => sum + answer, 0);
+  const band = questionnaire.bands.find(
+    ({ min, max }) => totalScore >= min && totalScore <= max
+  );
+
+  return {
+    totalScore,
+    maxScore: getMaxScore(questionnaire),
+    severity: band.severity,
+    riskFlagged: questionnaire.riskItems.some((index) => answers[index] > 0),
+  };
+};
@@ -12,8 +12,11 @@
  * });
  */
 
+import config from "../config/config.js";
 import logger from "./logger.js";
 import { runTokenCleanup } from "./session-cleanup.js";
+import { runAppointmentReminders } from "./appointment-reminders.js";
+import { runWaitlistExpiry } from "./waitlist-offers.js";
 
 // Store scheduled tasks
 const scheduledTasks = new Map();
@@ -61,7 +64,9 @@ export function scheduleTask(taskName, taskFn, intervalMs) {
 
 /**
  * Initialize minimal scheduled tasks
- * Only run token cleanup once a day to avoid excessive Firestore operations
+ * Only run token cleanup once a day to avoid excessive Firestore operations;
+ * appointment reminders and waitlist offer expiry run every few minutes so
+ * they happen on time
  */
 export function initializeScheduler() {
   logger.info("Initializing minimal task scheduler");
@@ -70,6 +75,18 @@ export function initializeScheduler() {
   const tokenCleanupInterval = 24 * 60 * 60 * 1000; // 24 hours
   scheduleTask("tokenCleanup", runTokenCleanup, tokenCleanupInterval);
 
+  // Check for upcoming counseling sessions that need reminders
+  const reminderInterval =
+    config.counseling.reminderCheckIntervalMinutes * 60 * 1000;
+  scheduleTask(
+    "appointmentReminders",
+    () => runAppointmentReminders(),
+    reminderInterval
+  );
+
+  // Pass lapsed waitlist offers on to the next student in line
+  scheduleTask("waitlistOffers", () => runWaitlistExpiry(), reminderInterval);
+
   logger.info("Minimal task scheduler initialized");
 }
 
@@ -0,0 +1,25 @@
+/**
+ * Search Token Utilities
+ *
+ * Firestore cannot match substrings, so searchable documents store the
+ * lowercase words of their text in a `searchTokens` array and are found
+ * with `array-contains` queries or matched in memory.
+ */
+
+export const MIN_TOKEN_LENGTH = 2;
+
+/**
+ * Split text into lowercase search tokens
+ * @param {...string} parts - Text to tokenize
+ * @returns {Array<string>} Unique tokens
+ */
+export const tokenize = (...parts) => [
+  ...new Set(
+    parts
+      .filter((part) => typeof part === "string")
+      .join(" ")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((token) => token.length >= MIN_TOKEN_LENGTH)
+  ),
+];
@@ -28,6 +28,11 @@ export const SecurityEventType = {
   ACCOUNT_RECOVERY: "account_recovery",
   TOKEN_VERIFICATION_FAILED: "token_verification_failed",
   COLLECTION_ID_MISMATCH: "collection_id_mismatch", // Added for collection ID-based security
+  CRISIS_RISK_DETECTED: "crisis_risk_detected", // Chat content indicating self-harm risk
+  NOTE_BREAK_GLASS_ACCESS: "note_break_glass_access", // Admin read of a counselor's session note
+  ANONYMOUS_IDENTITY_ESCALATION: "anonymous_identity_escalation", // Emergency reveal of an anonymous student
+  MESSAGE_HISTORY_ACCESS: "message_history_access", // Admin read of edited or deleted chat messages
+  FORUM_AUTHOR_DISCLOSURE: "forum_author_disclosure", // Admin lookup of an anonymous forum post's author
 };
 
 // Security event severity levels
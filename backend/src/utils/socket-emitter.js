@@ -0,0 +1,114 @@
+/**
+ * Socket Emitter
+ *
+ * Lets services and controllers push realtime events without holding a
+ * reference to the Socket.IO server. Every socket joins a personal room and
+ * a room for its role on connection. `initializeSocket` registers the server
+ * once at startup; before that (or in scripts) emits are silently dropped.
+ */
+
+import logger from "./logger.js";
+
+let io = null;
+
+/**
+ * Register the Socket.IO server instance
+ * @param {Object} server - Socket.IO server
+ */
+export const setIO = (server) => {
+  io = server;
+};
+
+/**
+ * Get the name of a user's personal room
+ * Every authenticated socket joins its user's room on connection
+ * @param {string} userId - User ID
+ * @returns {string} Room name
+ */
+export const getUserRoom = (userId) => `user:${userId}`;
+
+/**
+ * Get the name of the room shared by every socket of a role
+ * @param {string} role - User role
+ * @returns {string} Room name
+ */
+export const getRoleRoom = (role) => `role:${role}`;
+
+/**
+ * Emit an event to every socket in one or more rooms
+ * @param {string|Array<string>} rooms - Room name(s)
+ * @param {string} event - Event name
+ * @param {*} payload - Event payload
+ * @param {Object} [options] - Delivery options
+ * @param {string|Array<string>} [options.except] - Room(s) whose sockets are
+ *   skipped even if they are in one of the target rooms
+ */
+export const emitToRoom = (rooms, event, payload, { except } = {}) => {
+  if (!io) {
+    logger.debug("Socket server not initialized, dropping event", { event });
+    return;
+  }
+  const target = io.to(rooms);
+  (except?.length ? target.except(except) : target).emit(event, payload);
+};
+
+/**
+ * Emit an event to every connected socket of one or more users
+ * @param {string|Array<string>} userIds - User ID(s)
+ * @param {string} event - Event name
+ * @param {*} payload - Event payload
+ */
+export const emitToUser = (userIds, event, payload) => {
+  const ids = Array.isArray(userIds) ? userIds : [userIds];
+  emitToRoom(ids.map(getUserRoom), event, payload);
+};
+
+/**
+ * Emit an event to every connected user with one of the given roles
+ * @param {string|Array<string>} roles - Role(s)
+ * @param {string} event - Event name
+ * @param {*} payload - Event payload
+ */
+export const emitToRole = (roles, event, payload) => {
+  const names = Array.isArray(roles) ? roles : [roles];
+  emitToRoom(names.map(getRoleRoom), event, payload);
+};
+
+/**
+ * Add every socket in some rooms to other rooms, e.g. to subscribe a
+ * user's connected devices to a room created after they connected
+ * @param {string|Array<string>} fromRooms - Room(s) whose sockets join
+ * @param {string|Array<string>} rooms - Room(s) to join
+ */
+export const joinRooms = (fromRooms, rooms) => {
+  if (!io) {
+    return;
+  }
+  io.in(fromRooms).socketsJoin(rooms);
+};
+
+/**
+ * Remove every socket in some rooms from other rooms, e.g. to unsubscribe
+ * a user's connected devices from a conversation they were removed from
+ * @param {string|Array<string>} fromRooms - Room(s) whose sockets leave
+ * @param {string|Array<string>} rooms - Room(s) to leave
+ */
+export const leaveRooms = (fromRooms, rooms) => {
+  if (!io) {
+    return;
+  }
+  io.in(fromRooms).socketsLeave(rooms);
+};
+
+/**
+ * Emit an event to every connected socket
+ * @param {string} event - Event name
+ * @param {*} payload - Event payload
+ */
+export const emitToAll = (event, payload) => {
+  if (!io) {
+    logger.debug("Socket server not initialized, dropping event", { event });
+    return;
+  }
+  io.emit(event, payload);
+};
@@ -12,6 +12,10 @@ const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 const NAME_REGEX = /^[a-zA-Z0-9\s\-'_.]{2,50}$/;
 const UID_REGEX = /^[a-zA-Z0-9]{28}$/;
 const TOKEN_REGEX = /^[a-zA-Z0-9_-]{20,}$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATETIME_REGEX =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+const HTTPS_URL_REGEX = /^https:\/\/[^\s<>"']+$/;
 
 // Common validation messages
 const VALIDATION_MESSAGES = {
@@ -22,6 +26,9 @@ const VALIDATION_MESSAGES = {
   name: "Name must be between 2-50 characters and contain only letters, numbers, spaces, hyphens, apostrophes, underscores, and periods",
   uid: "Invalid user ID format",
   token: "Invalid token format",
+  date: "Must be a date in YYYY-MM-DD format",
+  datetime: "Must be an ISO 8601 date-time (e.g. 2025-01-31T10:00:00Z)",
+  url: "Must be an https:// URL",
   min: (field, length) => `${field} must be at least ${length} characters`,
   max: (field, length) => `${field} must be at most ${length} characters`,
 };
@@ -299,6 +306,863 @@ export const schemas = {
         maxLength: 10,
       },
     },
+
+    checkIn: {
+      userId: {
+        type: "string",
+        required: true,
+        maxLength: 128,
+      },
+    },
+  },
+
+  appointments: {
+    book: {
+      counselorId: {
+        type: "string",
+        required: true,
+        maxLength: 128,
+      },
+      startTime: {
+        type: "string",
+        required: true,
+        regex: ISO_DATETIME_REGEX,
+        message: VALIDATION_MESSAGES.datetime,
+      },
+      notes: {
+        type: "string",
+        required: false,
+        maxLength: 1000,
+      },
+    },
+
+    reschedule: {
+      startTime: {
+        type: "string",
+        required: true,
+        regex: ISO_DATETIME_REGEX,
+        message: VALIDATION_MESSAGES.datetime,
+      },
+    },
+
+    statusChange: {
+      reason: {
+        type: "string",
+        required: false,
+        maxLength: 500,
+      },
+    },
+
+    attendance: {
+      attendance: {
+        type: "string",
+        required: true,
+        enum: ["attended", "no_show"],
+      },
+    },
+  },
+
+  waitlist: {
+    join: {
+      counselorId: {
+        type: "string",
+        required: false,
+        maxLength: 128,
+      },
+    },
+  },
+
+  availability: {
+    exception: {
+      startDate: {
+        type: "string",
+        required: true,
+        regex: DATE_REGEX,
+        message: VALIDATION_MESSAGES.date,
+      },
+      endDate: {
+        type: "string",
+        required: true,
+        regex: DATE_REGEX,
+        message: VALIDATION_MESSAGES.date,
+      },
+      type: {
+        type: "string",
+        required: true,
+        enum: ["unavailable", "custom_hours", "extra_hours"],
+      },
+      windows: {
+        type: "array",
+        required: (data) => data.type !== "unavailable",
+        maxLength: 10,
+      },
+      reason: {
+        type: "string",
+        required: false,
+        maxLength: 200,
+      },
+    },
+
+    holiday: {
+      date: {
+        type: "string",
+        required: true,
+        regex: DATE_REGEX,
+        message: VALIDATION_MESSAGES.date,
+      },
+      name: {
+        type: "string",
+        required: true,
+        maxLength: 100,
+      },
+    },
+  },
+
+  riskAlerts: {
+    updateStatus: {
+      status: {
+        type: "string",
+        required: true,
+        enum: ["acknowledged", "resolved"],
+      },
+      note: {
+        type: "string",
+        required: false,
+        maxLength: 1000,
+      },
+    },
+  },
+
+  assignments: {
+    request: {
+      counselorId: {
+        type: "string",
+        required: true,
+        maxLength: 128,
+      },
+      message: {
+        type: "string",
+        required: false,
+        maxLength: 1000,
+      },
+    },
+
+    transfer: {
+      counselorId: {
+        type: "string",
+        required: true,
+        maxLength: 128,
+      },
+      handoffNote: {
+        type: "string",
+        required: true,
+        minLength: 10,
+        maxLength: 2000,
+      },
+    },
+
+    statusChange: {
+      reason: {
+        type: "string",
+        required: false,
+        maxLength: 500,
+      },
+    },
+
+    caseload: {
+      maxCaseload: {
+        type: "number",
+        required: true,
+        min: 1,
+        max: 200,
+      },
+    },
+  },
+
+  ratings: {
+    submit: {
+      appointmentId: {
+        type: "string",
+        required: (data) => !data.assignmentId,
+        maxLength: 128,
+      },
+      assignmentId: {
+        type: "string",
+        required: (data) => !data.appointmentId,
+        maxLength: 128,
+      },
+      rating: {
+        type: "number",
+        required: true,
+        min: 1,
+        max: 5,
+      },
+      feedback: {
+        type: "string",
+        required: false,
+        maxLength: 1000,
+      },
+    },
+
+    moderate: {
+      status: {
+        type: "string",
+        required: true,
+        enum: ["approved", "rejected"],
+      },
+    },
+  },
+
+  sessionNotes: {
+    breakGlass: {
+      reason: {
+        type: "string",
+        required: true,
+        minLength: 10,
+        maxLength: 500,
+      },
+    },
+  },
+
+  anonymousChat: {
+    escalate: {
+      reason: {
+        type: "string",
+        required: true,
+        minLength: 10,
+        maxLength: 500,
+      },
+    },
+  },
+
+  chatMessages: {
+    readHistory: {
+      reason: {
+        type: "string",
+        required: true,
+        minLength: 10,
+        maxLength: 500,
+      },
+    },
+  },
+
+  chatAttachments: {
+    upload: {
+      fileName: {
+        type: "string",
+        required: true,
+        minLength: 1,
+        maxLength: 255,
+      },
+      contentType: {
+        type: "string",
+        required: true,
+        maxLength: 100,
+      },
+      size: {
+        type: "number",
+        required: true,
+        min: 1,
+      },
+    },
+  },
+
+  chatModeration: {
+    block: {
+      userId: {
+        type: "string",
+        required: true,
+      },
+    },
+    report: {
+      reason: {
+        type: "string",
+        required: true,
+        enum: ["harassment", "spam", "self_harm", "inappropriate", "other"],
+      },
+      details: {
+        type: "string",
+        required: false,
+        maxLength: 500,
+      },
+    },
+    resolveReport: {
+      action: {
+        type: "string",
+        required: true,
+        enum: ["dismiss", "warn", "mute", "ban"],
+      },
+      note: {
+        type: "string",
+        required: false,
+        maxLength: 500,
+      },
+      days: {
+        type: "number",
+        required: false,
+        min: 1,
+        max: 365,
+      },
+    },
+  },
+
+  chatGroups: {
+    create: {
+      name: {
+        type: "string",
+        required: true,
+        minLength: 2,
+        maxLength: 80,
+      },
+      description: {
+        type: "string",
+        required: false,
+        maxLength: 500,
+      },
+      kind: {
+        type: "string",
+        required: true,
+        enum: ["support_circle", "event_team"],
+      },
+      eventId: {
+        type: "string",
+        required: false,
+      },
+      memberIds: {
+        type: "array",
+        required: false,
+        maxLength: 49,
+      },
+    },
+    update: {
+      name: {
+        type: "string",
+        required: false,
+        minLength: 2,
+        maxLength: 80,
+      },
+      description: {
+        type: "string",
+        required: false,
+        maxLength: 500,
+      },
+    },
+    addMembers: {
+      userIds: {
+        type: "array",
+        required: true,
+        maxLength: 49,
+      },
+    },
+    setRole: {
+      role: {
+        type: "string",
+        required: true,
+        enum: ["owner", "moderator", "member"],
+      },
+    },
+  },
+
+  questionnaires: {
+    submit: {
+      answers: {
+        type: "array",
+        required: true,
+        maxLength: 50,
+      },
+    },
+  },
+
+  wellbeing: {
+    checkIn: {
+      mood: {
+        type: "number",
+        required: true,
+        min: 1,
+        max: 5,
+      },
+      tags: {
+        type: "array",
+        required: false,
+        maxLength: 10,
+      },
+      note: {
+        type: "string",
+        required: false,
+        maxLength: 1000,
+      },
+    },
+
+    createJournalEntry: {
+      title: {
+        type: "string",
+        required: false,
+        maxLength: 200,
+      },
+      content: {
+        type: "string",
+        required: true,
+        minLength: 1,
+        maxLength: 20000,
+      },
+      tags: {
+        type: "array",
+        required: false,
+        maxLength: 10,
+      },
+    },
+
+    updateJournalEntry: {
+      title: {
+        type: "string",
+        required: false,
+        maxLength: 200,
+      },
+      content: {
+        type: "string",
+        required: false,
+        minLength: 1,
+        maxLength: 20000,
+      },
+      tags: {
+        type: "array",
+        required: false,
+        maxLength: 10,
+      },
+    },
+
+    sharing: {
+      sharedTrends: {
+        type: "array",
+        required: true,
+        maxLength: 3,
+      },
+    },
+  },
+
+  resources: {
+    create: {
+      title: {
+        type: "string",
+        required: true,
+        minLength: 3,
+        maxLength: 200,
+      },
+      summary: {
+        type: "string",
+        required: true,
+        maxLength: 500,
+      },
+      body: {
+        type: "string",
+        required: false,
+        maxLength: 50000,
+      },
+      url: {
+        type: "string",
+        required: false,
+        maxLength: 2000,
+        regex: HTTPS_URL_REGEX,
+        message: VALIDATION_MESSAGES.url,
+      },
+      contact: {
+        type: "string",
+        required: false,
+        maxLength: 200,
+      },
+      type: {
+        type: "string",
+        required: true,
+        enum: ["article", "video", "helpline", "exercise"],
+      },
+      tags: {
+        type: "array",
+        required: false,
+        maxLength: 15,
+      },
+      audience: {
+        type: "string",
+        required: false,
+        enum: ["all", "students", "counselors"],
+      },
+      language: {
+        type: "string",
+        required: false,
+        maxLength: 10,
+      },
+    },
+
+    update: {
+      title: {
+        type: "string",
+        required: false,
+        minLength: 3,
+        maxLength: 200,
+      },
+      summary: {
+        type: "string",
+        required: false,
+        maxLength: 500,
+      },
+      body: {
+        type: "string",
+        required: false,
+        maxLength: 50000,
+      },
+      url: {
+        type: "string",
+        required: false,
+        maxLength: 2000,
+        regex: HTTPS_URL_REGEX,
+        message: VALIDATION_MESSAGES.url,
+      },
+      contact: {
+        type: "string",
+        required: false,
+        maxLength: 200,
+      },
+      type: {
+        type: "string",
+        required: false,
+        enum: ["article", "video", "helpline", "exercise"],
+      },
+      tags: {
+        type: "array",
+        required: false,
+        maxLength: 15,
+      },
+      audience: {
+        type: "string",
+        required: false,
+        enum: ["all", "students", "counselors"],
+      },
+      language: {
+        type: "string",
+        required: false,
+        maxLength: 10,
+      },
+    },
+  },
+
+  quests: {
+    create: {
+      title: {
+        type: "string",
+        required: true,
+        minLength: 3,
+        maxLength: 100,
+      },
+      description: {
+        type: "string",
+        required: false,
+        maxLength: 500,
+      },
+      trigger: {
+        type: "string",
+        required: true,
+        enum: [
+          "mood_logged",
+          "journal_written",
+          "session_attended",
+          "event_checked_in",
+          "resource_viewed",
+        ],
+      },
+      target: {
+        type: "number",
+        required: true,
+        min: 1,
+        max: 365,
+      },
+      category: {
+        type: "string",
+        required: false,
+        maxLength: 50,
+      },
+      points: {
+        type: "number",
+        required: true,
+        min: 0,
+        max: 1000,
+      },
+      badge: {
+        type: "object",
+        required: false,
+      },
+      startsAt: {
+        type: "string",
+        required: false,
+        regex: ISO_DATETIME_REGEX,
+        message: VALIDATION_MESSAGES.datetime,
+      },
+      endsAt: {
+        type: "string",
+        required: false,
+        regex: ISO_DATETIME_REGEX,
+        message: VALIDATION_MESSAGES.datetime,
+      },
+    },
+
+    update: {
+      title: {
+        type: "string",
+        required: false,
+        minLength: 3,
+        maxLength: 100,
+      },
+      description: {
+        type: "string",
+        required: false,
+        maxLength: 500,
+      },
+      trigger: {
+        type: "string",
+        required: false,
+        enum: [
+          "mood_logged",
+          "journal_written",
+          "session_attended",
+          "event_checked_in",
+          "resource_viewed",
+        ],
+      },
+      target: {
+        type: "number",
+        required: false,
+        min: 1,
+        max: 365,
+      },
+      category: {
+        type: "string",
+        required: false,
+        maxLength: 50,
+      },
+      points: {
+        type: "number",
+        required: false,
+        min: 0,
+        max: 1000,
+      },
+      badge: {
+        type: "object",
+        required: false,
+      },
+      startsAt: {
+        type: "string",
+        required: false,
+        regex: ISO_DATETIME_REGEX,
+        message: VALIDATION_MESSAGES.datetime,
+      },
+      endsAt: {
+        type: "string",
+        required: false,
+        regex: ISO_DATETIME_REGEX,
+        message: VALIDATION_MESSAGES.datetime,
+      },
+      active: {
+        type: "boolean",
+        required: false,
+      },
+    },
+
+    leaderboard: {
+      visible: {
+        type: "boolean",
+        required: true,
+      },
+    },
+  },
+
+  forum: {
+    createThread: {
+      title: {
+        type: "string",
+        required: true,
+        minLength: 3,
+        maxLength: 150,
+      },
+      body: {
+        type: "string",
+        required: true,
+        maxLength: 5000,
+      },
+      anonymous: {
+        type: "boolean",
+        required: false,
+      },
+    },
+
+    createReply: {
+      body: {
+        type: "string",
+        required: true,
+        maxLength: 3000,
+      },
+      anonymous: {
+        type: "boolean",
+        required: false,
+      },
+    },
+
+    report: {
+      reason: {
+        type: "string",
+        required: true,
+        enum: ["harassment", "spam", "self_harm", "misinformation", "other"],
+      },
+      details: {
+        type: "string",
+        required: false,
+        maxLength: 500,
+      },
+    },
+
+    createBoard: {
+      name: {
+        type: "string",
+        required: true,
+        minLength: 2,
+        maxLength: 80,
+      },
+      description: {
+        type: "string",
+        required: false,
+        maxLength: 500,
+      },
+      order: {
+        type: "number",
+        required: false,
+        min: 0,
+        max: 1000,
+      },
+    },
+
+    updateBoard: {
+      name: {
+        type: "string",
+        required: false,
+        minLength: 2,
+        maxLength: 80,
+      },
+      description: {
+        type: "string",
+        required: false,
+        maxLength: 500,
+      },
+      order: {
+        type: "number",
+        required: false,
+        min: 0,
+        max: 1000,
+      },
+      active: {
+        type: "boolean",
+        required: false,
+      },
+    },
+
+    resolveReport: {
+      action: {
+        type: "string",
+        required: true,
+        enum: ["dismiss", "hide", "lock", "ban"],
+      },
+      note: {
+        type: "string",
+        required: false,
+        maxLength: 500,
+      },
+      banDays: {
+        type: "number",
+        required: false,
+        min: 1,
+        max: 365,
+      },
+    },
+
+    moderatePost: {
+      hidden: {
+        type: "boolean",
+        required: false,
+      },
+      locked: {
+        type: "boolean",
+        required: false,
+      },
+      reason: {
+        type: "string",
+        required: false,
+        maxLength: 500,
+      },
+    },
+
+    ban: {
+      reason: {
+        type: "string",
+        required: false,
+        maxLength: 500,
+      },
+      days: {
+        type: "number",
+        required: false,
+        min: 1,
+        max: 365,
+      },
+    },
+
+    revealAuthor: {
+      reason: {
+        type: "string",
+        required: true,
+        minLength: 10,
+        maxLength: 500,
+      },
+    },
+  },
+
+  consents: {
+    create: {
+      type: {
+        type: "string",
+        required: true,
+        enum: ["counseling", "data_sharing"],
+      },
+      title: {
+        type: "string",
+        required: true,
+        minLength: 3,
+        maxLength: 150,
+      },
+      body: {
+        type: "string",
+        required: true,
+        maxLength: 50000,
+      },
+      changeSummary: {
+        type: "string",
+        required: false,
+        maxLength: 1000,
+      },
+    },
+
+    update: {
+      title: {
+        type: "string",
+        required: false,
+        minLength: 3,
+        maxLength: 150,
+      },
+      body: {
+        type: "string",
+        required: false,
+        maxLength: 50000,
+      },
+      changeSummary: {
+        type: "string",
+        required: false,
+        maxLength: 1000,
+      },
+    },
   },
 
   // Add more schemas for other endpoints as needed
@@ -338,8 +1202,9 @@ export const validateData = (data, schema) => {
       continue;
     }
 
-    // Check type
-    if (rules.type && typeof value !== rules.type) {
+    // Check type (arrays report "object" from typeof, so check them explicitly)
+    const valueType = Array.isArray(value) ? "array" : typeof value;
+    if (rules.type && valueType !== rules.type) {
       errors.push({
         field,
         message: `${field} must be of type ${rules.type}`,
@@ -372,6 +1237,18 @@ export const validateData = (data, schema) => {
       });
     }
 
+    // Check max items for arrays
+    if (
+      rules.maxLength &&
+      Array.isArray(value) &&
+      value.length > rules.maxLength
+    ) {
+      errors.push({
+        field,
+        message: `${field} must contain at most ${rules.maxLength} items`,
+      });
+    }
+
     // Check regex pattern
     if (rules.regex && typeof value === "string" && !rules.regex.test(value)) {
       errors.push({
@@ -0,0 +1,39 @@
+/**
+ * Waitlist Offers
+ *
+ * Connects the waitlist to slot changes. A released slot is offered to the
+ * next student in line; when a counselor's hours change, their open slots
+ * are offered to everyone waiting for them. Offers that run out are passed
+ * on by the scheduler.
+ */
+
+import { WaitlistService } from "../services/waitlist.service.js";
+import { DomainEvent, subscribe } from "./domain-events.js";
+import logger from "./logger.js";
+
+const waitlistService = new WaitlistService();
+
+/**
+ * Subscribe the waitlist to slot and availability changes
+ */
+export function registerWaitlistHandlers() {
+  subscribe(DomainEvent.SLOT_RELEASED, (slot) =>
+    waitlistService.offerSlot(slot)
+  );
+  subscribe(DomainEvent.AVAILABILITY_CHANGED, ({ counselorId }) =>
+    waitlistService.offerOpenSlots(counselorId)
+  );
+}
+
+/**
+ * Expire lapsed waitlist offers and re-offer their slots
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {Promise<number>} Number of offers expired
+ */
+export async function runWaitlistExpiry(now = Date.now()) {
+  const expired = await waitlistService.expireOffers(now);
+  if (expired > 0) {
+    logger.info(`Expired ${expired} waitlist offers`);
+  }
+  return expired;
+}
@@ -0,0 +1,580 @@
+/**
+ * In-memory Firestore for service tests
+ *
+ * Implements the part of the Admin SDK API the services use: documents and
+ * subcollections, queries with filters, ordering, cursors and limits,
+ * transactions, batches, getAll and FieldValue transforms. Transactions
+ * apply their writes when the callback resolves and, like Firestore, reject
+ * reads made after a write.
+ */
+import { randomBytes } from "crypto";
+import { Timestamp } from "firebase-admin/firestore";
+
+/**
+ * Copy plain objects and arrays, keeping class instances such as Date
+ * @param {*} value - Value to copy
+ * @returns {*} Copy
+ */
+const clone = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)])
+    );
+  }
+  return value;
+};
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !isTransform(value) &&
+  [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+const isTransform = (value) =>
+  typeof value?.methodName === "string" &&
+  value.methodName.startsWith("FieldValue.");
+
+const toComparable = (value) => {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (value instanceof Timestamp) {
+    return value.toMillis();
+  }
+  return value;
+};
+
+const isEqual = (a, b) =>
+  JSON.stringify(toComparable(a)) === JSON.stringify(toComparable(b));
+
+const compare = (a, b) => {
+  const left = toComparable(a);
+  const right = toComparable(b);
+  if (left === right) return 0;
+  if (left === null || left === undefined) return -1;
+  if (right === null || right === undefined) return 1;
+  return left < right ? -1 : 1;
+};
+
+const getField = (data, field) =>
+  field
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== null && typeof value === "object" ? value[key] : undefined,
+      data
+    );
+
+/**
+ * Resolve a FieldValue transform against the current value of a field
+ * @param {*} current - Current value
+ * @param {*} value - New value or transform
+ * @returns {*} Value to store, or undefined to remove the field
+ */
+const applyTransform = (current, value) => {
+  switch (value.methodName) {
+    case "FieldValue.delete":
+      return undefined;
+    case "FieldValue.increment":
+      return (typeof current === "number" ? current : 0) + value.operand;
+    case "FieldValue.arrayUnion": {
+      const array = Array.isArray(current) ? [...current] : [];
+      value.elements.forEach((element) => {
+        if (!array.some((item) => isEqual(item, element))) {
+          array.push(clone(element));
+        }
+      });
+      return array;
+    }
+    case "FieldValue.arrayRemove":
+      return (Array.isArray(current) ? current : []).filter(
+        (item) => !value.elements.some((element) => isEqual(item, element))
+      );
+    case "FieldValue.serverTimestamp":
+      return Timestamp.now();
+    default:
+      throw new Error(`Unsupported transform ${value.methodName}`);
+  }
+};
+
+/**
+ * Write one field, resolving transforms; undefined values are skipped
+ * like the app's `ignoreUndefinedProperties` setting does
+ * @param {Object} target - Map holding the field
+ * @param {string} key - Field name
+ * @param {*} value - New value or transform
+ */
+const assignField = (target, key, value) => {
+  if (value === undefined) {
+    return;
+  }
+  const next = isTransform(value)
+    ? applyTransform(target[key], value)
+    : clone(value);
+  if (next === undefined) {
+    delete target[key];
+  } else {
+    target[key] = next;
+  }
+};
+
+/**
+ * Write a field by dotted path, as update() does
+ * @param {Object} data - Stored data
+ * @param {string} path - Field path, e.g. "unreadCounts.abc"
+ * @param {*} value - New value or transform
+ */
+const setField = (data, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let target = data;
+  keys.forEach((key) => {
+    if (!isPlainObject(target[key])) {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+  assignField(target, last, value);
+};
+
+/**
+ * Write map fields into stored data, as set() does
+ * @param {Object} target - Stored data
+ * @param {Object} data - Fields to write
+ * @param {boolean} merge - Merge nested maps instead of replacing them
+ */
+const writeFields = (target, data, merge) => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (isPlainObject(value)) {
+      if (!merge || !isPlainObject(target[key])) {
+        target[key] = {};
+      }
+      writeFields(target[key], value, merge);
+    } else {
+      assignField(target, key, value);
+    }
+  });
+};
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+    this.updateTime = this.exists ? Timestamp.now() : undefined;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(field) {
+    return this.exists ? clone(getField(this._data, field)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class DocumentReference {
+  constructor(firestore, path) {
+    this.firestore = firestore;
+    this.path = path;
+    this.id = path.split("/").pop();
+  }
+
+  get parent() {
+    return new CollectionReference(
+      this.firestore,
+      this.path.split("/").slice(0, -1).join("/")
+    );
+  }
+
+  collection(name) {
+    return new CollectionReference(this.firestore, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return this.firestore._snapshot(this);
+  }
+
+  async set(data, options) {
+    this.firestore._set(this, data, options);
+  }
+
+  async create(data) {
+    this.firestore._create(this, data);
+  }
+
+  async update(data) {
+    this.firestore._update(this, data);
+  }
+
+  async delete() {
+    this.firestore._delete(this);
+  }
+}
+
+class Query {
+  constructor(firestore, path, options = {}) {
+    this.firestore = firestore;
+    this.path = path;
+    this._filters = options.filters || [];
+    this._orders = options.orders || [];
+    this._limit = options.limit ?? null;
+    this._cursor = options.cursor || null;
+    this._fields = options.fields || null;
+  }
+
+  _with(options) {
+    return new Query(this.firestore, this.path, {
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      cursor: this._cursor,
+      fields: this._fields,
+      ...options,
+    });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = "asc") {
+    return this._with({ orders: [...this._orders, { field, direction }] });
+  }
+
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  startAfter(...values) {
+    return this._with({ cursor: values });
+  }
+
+  select(...fields) {
+    return this._with({ fields });
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const { size } = await this.get();
+        return { data: () => ({ count: size }) };
+      },
+    };
+  }
+
+  async get() {
+    return this.firestore._query(this);
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(firestore, path) {
+    super(firestore, path);
+    this.id = path.split("/").pop();
+  }
+
+  doc(id = randomBytes(10).toString("hex")) {
+    return new DocumentReference(this.firestore, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    this.firestore._set(ref, data);
+    return ref;
+  }
+}
+
+const matches = (data, { field, op, value }) => {
+  const actual = getField(data, field);
+  switch (op) {
+    case "==":
+      return actual !== undefined && isEqual(actual, value);
+    case "!=":
+      return actual !== undefined && actual !== null && !isEqual(actual, value);
+    case "<":
+      return actual !== undefined && compare(actual, value) < 0;
+    case "<=":
+      return actual !== undefined && compare(actual, value) <= 0;
+    case ">":
+      return actual !== undefined && compare(actual, value) > 0;
+    case ">=":
+      return actual !== undefined && compare(actual, value) >= 0;
+    case "in":
+      return value.some((item) => isEqual(actual, item));
+    case "not-in":
+      return (
+        actual !== undefined && !value.some((item) => isEqual(actual, item))
+      );
+    case "array-contains":
+      return (
+        Array.isArray(actual) && actual.some((item) => isEqual(item, value))
+      );
+    case "array-contains-any":
+      return (
+        Array.isArray(actual) &&
+        actual.some((item) => value.some((other) => isEqual(item, other)))
+      );
+    default:
+      throw new Error(`Unsupported query operator ${op}`);
+  }
+};
+
+class Transaction {
+  constructor(firestore) {
+    this.firestore = firestore;
+    this.writes = [];
+  }
+
+  _assertReadable() {
+    if (this.writes.length > 0) {
+      throw new Error(
+        "Firestore transactions require all reads to be executed before all writes."
+      );
+    }
+  }
+
+  async get(refOrQuery) {
+    this._assertReadable();
+    return refOrQuery instanceof DocumentReference
+      ? this.firestore._snapshot(refOrQuery)
+      : this.firestore._query(refOrQuery);
+  }
+
+  async getAll(...refs) {
+    this._assertReadable();
+    return refs.map((ref) => this.firestore._snapshot(ref));
+  }
+
+  set(ref, data, options) {
+    this.writes.push(() => this.firestore._set(ref, data, options));
+    return this;
+  }
+
+  create(ref, data) {
+    this.writes.push(() => this.firestore._create(ref, data));
+    return this;
+  }
+
+  update(ref, data) {
+    this.writes.push(() => this.firestore._update(ref, data));
+    return this;
+  }
+
+  delete(ref) {
+    this.writes.push(() => this.firestore._delete(ref));
+    return this;
+  }
+
+  _commit() {
+    // Check every write before applying any, so a failed update leaves
+    // the store untouched
+    const snapshot = new Map(this.firestore.documents);
+    try {
+      this.writes.forEach((write) => write());
+    } catch (error) {
+      this.firestore.documents = snapshot;
+      throw error;
+    }
+  }
+}
+
+class WriteBatch extends Transaction {
+  async commit() {
+    this._commit();
+  }
+}
+
+export class FakeFirestore {
+  constructor() {
+    this.documents = new Map();
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  doc(path) {
+    return new DocumentReference(this, path);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  async getAll(...refs) {
+    return refs.map((ref) => this._snapshot(ref));
+  }
+
+  async runTransaction(callback) {
+    const transaction = new Transaction(this);
+    const result = await callback(transaction);
+    transaction._commit();
+    return result;
+  }
+
+  /**
+   * Remove every document
+   */
+  reset() {
+    this.documents.clear();
+  }
+
+  /**
+   * Store a document as is
+   * @param {string} path - Document path, e.g. "users/abc"
+   * @param {Object} data - Document data
+   */
+  seed(path, data) {
+    this.documents.set(path, clone(data));
+  }
+
+  /**
+   * Read a stored document
+   * @param {string} path - Document path
+   * @returns {Object|undefined} Copy of the data
+   */
+  read(path) {
+    return clone(this.documents.get(path));
+  }
+
+  /**
+   * List the stored documents of a collection
+   * @param {string} path - Collection path
+   * @returns {Array<Object>} Documents with `id`
+   */
+  list(path) {
+    return [...this.documents.entries()]
+      .filter(([docPath]) => this._parentPath(docPath) === path)
+      .map(([docPath, data]) => ({
+        id: docPath.split("/").pop(),
+        ...clone(data),
+      }));
+  }
+
+  _parentPath(docPath) {
+    return docPath.split("/").slice(0, -1).join("/");
+  }
+
+  _snapshot(ref) {
+    return new DocumentSnapshot(ref, this.documents.get(ref.path));
+  }
+
+  _set(ref, data, { merge = false } = {}) {
+    const current = merge ? clone(this.documents.get(ref.path)) || {} : {};
+    writeFields(current, data, merge);
+    this.documents.set(ref.path, current);
+  }
+
+  _create(ref, data) {
+    if (this.documents.has(ref.path)) {
+      const error = new Error(`6 ALREADY_EXISTS: Document already exists`);
+      error.code = 6;
+      throw error;
+    }
+    this._set(ref, data);
+  }
+
+  _update(ref, data) {
+    if (!this.documents.has(ref.path)) {
+      const error = new Error(`5 NOT_FOUND: No document to update`);
+      error.code = 5;
+      throw error;
+    }
+    const current = clone(this.documents.get(ref.path));
+    Object.entries(data).forEach(([path, value]) =>
+      setField(current, path, value)
+    );
+    this.documents.set(ref.path, current);
+  }
+
+  _delete(ref) {
+    this.documents.delete(ref.path);
+  }
+
+  _query(query) {
+    let entries = [...this.documents.entries()]
+      .filter(([path]) => this._parentPath(path) === query.path)
+      .filter(([, data]) =>
+        query._filters.every((filter) => matches(data, filter))
+      )
+      .filter(([, data]) =>
+        query._orders.every(({ field }) => getField(data, field) !== undefined)
+      );
+
+    const order = ([pathA, a], [pathB, b]) => {
+      for (const { field, direction } of query._orders) {
+        const result = compare(getField(a, field), getField(b, field));
+        if (result !== 0) {
+          return direction === "desc" ? -result : result;
+        }
+      }
+      return compare(pathA, pathB);
+    };
+    entries.sort(order);
+
+    if (query._cursor) {
+      const [first] = query._cursor;
+      const cursor =
+        first instanceof DocumentSnapshot
+          ? [first.ref.path, first._data]
+          : [
+              null,
+              Object.fromEntries(
+                query._orders.map(({ field }, index) => [
+                  field,
+                  query._cursor[index],
+                ])
+              ),
+            ];
+      entries = entries.filter((entry) => {
+        if (cursor[0]) {
+          return order(entry, cursor) > 0;
+        }
+        const [, data] = entry;
+        for (const { field, direction } of query._orders) {
+          const result = compare(getField(data, field), cursor[1][field]);
+          if (result !== 0) {
+            return direction === "desc" ? result < 0 : result > 0;
+          }
+        }
+        return false;
+      });
+    }
+    if (query._limit !== null) {
+      entries = entries.slice(0, query._limit);
+    }
+
+    return new QuerySnapshot(
+      entries.map(([path, data]) => {
+        const selected = query._fields
+          ? Object.fromEntries(
+              query._fields
+                .filter((field) => getField(data, field) !== undefined)
+                .map((field) => [field, getField(data, field)])
+            )
+          : data;
+        return new DocumentSnapshot(
+          new DocumentReference(this, path),
+          selected
+        );
+      })
+    );
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Service test setup
+ *
+ * Services import the Firebase config at load time, so tests swap it for an
+ * in-memory Firestore before importing them:
+ *
+ *   const db = mockFirebase();
+ *   const { ChatService } = await import("../../src/services/chat.service.js");
+ */
+import { FakeFirestore } from "./firestore.js";
+
+const { jest } = import.meta;
+
+/**
+ * Replace the Firebase config and the logger with test doubles
+ * Must be called before any service is imported
+ * @returns {FakeFirestore} Database the services will use
+ */
+export const mockFirebase = () => {
+  // Cached documents would outlive db.reset() between tests
+  process.env.CACHE_ENABLED = "false";
+
+  const db = new FakeFirestore();
+  const admin = {
+    app: {},
+    auth: {},
+    db,
+    storage: {},
+    isConnected: () => true,
+  };
+  jest.unstable_mockModule("../../src/config/firebase.config.js", () => ({
+    admin,
+    client: { isConnected: () => false },
+    auth: admin.auth,
+    db,
+    storage: admin.storage,
+    getFirebaseStatus: () => ({}),
+  }));
+  jest.unstable_mockModule("../../src/utils/logger.js", () => ({
+    default: {
+      error: jest.fn(),
+      warn: jest.fn(),
+      info: jest.fn(),
+      http: jest.fn(),
+      debug: jest.fn(),
+      request: jest.fn(),
+    },
+  }));
+
+  return db;
+};
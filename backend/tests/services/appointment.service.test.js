@@ -0,0 +1,232 @@
+import { mockFirebase } from "../helpers/services.js";
+
+const db = mockFirebase();
+const { AppointmentService, SLOTS_COLLECTION } = await import(
+  "../../src/services/appointment.service.js"
+);
+const {
+  addDays,
+  buildSlotsForDate,
+  DAYS_OF_WEEK,
+  getSlotId,
+  toLocalDateString,
+} = await import("../../src/utils/availability.js");
+
+const appointmentService = new AppointmentService();
+
+const HOUR = 60 * 60 * 1000;
+const studentId = "student-1";
+const counselorId = "counselor-1";
+
+/**
+ * Seed an appointment and the slot lock it holds
+ * @param {string} id - Appointment ID
+ * @param {string} startTime - Session start ISO string
+ * @returns {Object} Seeded appointment
+ */
+const seedAppointment = (id, startTime) => {
+  const endTime = new Date(Date.parse(startTime) + HOUR).toISOString();
+  const slotId = getSlotId(counselorId, startTime);
+  const appointment = {
+    studentId,
+    counselorId,
+    slotId,
+    startTime,
+    endTime,
+    status: "confirmed",
+    notes: "Exam stress",
+  };
+  db.seed(`appointments/${id}`, appointment);
+  db.seed(`${SLOTS_COLLECTION}/${slotId}`, {
+    counselorId,
+    studentId,
+    appointmentId: id,
+    startTime,
+    endTime,
+  });
+  return appointment;
+};
+
+// A bookable slot a few days ahead, well outside the late-cancel window
+const openSlot = () =>
+  buildSlotsForDate(addDays(toLocalDateString(Date.now()), 4), [
+    { start: "10:00", end: "12:00" },
+  ])[1];
+
+beforeEach(() => {
+  db.reset();
+  db.seed(`counselors/${counselorId}`, {
+    name: "Dr. Rao",
+    availability: Object.fromEntries(
+      DAYS_OF_WEEK.map((day) => [day, { start: "10:00", end: "12:00" }])
+    ),
+  });
+});
+
+describe("rescheduleAppointment", () => {
+  it("moves an appointment in place when there is time left", async () => {
+    const original = seedAppointment(
+      "appt-1",
+      new Date(Date.now() + 72 * HOUR).toISOString()
+    );
+    const slot = openSlot();
+
+    const result = await appointmentService.rescheduleAppointment(
+      "appt-1",
+      studentId,
+      slot.startTime
+    );
+
+    expect(result).toMatchObject({
+      id: "appt-1",
+      startTime: slot.startTime,
+      status: "pending",
+      rescheduledFrom: original.startTime,
+    });
+    expect(result).not.toHaveProperty("attendance");
+    expect(db.read(`${SLOTS_COLLECTION}/${original.slotId}`)).toBeUndefined();
+  });
+
+  it("records a late reschedule as a late cancellation", async () => {
+    const original = seedAppointment(
+      "appt-1",
+      new Date(Date.now() + 3 * HOUR).toISOString()
+    );
+    const slot = openSlot();
+
+    const result = await appointmentService.rescheduleAppointment(
+      "appt-1",
+      studentId,
+      slot.startTime
+    );
+
+    expect(result.id).not.toBe("appt-1");
+    expect(result).toMatchObject({
+      studentId,
+      counselorId,
+      startTime: slot.startTime,
+      status: "pending",
+      notes: "Exam stress",
+      rescheduledFrom: original.startTime,
+      rescheduledFromAppointmentId: "appt-1",
+    });
+    expect(db.read("appointments/appt-1")).toMatchObject({
+      status: "cancelled",
+      cancelledBy: studentId,
+      attendance: "late_cancel",
+      rescheduledTo: result.id,
+    });
+    expect(
+      db.read(`${SLOTS_COLLECTION}/${getSlotId(counselorId, slot.startTime)}`)
+    ).toMatchObject({ appointmentId: result.id });
+  });
+
+  it("refuses students whose booking is paused", async () => {
+    seedAppointment("appt-1", new Date(Date.now() + 72 * HOUR).toISOString());
+    db.seed(`booking_restrictions/${studentId}`, {
+      until: new Date(Date.now() + 7 * 24 * HOUR).toISOString(),
+    });
+
+    await expect(
+      appointmentService.rescheduleAppointment(
+        "appt-1",
+        studentId,
+        openSlot().startTime
+      )
+    ).rejects.toMatchObject({
+      statusCode: 403,
+      errorCode: "booking_restricted",
+    });
+    expect(db.read("appointments/appt-1")).toMatchObject({
+      status: "confirmed",
+    });
+  });
+
+  it("returns a 404 when the appointment disappears mid-request", async () => {
+    seedAppointment("appt-1", new Date(Date.now() + 72 * HOUR).toISOString());
+    const findBookableSlot =
+      appointmentService.findBookableSlot.bind(appointmentService);
+    appointmentService.findBookableSlot = async (...args) => {
+      const slot = await findBookableSlot(...args);
+      db.reset();
+      return slot;
+    };
+
+    try {
+      await expect(
+        appointmentService.rescheduleAppointment(
+          "appt-1",
+          studentId,
+          openSlot().startTime
+        )
+      ).rejects.toMatchObject({
+        statusCode: 404,
+        errorCode: "appointment_not_found",
+      });
+    } finally {
+      delete appointmentService.findBookableSlot;
+    }
+  });
+});
+
+describe("bookAppointment", () => {
+  const seedUpcoming = (count) =>
+    Array.from({ length: count }, (_, index) =>
+      seedAppointment(
+        `appt-${index}`,
+        new Date(Date.now() + (48 + index * 24) * HOUR).toISOString()
+      )
+    );
+
+  it("books while the student is under the booking limit", async () => {
+    seedUpcoming(2);
+    const slot = openSlot();
+
+    const appointment = await appointmentService.bookAppointment(studentId, {
+      counselorId,
+      startTime: slot.startTime,
+    });
+
+    expect(appointment).toMatchObject({ studentId, status: "pending" });
+    expect(db.read(`appointments/${appointment.id}`)).toBeDefined();
+  });
+
+  it("refuses a booking over the limit without writing anything", async () => {
+    seedUpcoming(3);
+    const slot = openSlot();
+
+    await expect(
+      appointmentService.bookAppointment(studentId, {
+        counselorId,
+        startTime: slot.startTime,
+      })
+    ).rejects.toMatchObject({
+      statusCode: 409,
+      errorCode: "booking_limit_reached",
+    });
+    expect(db.list("appointments")).toHaveLength(3);
+    expect(
+      db.read(`${SLOTS_COLLECTION}/${getSlotId(counselorId, slot.startTime)}`)
+    ).toBeUndefined();
+  });
+
+  it("does not count past or closed sessions", async () => {
+    seedUpcoming(3);
+    db.seed("appointments/appt-0", {
+      ...db.read("appointments/appt-0"),
+      status: "cancelled",
+    });
+    db.seed("appointments/appt-1", {
+      ...db.read("appointments/appt-1"),
+      startTime: new Date(Date.now() - 3 * HOUR).toISOString(),
+      endTime: new Date(Date.now() - 2 * HOUR).toISOString(),
+    });
+
+    await expect(
+      appointmentService.bookAppointment(studentId, {
+        counselorId,
+        startTime: openSlot().startTime,
+      })
+    ).resolves.toMatchObject({ status: "pending" });
+  });
+});
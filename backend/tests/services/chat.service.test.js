@@ -0,0 +1,97 @@
+import { mockFirebase } from "../helpers/services.js";
+
+const db = mockFirebase();
+const { ChatService, ConversationType } = await import(
+  "../../src/services/chat.service.js"
+);
+
+const chatService = new ChatService();
+
+beforeEach(() => {
+  db.reset();
+  db.seed("users/alice", { name: "Alice", role: "user" });
+  db.seed("users/bob", { name: "Bob", role: "user" });
+  db.seed("users/carol", { name: "Carol", role: "user" });
+});
+
+describe("getOrCreateDirectConversation", () => {
+  it("creates the conversation under the sorted pair of user IDs", async () => {
+    const conversation = await chatService.getOrCreateDirectConversation(
+      "bob",
+      "alice"
+    );
+
+    expect(conversation).toMatchObject({
+      id: "alice_bob",
+      type: ConversationType.DIRECT,
+      participants: ["alice", "bob"],
+    });
+    expect(db.read("conversations/alice_bob").participants).toEqual([
+      "alice",
+      "bob",
+    ]);
+  });
+
+  it("returns the stored conversation on later calls", async () => {
+    await chatService.getOrCreateDirectConversation("alice", "bob");
+
+    await expect(
+      chatService.getOrCreateDirectConversation("bob", "alice")
+    ).resolves.toMatchObject({
+      id: "alice_bob",
+      participants: ["alice", "bob"],
+    });
+  });
+
+  it("rejects a stored conversation with other participants", async () => {
+    db.seed("conversations/alice_bob", {
+      type: ConversationType.DIRECT,
+      participants: ["alice", "carol"],
+    });
+
+    await expect(
+      chatService.getOrCreateDirectConversation("alice", "bob")
+    ).rejects.toMatchObject({
+      statusCode: 409,
+      errorCode: "invalid_conversation",
+    });
+    expect(db.read("conversations/alice_bob").participants).toEqual([
+      "alice",
+      "carol",
+    ]);
+  });
+
+  it("rejects a stored conversation with extra participants", async () => {
+    db.seed("conversations/alice_bob", {
+      type: ConversationType.DIRECT,
+      participants: ["alice", "bob", "carol"],
+    });
+
+    await expect(
+      chatService.getOrCreateDirectConversation("alice", "bob")
+    ).rejects.toMatchObject({ errorCode: "invalid_conversation" });
+  });
+
+  it("rejects a stored conversation that is not direct", async () => {
+    db.seed("conversations/alice_bob", {
+      type: ConversationType.GROUP,
+      participants: ["alice", "bob"],
+    });
+
+    await expect(
+      chatService.getOrCreateDirectConversation("alice", "bob")
+    ).rejects.toMatchObject({ errorCode: "invalid_conversation" });
+  });
+
+  it("never delivers a direct message into a mismatched conversation", async () => {
+    db.seed("conversations/alice_bob", {
+      type: ConversationType.DIRECT,
+      participants: ["alice", "carol"],
+    });
+
+    await expect(
+      chatService.createMessage("alice", "bob", "Are you free later?")
+    ).rejects.toMatchObject({ errorCode: "invalid_conversation" });
+    expect(db.list("messages")).toEqual([]);
+  });
+});
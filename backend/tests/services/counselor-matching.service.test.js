@@ -0,0 +1,57 @@
+import { mockFirebase } from "../helpers/services.js";
+
+const db = mockFirebase();
+const { CounselorMatchingService } = await import(
+  "../../src/services/counselor-matching.service.js"
+);
+
+const matchingService = new CounselorMatchingService();
+
+beforeEach(() => {
+  db.reset();
+  db.seed("counselors/counselor-1", {
+    userId: "counselor-1",
+    name: "Dr. Rao",
+    email: "rao@example.edu",
+    phone: "+91 98765 43210",
+    bio: "Exam stress and sleep",
+    specialization: "Anxiety",
+    specialties: ["exam stress"],
+    languages: ["english", "hindi"],
+    gender: "female",
+    rating: 4.6,
+    totalRatings: 12,
+    ratingDistribution: { 5: 8, 4: 4 },
+    isAvailable: true,
+    activeClientCount: 12,
+    maxCaseload: 20,
+    availability: {},
+    lastActive: "2025-01-10T12:00:00.000Z",
+    createdAt: "2024-06-01T00:00:00.000Z",
+    updatedAt: "2025-01-10T12:00:00.000Z",
+  });
+});
+
+describe("matchCounselors", () => {
+  it("returns only public profile fields", async () => {
+    const [match] = await matchingService.matchCounselors({
+      concerns: "anxiety",
+    });
+
+    expect(match).toEqual({
+      id: "counselor-1",
+      name: "Dr. Rao",
+      bio: "Exam stress and sleep",
+      specialties: ["exam stress", "anxiety"],
+      languages: ["english", "hindi"],
+      gender: "female",
+      rating: 4.6,
+      totalRatings: 12,
+      isOnline: false,
+      nextAvailableSlot: null,
+      matchedSpecialties: ["anxiety"],
+      score: expect.any(Number),
+      scoreBreakdown: expect.any(Object),
+    });
+  });
+});
@@ -0,0 +1,118 @@
+import { mockFirebase } from "../helpers/services.js";
+
+const db = mockFirebase();
+const { ForumService } = await import("../../src/services/forum.service.js");
+const { ForumModerationService } = await import(
+  "../../src/services/forum-moderation.service.js"
+);
+
+const forumService = new ForumService();
+const moderationService = new ForumModerationService();
+
+const student = { id: "student-1", name: "Asha", role: "user" };
+const peer = { id: "student-2", name: "Ravi", role: "user" };
+const counselor = { id: "counselor-1", name: "Dr. Rao", role: "counselor" };
+const admin = { id: "admin-1", name: "Admin", role: "admin" };
+
+let thread;
+
+beforeEach(async () => {
+  db.reset();
+  db.seed("forum_boards/exams", { name: "Exams", active: true, order: 0 });
+  thread = await forumService.createThread("exams", student, {
+    title: "Exam week nerves",
+    body: "How do you all sleep before exams?",
+    anonymous: true,
+  });
+});
+
+describe("anonymous forum posts", () => {
+  it.each([
+    ["another student", peer],
+    ["a counselor", counselor],
+    ["an admin", admin],
+  ])("hide the author from %s", async (_, viewer) => {
+    const threads = await forumService.getThreads("exams", viewer);
+    const detail = await forumService.getThread(thread.id, viewer);
+
+    expect(threads[0]).toMatchObject({ authorName: "Anonymous" });
+    expect(threads[0]).not.toHaveProperty("authorId");
+    expect(detail).toMatchObject({ authorName: "Anonymous", isMine: false });
+    expect(detail).not.toHaveProperty("authorId");
+  });
+
+  it("still mark the author's own posts", async () => {
+    const detail = await forumService.getThread(thread.id, student);
+
+    expect(detail.isMine).toBe(true);
+    expect(detail).not.toHaveProperty("authorId");
+  });
+
+  it("hide the author of anonymous replies", async () => {
+    await forumService.createReply(thread.id, peer, {
+      body: "A walk in the evening helps me.",
+      anonymous: true,
+    });
+
+    const { replies } = await forumService.getThread(thread.id, counselor);
+    expect(replies[0]).toMatchObject({ authorName: "Anonymous" });
+    expect(replies[0]).not.toHaveProperty("authorId");
+  });
+
+  it("show the author of posts that are not anonymous", async () => {
+    await forumService.createReply(thread.id, peer, {
+      body: "Same here, good luck!",
+    });
+
+    const { replies } = await forumService.getThread(thread.id, student);
+    expect(replies[0]).toMatchObject({ authorId: peer.id, authorName: "Ravi" });
+  });
+
+  it("hide the author in the moderation queue", async () => {
+    await moderationService.reportPost(peer, thread.id, null, {
+      reason: "spam",
+    });
+
+    const [entry] = await moderationService.getModerationQueue();
+    expect(entry.post).toMatchObject({ id: thread.id, anonymous: true });
+    expect(entry.post).not.toHaveProperty("authorId");
+    expect(entry.post).not.toHaveProperty("authorName");
+  });
+});
+
+describe("revealAuthor", () => {
+  it("returns the author and records who asked and why", async () => {
+    const reason = "Student may be at risk, checking who wrote this";
+
+    await expect(
+      moderationService.revealAuthor(admin, thread.id, null, reason)
+    ).resolves.toEqual({
+      threadId: thread.id,
+      replyId: null,
+      anonymous: true,
+      authorId: student.id,
+      authorName: "Asha",
+    });
+    expect(db.list("forum_author_disclosures")).toEqual([
+      expect.objectContaining({
+        threadId: thread.id,
+        replyId: null,
+        actorId: admin.id,
+        actorRole: "admin",
+        reason,
+      }),
+    ]);
+  });
+
+  it("fails for a missing post without recording a lookup", async () => {
+    await expect(
+      moderationService.revealAuthor(
+        admin,
+        "missing",
+        null,
+        "Checking a report"
+      )
+    ).rejects.toMatchObject({ statusCode: 404 });
+    expect(db.list("forum_author_disclosures")).toEqual([]);
+  });
+});
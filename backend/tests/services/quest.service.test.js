@@ -0,0 +1,98 @@
+import { mockFirebase } from "../helpers/services.js";
+
+const db = mockFirebase();
+const { QuestService } = await import("../../src/services/quest.service.js");
+const { DomainEvent } = await import("../../src/utils/domain-events.js");
+const { addDays, toLocalDateString } = await import(
+  "../../src/utils/availability.js"
+);
+
+const questService = new QuestService();
+
+const userId = "student-1";
+const today = toLocalDateString(Date.now());
+
+/**
+ * Record a mood check-in for the user
+ * @returns {Promise<Array>} Completed quests
+ */
+const logMood = () =>
+  questService.recordActivity(DomainEvent.MOOD_LOGGED, {
+    userId,
+    key: today,
+  });
+
+/**
+ * Seed a quest profile with a stored streak
+ * @param {Object} [streak] - Stored streak
+ */
+const seedStreak = (streak) =>
+  db.seed(`quest_profiles/${userId}`, {
+    userId,
+    points: 40,
+    badges: [],
+    completedQuests: 2,
+    streak,
+    leaderboardVisible: true,
+  });
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe("quest streaks", () => {
+  it("start at one day with the first activity", async () => {
+    await logMood();
+    await logMood();
+
+    expect((await questService.getProfile(userId)).streak).toEqual({
+      current: 1,
+      longest: 1,
+      lastActiveDate: today,
+    });
+  });
+
+  it("grow when the user was active yesterday", async () => {
+    seedStreak({ current: 4, longest: 4, lastActiveDate: addDays(today, -1) });
+
+    await logMood();
+
+    expect(await questService.getProfile(userId)).toMatchObject({
+      points: 40,
+      streak: { current: 5, longest: 5, lastActiveDate: today },
+    });
+  });
+
+  it("restart after a missed day and keep the longest run", async () => {
+    seedStreak({ current: 6, longest: 9, lastActiveDate: addDays(today, -2) });
+
+    await logMood();
+
+    expect((await questService.getProfile(userId)).streak).toEqual({
+      current: 1,
+      longest: 9,
+      lastActiveDate: today,
+    });
+  });
+
+  it("show a streak as broken once a day is missed", async () => {
+    seedStreak({ current: 6, longest: 9, lastActiveDate: addDays(today, -2) });
+
+    expect((await questService.getProfile(userId)).streak).toMatchObject({
+      current: 0,
+      longest: 9,
+    });
+  });
+
+  it("start for profiles created before streaks existed", async () => {
+    seedStreak(undefined);
+
+    await logMood();
+
+    expect(await questService.getProfile(userId)).toMatchObject({
+      points: 40,
+      completedQuests: 2,
+      streak: { current: 1, longest: 1, lastActiveDate: today },
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import { mockFirebase } from "../helpers/services.js";
+
+const db = mockFirebase();
+const { SLOTS_COLLECTION } = await import(
+  "../../src/services/appointment.service.js"
+);
+const { WaitlistService } = await import(
+  "../../src/services/waitlist.service.js"
+);
+
+const waitlistService = new WaitlistService();
+
+const HOUR = 60 * 60 * 1000;
+const studentId = "student-1";
+const counselorId = "counselor-1";
+const startTime = new Date(Date.now() + 48 * HOUR).toISOString();
+const endTime = new Date(Date.now() + 49 * HOUR).toISOString();
+
+beforeEach(() => {
+  db.reset();
+  db.seed("waitlist_entries/entry-1", {
+    studentId,
+    counselorId,
+    status: "offered",
+    offer: { slotId: "slot-1", startTime, endTime },
+  });
+  db.seed(`${SLOTS_COLLECTION}/slot-1`, {
+    counselorId,
+    waitlistEntryId: "entry-1",
+    startTime,
+    endTime,
+    holdExpiresAt: new Date(Date.now() + HOUR).toISOString(),
+  });
+});
+
+describe("acceptOffer", () => {
+  it("turns the hold into a pending appointment", async () => {
+    const appointment = await waitlistService.acceptOffer("entry-1", studentId);
+
+    expect(appointment).toMatchObject({ studentId, status: "pending" });
+    expect(db.read(`${SLOTS_COLLECTION}/slot-1`)).toMatchObject({
+      appointmentId: appointment.id,
+    });
+  });
+
+  it("respects the booking limit", async () => {
+    ["appt-1", "appt-2", "appt-3"].forEach((id, index) =>
+      db.seed(`appointments/${id}`, {
+        studentId,
+        counselorId,
+        status: "confirmed",
+        startTime: new Date(Date.now() + (72 + index) * HOUR).toISOString(),
+        endTime: new Date(Date.now() + (73 + index) * HOUR).toISOString(),
+      })
+    );
+
+    await expect(
+      waitlistService.acceptOffer("entry-1", studentId)
+    ).rejects.toMatchObject({
+      statusCode: 409,
+      errorCode: "booking_limit_reached",
+    });
+    expect(db.read("waitlist_entries/entry-1")).toMatchObject({
+      status: "offered",
+    });
+    expect(db.list("appointments")).toHaveLength(3);
+  });
+});
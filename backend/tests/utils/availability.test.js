@@ -0,0 +1,190 @@
+import {
+  AvailabilityExceptionType,
+  addDays,
+  buildSlotsForDate,
+  getDayName,
+  getEffectiveWindows,
+  getSlotId,
+  normalizeWindows,
+  parseTime,
+  parseUtcOffset,
+  toLocalDateString,
+  toLocalTimeString,
+} from "../../src/utils/availability.js";
+
+// 2025-01-20 is a Monday
+const MONDAY = "2025-01-20";
+
+describe("parseUtcOffset", () => {
+  it("converts offsets to minutes", () => {
+    expect(parseUtcOffset("+05:30")).toBe(330);
+    expect(parseUtcOffset("-04:00")).toBe(-240);
+    expect(parseUtcOffset("+00:00")).toBe(0);
+  });
+
+  it("treats malformed offsets as UTC", () => {
+    expect(parseUtcOffset("5:30")).toBe(0);
+    expect(parseUtcOffset("IST")).toBe(0);
+  });
+});
+
+describe("parseTime", () => {
+  it("converts HH:mm to minutes since midnight", () => {
+    expect(parseTime("00:00")).toBe(0);
+    expect(parseTime("09:30")).toBe(570);
+    expect(parseTime("23:59")).toBe(1439);
+  });
+
+  it("rejects invalid times", () => {
+    expect(parseTime("24:00")).toBeNull();
+    expect(parseTime("9:30")).toBeNull();
+    expect(parseTime(undefined)).toBeNull();
+  });
+});
+
+describe("date helpers", () => {
+  it("adds days across month and year boundaries", () => {
+    expect(addDays("2025-01-31", 1)).toBe("2025-02-01");
+    expect(addDays("2025-01-01", -1)).toBe("2024-12-31");
+  });
+
+  it("names the weekday of a date", () => {
+    expect(getDayName(MONDAY)).toBe("monday");
+    expect(getDayName(addDays(MONDAY, 6))).toBe("sunday");
+  });
+});
+
+describe("normalizeWindows", () => {
+  it("accepts a single window or a list", () => {
+    const window = { start: "09:00", end: "12:00" };
+    expect(normalizeWindows(window)).toEqual([window]);
+    expect(normalizeWindows([window])).toEqual([window]);
+    expect(normalizeWindows(null)).toEqual([]);
+  });
+
+  it("drops invalid and empty windows", () => {
+    expect(
+      normalizeWindows([
+        { start: "12:00", end: "09:00" },
+        { start: "10:00", end: "10:00" },
+        { start: "bad", end: "11:00" },
+        { start: "13:00", end: "14:00" },
+      ])
+    ).toEqual([{ start: "13:00", end: "14:00" }]);
+  });
+});
+
+describe("getEffectiveWindows", () => {
+  const availability = { monday: { start: "09:00", end: "17:00" } };
+  const exception = (type, windows) => ({
+    type,
+    startDate: MONDAY,
+    endDate: MONDAY,
+    ...(windows && { windows }),
+  });
+
+  it("uses the weekly template by default", () => {
+    expect(getEffectiveWindows(availability, MONDAY)).toEqual([
+      { start: "09:00", end: "17:00" },
+    ]);
+    expect(getEffectiveWindows(availability, addDays(MONDAY, 1))).toEqual([]);
+  });
+
+  it("replaces the template with custom hours", () => {
+    const windows = [{ start: "13:00", end: "15:00" }];
+    expect(
+      getEffectiveWindows(availability, MONDAY, {
+        exceptions: [
+          exception(AvailabilityExceptionType.CUSTOM_HOURS, windows),
+        ],
+      })
+    ).toEqual(windows);
+  });
+
+  it("clears the day for holidays and unavailable exceptions", () => {
+    expect(
+      getEffectiveWindows(availability, MONDAY, {
+        holidays: [{ date: MONDAY }],
+      })
+    ).toEqual([]);
+    expect(
+      getEffectiveWindows(availability, MONDAY, {
+        exceptions: [exception(AvailabilityExceptionType.UNAVAILABLE)],
+      })
+    ).toEqual([]);
+  });
+
+  it("keeps extra hours even on a holiday", () => {
+    const extra = [{ start: "18:00", end: "19:00" }];
+    expect(
+      getEffectiveWindows(availability, MONDAY, {
+        exceptions: [exception(AvailabilityExceptionType.EXTRA_HOURS, extra)],
+        holidays: [{ date: MONDAY }],
+      })
+    ).toEqual(extra);
+  });
+});
+
+describe("buildSlotsForDate", () => {
+  const localTimes = (slots) =>
+    slots.map(({ startTime }) => toLocalTimeString(startTime));
+
+  it("splits a window into back-to-back slots", () => {
+    const slots = buildSlotsForDate(
+      MONDAY,
+      [{ start: "09:00", end: "11:00" }],
+      30
+    );
+
+    expect(localTimes(slots)).toEqual(["09:00", "09:30", "10:00", "10:30"]);
+    slots.forEach((slot, index) => {
+      expect(slot.date).toBe(MONDAY);
+      expect(toLocalDateString(slot.startTime)).toBe(MONDAY);
+      expect(Date.parse(slot.endTime) - Date.parse(slot.startTime)).toBe(
+        30 * 60 * 1000
+      );
+      if (index > 0) {
+        expect(slot.startTime).toBe(slots[index - 1].endTime);
+      }
+    });
+  });
+
+  it("drops a trailing partial slot", () => {
+    const slots = buildSlotsForDate(
+      MONDAY,
+      [{ start: "09:00", end: "10:45" }],
+      30
+    );
+    expect(slots).toHaveLength(3);
+    expect(toLocalTimeString(slots[2].endTime)).toBe("10:30");
+  });
+
+  it("drops slots that overlap an earlier one", () => {
+    const slots = buildSlotsForDate(
+      MONDAY,
+      [
+        { start: "09:00", end: "10:00" },
+        { start: "09:15", end: "11:15" },
+      ],
+      60
+    );
+    expect(localTimes(slots)).toEqual(["09:00", "10:15"]);
+  });
+
+  it("returns no slots for invalid windows", () => {
+    expect(
+      buildSlotsForDate(MONDAY, [{ start: "11:00", end: "09:00" }], 30)
+    ).toEqual([]);
+  });
+});
+
+describe("getSlotId", () => {
+  it("is the same for equal instants in different formats", () => {
+    expect(getSlotId("c1", "2025-01-20T03:30:00.000Z")).toBe(
+      getSlotId("c1", "2025-01-20T09:00:00+05:30")
+    );
+    expect(getSlotId("c1", "2025-01-20T03:30:00.000Z")).not.toBe(
+      getSlotId("c2", "2025-01-20T03:30:00.000Z")
+    );
+  });
+});
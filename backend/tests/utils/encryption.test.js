@@ -0,0 +1,70 @@
+import crypto from "crypto";
+import {
+  decryptText,
+  encryptText,
+  parseEncryptionKey,
+} from "../../src/utils/encryption.js";
+
+const key = crypto.randomBytes(32);
+const associatedData = "session_notes/note-1";
+
+describe("parseEncryptionKey", () => {
+  it("decodes a base64 256-bit key", () => {
+    expect(parseEncryptionKey(key.toString("base64"))).toEqual(key);
+  });
+
+  it("rejects missing keys and keys of the wrong size", () => {
+    expect(parseEncryptionKey(undefined)).toBeNull();
+    expect(parseEncryptionKey("")).toBeNull();
+    expect(
+      parseEncryptionKey(crypto.randomBytes(16).toString("base64"))
+    ).toBeNull();
+  });
+});
+
+describe("encryptText and decryptText", () => {
+  it("round-trips text, including non-ASCII characters", () => {
+    const plaintext = "Client reported feeling better — follow up in 2 weeks ✓";
+    const payload = encryptText(plaintext, key, associatedData);
+
+    expect(payload.algorithm).toBe("aes-256-gcm");
+    expect(payload.ciphertext).not.toContain("follow up");
+    expect(decryptText(payload, key, associatedData)).toBe(plaintext);
+  });
+
+  it("uses a fresh IV for every value", () => {
+    const first = encryptText("same text", key, associatedData);
+    const second = encryptText("same text", key, associatedData);
+
+    expect(first.iv).not.toBe(second.iv);
+    expect(first.ciphertext).not.toBe(second.ciphertext);
+  });
+
+  it("fails when the associated data does not match", () => {
+    const payload = encryptText("private", key, associatedData);
+
+    expect(() => decryptText(payload, key, "session_notes/note-2")).toThrow();
+  });
+
+  it("fails with the wrong key", () => {
+    const payload = encryptText("private", key, associatedData);
+
+    expect(() =>
+      decryptText(payload, crypto.randomBytes(32), associatedData)
+    ).toThrow();
+  });
+
+  it("fails when the ciphertext was tampered with", () => {
+    const payload = encryptText("private", key, associatedData);
+    const bytes = Buffer.from(payload.ciphertext, "base64");
+    bytes[0] ^= 0xff;
+
+    expect(() =>
+      decryptText(
+        { ...payload, ciphertext: bytes.toString("base64") },
+        key,
+        associatedData
+      )
+    ).toThrow();
+  });
+});
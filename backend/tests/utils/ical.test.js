@@ -0,0 +1,116 @@
+import {
+  buildCalendar,
+  escapeText,
+  formatDateTime,
+} from "../../src/utils/ical.js";
+
+/**
+ * Undo RFC 5545 line folding
+ * @param {string} text - iCalendar text
+ * @returns {Array<string>} Unfolded content lines
+ */
+const unfold = (text) => text.replace(/\r\n /g, "").split("\r\n");
+
+const event = {
+  uid: "appointment-1@mindquest",
+  start: "2025-01-20T03:30:00.000Z",
+  end: "2025-01-20T04:30:00.000Z",
+  summary: "Counseling session",
+  updatedAt: "2025-01-10T12:00:00.000Z",
+};
+
+describe("escapeText", () => {
+  it("escapes backslashes, separators and newlines", () => {
+    expect(escapeText("a\\b;c,d")).toBe("a\\\\b\\;c\\,d");
+    expect(escapeText("line 1\nline 2\r\nline 3")).toBe(
+      "line 1\\nline 2\\nline 3"
+    );
+  });
+
+  it("turns missing values into empty text", () => {
+    expect(escapeText(undefined)).toBe("");
+    expect(escapeText(null)).toBe("");
+  });
+});
+
+describe("formatDateTime", () => {
+  it("formats instants as UTC DATE-TIME values", () => {
+    expect(formatDateTime("2025-01-20T09:00:00+05:30")).toBe(
+      "20250120T033000Z"
+    );
+    expect(formatDateTime(Date.UTC(2025, 11, 31, 23, 59, 59, 999))).toBe(
+      "20251231T235959Z"
+    );
+  });
+});
+
+describe("buildCalendar", () => {
+  it("builds a calendar with CRLF line endings", () => {
+    const text = buildCalendar({ name: "Sessions", events: [event] });
+
+    expect(text.endsWith("\r\n")).toBe(true);
+    expect(text.replace(/\r\n/g, "")).not.toMatch(/[\r\n]/);
+    expect(unfold(text)).toEqual([
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//MindQuest//Counseling//EN",
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      "X-WR-CALNAME:Sessions",
+      "BEGIN:VEVENT",
+      "UID:appointment-1@mindquest",
+      "DTSTAMP:20250110T120000Z",
+      "DTSTART:20250120T033000Z",
+      "DTEND:20250120T043000Z",
+      "SUMMARY:Counseling session",
+      "END:VEVENT",
+      "END:VCALENDAR",
+      "",
+    ]);
+  });
+
+  it("adds optional description and status lines", () => {
+    const lines = unfold(
+      buildCalendar({
+        name: "Sessions",
+        events: [
+          { ...event, description: "Room 4, Block B", status: "CONFIRMED" },
+        ],
+      })
+    );
+
+    expect(lines).toContain("DESCRIPTION:Room 4\\, Block B");
+    expect(lines).toContain("STATUS:CONFIRMED");
+  });
+
+  it("folds long lines to at most 75 octets", () => {
+    const summary = "Session about exam stress and sleep ".repeat(6).trim();
+    const text = buildCalendar({
+      name: "Sessions",
+      events: [{ ...event, summary }],
+    });
+
+    const physicalLines = text.split("\r\n");
+    physicalLines.forEach((line) =>
+      expect(Buffer.byteLength(line, "utf8")).toBeLessThanOrEqual(75)
+    );
+    expect(physicalLines.some((line) => line.startsWith(" "))).toBe(true);
+    expect(unfold(text)).toContain(`SUMMARY:${summary}`);
+  });
+
+  it("never splits a multi-byte character when folding", () => {
+    const summary = "Séance de suivi — ça va mieux ✓ ".repeat(5).trim();
+    const text = buildCalendar({
+      name: "Sessions",
+      events: [{ ...event, summary }],
+    });
+
+    text
+      .split("\r\n")
+      .forEach((line) =>
+        expect(Buffer.byteLength(line, "utf8")).toBeLessThanOrEqual(75)
+      );
+    expect(text).not.toContain("�");
+    expect(unfold(text)).toContain(`SUMMARY:${summary}`);
+  });
+});
@@ -0,0 +1,109 @@
+import {
+  QUESTIONNAIRES,
+  getMaxScore,
+  getQuestionnaire,
+  isValidAnswerSet,
+  scoreAnswers,
+} from "../../src/utils/questionnaires.js";
+
+const phq9 = QUESTIONNAIRES.phq9;
+const gad7 = QUESTIONNAIRES.gad7;
+
+/**
+ * Build answers adding up to a total, filling items in order
+ * @param {Object} questionnaire - Questionnaire definition
+ * @param {number} total - Total score
+ * @returns {Array<number>} Answers
+ */
+const answersTotalling = (questionnaire, total) => {
+  let remaining = total;
+  return questionnaire.items.map(() => {
+    const answer = Math.min(3, remaining);
+    remaining -= answer;
+    return answer;
+  });
+};
+
+describe("getQuestionnaire", () => {
+  it("finds questionnaires by ID", () => {
+    expect(getQuestionnaire("phq9")).toBe(phq9);
+    expect(getQuestionnaire("gad7")).toBe(gad7);
+  });
+
+  it("ignores unknown IDs and inherited properties", () => {
+    expect(getQuestionnaire("unknown")).toBeNull();
+    expect(getQuestionnaire("toString")).toBeNull();
+  });
+});
+
+describe("isValidAnswerSet", () => {
+  it("accepts one valid option per item", () => {
+    expect(isValidAnswerSet(phq9, Array(9).fill(2))).toBe(true);
+    expect(isValidAnswerSet(gad7, Array(7).fill(0))).toBe(true);
+  });
+
+  it("rejects missing, extra and out-of-range answers", () => {
+    expect(isValidAnswerSet(phq9, Array(8).fill(1))).toBe(false);
+    expect(isValidAnswerSet(gad7, Array(8).fill(1))).toBe(false);
+    expect(isValidAnswerSet(gad7, [0, 1, 2, 3, 4, 0, 0])).toBe(false);
+    expect(isValidAnswerSet(gad7, [0, 1, 2, 3, "1", 0, 0])).toBe(false);
+    expect(isValidAnswerSet(gad7, null)).toBe(false);
+  });
+});
+
+describe("getMaxScore", () => {
+  it("is the top option value times the number of items", () => {
+    expect(getMaxScore(phq9)).toBe(27);
+    expect(getMaxScore(gad7)).toBe(21);
+  });
+});
+
+describe("scoreAnswers", () => {
+  it.each([
+    [0, "minimal"],
+    [4, "minimal"],
+    [5, "mild"],
+    [9, "mild"],
+    [10, "moderate"],
+    [14, "moderate"],
+    [15, "moderately_severe"],
+    [19, "moderately_severe"],
+    [20, "severe"],
+    [27, "severe"],
+  ])("scores a PHQ-9 total of %i as %s", (total, severity) => {
+    const answers = answersTotalling(phq9, total);
+    expect(scoreAnswers(phq9, answers)).toEqual({
+      totalScore: total,
+      maxScore: 27,
+      severity,
+      riskFlagged: answers[8] > 0,
+    });
+  });
+
+  it.each([
+    [0, "minimal"],
+    [5, "mild"],
+    [10, "moderate"],
+    [15, "severe"],
+    [21, "severe"],
+  ])("scores a GAD-7 total of %i as %s", (total, severity) => {
+    const score = scoreAnswers(gad7, answersTotalling(gad7, total));
+    expect(score.totalScore).toBe(total);
+    expect(score.severity).toBe(severity);
+    expect(score.riskFlagged).toBe(false);
+  });
+
+  it("flags any answer to the PHQ-9 self-harm item", () => {
+    const answers = Array(9).fill(0);
+    answers[8] = 1;
+
+    const score = scoreAnswers(phq9, answers);
+    expect(score.severity).toBe("minimal");
+    expect(score.riskFlagged).toBe(true);
+  });
+
+  it("does not flag other PHQ-9 items", () => {
+    const answers = [3, 3, 3, 3, 3, 3, 3, 3, 0];
+    expect(scoreAnswers(phq9, answers).riskFlagged).toBe(false);
+  });
+});
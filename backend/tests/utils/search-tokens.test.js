@@ -0,0 +1,34 @@
+import { MIN_TOKEN_LENGTH, tokenize } from "../../src/utils/search-tokens.js";
+
+describe("tokenize", () => {
+  it("lowercases, splits on punctuation and dedupes", () => {
+    expect(tokenize("Exam stress, exam-stress! Ça va? a 12")).toEqual([
+      "exam",
+      "stress",
+      "ça",
+      "va",
+      "12",
+    ]);
+  });
+
+  it("drops tokens shorter than the minimum length", () => {
+    expect(MIN_TOKEN_LENGTH).toBe(2);
+    expect(tokenize("I am a x ok")).toEqual(["am", "ok"]);
+  });
+
+  it("combines tokens from several parts", () => {
+    expect(tokenize("Sleep issues", "sleep; anxiety")).toEqual([
+      "sleep",
+      "issues",
+      "anxiety",
+    ]);
+  });
+
+  it("ignores parts that are not strings", () => {
+    expect(tokenize(undefined, null, 42, { text: "hi" }, "hello")).toEqual([
+      "hello",
+    ]);
+    expect(tokenize()).toEqual([]);
+    expect(tokenize("  ...  ")).toEqual([]);
+  });
+});